@@ -4,7 +4,7 @@
 
 import { parse as parseArgs } from "https://deno.land/std@0.147.0/flags/mod.ts";
 import { normalize as normalizePath, resolve as resolvePath, extname } from "https://deno.land/std@0.147.0/path/mod.ts";
-import { configure, ZipWriter, terminateWorkers, HttpReader } from "../index.js";
+import { configure, ZipWriter, terminateWorkers, HttpReader, DenoFileReader, DenoFileWriter, SplitDataWriter } from "../index.js";
 
 const args = parseArgs(Deno.args);
 const stdout = getTextWriter(Deno.stdout);
@@ -37,6 +37,7 @@ async function displayUsage() {
 	await stdout.write("  --keep-order                  keep entries order (default: true)\n");
 	await stdout.write("  --zip64                       use Zip64 format (default: false)\n");
 	await stdout.write("  --prevent-parent-directories  remove occurences of \"../\" in filenames (default: true)\n");
+	await stdout.write("  --split-size                  split the zip file into volumes of the given size in bytes (default: none)\n");
 	await stdout.write("\n");
 	Deno.exit(-1);
 }
@@ -65,12 +66,16 @@ async function runCommand(zipfile, list, options) {
 		list = await Promise.all(list.map(file => addDirectories(file, options)));
 	}
 	list = list.flat();
-	zipfile = await Deno.open(zipfile, { create: true, write: true });
+	const volumes = [];
+	const writer = options.splitSize ? new SplitDataWriter(getVolumeWriters(zipfile, volumes), options.splitSize) : new DenoFileWriter(zipfile);
 	configure(options);
-	const zipWriter = new ZipWriter(zipfile, options);
+	const zipWriter = new ZipWriter(writer, options);
 	try {
 		await Promise.all(list.map(file => addFile(zipWriter, file)));
 		await zipWriter.close();
+		if (volumes.length) {
+			await Deno.rename(volumes.pop(), zipfile);
+		}
 	} finally {
 		await terminateWorkers();
 	}
@@ -81,9 +86,15 @@ async function addFile(zipWriter, file) {
 		onstart: () => stdout.write("  adding: " + file.name + "\n")
 	};
 	try {
-		const reader = await getReader(file);
+		const reader = getReader(file);
 		if (reader) {
-			await zipWriter.add(file.name, reader, options);
+			try {
+				await zipWriter.add(file.name, reader, options);
+			} finally {
+				if (reader.close) {
+					await reader.close();
+				}
+			}
 		}
 	} catch (error) {
 		await stdout.write("  error: " + error.message + ", file: " + file.url + "\n");
@@ -135,16 +146,20 @@ async function addDirectories(file, options) {
 	}
 }
 
-async function getReader(file) {
+function getReader(file) {
 	if (file.remote) {
 		return new HttpReader(file.url);
 	} else if (file.isFile) {
-		const { size } = file;
-		const { readable } = await Deno.open(resolvePath(file.url), { read: true });
-		return {
-			readable,
-			size
-		};
+		return new DenoFileReader(resolvePath(file.url));
+	}
+}
+
+async function* getVolumeWriters(zipfile, volumes) {
+	const basename = zipfile.replace(/\.zip$/i, "");
+	while (true) {
+		const volume = basename + ".z" + String(volumes.length + 1).padStart(2, "0");
+		volumes.push(volume);
+		yield new DenoFileWriter(volume);
 	}
 }
 
@@ -51,6 +51,12 @@ export {
 	HttpRangeReader,
 	Uint8ArrayWriter,
 	Uint8ArrayReader,
+	NodeFileReader,
+	NodeFileWriter,
+	DenoFileReader,
+	DenoFileWriter,
+	OPFSReader,
+	OPFSWriter,
 	SplitZipReader,
 	SplitZipWriter,
 	SplitDataReader,
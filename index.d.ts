@@ -271,6 +271,20 @@ export interface Configuration extends WorkerConfiguration {
    * @defaultValue {@link ZipInflate}
    */
   Inflate?: typeof ZipInflate;
+  /**
+   * The codecs used to compress/decompress data with compression methods other than STORE (0) and DEFLATE (8), indexed by compression method.
+   * Setting a compression method to `null` unregisters its codec.
+   *
+   * Here is an example:
+   * ```
+   * configure({
+   *   codecs: {
+   *     93: { Compress: ZstdCompress, Decompress: ZstdDecompress, workerScripts: ["z-worker-codec-zstd.js"] }
+   *   }
+   * });
+   * ```
+   */
+  codecs?: Record<number, CompressionCodec | null>;
   /**
    * The stream implementation used to compress data when `useCompressionStream` is set to `false`.
    *
@@ -425,6 +439,33 @@ declare class ZipInflate extends SyncCodec {
   flush(): void;
 }
 
+/**
+ * Represents a codec registered for a compression method with {@link Configuration#codecs}.
+ */
+export interface CompressionCodec {
+  /**
+   * The codec implementation used to compress data. The `level` and `chunkSize` options are passed to its constructor.
+   */
+  Compress?: typeof ZipDeflate;
+  /**
+   * The codec implementation used to decompress data. The `chunkSize` and `outputSize` (i.e. the uncompressed size when it is known) options are passed to its constructor.
+   */
+  Decompress?: typeof ZipInflate;
+  /**
+   * The "Version" field written in the headers of the entries compressed with this codec.
+   *
+   * @defaultValue 21 for Deflate64, 46 for BZIP2, 63 for LZMA, Zstandard and XZ, 20 otherwise
+   */
+  version?: number;
+  /**
+   * The URIs of the scripts appended to {@link Configuration#workerScripts} when the codec is run in a web worker.
+   * These scripts must register the codec in `self.codecs` (e.g. `self.codecs = { 93: { Compress, Decompress } }`).
+   * When the inline web worker is used, relative URLs are resolved from the URL of the library module (e.g. `lib/zip.js`).
+   * The codec is run in the main thread when this property is `undefined` or when {@link Configuration#workerScripts} is not defined.
+   */
+  workerScripts?: string[];
+}
+
 /**
  * Represents a class implementing `CompressionStream` or `DecompressionStream` interfaces.
  */
@@ -538,6 +579,113 @@ export class Data64URIReader extends Reader<string> {}
  */
 export class Uint8ArrayReader extends Reader<Uint8Array> {}
 
+/**
+ * Represents the subset of the Node.js `FileHandle` API (from `fs/promises`) used by {@link NodeFileReader} and {@link NodeFileWriter}.
+ */
+export interface NodeFileHandle {
+  /**
+   * Reads data from the file at a given position.
+   */
+  read(
+    buffer: Uint8Array,
+    offset: number,
+    length: number,
+    position: number
+  ): Promise<{ bytesRead: number }>;
+  /**
+   * Writes data into the file at a given position.
+   */
+  write(
+    buffer: Uint8Array,
+    offset: number,
+    length: number,
+    position: number
+  ): Promise<{ bytesWritten: number }>;
+  /**
+   * Retrieves the file stats.
+   */
+  stat(): Promise<{ size: number }>;
+  /**
+   * Closes the file.
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * Represents a {@link Reader} instance used to read data from a file on Node.js with positional reads.
+ */
+export class NodeFileReader extends Reader<string | URL | NodeFileHandle> {
+  /**
+   * Creates the {@link NodeFileReader} instance
+   *
+   * @param file The path of the file or a `FileHandle` instance. When a path is provided, the file is opened in {@link NodeFileReader#init} and closed in {@link NodeFileReader#close}.
+   */
+  constructor(file: string | URL | NodeFileHandle);
+  /**
+   * Closes the file if it has been opened by the instance
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * Represents the subset of the `Deno.FsFile` API used by {@link DenoFileReader} and {@link DenoFileWriter}.
+ */
+export interface DenoFsFile {
+  /**
+   * Moves the file cursor to a given position.
+   */
+  seek(offset: number, whence: number): Promise<number>;
+  /**
+   * Reads data from the current position of the file.
+   */
+  read(buffer: Uint8Array): Promise<number | null>;
+  /**
+   * Writes data at the current position of the file.
+   */
+  write(buffer: Uint8Array): Promise<number>;
+  /**
+   * Retrieves the file info.
+   */
+  stat(): Promise<{ size: number }>;
+  /**
+   * Closes the file.
+   */
+  close(): void;
+}
+
+/**
+ * Represents a {@link Reader} instance used to read data from a file on Deno with random access. An array of {@link DenoFileReader} instances can be passed to {@link SplitDataReader} to read split zip files.
+ */
+export class DenoFileReader extends Reader<string | URL | DenoFsFile> {
+  /**
+   * Creates the {@link DenoFileReader} instance
+   *
+   * @param file The path of the file or a `Deno.FsFile` instance. When a path is provided, the file is opened in {@link DenoFileReader#init} and closed in {@link DenoFileReader#close}.
+   */
+  constructor(file: string | URL | DenoFsFile);
+  /**
+   * Closes the file if it has been opened by the instance
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * Represents a {@link Reader} instance used to read data from a file stored in the Origin Private File System (OPFS). It uses a `FileSystemSyncAccessHandle` instance when
+ * running in a worker and a `File` instance otherwise.
+ */
+export class OPFSReader extends Reader<string | FileSystemFileHandle> {
+  /**
+   * Creates the {@link OPFSReader} instance
+   *
+   * @param file The path of the file relative to the OPFS root directory or a `FileSystemFileHandle` instance.
+   */
+  constructor(file: string | FileSystemFileHandle);
+  /**
+   * Releases the `FileSystemSyncAccessHandle` instance, if any
+   */
+  close(): void;
+}
+
 /**
  * Represents a {@link Reader} instance used to read data provided as an array of {@link ReadableReader} instances (e.g. split zip files).
  *
@@ -568,6 +716,42 @@ export class HttpReader extends Reader<URLString> {
    * @param options The options.
    */
   constructor(url: URLString | URL, options?: HttpOptions);
+  /**
+   * The value of the `ETag` header returned by the server, if any.
+   */
+  readonly etag?: string;
+  /**
+   * The statistics of the block cache when {@link HttpRangeOptions#blockSize} or {@link HttpRangeOptions#cacheSize} is set.
+   */
+  readonly cacheStats?: HttpReaderCacheStats;
+  /**
+   * Fetches byte ranges in advance with `multipart/byteranges` requests when range requests are used. Subsequent reads contained in these ranges are served from memory.
+   * The data of a range is released up to the end of each read served from it. Ranges already prefetched are not fetched again.
+   * If the server returns a single range, it is used when only one range is requested or when the `Content-Range` header is exposed, otherwise it is ignored.
+   * If the server returns the full content, the response is ignored with `fetch` and `XMLHttpRequest`.
+   *
+   * @param ranges The ranges to fetch, `end` is exclusive.
+   * @returns A promise resolving to the ranges which have been fetched.
+   */
+  prefetch(ranges: { start: number; end: number }[]): Promise<{ start: number; end: number }[]>;
+}
+
+/**
+ * Represents the statistics of the block cache of a {@link HttpReader} instance.
+ */
+export interface HttpReaderCacheStats {
+  /**
+   * The number of requested blocks found in the cache.
+   */
+  hits: number;
+  /**
+   * The number of requested blocks not found in the cache.
+   */
+  misses: number;
+  /**
+   * The number of range requests sent to fetch blocks.
+   */
+  requests: number;
 }
 
 /**
@@ -630,6 +814,46 @@ export interface HttpRangeOptions {
    * The HTTP headers.
    */
   headers?: Iterable<[string, string]> | Map<string, string>;
+  /**
+   * The number of times a request is retried after a network error or a response with a 429 or 5xx status code. The delay between retries grows exponentially with random jitter and honors
+   * the `Retry-After` header when returned by the server.
+   *
+   * @defaultValue 0
+   */
+  retries?: number;
+  /**
+   * The base delay in milliseconds before retrying a request.
+   *
+   * @defaultValue 500
+   */
+  retryDelay?: number;
+  /**
+   * `true` to send the `If-Range` header (built from the `ETag` or `Last-Modified` header returned by the server) with range requests. It asks the server to return the whole
+   * content when it has changed. It triggers a CORS preflight request with cross-origin URLs. Changes are detected with the `ETag` and `Last-Modified` headers of the
+   * responses in any case.
+   *
+   * @defaultValue false
+   */
+  useIfRangeHeader?: boolean;
+  /**
+   * The size in bytes of the blocks stored in the LRU block cache used with range requests. Reads are aligned on blocks and adjacent missing blocks are fetched with a single request.
+   * The cache is enabled when this option or {@link HttpRangeOptions#cacheSize} is set.
+   *
+   * @defaultValue 262144
+   */
+  blockSize?: number;
+  /**
+   * The maximum size in bytes of the block cache.
+   *
+   * @defaultValue 33554432
+   */
+  cacheSize?: number;
+  /**
+   * The number of bytes fetched ahead of sequential reads when the block cache is enabled.
+   *
+   * @defaultValue 4 * {@link HttpRangeOptions#blockSize}
+   */
+  readAheadSize?: number;
 }
 
 /**
@@ -787,6 +1011,127 @@ export class SplitDataWriter implements Initializable, WritableWriter {
  */
 export class Uint8ArrayWriter extends Writer<Uint8Array> {}
 
+/**
+ * Represents a {@link WritableWriter} instance used to write data into a file on Node.js with positional writes. When it is used with a {@link ZipWriter} instance,
+ * local headers are updated in place instead of using data descriptors.
+ */
+export class NodeFileWriter implements Initializable, WritableWriter {
+  /**
+   * The `WritableStream` instance.
+   */
+  writable: WritableStream;
+  /**
+   * Creates the {@link NodeFileWriter} instance
+   *
+   * @param file The path of the file or a `FileHandle` instance. When a path is provided, the file is opened in {@link NodeFileWriter#init} and closed when `writable` is closed.
+   */
+  constructor(file: string | URL | NodeFileHandle);
+  /**
+   * Initializes the instance asynchronously
+   */
+  init(): Promise<void>;
+  /**
+   * Appends a chunk of data
+   *
+   * @param array The chunk data to append.
+   */
+  writeUint8Array(array: Uint8Array): Promise<void>;
+  /**
+   * Writes a chunk of data at a given position
+   *
+   * @param array The chunk data to write.
+   * @param offset The position of the data in bytes.
+   */
+  writeUint8ArrayAt(array: Uint8Array, offset: number): Promise<void>;
+  /**
+   * Retrieves the path or the `FileHandle` instance passed to the constructor
+   *
+   * @returns A promise resolving to the path or the `FileHandle` instance.
+   */
+  getData(): Promise<string | URL | NodeFileHandle>;
+}
+
+/**
+ * Represents a {@link WritableWriter} instance used to write data into a file on Deno with random access. When it is used with a {@link ZipWriter} instance,
+ * local headers are updated in place instead of using data descriptors. A generator of {@link DenoFileWriter} instances can be passed to {@link SplitDataWriter} to write split zip files.
+ */
+export class DenoFileWriter implements Initializable, WritableWriter {
+  /**
+   * The `WritableStream` instance.
+   */
+  writable: WritableStream;
+  /**
+   * Creates the {@link DenoFileWriter} instance
+   *
+   * @param file The path of the file or a `Deno.FsFile` instance. When a path is provided, the file is created or truncated in {@link DenoFileWriter#init} and closed when `writable` is closed.
+   */
+  constructor(file: string | URL | DenoFsFile);
+  /**
+   * Initializes the instance asynchronously
+   */
+  init(): Promise<void>;
+  /**
+   * Appends a chunk of data
+   *
+   * @param array The chunk data to append.
+   */
+  writeUint8Array(array: Uint8Array): Promise<void>;
+  /**
+   * Writes a chunk of data at a given position
+   *
+   * @param array The chunk data to write.
+   * @param offset The position of the data in bytes.
+   */
+  writeUint8ArrayAt(array: Uint8Array, offset: number): Promise<void>;
+  /**
+   * Retrieves the path or the `Deno.FsFile` instance passed to the constructor
+   *
+   * @returns A promise resolving to the path or the `Deno.FsFile` instance.
+   */
+  getData(): Promise<string | URL | DenoFsFile>;
+}
+
+/**
+ * Represents a {@link WritableWriter} instance used to write data into a file stored in the Origin Private File System (OPFS). It uses a `FileSystemSyncAccessHandle` instance when
+ * running in a worker and a `FileSystemWritableFileStream` instance otherwise. When it is used with a {@link ZipWriter} instance, local headers are updated in place instead of
+ * using data descriptors.
+ */
+export class OPFSWriter implements Initializable, WritableWriter {
+  /**
+   * The `WritableStream` instance.
+   */
+  writable: WritableStream;
+  /**
+   * Creates the {@link OPFSWriter} instance
+   *
+   * @param file The path of the file relative to the OPFS root directory or a `FileSystemFileHandle` instance. Missing directories and files are created.
+   */
+  constructor(file: string | FileSystemFileHandle);
+  /**
+   * Initializes the instance asynchronously
+   */
+  init(): Promise<void>;
+  /**
+   * Appends a chunk of data
+   *
+   * @param array The chunk data to append.
+   */
+  writeUint8Array(array: Uint8Array): Promise<void>;
+  /**
+   * Writes a chunk of data at a given position
+   *
+   * @param array The chunk data to write.
+   * @param offset The position of the data in bytes.
+   */
+  writeUint8ArrayAt(array: Uint8Array, offset: number): Promise<void>;
+  /**
+   * Retrieves the `FileSystemFileHandle` instance of the written file
+   *
+   * @returns A promise resolving to the `FileSystemFileHandle` instance.
+   */
+  getData(): Promise<FileSystemFileHandle>;
+}
+
 /**
  * Represents an instance used to create an unzipped stream.
  *
@@ -807,6 +1152,9 @@ export class Uint8ArrayWriter extends Writer<Uint8Array> {}
  *   await entry.readable?.pipeTo((await Deno.create(fullPath)).writable);
  * }
  * ```
+ *
+ * By default, the zip file is buffered before being read. Set the option `sequential` to `true` to read the entries
+ * as data arrives.
  */
 export class ZipReaderStream<T> {
   /**
@@ -890,6 +1238,23 @@ export class ZipReader<Type> {
    * The data appended after the zip file.
    */
   appendedData?: Uint8Array;
+  /**
+   * The charset of the file names detected in the central directory (or in the local headers when the option
+   * `sequential` is set) and its confidence score between 0 and 1 when the option `filenameEncoding` or
+   * `commentEncoding` is set to "auto".
+   */
+  detectedEncoding?: {
+    charset: string;
+    confidence: number;
+  };
+  /**
+   * Returns a binary snapshot of the central directory including the size and the ETag (see
+   * {@link HttpReader#etag}) of the zip file. It can be passed to the option `index` of the constructor to open the
+   * same zip file without reading the central directory again.
+   *
+   * @returns A promise resolving to the snapshot.
+   */
+  exportIndex(): Promise<Uint8Array>;
   /**
    * Returns all the entries in the zip file
    *
@@ -906,12 +1271,124 @@ export class ZipReader<Type> {
   getEntriesGenerator(
     options?: ZipReaderGetEntriesOptions
   ): AsyncGenerator<Entry, boolean>;
+  /**
+   * Returns the entry with the given filename. The central directory is read once and indexed by filename, only the
+   * returned entry is decoded. The first entry is returned when several entries have the same filename. The index
+   * is not used with the options `sequential` and `recover` (when the central directory cannot be read).
+   *
+   * @param filename The filename of the entry (see {@link EntryMetaData#filename}).
+   * @param options The options.
+   * @returns A promise resolving to the {@link Entry} instance or `undefined` if the entry cannot be found.
+   */
+  getEntry(filename: string, options?: ZipReaderGetEntriesOptions): Promise<Entry | undefined>;
+  /**
+   * Tests if the zip file contains an entry with the given filename (see {@link ZipReader#getEntry})
+   *
+   * @param filename The filename of the entry.
+   * @param options The options.
+   * @returns A promise resolving to `true` if the entry exists.
+   */
+  has(filename: string, options?: ZipReaderGetEntriesOptions): Promise<boolean>;
+  /**
+   * Tests the integrity of the zip file by decompressing all the entries, checking their signature (CRC32 or HMAC)
+   * and comparing their local file headers with the central directory.
+   *
+   * @param options The options.
+   * @returns A promise resolving to a {@link ZipReaderTestReport} instance.
+   */
+  test(options?: ZipReaderTestOptions): Promise<ZipReaderTestReport>;
+  /**
+   * Fetches the local headers and the data of the given entries in advance when the reader supports it (e.g. {@link HttpRangeReader}), with requests using
+   * multiple ranges: the local headers are fetched first, then the data. The prefetched data of an entry is released once read.
+   *
+   * @param entries The entries to prefetch.
+   * @returns A promise resolving when the data has been fetched.
+   */
+  prefetch(entries: Entry[]): Promise<void>;
   /**
    * Closes the zip file
    */
   close(): Promise<void>;
 }
 
+/**
+ * Represents the options passed to {@link ZipReader#test}.
+ */
+export interface ZipReaderTestOptions
+  extends ZipReaderGetEntriesOptions,
+    ZipReaderOptions,
+    WorkerConfiguration {}
+
+/**
+ * Represents the report returned by {@link ZipReader#test}.
+ */
+export interface ZipReaderTestReport {
+  /**
+   * `true` if no error has been found.
+   */
+  valid: boolean;
+  /**
+   * The error thrown when reading the entries.
+   */
+  error?: ZipReaderTestError;
+  /**
+   * The reports of the tested entries.
+   */
+  entries: ZipReaderEntryTestReport[];
+}
+
+/**
+ * Represents the report of an entry tested by {@link ZipReader#test}.
+ */
+export interface ZipReaderEntryTestReport {
+  /**
+   * The filename of the entry.
+   */
+  filename: string;
+  /**
+   * The byte offset of the local file header.
+   */
+  offset: number;
+  /**
+   * The byte offset of the data.
+   */
+  dataOffset?: number;
+  /**
+   * `true` if no error has been found.
+   */
+  valid: boolean;
+  /**
+   * The errors found.
+   */
+  errors: ZipReaderTestError[];
+}
+
+/**
+ * Represents an error found by {@link ZipReader#test}.
+ */
+export interface ZipReaderTestError {
+  /**
+   * The code of the error (e.g. `"ERR_INVALID_SIGNATURE"`).
+   */
+  code: string;
+  /**
+   * The message of the error.
+   */
+  message: string;
+  /**
+   * The byte offset where the error has been found.
+   */
+  offset?: number;
+  /**
+   * The name of the property of the local file header inconsistent with the central directory.
+   */
+  property?: string;
+  /**
+   * The entry overlapping with the tested entry.
+   */
+  overlappingEntry?: Entry;
+}
+
 /**
  * Represents the options passed to the constructor of {@link ZipReader}, and `{@link ZipDirectory}#import*`.
  */
@@ -931,6 +1408,12 @@ export interface ZipReaderConstructorOptions
    * @defaultValue false
    */
   extractAppendedData?: boolean;
+  /**
+   * The snapshot of the central directory returned by {@link ZipReader#exportIndex}. The central directory is not
+   * read when the snapshot matches the size and the ETag (see {@link HttpReader#etag}) of the zip file, it is read
+   * as usual otherwise.
+   */
+  index?: Uint8Array;
 }
 
 /**
@@ -943,13 +1426,21 @@ export interface ZipReaderGetEntriesOptions
 /**
  * Represents options passed to the constructor of {@link ZipReader}, {@link ZipReader#getEntries} and {@link ZipReader#getEntriesGenerator}.
  */
-export interface GetEntriesOptions {
+export interface GetEntriesOptions extends ZipReaderLimitOptions {
   /**
    * The encoding of the filename of the entry.
+   *
+   * When set to "auto", the charset (e.g. "cp437", "cp866", "shift_jis", "gbk", "big5", "euc-kr" or "utf-8") is
+   * detected from all the file names in the central directory which are not flagged as UTF-8 and from the host
+   * system stored in `versionMadeBy`. The result is available in {@link ZipReader#detectedEncoding}. When the option
+   * `sequential` is set, the charset is detected from the first file name which is not flagged as UTF-8 and contains
+   * non-ASCII characters, and it is used for the next file names.
    */
   filenameEncoding?: string;
   /**
    * The encoding of the comment of the entry.
+   *
+   * When set to "auto", the charset detected from the file names is used.
    */
   commentEncoding?: string;
   /**
@@ -960,12 +1451,84 @@ export interface GetEntriesOptions {
    * @returns The decoded text value or `undefined` if the raw text value should be decoded by zip.js.
    */
   decodeText?(value: Uint8Array, encoding: string): string | undefined;
+  /**
+   * `true` to read the entries sequentially from the local file headers as data arrives instead of reading the
+   * central directory first. The data of an entry must be read before reading the next entry, otherwise it is
+   * skipped and {@link FileEntry#getData} throws an {@link ERR_ENTRY_DATA_NOT_AVAILABLE} error. The metadata
+   * stored only in the central directory (e.g. comments, file attributes) is updated when the end of the zip file
+   * is reached, and an {@link ERR_CENTRAL_DIRECTORY_MISMATCH} error is thrown if it is inconsistent with the local
+   * file headers.
+   *
+   * @defaultValue false
+   */
+  sequential?: boolean;
+  /**
+   * `true` to rebuild the entries from the local file headers when the central directory is missing or corrupt
+   * instead of throwing an error. The rebuilt entries are flagged with {@link EntryMetaData#recovered}.
+   *
+   * @defaultValue false
+   */
+  recover?: boolean;
+  /**
+   * The maximum number of entries. An {@link ERR_MAX_ENTRIES_EXCEEDED} error is thrown when reading the entries if
+   * the zip file contains more entries.
+   */
+  maxEntries?: number;
+  /**
+   * The policy applied to the filenames of the entries:
+   * - `"raw"`: the filenames are returned as stored in the zip file
+   * - `"sanitize"`: backslashes are replaced with slashes, drive prefixes (e.g. `C:`), leading slashes, `.` and `..`
+   *   segments are removed, and the entries with Windows reserved names are flagged with
+   *   {@link EntryMetaData#reservedFilename}
+   * - `"reject"`: an {@link ERR_UNSAFE_ENTRY_NAME} error is thrown when a filename contains a `..` segment, starts with
+   *   a slash or a drive prefix, the other filenames are sanitized as with `"sanitize"` (e.g. `./a.txt` becomes `a.txt`)
+   *
+   * The original filename is always available in {@link EntryMetaData#originalFilename} and
+   * {@link EntryMetaData#rawFilename}. An {@link ERR_UNSAFE_ENTRY_NAME} error is also thrown in `"sanitize"` and
+   * `"reject"` modes when nothing remains of the filename.
+   *
+   * @defaultValue "raw" (`"sanitize"` when importing a zip file with {@link ZipDirectoryEntry#importZip})
+   */
+  filenamePolicy?: "raw" | "sanitize" | "reject";
+  /**
+   * The Unicode normalization form applied to the filenames of the entries (e.g. `"NFC"` to read the decomposed
+   * names stored by macOS as composed names). It also applies to the filenames passed to {@link ZipReader#getEntry}
+   * and {@link ZipReader#has}.
+   *
+   * @defaultValue "none"
+   */
+  nameNormalization?: "NFC" | "NFD" | "none";
+}
+
+/**
+ * Represents the limits used to protect against zip bombs. They are checked against the metadata of the entries
+ * when reading the entries, and against the number of bytes actually decompressed when calling
+ * {@link FileEntry#getData}, which is aborted as soon as a limit is exceeded.
+ */
+export interface ZipReaderLimitOptions {
+  /**
+   * The maximum total uncompressed size of the entries in bytes, an {@link ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED}
+   * error is thrown when it is exceeded. The data decompressed with {@link FileEntry#getData} is counted per
+   * {@link ZipReader} instance, each entry being counted once. The data decompressed by {@link ZipReader#test}, when
+   * checking a password only, or when reading a byte range is not counted.
+   */
+  maxTotalUncompressedSize?: number;
+  /**
+   * The maximum uncompressed size of an entry in bytes, an {@link ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED} error is
+   * thrown when it is exceeded.
+   */
+  maxEntryUncompressedSize?: number;
+  /**
+   * The maximum ratio between the uncompressed size and the compressed size of an entry, an
+   * {@link ERR_MAX_COMPRESSION_RATIO_EXCEEDED} error is thrown when it is exceeded.
+   */
+  maxCompressionRatio?: number;
 }
 
 /**
  * Represents options passed to the constructor of {@link ZipReader} and {@link FileEntry#getData}.
  */
-export interface ZipReaderOptions {
+export interface ZipReaderOptions extends ZipReaderLimitOptions {
   /**
    * `true` to check only if the password is valid.
    *
@@ -999,6 +1562,18 @@ export interface ZipReaderOptions {
    * The password used to decrypt the content of the entry.
    */
   password?: string;
+  /**
+   * The function called when an {@link ERR_ENCRYPTED} or an {@link ERR_INVALID_PASSWORD} error would be thrown
+   * while reading the content of an encrypted entry or checking its password. It is called again as long as the
+   * returned password is invalid. The returned password is only used for the current read of the entry. When reading
+   * the entries sequentially, the password is checked with the encryption header of the entry before reading its
+   * content because the content cannot be read twice.
+   *
+   * @param entry The entry.
+   * @returns A promise resolving to the password (`string`) or the raw password (`Uint8Array`), or `undefined` to
+   * throw the error.
+   */
+  getPassword?(entry: Entry): Promise<string | Uint8Array | undefined> | string | Uint8Array | undefined;
   /**
    * `true` to read the data as-is without decompressing it and without decrypting it.
    */
@@ -1023,6 +1598,15 @@ export interface ZipReaderOptions {
    * @defaultValue true
    */
   transferStreams?: boolean;
+  /**
+   * The number of uncompressed bytes between two checkpoints of the index built when reading byte ranges of entries
+   * compressed with Deflate (see {@link EntryGetDataOptions#start}). The index is kept in the entry and reused by the
+   * next calls to {@link FileEntry#getData}. `0` disables the index, the data is then always decompressed from the
+   * start of the entry.
+   *
+   * @defaultValue 1048576
+   */
+  checkpointInterval?: number;
 }
 
 /**
@@ -1037,10 +1621,19 @@ export interface EntryMetaData {
    * The filename of the entry.
    */
   filename: string;
+  /**
+   * The filename of the entry before the option `filenamePolicy` is applied.
+   */
+  originalFilename: string;
   /**
    * The filename of the entry (raw).
    */
   rawFilename: Uint8Array;
+  /**
+   * `true` if a segment of the filename is a Windows reserved name (e.g. `CON`, `NUL`, `COM1`, `LPT1`) (see the option
+   * `filenamePolicy`).
+   */
+  reservedFilename?: boolean;
   /**
    * `true` if the filename is encoded in UTF-8.
    */
@@ -1053,6 +1646,22 @@ export interface EntryMetaData {
    * `true` if the entry is an executable file
    */
   executable: boolean;
+  /**
+   * `true` if the entry is a symbolic link (Unix `S_IFLNK` mode).
+   */
+  symlink: boolean;
+  /**
+   * The Unix mode (file type and permission bits) of the entry when it has been created on a Unix system.
+   */
+  unixMode?: number;
+  /**
+   * The Unix user ID of the entry (stored in the Info-ZIP "ux" or legacy "UX" extra field).
+   */
+  uid?: number;
+  /**
+   * The Unix group ID of the entry (stored in the Info-ZIP "ux" or legacy "UX" extra field).
+   */
+  gid?: number;
   /**
    * `true` if the content of the entry is encrypted.
    */
@@ -1166,6 +1775,14 @@ export interface EntryMetaData {
    * The compression method.
    */
   compressionMethod: number;
+  /**
+   * `true` if the entry has been rebuilt from its local file header (see the option `recover`).
+   */
+  recovered?: boolean;
+  /**
+   * The report describing what could not be verified when the entry has been rebuilt from its local file header.
+   */
+  recoveryReport?: EntryRecoveryReport;
   /**
    * Raw extra fields and local header details (advanced)
    */
@@ -1192,6 +1809,28 @@ export interface EntryMetaData {
   rawExtraFieldExtendedTimestamp?: Uint8Array;
 }
 
+/**
+ * Represents the report of an entry rebuilt from its local file header.
+ */
+export interface EntryRecoveryReport {
+  /**
+   * The names of the properties which could not be verified because the central directory is missing.
+   */
+  unverified: string[];
+  /**
+   * The names of the properties with values in the local file header inconsistent with the central directory.
+   */
+  mismatched: string[];
+  /**
+   * `true` if the data of the entry is truncated.
+   */
+  truncated: boolean;
+  /**
+   * The message of the error thrown when reading the data of the entry.
+   */
+  error?: string;
+}
+
 export interface DirectoryEntry extends Omit<EntryMetaData, "directory"> {
   directory: true;
   getData?: undefined;
@@ -1224,6 +1863,13 @@ export interface FileEntry extends Omit<EntryMetaData, "directory"> {
    * @returns A promise resolving to an `ArrayBuffer` instance.
    */
   arrayBuffer(options?: EntryGetDataOptions): Promise<ArrayBuffer>;
+  /**
+   * Retrieves the target of the entry when it is a symbolic link
+   *
+   * @param options The options.
+   * @returns A promise resolving to the target of the symbolic link or `undefined` if {@link EntryMetaData#symlink} is `false`.
+   */
+  getSymlinkTarget(options?: EntryGetDataOptions): Promise<string | undefined>;
 }
 
 /**
@@ -1253,7 +1899,25 @@ export type Entry = DirectoryEntry | FileEntry;
 export interface EntryGetDataOptions
   extends EntryDataOnprogressOptions,
     ZipReaderOptions,
-    WorkerConfiguration {}
+    WorkerConfiguration {
+  /**
+   * The offset of the first byte of the data to read. Stored entries are read directly from the zip file, entries
+   * compressed with Deflate are decompressed from the nearest checkpoint (see the option `checkpointInterval`). An
+   * {@link ERR_UNSUPPORTED_RANGE} error is thrown for entries compressed with other methods, encrypted entries and
+   * entries read with the option `sequential`. The signature of the entry is not checked when reading a byte range.
+   * Byte ranges of entries compressed with Deflate are decompressed in the current thread, the options `useWebWorkers`
+   * and `useCompressionStream` are ignored.
+   *
+   * @defaultValue 0
+   */
+  start?: number;
+  /**
+   * The offset of the byte following the last byte of the data to read.
+   *
+   * @defaultValue {@link EntryMetaData#uncompressedSize}
+   */
+  end?: number;
+}
 
 /**
  * Represents the options passed to {@link FileEntry#getData} and `{@link ZipFileEntry}.get*`.
@@ -1509,6 +2173,30 @@ export interface ZipWriterAddDataOptions
    * @defaultValue false
    */
   executable?: boolean;
+  /**
+   * The target of the symbolic link when the entry is a symbolic link. The target is stored as the content of the
+   * entry (the `reader` parameter is ignored) and the Unix `S_IFLNK` mode is set when
+   * {@link ZipWriterConstructorOptions#msDosCompatible} is `false` and no external file attributes are provided.
+   */
+  symlink?: string;
+  /**
+   * The Unix mode (file type and permission bits) of the entry. The file type bits are added for directories and
+   * symbolic links when omitted. It is ignored when {@link ZipWriterConstructorOptions#msDosCompatible} is `true` or
+   * when external file attributes are provided.
+   */
+  unixMode?: number;
+  /**
+   * The Unix user ID of the entry, stored in the Info-ZIP "ux" and legacy "UX" extra fields.
+   *
+   * @defaultValue 0 when {@link ZipWriterAddDataOptions#gid} is defined
+   */
+  uid?: number;
+  /**
+   * The Unix group ID of the entry, stored in the Info-ZIP "ux" and legacy "UX" extra fields.
+   *
+   * @defaultValue 0 when {@link ZipWriterAddDataOptions#uid} is defined
+   */
+  gid?: number;
   /**
    * The comment of the entry.
    */
@@ -1567,6 +2255,7 @@ export interface ZipWriterConstructorOptions {
    * The level of compression.
    *
    * The minimum value is 0 and means that no compression is applied. The maximum value is 9.
+   * With Zstandard (compression method 93), the levels 1 to 9 are mapped onto the zstd levels 1, 2, 3, 4, 6, 9, 12, 16 and 19, and the zstd level 3 is used by default.
    *
    * @defaultValue 6
    */
@@ -1662,11 +2351,51 @@ export interface ZipWriterConstructorOptions {
    * `true` to mark the file names as UTF-8 setting the general purpose bit 11 in the header (see Appendix D -
    * Language Encoding (EFS)), `false` to mark the names as compliant with the original IBM Code Page 437.
    *
-   * Note that this does not ensure that the file names are in the correct encoding.
+   * When `false`, the file names and comments are encoded in CP437 (unless {@link ZipWriterConstructorOptions#encodeText}
+   * returns a value) and the non-ASCII ones are also stored in UTF-8 in the Info-ZIP Unicode Path (0x7075) and Unicode
+   * Comment (0x6375) extra fields.
    *
    * @defaultValue true
    */
   useUnicodeFileNames?: boolean;
+  /**
+   * The encoding of the file names (e.g. "cp437", "cp850", "shift_jis" or "gbk").
+   *
+   * When it is not "utf-8", the general purpose bit 11 is not set and the non-ASCII names are also stored in UTF-8 in
+   * the Info-ZIP Unicode Path (0x7075) extra field.
+   *
+   * @defaultValue "utf-8" or "cp437" when {@link ZipWriterConstructorOptions#useUnicodeFileNames} is `false`
+   */
+  filenameEncoding?: string;
+  /**
+   * The encoding of the comments (e.g. "cp437", "cp850", "shift_jis" or "gbk").
+   *
+   * @defaultValue {@link ZipWriterConstructorOptions#filenameEncoding}
+   */
+  commentEncoding?: string;
+  /**
+   * The behavior when a file name or a comment contains characters that cannot be encoded with
+   * {@link ZipWriterConstructorOptions#filenameEncoding} or {@link ZipWriterConstructorOptions#commentEncoding}:
+   * "unicode" to replace them with "_" and rely on the Unicode Path and Comment extra fields, "error" to throw
+   * {@link ERR_UNENCODABLE_TEXT}.
+   *
+   * @defaultValue "unicode"
+   */
+  encodingFallback?: "unicode" | "error";
+  /**
+   * The Unicode normalization form applied to the filenames of the entries before they are written and compared with
+   * the filenames of the entries already added.
+   *
+   * @defaultValue "none"
+   */
+  nameNormalization?: "NFC" | "NFD" | "none";
+  /**
+   * `true` to throw an {@link ERR_DUPLICATED_NAME} error when the filename of an entry differs only by case from the
+   * filename of an entry already added.
+   *
+   * @defaultValue false
+   */
+  caseInsensitiveDuplicates?: boolean;
   /**
    * `true` to add a data descriptor.
    *
@@ -1725,7 +2454,7 @@ export interface ZipWriterConstructorOptions {
    */
   offset?: number;
   /**
-   * The compression method (e.g. 8 for DEFLATE, 0 for STORE).
+   * The compression method (e.g. 8 for DEFLATE, 0 for STORE). Other compression methods (e.g. 93 for Zstandard) require a codec registered with {@link Configuration#codecs}.
    */
   compressionMethod?: number;
   /**
@@ -1976,6 +2705,23 @@ export class ZipFileEntry<ReaderType, WriterType> extends ZipEntry {
   replaceReadable(readable: ReadableStream): void;
 }
 
+/**
+ * Represents a symbolic link entry in the zip (Filesystem API).
+ */
+export class ZipSymlinkEntry extends ZipFileEntry<string, string> {
+  /**
+   * `true` for {@link ZipSymlinkEntry} instances.
+   */
+  symlink: true;
+  /**
+   * Retrieves the target of the symbolic link
+   *
+   * @param options The options.
+   * @returns A promise resolving to the target of the symbolic link.
+   */
+  getTarget(options?: EntryGetDataOptions): Promise<string>;
+}
+
 /**
  * Represents a directory entry in the zip (Filesystem API).
  */
@@ -2015,6 +2761,19 @@ export class ZipDirectoryEntry extends ZipEntry {
     text: string,
     options?: ZipWriterAddDataOptions
   ): ZipFileEntry<string, string>;
+  /**
+   * Adds a symbolic link entry
+   *
+   * @param name The relative filename of the entry.
+   * @param target The target of the symbolic link.
+   * @param options The options.
+   * @returns A {@link ZipSymlinkEntry} instance.
+   */
+  addSymlink(
+    name: string,
+    target: string,
+    options?: ZipWriterAddDataOptions
+  ): ZipSymlinkEntry;
   /**
    * Adds a entry entry with content provided as a `Blob` instance
    *
@@ -2254,6 +3013,26 @@ export interface ZipDirectoryEntryExportOptions
   readerOptions?: ZipReaderConstructorOptions;
 }
 
+/**
+ * Represents the options passed to the constructor of {@link FS}.
+ */
+export interface FSConstructorOptions {
+  /**
+   * The Unicode normalization form applied to the names of the entries when they are added or renamed, and when they
+   * are compared in {@link ZipDirectoryEntry#getChildByName} and {@link FS#find}.
+   *
+   * @defaultValue "none"
+   */
+  nameNormalization?: "NFC" | "NFD" | "none";
+  /**
+   * `true` to compare the names of the entries case-insensitively in {@link ZipDirectoryEntry#getChildByName} and
+   * {@link FS#find}, which also prevents adding entries whose names differ only by case.
+   *
+   * @defaultValue false
+   */
+  caseInsensitiveDuplicates?: boolean;
+}
+
 /**
  * Represents a Filesystem instance.
  *
@@ -2273,6 +3052,12 @@ export interface ZipDirectoryEntryExportOptions
  * ```
  */
 export class FS extends ZipDirectoryEntry {
+  /**
+   * Creates the instance
+   *
+   * @param options The options.
+   */
+  constructor(options?: FSConstructorOptions);
   /**
    * The root directory.
    */
@@ -2328,6 +3113,12 @@ export const fs: {
    * @defaultValue {@link ZipFileEntry}
    */
   ZipFileEntry: typeof ZipFileEntry;
+  /**
+   * The {@link ZipSymlinkEntry} constructor.
+   *
+   * @defaultValue {@link ZipSymlinkEntry}
+   */
+  ZipSymlinkEntry: typeof ZipSymlinkEntry;
 };
 
 // The error messages.
@@ -2335,6 +3126,10 @@ export const fs: {
  * HTTP range error
  */
 export const ERR_HTTP_RANGE: string;
+/**
+ * HTTP content changed error
+ */
+export const ERR_HTTP_CONTENT_CHANGED: string;
 /**
  * Zip format error
  */
@@ -2427,6 +3222,42 @@ export const ERR_SPLIT_ZIP_FILE: string;
  * Overlapping entry error
  */
 export const ERR_OVERLAPPING_ENTRY: string;
+/**
+ * Data descriptor not found error
+ */
+export const ERR_DATA_DESCRIPTOR_NOT_FOUND: string;
+/**
+ * Central directory mismatch error
+ */
+export const ERR_CENTRAL_DIRECTORY_MISMATCH: string;
+/**
+ * Entry data not available error
+ */
+export const ERR_ENTRY_DATA_NOT_AVAILABLE: string;
+/**
+ * Maximum number of entries exceeded error
+ */
+export const ERR_MAX_ENTRIES_EXCEEDED: string;
+/**
+ * Maximum total uncompressed size exceeded error
+ */
+export const ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED: string;
+/**
+ * Maximum entry uncompressed size exceeded error
+ */
+export const ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED: string;
+/**
+ * Maximum compression ratio exceeded error
+ */
+export const ERR_MAX_COMPRESSION_RATIO_EXCEEDED: string;
+/**
+ * Unsafe entry name error
+ */
+export const ERR_UNSAFE_ENTRY_NAME: string;
+/**
+ * Unsupported byte range error
+ */
+export const ERR_UNSUPPORTED_RANGE: string;
 /**
  * Iteration completed too soon error
  */
@@ -2443,3 +3274,11 @@ export const ERR_WRITER_NOT_INITIALIZED: string;
  * Zip file not empty error
  */
 export const ERR_ZIP_NOT_EMPTY: string;
+/**
+ * Unsupported text encoding error
+ */
+export const ERR_UNSUPPORTED_ENCODING: string;
+/**
+ * Unencodable text error
+ */
+export const ERR_UNENCODABLE_TEXT: string;
@@ -56,11 +56,18 @@ export {
 	HttpRangeReader,
 	Uint8ArrayWriter,
 	Uint8ArrayReader,
+	NodeFileReader,
+	NodeFileWriter,
+	DenoFileReader,
+	DenoFileWriter,
+	OPFSReader,
+	OPFSWriter,
 	SplitZipReader,
 	SplitZipWriter,
 	SplitDataReader,
 	SplitDataWriter,
 	ERR_HTTP_RANGE,
+	ERR_HTTP_CONTENT_CHANGED,
 	ERR_BAD_FORMAT,
 	ERR_EOCDR_NOT_FOUND,
 	ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND,
@@ -84,8 +91,19 @@ export {
 	ERR_UNSUPPORTED_FORMAT,
 	ERR_UNDEFINED_UNCOMPRESSED_SIZE,
 	ERR_ZIP_NOT_EMPTY,
+	ERR_UNSUPPORTED_ENCODING,
+	ERR_UNENCODABLE_TEXT,
 	ERR_SPLIT_ZIP_FILE,
 	ERR_OVERLAPPING_ENTRY,
+	ERR_DATA_DESCRIPTOR_NOT_FOUND,
+	ERR_CENTRAL_DIRECTORY_MISMATCH,
+	ERR_ENTRY_DATA_NOT_AVAILABLE,
+	ERR_MAX_ENTRIES_EXCEEDED,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
+	ERR_UNSAFE_ENTRY_NAME,
+	ERR_UNSUPPORTED_RANGE,
 	ERR_ITERATOR_COMPLETED_TOO_SOON,
 	ERR_WRITER_NOT_INITIALIZED
 } from "./lib/zip-fs.js";
@@ -26,14 +26,21 @@
  EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
-/* global setTimeout, clearTimeout */
+/* global setTimeout, clearTimeout, URL */
 
-import { UNDEFINED_VALUE } from "./constants.js";
+import {
+	UNDEFINED_VALUE,
+	FUNCTION_TYPE
+} from "./constants.js";
 import {
 	CODEC_INFLATE,
 	CODEC_DEFLATE,
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_INVALID_PASSWORD,
 	ERR_ABORT_CHECK_PASSWORD
 } from "./streams/codec-stream.js";
@@ -49,6 +56,10 @@ export {
 	CODEC_INFLATE,
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_INVALID_PASSWORD,
 	ERR_ABORT_CHECK_PASSWORD
 };
@@ -57,12 +68,16 @@ let indexWorker = 0;
 
 async function runWorker(stream, workerOptions) {
 	const { options, config } = workerOptions;
-	const { transferStreams, useWebWorkers, useCompressionStream, codecType, compressed, signed, encrypted } = options;
-	const { workerScripts, maxWorkers } = config;
+	const { transferStreams, useWebWorkers, useCompressionStream, codecType, compressed, compressionMethod, signed, encrypted } = options;
+	const { workerScripts, maxWorkers, codecs } = config;
+	const codec = compressed && codecs && codecs[compressionMethod];
 	workerOptions.transferStreams = transferStreams || transferStreams === UNDEFINED_VALUE;
 	const streamCopy = !compressed && !signed && !encrypted && !workerOptions.transferStreams;
-	workerOptions.useWebWorkers = !streamCopy && (useWebWorkers || (useWebWorkers === UNDEFINED_VALUE && config.useWebWorkers));
-	workerOptions.scripts = workerOptions.useWebWorkers && workerScripts ? workerScripts[codecType] : [];
+	const codecWorkerScripts = codec ? codec.workerScripts : [];
+	const scripts = workerScripts && workerScripts[codecType];
+	workerOptions.useWebWorkers = !streamCopy && codecWorkerScripts !== UNDEFINED_VALUE && (!codec || scripts !== UNDEFINED_VALUE) &&
+		(useWebWorkers || (useWebWorkers === UNDEFINED_VALUE && config.useWebWorkers));
+	workerOptions.scripts = workerOptions.useWebWorkers && scripts ? scripts.concat(getCodecWorkerScripts(scripts, codecWorkerScripts, config)) : [];
 	options.useCompressionStream = useCompressionStream || (useCompressionStream === UNDEFINED_VALUE && config.useCompressionStream);
 	return (await getWorker()).run();
 
@@ -95,6 +110,22 @@ async function runWorker(stream, workerOptions) {
 	}
 }
 
+function getCodecWorkerScripts([workerScript], codecWorkerScripts, { baseURL }) {
+	if (typeof workerScript == FUNCTION_TYPE) {
+		// the inline worker is loaded from a Blob or data URI, relative URLs cannot be resolved from it
+		return codecWorkerScripts.map(script => {
+			try {
+				return new URL(script, baseURL).href;
+				// eslint-disable-next-line no-unused-vars
+			} catch (_) {
+				return script;
+			}
+		});
+	} else {
+		return codecWorkerScripts;
+	}
+}
+
 function terminateWorker(workerData, workerOptions) {
 	const { config } = workerOptions;
 	const { terminateWorkerTimeout } = config;
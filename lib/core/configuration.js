@@ -29,6 +29,10 @@
 /* global navigator, CompressionStream, DecompressionStream */
 
 import {
+	MAX_16_BITS,
+	COMPRESSION_METHOD_STORE,
+	COMPRESSION_METHOD_DEFLATE,
+	COMPRESSION_METHOD_AES,
 	UNDEFINED_VALUE,
 	UNDEFINED_TYPE
 } from "./constants.js";
@@ -51,6 +55,7 @@ const DEFAULT_CONFIGURATION = {
 	useWebWorkers: true,
 	useCompressionStream: true,
 	workerScripts: UNDEFINED_VALUE,
+	codecs: {},
 	CompressionStreamNative: typeof CompressionStream != UNDEFINED_TYPE && CompressionStream,
 	DecompressionStreamNative: typeof DecompressionStream != UNDEFINED_TYPE && DecompressionStream
 };
@@ -83,7 +88,8 @@ function configure(configuration) {
 		Inflate,
 		CompressionStream,
 		DecompressionStream,
-		workerScripts
+		workerScripts,
+		codecs
 	} = configuration;
 	setIfDefined("baseURL", baseURL);
 	setIfDefined("chunkSize", chunkSize);
@@ -119,6 +125,24 @@ function configure(configuration) {
 			config.workerScripts.inflate = inflate;
 		}
 	}
+	if (codecs !== UNDEFINED_VALUE) {
+		Object.keys(codecs).forEach(key => {
+			const compressionMethod = Number(key);
+			const codec = codecs[key];
+			if (!Number.isInteger(compressionMethod) || compressionMethod < 0 || compressionMethod > MAX_16_BITS ||
+				compressionMethod == COMPRESSION_METHOD_STORE || compressionMethod == COMPRESSION_METHOD_DEFLATE || compressionMethod == COMPRESSION_METHOD_AES) {
+				throw new Error("codecs keys must be compression methods other than 0, 8 and 99");
+			}
+			if (codec) {
+				if (codec.workerScripts !== UNDEFINED_VALUE && !Array.isArray(codec.workerScripts)) {
+					throw new Error("codecs[" + compressionMethod + "].workerScripts must be an array");
+				}
+				config.codecs[compressionMethod] = codec;
+			} else {
+				delete config.codecs[compressionMethod];
+			}
+		});
+	}
 }
 
 function setIfDefined(propertyName, propertyValue) {
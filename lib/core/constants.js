@@ -30,6 +30,10 @@ const MAX_32_BITS = 0xffffffff;
 const MAX_16_BITS = 0xffff;
 const COMPRESSION_METHOD_DEFLATE = 0x08;
 const COMPRESSION_METHOD_DEFLATE_64 = 0x09;
+const COMPRESSION_METHOD_BZIP2 = 0x0C;
+const COMPRESSION_METHOD_LZMA = 0x0E;
+const COMPRESSION_METHOD_ZSTD = 0x5D;
+const COMPRESSION_METHOD_XZ = 0x5F;
 const COMPRESSION_METHOD_STORE = 0x00;
 const COMPRESSION_METHOD_AES = 0x63;
 
@@ -56,6 +60,8 @@ const EXTRAFIELD_TYPE_NTFS_TAG1 = 0x0001;
 const EXTRAFIELD_TYPE_EXTENDED_TIMESTAMP = 0x5455;
 const EXTRAFIELD_TYPE_UNICODE_PATH = 0x7075;
 const EXTRAFIELD_TYPE_UNICODE_COMMENT = 0x6375;
+const EXTRAFIELD_TYPE_UNIX = 0x7875;
+const EXTRAFIELD_TYPE_UNIX_LEGACY = 0x5855;
 const EXTRAFIELD_TYPE_USDZ = 0x1986;
 
 const BITFLAG_ENCRYPTED = 0b1;
@@ -68,12 +74,17 @@ const BITFLAG_LANG_ENCODING_FLAG = 0b100000000000;
 const FILE_ATTR_MSDOS_DIR_MASK = 0b10000;
 const FILE_ATTR_UNIX_TYPE_MASK = 0o170000;
 const FILE_ATTR_UNIX_TYPE_DIR = 0o040000;
+const FILE_ATTR_UNIX_TYPE_SYMLINK = 0o120000;
 const FILE_ATTR_UNIX_EXECUTABLE_MASK = 0o111;
 const FILE_ATTR_UNIX_DEFAULT_MASK = 0o644;
+const FILE_ATTR_UNIX_SYMLINK_MASK = 0o777;
 
 const VERSION_DEFLATE = 0x14;
+const VERSION_DEFLATE_64 = 0x15;
 const VERSION_ZIP64 = 0x2D;
+const VERSION_BZIP2 = 0x2E;
 const VERSION_AES = 0x33;
+const VERSION_LZMA = 0x3F;
 
 const DIRECTORY_SIGNATURE = "/";
 
@@ -94,6 +105,10 @@ export {
 	MAX_16_BITS,
 	COMPRESSION_METHOD_DEFLATE,
 	COMPRESSION_METHOD_DEFLATE_64,
+	COMPRESSION_METHOD_BZIP2,
+	COMPRESSION_METHOD_LZMA,
+	COMPRESSION_METHOD_ZSTD,
+	COMPRESSION_METHOD_XZ,
 	COMPRESSION_METHOD_STORE,
 	COMPRESSION_METHOD_AES,
 	SPLIT_ZIP_FILE_SIGNATURE,
@@ -113,6 +128,8 @@ export {
 	EXTRAFIELD_TYPE_EXTENDED_TIMESTAMP,
 	EXTRAFIELD_TYPE_UNICODE_PATH,
 	EXTRAFIELD_TYPE_UNICODE_COMMENT,
+	EXTRAFIELD_TYPE_UNIX,
+	EXTRAFIELD_TYPE_UNIX_LEGACY,
 	EXTRAFIELD_TYPE_USDZ,
 	END_OF_CENTRAL_DIR_LENGTH,
 	ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH,
@@ -128,11 +145,16 @@ export {
 	FILE_ATTR_MSDOS_DIR_MASK,
 	FILE_ATTR_UNIX_TYPE_MASK,
 	FILE_ATTR_UNIX_TYPE_DIR,
+	FILE_ATTR_UNIX_TYPE_SYMLINK,
 	FILE_ATTR_UNIX_EXECUTABLE_MASK,
 	FILE_ATTR_UNIX_DEFAULT_MASK,
+	FILE_ATTR_UNIX_SYMLINK_MASK,
 	VERSION_DEFLATE,
+	VERSION_DEFLATE_64,
 	VERSION_ZIP64,
+	VERSION_BZIP2,
 	VERSION_AES,
+	VERSION_LZMA,
 	HEADER_SIZE,
 	HEADER_OFFSET_SIGNATURE,
 	HEADER_OFFSET_COMPRESSED_SIZE,
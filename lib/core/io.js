@@ -26,7 +26,7 @@
  EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
-/* global Blob, atob, btoa, XMLHttpRequest, URL, fetch, ReadableStream, WritableStream, FileReader, TransformStream, Response */
+/* global Deno, navigator, setTimeout, Blob, atob, btoa, XMLHttpRequest, URL, fetch, ReadableStream, WritableStream, FileReader, TransformStream, Response */
 // deno-lint-ignore-file no-this-alias
 
 import {
@@ -35,9 +35,12 @@ import {
 	END_OF_CENTRAL_DIR_LENGTH
 } from "./constants.js";
 import { getConfiguration } from "./configuration.js";
+import { createBlockCache, readCachedUint8Array } from "./util/block-cache.js";
 
 const ERR_HTTP_STATUS = "HTTP error ";
 const ERR_HTTP_RANGE = "HTTP Range not supported";
+const ERR_HTTP_CONTENT_CHANGED = "HTTP content changed during read";
+const ERR_HTTP_NETWORK = "Network error";
 const ERR_ITERATOR_COMPLETED_TOO_SOON = "Writer iterator completed too soon";
 const ERR_WRITER_NOT_INITIALIZED = "Writer not initialized";
 
@@ -47,10 +50,25 @@ const HTTP_HEADER_CONTENT_RANGE = "Content-Range";
 const HTTP_HEADER_ACCEPT_RANGES = "Accept-Ranges";
 const HTTP_HEADER_RANGE = "Range";
 const HTTP_HEADER_CONTENT_TYPE = "Content-Type";
+const HTTP_HEADER_ETAG = "Etag";
+const HTTP_HEADER_LAST_MODIFIED = "Last-Modified";
+const HTTP_HEADER_IF_RANGE = "If-Range";
+const HTTP_HEADER_RETRY_AFTER = "Retry-After";
+const HTTP_STATUS_PARTIAL_CONTENT = 206;
+const HTTP_STATUS_TOO_MANY_REQUESTS = 429;
+const HTTP_STATUS_SERVER_ERROR = 500;
+const WEAK_ETAG_PREFIX = "W/";
 const HTTP_METHOD_HEAD = "HEAD";
 const HTTP_METHOD_GET = "GET";
 const HTTP_RANGE_UNIT = "bytes";
 const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_PREFETCH_RANGES = 64;
+
+const FILE_FLAGS_READ = "r";
+const FILE_FLAGS_WRITE = "w";
+
+const OPFS_WRITE_COMMAND = "write";
 
 const PROPERTY_NAME_WRITABLE = "writable";
 
@@ -288,6 +306,10 @@ class FetchReader extends Reader {
 	readUint8Array(index, length) {
 		return readUint8ArrayHttpReader(this, index, length, sendFetchRequest, getFetchRequestData);
 	}
+
+	prefetch(ranges) {
+		return prefetchHttpReader(this, ranges, sendFetchRequest);
+	}
 }
 
 class XHRReader extends Reader {
@@ -305,6 +327,10 @@ class XHRReader extends Reader {
 	readUint8Array(index, length) {
 		return readUint8ArrayHttpReader(this, index, length, sendXMLHttpRequest, getXMLHttpRequestData);
 	}
+
+	prefetch(ranges) {
+		return prefetchHttpReader(this, ranges, sendXMLHttpRequest);
+	}
 }
 
 function createHttpReader(httpReader, url, options) {
@@ -312,13 +338,25 @@ function createHttpReader(httpReader, url, options) {
 		preventHeadRequest,
 		useRangeHeader,
 		forceRangeRequests,
-		combineSizeEocd
+		combineSizeEocd,
+		useIfRangeHeader,
+		retries = 0,
+		retryDelay = DEFAULT_RETRY_DELAY,
+		blockSize,
+		cacheSize,
+		readAheadSize
 	} = options;
 	options = Object.assign({}, options);
 	delete options.preventHeadRequest;
 	delete options.useRangeHeader;
 	delete options.forceRangeRequests;
 	delete options.combineSizeEocd;
+	delete options.useIfRangeHeader;
+	delete options.retries;
+	delete options.retryDelay;
+	delete options.blockSize;
+	delete options.cacheSize;
+	delete options.readAheadSize;
 	delete options.useXHR;
 	Object.assign(httpReader, {
 		url,
@@ -326,7 +364,11 @@ function createHttpReader(httpReader, url, options) {
 		preventHeadRequest,
 		useRangeHeader,
 		forceRangeRequests,
-		combineSizeEocd
+		combineSizeEocd,
+		useIfRangeHeader,
+		retries,
+		retryDelay,
+		blockCache: blockSize || cacheSize ? createBlockCache({ blockSize, cacheSize, readAheadSize }) : UNDEFINED_VALUE
 	});
 }
 
@@ -339,13 +381,18 @@ async function initHttpReader(httpReader, sendRequest, getRequestData) {
 		combineSizeEocd
 	} = httpReader;
 	if (isHttpFamily(url) && (useRangeHeader || forceRangeRequests) && (typeof preventHeadRequest == "undefined" || preventHeadRequest)) {
-		const response = await sendRequest(HTTP_METHOD_GET, httpReader, getRangeHeaders(httpReader, combineSizeEocd ? -END_OF_CENTRAL_DIR_LENGTH : undefined));
-		if (!forceRangeRequests && response.headers.get(HTTP_HEADER_ACCEPT_RANGES) != HTTP_RANGE_UNIT) {
-			throw new Error(ERR_HTTP_RANGE);
-		} else {
+		const response = await retryRequest(httpReader, async () => {
+			const response = await sendRequest(HTTP_METHOD_GET, httpReader, getRangeHeaders(httpReader, combineSizeEocd ? -END_OF_CENTRAL_DIR_LENGTH : undefined));
 			if (combineSizeEocd) {
 				httpReader.eocdCache = new Uint8Array(await response.arrayBuffer());
 			}
+			return response;
+		});
+		if (!forceRangeRequests && response.headers.get(HTTP_HEADER_ACCEPT_RANGES) != HTTP_RANGE_UNIT) {
+			await cancelResponseBody(response);
+			throw new Error(ERR_HTTP_RANGE);
+		} else {
+			setValidators(httpReader, response);
 			let contentSize;
 			const contentRangeHeader = response.headers.get(HTTP_HEADER_CONTENT_RANGE);
 			if (contentRangeHeader) {
@@ -373,6 +420,8 @@ async function readUint8ArrayHttpReader(httpReader, index, length, sendRequest,
 		useRangeHeader,
 		forceRangeRequests,
 		eocdCache,
+		blockCache,
+		prefetchedRanges,
 		size,
 		options
 	} = httpReader;
@@ -386,11 +435,14 @@ async function readUint8ArrayHttpReader(httpReader, index, length, sendRequest,
 			if (index + length > size) {
 				length = size - index;
 			}
-			const response = await sendRequest(HTTP_METHOD_GET, httpReader, getRangeHeaders(httpReader, index, length));
-			if (response.status != 206) {
-				throw new Error(ERR_HTTP_RANGE);
+			const prefetchedRange = prefetchedRanges && prefetchedRanges.find(range => index >= range.start && index + length <= range.start + range.data.length);
+			if (prefetchedRange) {
+				return readPrefetchedRange(httpReader, prefetchedRange, index, length);
+			} else if (blockCache) {
+				return readCachedUint8Array(blockCache, index, length, size, (index, length) => readRangeHttpReader(httpReader, index, length, sendRequest));
+			} else {
+				return readRangeHttpReader(httpReader, index, length, sendRequest);
 			}
-			return new Uint8Array(await response.arrayBuffer());
 		}
 	} else {
 		const { data } = httpReader;
@@ -401,8 +453,167 @@ async function readUint8ArrayHttpReader(httpReader, index, length, sendRequest,
 	}
 }
 
+function readRangeHttpReader(httpReader, index, length, sendRequest) {
+	return retryRequest(httpReader, async () => {
+		const headers = getRangeHeaders(httpReader, index, length);
+		const response = await sendRequest(HTTP_METHOD_GET, httpReader, headers);
+		try {
+			checkValidators(httpReader, response);
+			if (response.status != HTTP_STATUS_PARTIAL_CONTENT) {
+				throw new Error(ERR_HTTP_RANGE);
+			}
+		} catch (error) {
+			await cancelResponseBody(response);
+			throw error;
+		}
+		return new Uint8Array(await response.arrayBuffer());
+	});
+}
+
+function readPrefetchedRange(httpReader, prefetchedRange, index, length) {
+	const { start, data } = prefetchedRange;
+	const end = index + length;
+	// the data of an entry is read forward, the bytes before the end of the read are released
+	prefetchedRange.start = end;
+	prefetchedRange.data = data.subarray(end - start);
+	if (!prefetchedRange.data.length) {
+		httpReader.prefetchedRanges = httpReader.prefetchedRanges.filter(range => range != prefetchedRange);
+	}
+	return data.slice(index - start, end - start);
+}
+
+async function prefetchHttpReader(httpReader, ranges, sendRequest) {
+	const { useRangeHeader, forceRangeRequests, size } = httpReader;
+	if (!httpReader.prefetchedRanges) {
+		httpReader.prefetchedRanges = [];
+	}
+	const prefetchedRanges = [];
+	if (useRangeHeader || forceRangeRequests) {
+		ranges = ranges
+			.map(({ start, end }) => ({ start: Math.max(start, 0), end: Math.min(end, size) }))
+			.filter(({ start, end }) => start < end && !httpReader.prefetchedRanges.find(range => start >= range.start && end <= range.start + range.data.length));
+		const mergedRanges = mergeRanges(ranges);
+		const fetchedRanges = [];
+		for (let indexRange = 0; indexRange < mergedRanges.length; indexRange += MAX_PREFETCH_RANGES) {
+			fetchedRanges.push(...await fetchRanges(httpReader, mergedRanges.slice(indexRange, indexRange + MAX_PREFETCH_RANGES), sendRequest));
+		}
+		// the fetched data is split by requested range so that the data of each range can be released once read
+		ranges.forEach(({ start, end }) => {
+			const fetchedRange = fetchedRanges.find(range => start >= range.start && end <= range.start + range.data.length);
+			if (fetchedRange) {
+				prefetchedRanges.push({ start, data: fetchedRange.data.subarray(start - fetchedRange.start, end - fetchedRange.start) });
+			}
+		});
+		httpReader.prefetchedRanges.push(...prefetchedRanges);
+	}
+	return prefetchedRanges.map(({ start, data }) => ({ start, end: start + data.length }));
+}
+
+function mergeRanges(ranges) {
+	const mergedRanges = [];
+	ranges.sort((range1, range2) => range1.start - range2.start).forEach(({ start, end }) => {
+		const previousRange = mergedRanges[mergedRanges.length - 1];
+		if (previousRange && start <= previousRange.end) {
+			previousRange.end = Math.max(previousRange.end, end);
+		} else {
+			mergedRanges.push({ start, end });
+		}
+	});
+	return mergedRanges;
+}
+
+function fetchRanges(httpReader, ranges, sendRequest) {
+	return retryRequest(httpReader, async () => {
+		const headers = getByteRangesHeaders(httpReader, ranges.map(({ start, end }) => start + "-" + (end - 1)).join(","));
+		const response = await sendRequest(HTTP_METHOD_GET, httpReader, headers);
+		try {
+			checkValidators(httpReader, response);
+		} catch (error) {
+			await cancelResponseBody(response);
+			throw error;
+		}
+		const contentType = response.headers.get(HTTP_HEADER_CONTENT_TYPE) || "";
+		const boundaryMatch = contentType.match(/^\s*multipart\/byteranges\s*;.*boundary\s*=\s*"?([^";]+)"?/i);
+		// the start of a single range is known when one range is requested, otherwise it is read from the Content-Range
+		// header which may not be exposed to cross-origin requests
+		const start = ranges.length == 1 ? ranges[0].start : getContentRangeStart(response.headers.get(HTTP_HEADER_CONTENT_RANGE));
+		if (response.status == HTTP_STATUS_PARTIAL_CONTENT && (boundaryMatch || start !== UNDEFINED_VALUE)) {
+			const data = new Uint8Array(await response.arrayBuffer());
+			if (boundaryMatch) {
+				return parseMultipartByteRanges(data, boundaryMatch[1]);
+			} else {
+				return [{ start, data }];
+			}
+		} else {
+			// the full content is ignored
+			await cancelResponseBody(response);
+			return [];
+		}
+	});
+}
+
+function parseMultipartByteRanges(data, boundary) {
+	const ranges = [];
+	const delimiter = encodeASCII("--" + boundary);
+	const headersEnd = encodeASCII("\r\n\r\n");
+	let offset = indexOfArray(data, delimiter, 0);
+	while (offset != -1 && String.fromCharCode(...data.subarray(offset + delimiter.length, offset + delimiter.length + 2)) != "--") {
+		const headersOffset = indexOfArray(data, headersEnd, offset);
+		if (headersOffset == -1) {
+			break;
+		}
+		const partHeaders = String.fromCharCode(...data.subarray(offset + delimiter.length, headersOffset));
+		const contentRangeMatch = partHeaders.match(/content-range\s*:\s*bytes\s+(\d+)-(\d+)/i);
+		const dataOffset = headersOffset + headersEnd.length;
+		if (contentRangeMatch) {
+			const start = Number(contentRangeMatch[1]);
+			const dataEnd = dataOffset + Number(contentRangeMatch[2]) - start + 1;
+			ranges.push({ start, data: data.subarray(dataOffset, dataEnd) });
+			offset = indexOfArray(data, delimiter, dataEnd);
+		} else {
+			offset = indexOfArray(data, delimiter, dataOffset);
+		}
+	}
+	return ranges;
+}
+
+function getContentRangeStart(contentRange) {
+	const match = contentRange && contentRange.match(/bytes\s+(\d+)-/i);
+	return match ? Number(match[1]) : UNDEFINED_VALUE;
+}
+
+function encodeASCII(value) {
+	return Uint8Array.from(value, character => character.charCodeAt(0));
+}
+
+function indexOfArray(array, searchArray, offset) {
+	for (let indexArray = offset; indexArray <= array.length - searchArray.length; indexArray++) {
+		let indexSearchArray = 0;
+		while (indexSearchArray < searchArray.length && array[indexArray + indexSearchArray] == searchArray[indexSearchArray]) {
+			indexSearchArray++;
+		}
+		if (indexSearchArray == searchArray.length) {
+			return indexArray;
+		}
+	}
+	return -1;
+}
+
 function getRangeHeaders(httpReader, index = 0, length = 1) {
-	return Object.assign({}, getHeaders(httpReader), { [HTTP_HEADER_RANGE]: HTTP_RANGE_UNIT + "=" + (index < 0 ? index : index + "-" + (index + length - 1)) });
+	return getByteRangesHeaders(httpReader, index < 0 ? String(index) : index + "-" + (index + length - 1));
+}
+
+function getByteRangesHeaders(httpReader, byteRanges) {
+	const headers = Object.assign({}, getHeaders(httpReader), { [HTTP_HEADER_RANGE]: HTTP_RANGE_UNIT + "=" + byteRanges });
+	const { etag, lastModified, useIfRangeHeader } = httpReader;
+	if (useIfRangeHeader) {
+		if (etag && !etag.startsWith(WEAK_ETAG_PREFIX)) {
+			headers[HTTP_HEADER_IF_RANGE] = etag;
+		} else if (lastModified) {
+			headers[HTTP_HEADER_IF_RANGE] = lastModified;
+		}
+	}
+	return headers;
 }
 
 function getHeaders({ options }) {
@@ -425,8 +636,12 @@ async function getXMLHttpRequestData(httpReader) {
 }
 
 async function getRequestData(httpReader, sendRequest) {
-	const response = await sendRequest(HTTP_METHOD_GET, httpReader, getHeaders(httpReader));
-	httpReader.data = new Uint8Array(await response.arrayBuffer());
+	const { response, data } = await retryRequest(httpReader, async () => {
+		const response = await sendRequest(HTTP_METHOD_GET, httpReader, getHeaders(httpReader));
+		return { response, data: new Uint8Array(await response.arrayBuffer()) };
+	});
+	setValidators(httpReader, response);
+	httpReader.data = data;
 	if (!httpReader.size) {
 		httpReader.size = httpReader.data.length;
 	}
@@ -436,7 +651,8 @@ async function getContentLength(httpReader, sendRequest, getRequestData) {
 	if (httpReader.preventHeadRequest) {
 		await getRequestData(httpReader, httpReader.options);
 	} else {
-		const response = await sendRequest(HTTP_METHOD_HEAD, httpReader, getHeaders(httpReader));
+		const response = await retryRequest(httpReader, () => sendRequest(HTTP_METHOD_HEAD, httpReader, getHeaders(httpReader)));
+		setValidators(httpReader, response);
 		const contentLength = response.headers.get(HTTP_HEADER_CONTENT_LENGTH);
 		if (contentLength) {
 			httpReader.size = Number(contentLength);
@@ -446,12 +662,93 @@ async function getContentLength(httpReader, sendRequest, getRequestData) {
 	}
 }
 
+function setValidators(httpReader, response) {
+	const { etag, lastModified } = getValidators(response);
+	if (etag) {
+		httpReader.etag = etag;
+	}
+	if (lastModified) {
+		httpReader.lastModified = lastModified;
+	}
+}
+
+function checkValidators(httpReader, response) {
+	const { etag, lastModified } = getValidators(response);
+	const contentRangeHeader = response.headers && response.headers.get(HTTP_HEADER_CONTENT_RANGE);
+	const contentSize = contentRangeHeader && contentRangeHeader.split("/")[1];
+	if ((etag && httpReader.etag && etag != httpReader.etag) ||
+		(lastModified && httpReader.lastModified && lastModified != httpReader.lastModified) ||
+		(contentSize && contentSize != "*" && Number(contentSize) != httpReader.size)) {
+		throw new Error(ERR_HTTP_CONTENT_CHANGED);
+	}
+}
+
+function getValidators({ headers }) {
+	return headers ? { etag: headers.get(HTTP_HEADER_ETAG), lastModified: headers.get(HTTP_HEADER_LAST_MODIFIED) } : {};
+}
+
+async function retryRequest({ retries, retryDelay }, request) {
+	let attempt = 0;
+	while (true) {
+		try {
+			return await request();
+		} catch (error) {
+			if (attempt < retries && isRetryableError(error)) {
+				await new Promise(resolve => setTimeout(resolve, getRetryDelay(retryDelay, attempt, error.retryAfter)));
+				attempt++;
+			} else {
+				throw error;
+			}
+		}
+	}
+}
+
+function isRetryableError({ status, networkError }) {
+	return networkError || status == HTTP_STATUS_TOO_MANY_REQUESTS || status >= HTTP_STATUS_SERVER_ERROR;
+}
+
+function getRetryDelay(retryDelay, attempt, retryAfter = 0) {
+	const delay = retryDelay * Math.pow(2, attempt);
+	return Math.max(retryAfter, (delay / 2) + (Math.random() * delay / 2));
+}
+
+function getHttpError(status, statusText, retryAfter) {
+	const error = status == 416 ? new Error(ERR_HTTP_RANGE) : new Error(ERR_HTTP_STATUS + (statusText || status));
+	error.status = status;
+	if (retryAfter) {
+		// the Retry-After header contains a number of seconds or an HTTP-date
+		const delay = isNaN(retryAfter) ? Date.parse(retryAfter) - Date.now() : Number(retryAfter) * 1000;
+		if (!isNaN(delay)) {
+			error.retryAfter = Math.max(delay, 0);
+		}
+	}
+	return error;
+}
+
+function getNetworkError(error) {
+	error.networkError = true;
+	return error;
+}
+
 async function sendFetchRequest(method, { options, url }, headers) {
-	const response = await fetch(url, Object.assign({}, options, { method, headers }));
+	let response;
+	try {
+		response = await fetch(url, Object.assign({}, options, { method, headers }));
+	} catch (error) {
+		// fetch rejects with a TypeError on network failures
+		throw error instanceof TypeError ? getNetworkError(error) : error;
+	}
 	if (response.status < 400) {
 		return response;
 	} else {
-		throw response.status == 416 ? new Error(ERR_HTTP_RANGE) : new Error(ERR_HTTP_STATUS + (response.statusText || response.status));
+		await cancelResponseBody(response);
+		throw getHttpError(response.status, response.statusText, response.headers && response.headers.get(HTTP_HEADER_RETRY_AFTER));
+	}
+}
+
+async function cancelResponseBody({ body }) {
+	if (body && typeof body.cancel == FUNCTION_TYPE) {
+		await body.cancel();
 	}
 }
 
@@ -472,10 +769,10 @@ function sendXMLHttpRequest(method, { url }, headers) {
 					headers: new Map(headers)
 				});
 			} else {
-				reject(request.status == 416 ? new Error(ERR_HTTP_RANGE) : new Error(ERR_HTTP_STATUS + (request.statusText || request.status)));
+				reject(getHttpError(request.status, request.statusText, request.getResponseHeader(HTTP_HEADER_RETRY_AFTER)));
 			}
 		}, false);
-		request.addEventListener("error", event => reject(event.detail ? event.detail.error : new Error("Network error")), false);
+		request.addEventListener("error", event => reject(event.detail ? event.detail.error : getNetworkError(new Error(ERR_HTTP_NETWORK))), false);
 		request.open(method, url);
 		if (headers) {
 			for (const entry of Object.entries(headers)) {
@@ -505,6 +802,19 @@ class HttpReader extends Reader {
 		return this.reader.size;
 	}
 
+	get etag() {
+		return this.reader.etag;
+	}
+
+	prefetch(ranges) {
+		return this.reader.prefetch(ranges);
+	}
+
+	get cacheStats() {
+		const { blockCache } = this.reader;
+		return blockCache && Object.assign({}, blockCache.stats);
+	}
+
 	async init() {
 		await this.reader.init();
 		super.init();
@@ -566,6 +876,271 @@ class Uint8ArrayWriter extends Writer {
 	}
 }
 
+class NodeFileReader extends Reader {
+
+	constructor(file) {
+		super();
+		this.file = file;
+	}
+
+	async init() {
+		const reader = this;
+		const fileHandle = await openFile(reader, file => openNodeFile(file, FILE_FLAGS_READ));
+		reader.size = (await fileHandle.stat()).size;
+		super.init();
+	}
+
+	async readUint8Array(offset, length) {
+		const { fileHandle } = this;
+		const array = new Uint8Array(length);
+		let arrayOffset = 0, bytesRead;
+		do {
+			({ bytesRead } = await fileHandle.read(array, arrayOffset, length - arrayOffset, offset + arrayOffset));
+			arrayOffset += bytesRead;
+		} while (bytesRead && arrayOffset < length);
+		return arrayOffset < length ? array.slice(0, arrayOffset) : array;
+	}
+
+	close() {
+		return closeFile(this);
+	}
+}
+
+class NodeFileWriter extends Stream {
+
+	constructor(file) {
+		super();
+		const writer = this;
+		writer.file = file;
+		const writable = new WritableStream({
+			write(chunk) {
+				if (!writer.initialized) {
+					throw new Error(ERR_WRITER_NOT_INITIALIZED);
+				}
+				return writer.writeUint8Array(chunk);
+			},
+			close() {
+				return closeFile(writer);
+			}
+		});
+		Object.defineProperty(writer, PROPERTY_NAME_WRITABLE, {
+			get() {
+				return writable;
+			}
+		});
+	}
+
+	async init() {
+		const writer = this;
+		await openFile(writer, file => openNodeFile(file, FILE_FLAGS_WRITE));
+		writer.offset = 0;
+		super.init();
+	}
+
+	async writeUint8Array(array) {
+		const writer = this;
+		await writeNodeFile(writer.fileHandle, array, writer.offset);
+		writer.offset += array.length;
+	}
+
+	writeUint8ArrayAt(array, offset) {
+		return writeNodeFile(this.fileHandle, array, offset);
+	}
+
+	getData() {
+		return this.file;
+	}
+}
+
+class DenoFileReader extends Reader {
+
+	constructor(file) {
+		super();
+		this.file = file;
+	}
+
+	async init() {
+		const reader = this;
+		const fsFile = await openFile(reader, file => Deno.open(file, { read: true }));
+		reader.size = (await fsFile.stat()).size;
+		super.init();
+	}
+
+	readUint8Array(offset, length) {
+		const reader = this;
+		return lockFile(reader, async () => {
+			const { fileHandle } = reader;
+			const array = new Uint8Array(length);
+			let arrayOffset = 0, bytesRead;
+			await fileHandle.seek(offset, Deno.SeekMode.Start);
+			do {
+				bytesRead = await fileHandle.read(array.subarray(arrayOffset));
+				arrayOffset += bytesRead || 0;
+			} while (bytesRead && arrayOffset < length);
+			return arrayOffset < length ? array.slice(0, arrayOffset) : array;
+		});
+	}
+
+	close() {
+		return closeFile(this);
+	}
+}
+
+class DenoFileWriter extends Stream {
+
+	constructor(file) {
+		super();
+		const writer = this;
+		writer.file = file;
+		const writable = new WritableStream({
+			write(chunk) {
+				if (!writer.initialized) {
+					throw new Error(ERR_WRITER_NOT_INITIALIZED);
+				}
+				return writer.writeUint8Array(chunk);
+			},
+			close() {
+				return closeFile(writer);
+			}
+		});
+		Object.defineProperty(writer, PROPERTY_NAME_WRITABLE, {
+			get() {
+				return writable;
+			}
+		});
+	}
+
+	async init() {
+		const writer = this;
+		await openFile(writer, file => Deno.open(file, { write: true, create: true, truncate: true }));
+		writer.offset = 0;
+		super.init();
+	}
+
+	async writeUint8Array(array) {
+		const writer = this;
+		const { offset } = writer;
+		writer.offset += array.length;
+		await writer.writeUint8ArrayAt(array, offset);
+	}
+
+	writeUint8ArrayAt(array, offset) {
+		const writer = this;
+		return lockFile(writer, async () => {
+			const { fileHandle } = writer;
+			let arrayOffset = 0;
+			await fileHandle.seek(offset, Deno.SeekMode.Start);
+			while (arrayOffset < array.length) {
+				arrayOffset += await fileHandle.write(array.subarray(arrayOffset));
+			}
+		});
+	}
+
+	getData() {
+		return this.file;
+	}
+}
+
+class OPFSReader extends Reader {
+
+	constructor(file) {
+		super();
+		this.file = file;
+	}
+
+	async init() {
+		const reader = this;
+		const { accessHandle } = await openOPFSFile(reader);
+		if (accessHandle) {
+			reader.size = accessHandle.getSize();
+		} else {
+			reader.blob = await reader.fileHandle.getFile();
+			reader.size = reader.blob.size;
+		}
+		super.init();
+	}
+
+	async readUint8Array(offset, length) {
+		const { accessHandle, blob } = this;
+		if (accessHandle) {
+			const array = new Uint8Array(length);
+			const bytesRead = accessHandle.read(array, { at: offset });
+			return bytesRead < length ? array.slice(0, bytesRead) : array;
+		} else {
+			return new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+		}
+	}
+
+	close() {
+		const reader = this;
+		if (reader.accessHandle) {
+			reader.accessHandle.close();
+			reader.accessHandle = null;
+		}
+	}
+}
+
+class OPFSWriter extends Stream {
+
+	constructor(file) {
+		super();
+		const writer = this;
+		writer.file = file;
+		const writable = new WritableStream({
+			write(chunk) {
+				if (!writer.initialized) {
+					throw new Error(ERR_WRITER_NOT_INITIALIZED);
+				}
+				return writer.writeUint8Array(chunk);
+			},
+			async close() {
+				const { accessHandle, fileStream } = writer;
+				if (accessHandle) {
+					accessHandle.flush();
+					accessHandle.close();
+				} else {
+					await fileStream.close();
+				}
+			}
+		});
+		Object.defineProperty(writer, PROPERTY_NAME_WRITABLE, {
+			get() {
+				return writable;
+			}
+		});
+	}
+
+	async init() {
+		const writer = this;
+		await openOPFSFile(writer, true);
+		writer.offset = 0;
+		super.init();
+	}
+
+	async writeUint8Array(array) {
+		const writer = this;
+		const { offset } = writer;
+		writer.offset += array.length;
+		await writer.writeUint8ArrayAt(array, offset);
+	}
+
+	async writeUint8ArrayAt(array, offset) {
+		const { accessHandle, fileStream } = this;
+		if (accessHandle) {
+			let arrayOffset = 0;
+			while (arrayOffset < array.length) {
+				arrayOffset += accessHandle.write(array.subarray(arrayOffset), { at: offset + arrayOffset });
+			}
+		} else {
+			await fileStream.write({ type: OPFS_WRITE_COMMAND, position: offset, data: array });
+		}
+	}
+
+	getData() {
+		return this.fileHandle;
+	}
+}
+
 class SplitDataReader extends Reader {
 
 	constructor(readers) {
@@ -755,6 +1330,85 @@ function readUint8Array(reader, offset, size, diskNumber) {
 	return reader.readUint8Array(offset, size, diskNumber);
 }
 
+function openFile(stream, open) {
+	if (!stream.openFilePromise) {
+		stream.openFilePromise = openFileHandle(stream, open);
+	}
+	return stream.openFilePromise;
+}
+
+async function openFileHandle(stream, open) {
+	const { file } = stream;
+	if (typeof file == "string" || file instanceof URL) {
+		stream.fileHandle = await open(file);
+		stream.ownFileHandle = true;
+	} else {
+		stream.fileHandle = file;
+	}
+	return stream.fileHandle;
+}
+
+async function closeFile(stream) {
+	if (stream.ownFileHandle) {
+		stream.ownFileHandle = false;
+		await stream.fileHandle.close();
+	}
+}
+
+function openOPFSFile(stream, create) {
+	if (!stream.openFilePromise) {
+		stream.openFilePromise = openOPFSFileHandle(stream, create);
+	}
+	return stream.openFilePromise;
+}
+
+async function openOPFSFileHandle(stream, create) {
+	const fileHandle = stream.fileHandle = await getOPFSFileHandle(stream.file, create);
+	if (typeof fileHandle.createSyncAccessHandle == FUNCTION_TYPE) {
+		stream.accessHandle = await fileHandle.createSyncAccessHandle();
+		if (create) {
+			stream.accessHandle.truncate(0);
+		}
+	} else if (create) {
+		stream.fileStream = await fileHandle.createWritable();
+	}
+	return stream;
+}
+
+async function getOPFSFileHandle(file, create) {
+	if (typeof file == "string") {
+		const names = file.split("/").filter(name => name);
+		const filename = names.pop();
+		let directoryHandle = await navigator.storage.getDirectory();
+		for (const name of names) {
+			directoryHandle = await directoryHandle.getDirectoryHandle(name, { create });
+		}
+		return directoryHandle.getFileHandle(filename, { create });
+	} else {
+		return file;
+	}
+}
+
+function lockFile(stream, operation) {
+	const { pendingOperation = Promise.resolve() } = stream;
+	const result = pendingOperation.then(operation);
+	stream.pendingOperation = result.catch(() => UNDEFINED_VALUE);
+	return result;
+}
+
+async function openNodeFile(file, flags) {
+	const { open } = await import("node:fs/promises");
+	return open(file, flags);
+}
+
+async function writeNodeFile(fileHandle, array, position) {
+	let arrayOffset = 0;
+	while (arrayOffset < array.length) {
+		const { bytesWritten } = await fileHandle.write(array, arrayOffset, array.length - arrayOffset, position + arrayOffset);
+		arrayOffset += bytesWritten;
+	}
+}
+
 const SplitZipReader = SplitDataReader;
 const SplitZipWriter = SplitDataWriter;
 
@@ -773,6 +1427,12 @@ export {
 	BlobWriter,
 	Uint8ArrayReader,
 	Uint8ArrayWriter,
+	NodeFileReader,
+	NodeFileWriter,
+	DenoFileReader,
+	DenoFileWriter,
+	OPFSReader,
+	OPFSWriter,
 	HttpReader,
 	HttpRangeReader,
 	SplitZipReader,
@@ -780,6 +1440,7 @@ export {
 	SplitDataReader,
 	SplitDataWriter,
 	ERR_HTTP_RANGE,
+	ERR_HTTP_CONTENT_CHANGED,
 	ERR_ITERATOR_COMPLETED_TOO_SOON,
 	ERR_WRITER_NOT_INITIALIZED
 };
\ No newline at end of file
@@ -28,6 +28,7 @@
 
 const OPTION_FILENAME_ENCODING = "filenameEncoding";
 const OPTION_COMMENT_ENCODING = "commentEncoding";
+const OPTION_ENCODING_FALLBACK = "encodingFallback";
 const OPTION_DECODE_TEXT = "decodeText";
 const OPTION_EXTRACT_PREPENDED_DATA = "extractPrependedData";
 const OPTION_EXTRACT_APPENDED_DATA = "extractAppendedData";
@@ -36,6 +37,7 @@ const OPTION_RAW_PASSWORD = "rawPassword";
 const OPTION_PASS_THROUGH = "passThrough";
 const OPTION_SIGNAL = "signal";
 const OPTION_CHECK_PASSWORD_ONLY = "checkPasswordOnly";
+const OPTION_GET_PASSWORD = "getPassword";
 const OPTION_CHECK_OVERLAPPING_ENTRY_ONLY = "checkOverlappingEntryOnly";
 const OPTION_CHECK_OVERLAPPING_ENTRY = "checkOverlappingEntry";
 const OPTION_CHECK_SIGNATURE = "checkSignature";
@@ -55,10 +57,22 @@ const OPTION_SUPPORT_ZIP64_SPLIT_FILE = "supportZip64SplitFile";
 const OPTION_ENCODE_TEXT = "encodeText";
 const OPTION_OFFSET = "offset";
 const OPTION_USDZ = "usdz";
+const OPTION_SEQUENTIAL = "sequential";
+const OPTION_RECOVER = "recover";
+const OPTION_MAX_ENTRIES = "maxEntries";
+const OPTION_MAX_TOTAL_UNCOMPRESSED_SIZE = "maxTotalUncompressedSize";
+const OPTION_MAX_ENTRY_UNCOMPRESSED_SIZE = "maxEntryUncompressedSize";
+const OPTION_MAX_COMPRESSION_RATIO = "maxCompressionRatio";
+const OPTION_FILENAME_POLICY = "filenamePolicy";
+const OPTION_CHECKPOINT_INTERVAL = "checkpointInterval";
+const OPTION_INDEX = "index";
+const OPTION_NAME_NORMALIZATION = "nameNormalization";
+const OPTION_CASE_INSENSITIVE_DUPLICATES = "caseInsensitiveDuplicates";
 
 export {
 	OPTION_FILENAME_ENCODING,
 	OPTION_COMMENT_ENCODING,
+	OPTION_ENCODING_FALLBACK,
 	OPTION_DECODE_TEXT,
 	OPTION_EXTRACT_PREPENDED_DATA,
 	OPTION_EXTRACT_APPENDED_DATA,
@@ -67,6 +81,7 @@ export {
 	OPTION_PASS_THROUGH,
 	OPTION_SIGNAL,
 	OPTION_CHECK_PASSWORD_ONLY,
+	OPTION_GET_PASSWORD,
 	OPTION_CHECK_OVERLAPPING_ENTRY_ONLY,
 	OPTION_CHECK_OVERLAPPING_ENTRY,
 	OPTION_CHECK_SIGNATURE,
@@ -85,5 +100,16 @@ export {
 	OPTION_SUPPORT_ZIP64_SPLIT_FILE,
 	OPTION_ENCODE_TEXT,
 	OPTION_OFFSET,
-	OPTION_USDZ
+	OPTION_USDZ,
+	OPTION_SEQUENTIAL,
+	OPTION_RECOVER,
+	OPTION_MAX_ENTRIES,
+	OPTION_MAX_TOTAL_UNCOMPRESSED_SIZE,
+	OPTION_MAX_ENTRY_UNCOMPRESSED_SIZE,
+	OPTION_MAX_COMPRESSION_RATIO,
+	OPTION_FILENAME_POLICY,
+	OPTION_CHECKPOINT_INTERVAL,
+	OPTION_INDEX,
+	OPTION_NAME_NORMALIZATION,
+	OPTION_CASE_INSENSITIVE_DUPLICATES
 };
\ No newline at end of file
@@ -36,10 +36,15 @@
 /* global TransformStream */
 // deno-lint-ignore-file no-this-alias
 
+import { UNDEFINED_VALUE } from "../constants.js";
 import {
 	ERR_INVALID_PASSWORD,
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_ABORT_CHECK_PASSWORD,
 	InflateStream,
 	DeflateStream
@@ -66,6 +71,10 @@ export {
 	ERR_INVALID_PASSWORD,
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_ABORT_CHECK_PASSWORD,
 	CodecStream,
 	ChunkStream
@@ -103,6 +112,7 @@ class CodecStream extends TransformStream {
 		const outputSizeStream = new TransformStream({
 			transform(chunk, controller) {
 				if (chunk && chunk.length) {
+					checkOutputSize(codec.outputSize + chunk.length, inputSize, options);
 					controller.enqueue(chunk);
 					codec.outputSize += chunk.length;
 					if (options.outputSize && codec.outputSize > options.outputSize) {
@@ -126,6 +136,19 @@ class CodecStream extends TransformStream {
 	}
 }
 
+function checkOutputSize(outputSize, inputSize, options) {
+	const { maxEntryUncompressedSize, remainingUncompressedSize, maxCompressionRatio } = options;
+	if (maxEntryUncompressedSize !== UNDEFINED_VALUE && outputSize > maxEntryUncompressedSize) {
+		throw new Error(ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED);
+	}
+	if (remainingUncompressedSize !== UNDEFINED_VALUE && outputSize > remainingUncompressedSize) {
+		throw new Error(ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED);
+	}
+	if (maxCompressionRatio !== UNDEFINED_VALUE && outputSize > inputSize * maxCompressionRatio) {
+		throw new Error(ERR_MAX_COMPRESSION_RATIO_EXCEEDED);
+	}
+}
+
 class ChunkStream extends TransformStream {
 
 	constructor(chunkSize) {
@@ -0,0 +1,437 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * BZIP2 decoder, compression method 12.
+ * Blocks are decoded in one pass once enough input is available, a block that
+ * cannot be decoded yet is retried when the buffered input has doubled. The
+ * block CRCs are not verified, the integrity of the data is already verified
+ * with the CRC32 of the entry.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+const STREAM_SIGNATURE = [0x42, 0x5A, 0x68];
+const BLOCK_MAGIC_HIGH = 0x314159;
+const BLOCK_MAGIC_LOW = 0x265359;
+const END_OF_STREAM_MAGIC_HIGH = 0x177245;
+const END_OF_STREAM_MAGIC_LOW = 0x385090;
+const RUN_A = 0;
+const RUN_B = 1;
+const GROUP_SIZE = 50;
+const MIN_GROUPS = 2;
+const MAX_GROUPS = 6;
+const MAX_SELECTORS = 18002;
+const MAX_CODE_LENGTH = 20;
+const RUN_LENGTH_THRESHOLD = 4;
+
+const STATE_STREAM_HEADER = 0;
+const STATE_BLOCK = 1;
+
+const ERR_INVALID_STREAM_HEADER = "invalid stream header";
+const ERR_INVALID_BLOCK_HEADER = "invalid block header";
+const ERR_RANDOMIZED_BLOCK = "randomized blocks are not supported";
+const ERR_INVALID_HUFFMAN_TABLE = "invalid Huffman table";
+const ERR_INVALID_SELECTOR = "invalid selector";
+const ERR_INVALID_SYMBOL = "invalid symbol";
+const ERR_INVALID_BLOCK_SIZE = "invalid block size";
+const ERR_INVALID_ORIGIN_POINTER = "invalid origin pointer";
+const ERR_UNEXPECTED_END = "unexpected end of data";
+
+const NEED_INPUT = {};
+
+class Bzip2Decompress {
+
+	constructor() {
+		Object.assign(this, {
+			input: new Uint8Array(0),
+			inputIndex: 0,
+			inputLength: 0,
+			bitBuffer: 0,
+			bitCount: 0,
+			state: STATE_STREAM_HEADER,
+			retryLength: 0,
+			streamsCount: 0
+		});
+	}
+
+	append(data, onprogress) {
+		const decompress = this;
+		if (data.length === 0) {
+			return;
+		}
+		appendInput(decompress, data);
+		const output = decode(decompress, false);
+		if (onprogress) {
+			onprogress(data.length);
+		}
+		return output;
+	}
+
+	flush() {
+		const decompress = this;
+		const output = decode(decompress, true);
+		if (decompress.state != STATE_STREAM_HEADER || decompress.inputIndex < decompress.inputLength || !decompress.streamsCount) {
+			throw new Error("bzip2: " + ERR_UNEXPECTED_END);
+		}
+		return output;
+	}
+}
+
+export {
+	Bzip2Decompress
+};
+
+function appendInput(decompress, data) {
+	const { input, inputIndex, inputLength } = decompress;
+	const length = inputLength - inputIndex + data.length;
+	if (length > input.length) {
+		const newInput = new Uint8Array(Math.max(length, input.length * 2));
+		newInput.set(input.subarray(inputIndex, inputLength));
+		decompress.input = newInput;
+	} else {
+		input.copyWithin(0, inputIndex, inputLength);
+	}
+	decompress.input.set(data, inputLength - inputIndex);
+	decompress.inputIndex = 0;
+	decompress.inputLength = length;
+}
+
+function decode(decompress, final) {
+	const output = [];
+	let available = true;
+	try {
+		while (available) {
+			const { inputIndex, bitBuffer, bitCount, inputLength } = decompress;
+			available = final || inputLength - inputIndex >= decompress.retryLength;
+			if (available) {
+				try {
+					if (decompress.state == STATE_STREAM_HEADER) {
+						available = inputIndex < inputLength;
+						if (available) {
+							readStreamHeader(decompress);
+						}
+					} else {
+						readBlock(decompress, output);
+					}
+					decompress.retryLength = 0;
+				} catch (error) {
+					if (error == NEED_INPUT) {
+						Object.assign(decompress, { inputIndex, bitBuffer, bitCount, retryLength: (inputLength - inputIndex) * 2 });
+						if (final) {
+							throw new Error(ERR_UNEXPECTED_END);
+						}
+						available = false;
+					} else {
+						throw error;
+					}
+				}
+			}
+		}
+	} catch (error) {
+		error.message = "bzip2: " + error.message;
+		throw error;
+	}
+	return concat(output);
+}
+
+function readStreamHeader(decompress) {
+	STREAM_SIGNATURE.forEach(value => {
+		if (readBits(decompress, 8) != value) {
+			throw new Error(ERR_INVALID_STREAM_HEADER);
+		}
+	});
+	const level = readBits(decompress, 8) - 0x30;
+	if (level < 1 || level > 9) {
+		throw new Error(ERR_INVALID_STREAM_HEADER);
+	}
+	decompress.blockSizeMax = level * 100000;
+	decompress.state = STATE_BLOCK;
+}
+
+function readBlock(decompress, output) {
+	const magicHigh = readBits(decompress, 24);
+	const magicLow = readBits(decompress, 24);
+	if (magicHigh == END_OF_STREAM_MAGIC_HIGH && magicLow == END_OF_STREAM_MAGIC_LOW) {
+		readBits(decompress, 16);
+		readBits(decompress, 16);
+		decompress.bitCount -= decompress.bitCount % 8;
+		decompress.bitBuffer &= (1 << decompress.bitCount) - 1;
+		decompress.state = STATE_STREAM_HEADER;
+		decompress.streamsCount++;
+	} else if (magicHigh == BLOCK_MAGIC_HIGH && magicLow == BLOCK_MAGIC_LOW) {
+		readBits(decompress, 16);
+		readBits(decompress, 16);
+		if (readBits(decompress, 1)) {
+			throw new Error(ERR_RANDOMIZED_BLOCK);
+		}
+		const originPointer = readBits(decompress, 24);
+		const { symbols, counts, length } = readSymbols(decompress);
+		if (originPointer >= length) {
+			throw new Error(ERR_INVALID_ORIGIN_POINTER);
+		}
+		output.push(inverseTransform(symbols, counts, length, originPointer));
+	} else {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+}
+
+function readSymbols(decompress) {
+	const { blockSizeMax } = decompress;
+	const usedBytes = [];
+	const usedGroups = readBits(decompress, 16);
+	for (let indexGroup = 0; indexGroup < 16; indexGroup++) {
+		if (usedGroups & (0x8000 >> indexGroup)) {
+			const usedBytesGroup = readBits(decompress, 16);
+			for (let indexByte = 0; indexByte < 16; indexByte++) {
+				if (usedBytesGroup & (0x8000 >> indexByte)) {
+					usedBytes.push(indexGroup * 16 + indexByte);
+				}
+			}
+		}
+	}
+	if (!usedBytes.length) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	const alphabetSize = usedBytes.length + 2;
+	const endOfBlock = usedBytes.length + 1;
+	const groupsCount = readBits(decompress, 3);
+	const selectorsCount = readBits(decompress, 15);
+	if (groupsCount < MIN_GROUPS || groupsCount > MAX_GROUPS || !selectorsCount) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	const groupIndexes = Array.from({ length: groupsCount }, (_, index) => index);
+	const selectors = [];
+	for (let indexSelector = 0; indexSelector < selectorsCount; indexSelector++) {
+		let index = 0;
+		while (readBits(decompress, 1)) {
+			index++;
+			if (index >= groupsCount) {
+				throw new Error(ERR_INVALID_SELECTOR);
+			}
+		}
+		const group = groupIndexes[index];
+		groupIndexes.splice(index, 1);
+		groupIndexes.unshift(group);
+		if (indexSelector < MAX_SELECTORS) {
+			selectors.push(group);
+		}
+	}
+	const tables = [];
+	for (let indexGroup = 0; indexGroup < groupsCount; indexGroup++) {
+		const lengths = [];
+		let length = readBits(decompress, 5);
+		for (let symbol = 0; symbol < alphabetSize; symbol++) {
+			for (; ;) {
+				if (length < 1 || length > MAX_CODE_LENGTH) {
+					throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+				}
+				if (!readBits(decompress, 1)) {
+					break;
+				}
+				length += readBits(decompress, 1) ? -1 : 1;
+			}
+			lengths.push(length);
+		}
+		tables.push(buildHuffmanTable(lengths));
+	}
+	const symbols = new Uint32Array(blockSizeMax);
+	const counts = new Uint32Array(256);
+	const moveToFront = new Uint8Array(usedBytes);
+	let length = 0;
+	let indexSelector = 0;
+	let groupRemaining = 0;
+	let runLength = 0;
+	let runWeight = 1;
+	let table;
+	for (; ;) {
+		if (!groupRemaining) {
+			if (indexSelector >= selectors.length) {
+				throw new Error(ERR_INVALID_SELECTOR);
+			}
+			table = tables[selectors[indexSelector]];
+			indexSelector++;
+			groupRemaining = GROUP_SIZE;
+		}
+		groupRemaining--;
+		const symbol = readSymbol(decompress, table);
+		if (symbol == RUN_A || symbol == RUN_B) {
+			runLength += (symbol + 1) * runWeight;
+			runWeight *= 2;
+			if (runLength > blockSizeMax) {
+				throw new Error(ERR_INVALID_BLOCK_SIZE);
+			}
+		} else {
+			if (runLength) {
+				const value = moveToFront[0];
+				if (length + runLength > blockSizeMax) {
+					throw new Error(ERR_INVALID_BLOCK_SIZE);
+				}
+				symbols.fill(value, length, length + runLength);
+				counts[value] += runLength;
+				length += runLength;
+				runLength = 0;
+				runWeight = 1;
+			}
+			if (symbol == endOfBlock) {
+				return { symbols, counts, length };
+			}
+			if (length >= blockSizeMax) {
+				throw new Error(ERR_INVALID_BLOCK_SIZE);
+			}
+			const index = symbol - 1;
+			const value = moveToFront[index];
+			for (let indexMove = index; indexMove > 0; indexMove--) {
+				moveToFront[indexMove] = moveToFront[indexMove - 1];
+			}
+			moveToFront[0] = value;
+			symbols[length] = value;
+			counts[value]++;
+			length++;
+		}
+	}
+}
+
+function buildHuffmanTable(lengths) {
+	const minLength = Math.min(...lengths);
+	const maxLength = Math.max(...lengths);
+	const permutation = [];
+	for (let length = minLength; length <= maxLength; length++) {
+		lengths.forEach((symbolLength, symbol) => {
+			if (symbolLength == length) {
+				permutation.push(symbol);
+			}
+		});
+	}
+	const limits = [];
+	const bases = [];
+	let code = 0;
+	let index = 0;
+	for (let length = minLength; length <= maxLength; length++) {
+		const count = lengths.filter(symbolLength => symbolLength == length).length;
+		bases[length] = index - code;
+		code += count;
+		index += count;
+		limits[length] = code - 1;
+		code <<= 1;
+	}
+	return { minLength, maxLength, limits, bases, permutation };
+}
+
+function readSymbol(decompress, table) {
+	const { minLength, maxLength, limits, bases, permutation } = table;
+	let length = minLength;
+	let code = readBits(decompress, length);
+	while (code > limits[length]) {
+		length++;
+		if (length > maxLength) {
+			throw new Error(ERR_INVALID_SYMBOL);
+		}
+		code = (code << 1) | readBits(decompress, 1);
+	}
+	const symbol = permutation[bases[length] + code];
+	if (symbol === undefined) {
+		throw new Error(ERR_INVALID_SYMBOL);
+	}
+	return symbol;
+}
+
+function inverseTransform(symbols, counts, length, originPointer) {
+	const starts = new Uint32Array(256);
+	for (let value = 1; value < 256; value++) {
+		starts[value] = starts[value - 1] + counts[value - 1];
+	}
+	for (let index = 0; index < length; index++) {
+		const value = symbols[index] & 0xFF;
+		symbols[starts[value]] |= index << 8;
+		starts[value]++;
+	}
+	let output = new Uint8Array(length + (length >> 2));
+	let outputIndex = 0;
+	let position = symbols[originPointer] >>> 8;
+	let previousValue = -1;
+	let runLength = 0;
+	for (let index = 0; index < length; index++) {
+		position = symbols[position];
+		const value = position & 0xFF;
+		position >>>= 8;
+		if (runLength == RUN_LENGTH_THRESHOLD) {
+			output = reserveOutput(output, outputIndex, value);
+			output.fill(previousValue, outputIndex, outputIndex + value);
+			outputIndex += value;
+			runLength = 0;
+		} else {
+			if (value == previousValue) {
+				runLength++;
+			} else {
+				runLength = 1;
+				previousValue = value;
+			}
+			output = reserveOutput(output, outputIndex, 1);
+			output[outputIndex] = value;
+			outputIndex++;
+		}
+	}
+	return output.subarray(0, outputIndex);
+}
+
+function reserveOutput(output, outputIndex, length) {
+	if (outputIndex + length > output.length) {
+		const newOutput = new Uint8Array(Math.max(outputIndex + length, output.length * 2));
+		newOutput.set(output);
+		return newOutput;
+	} else {
+		return output;
+	}
+}
+
+function readBits(decompress, count) {
+	const { input, inputLength } = decompress;
+	while (decompress.bitCount < count) {
+		if (decompress.inputIndex >= inputLength) {
+			throw NEED_INPUT;
+		}
+		decompress.bitBuffer = (decompress.bitBuffer << 8) | input[decompress.inputIndex];
+		decompress.inputIndex++;
+		decompress.bitCount += 8;
+	}
+	decompress.bitCount -= count;
+	const value = (decompress.bitBuffer >>> decompress.bitCount) & ((1 << count) - 1);
+	decompress.bitBuffer &= (1 << decompress.bitCount) - 1;
+	return value;
+}
+
+function concat(arrays) {
+	const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+	let offset = 0;
+	arrays.forEach(array => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
@@ -0,0 +1,499 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * Deflate decoder used when an entry is read by byte ranges: it records
+ * checkpoints at block boundaries (bit position and last 32KB of output) from
+ * which the decoding can be resumed later.
+ * The decoder also supports Enhanced Deflate (Deflate64), which is identical
+ * to Deflate except for the 64KB window, the extra distance codes 30 and 31,
+ * and the length code 285 which carries 16 extra bits instead of encoding the
+ * fixed length 258. The Deflate64 codec extends it in inflate64.js.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+const WINDOW_SIZE = 64 * 1024;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const DEFLATE_WINDOW_SIZE = 32 * 1024;
+const DEFLATE_DISTANCE_CODES = 30;
+const DEFLATE_MAX_LENGTH_CODE = 28;
+const DEFLATE_MAX_LENGTH = 258;
+const DEFAULT_OUTPUT_SIZE = 64 * 1024;
+const MAX_LITERAL_LENGTH_CODES = 286;
+const END_OF_BLOCK = 256;
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 3];
+const LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 16];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+	8193, 12289, 16385, 24577, 32769, 49153];
+const DISTANCE_EXTRA_BITS = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14];
+const CODE_LENGTHS_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const REPEAT_EXTRA_BITS = [2, 3, 7];
+const REPEAT_BASE = [3, 3, 11];
+
+const STATE_HEADER = 0;
+const STATE_STORED_LENGTH = 1;
+const STATE_STORED_LENGTH_COMPLEMENT = 2;
+const STATE_STORED = 3;
+const STATE_TABLE = 4;
+const STATE_CODE_LENGTHS = 5;
+const STATE_LENGTHS = 6;
+const STATE_CODES = 7;
+const STATE_LENGTH_EXTRA = 8;
+const STATE_DISTANCE = 9;
+const STATE_DISTANCE_EXTRA = 10;
+const STATE_DONE = 11;
+
+const ERR_BAD_INPUT = "bad input";
+const ERR_INVALID_BLOCK_TYPE = "invalid block type";
+const ERR_INVALID_STORED_BLOCK_LENGTHS = "invalid stored block lengths";
+const ERR_TOO_MANY_SYMBOLS = "too many length or distance symbols";
+const ERR_INVALID_CODE_LENGTHS = "invalid code lengths set";
+const ERR_INVALID_BIT_LENGTH_REPEAT = "invalid bit length repeat";
+const ERR_MISSING_END_OF_BLOCK = "invalid code -- missing end-of-block";
+const ERR_INVALID_LITERAL_LENGTH_CODE = "invalid literal/length code";
+const ERR_INVALID_DISTANCE_CODE = "invalid distance code";
+const ERR_INVALID_DISTANCE = "invalid distance too far back";
+
+let fixedLiteralLengthTable, fixedDistanceTable;
+
+class RawInflate {
+
+	constructor(options) {
+		Object.assign(this, {
+			outputSize: options && options.chunkSize ? Math.floor(options.chunkSize * 2) : DEFAULT_OUTPUT_SIZE,
+			window: new Uint8Array(WINDOW_SIZE),
+			windowIndex: 0,
+			totalOutput: 0,
+			bitBuffer: 0,
+			bitCount: 0,
+			state: STATE_HEADER,
+			lastBlock: false,
+			deflate64: false,
+			inputOffset: 0
+		});
+	}
+
+	append(data, onprogress) {
+		const inflate = this;
+		if (data.length === 0) {
+			return;
+		}
+		inflate.input = data;
+		inflate.inputIndex = 0;
+		inflate.output = new Uint8Array(Math.max(inflate.outputSize, data.length * 4));
+		inflate.outputIndex = 0;
+		try {
+			inflateBlocks(inflate);
+		} catch (error) {
+			error.message = "inflating: " + error.message;
+			throw error;
+		}
+		const { output, outputIndex, inputIndex } = inflate;
+		inflate.input = inflate.output = null;
+		inflate.inputOffset += inputIndex;
+		if (onprogress) {
+			onprogress(inputIndex);
+		}
+		return outputIndex == output.length ? output : output.slice(0, outputIndex);
+	}
+
+	flush() {
+		if (this.state != STATE_DONE) {
+			throw new Error("inflating: " + ERR_BAD_INPUT);
+		}
+	}
+}
+
+class IndexedInflate extends RawInflate {
+
+	constructor(options) {
+		super(options);
+		const { checkpoint, checkpointInterval } = options;
+		const inflate = this;
+		Object.assign(inflate, {
+			checkpoints: [],
+			checkpointInterval
+		});
+		if (checkpoint) {
+			const { inputOffset, outputOffset, bitBuffer, bitCount, window } = checkpoint;
+			inflate.window.set(window);
+			Object.assign(inflate, {
+				windowIndex: window.length,
+				totalOutput: outputOffset,
+				inputOffset,
+				bitBuffer,
+				bitCount
+			});
+		}
+		inflate.nextCheckpointOutput = inflate.totalOutput + checkpointInterval;
+	}
+}
+
+export {
+	RawInflate,
+	IndexedInflate
+};
+
+function inflateBlocks(inflate) {
+	for (; ;) {
+		const { state } = inflate;
+		if (state == STATE_HEADER) {
+			if (inflate.checkpointInterval && inflate.totalOutput >= inflate.nextCheckpointOutput) {
+				addCheckpoint(inflate);
+			}
+			if (!needBits(inflate, 3)) {
+				return;
+			}
+			inflate.lastBlock = Boolean(getBits(inflate, 1));
+			const type = getBits(inflate, 2);
+			if (type == 0) {
+				dropBits(inflate, inflate.bitCount & 7);
+				inflate.state = STATE_STORED_LENGTH;
+			} else if (type == 1) {
+				if (!fixedLiteralLengthTable) {
+					initFixedTables();
+				}
+				inflate.literalLengthTable = fixedLiteralLengthTable;
+				inflate.distanceTable = fixedDistanceTable;
+				inflate.state = STATE_CODES;
+			} else if (type == 2) {
+				inflate.state = STATE_TABLE;
+			} else {
+				throw new Error(ERR_INVALID_BLOCK_TYPE);
+			}
+		} else if (state == STATE_STORED_LENGTH) {
+			if (!needBits(inflate, 16)) {
+				return;
+			}
+			inflate.length = getBits(inflate, 16);
+			inflate.state = STATE_STORED_LENGTH_COMPLEMENT;
+		} else if (state == STATE_STORED_LENGTH_COMPLEMENT) {
+			if (!needBits(inflate, 16)) {
+				return;
+			}
+			if ((getBits(inflate, 16) ^ 0xFFFF) != inflate.length) {
+				throw new Error(ERR_INVALID_STORED_BLOCK_LENGTHS);
+			}
+			inflate.state = STATE_STORED;
+		} else if (state == STATE_STORED) {
+			if (!copyStored(inflate)) {
+				return;
+			}
+			endBlock(inflate);
+		} else if (state == STATE_TABLE) {
+			if (!needBits(inflate, 14)) {
+				return;
+			}
+			inflate.literalLengthCount = getBits(inflate, 5) + 257;
+			inflate.distanceCount = getBits(inflate, 5) + 1;
+			inflate.codeLengthCount = getBits(inflate, 4) + 4;
+			if (inflate.literalLengthCount > MAX_LITERAL_LENGTH_CODES) {
+				throw new Error(ERR_TOO_MANY_SYMBOLS);
+			}
+			inflate.lengths = new Uint8Array(CODE_LENGTHS_ORDER.length);
+			inflate.lengthIndex = 0;
+			inflate.state = STATE_CODE_LENGTHS;
+		} else if (state == STATE_CODE_LENGTHS) {
+			while (inflate.lengthIndex < inflate.codeLengthCount) {
+				if (!needBits(inflate, 3)) {
+					return;
+				}
+				inflate.lengths[CODE_LENGTHS_ORDER[inflate.lengthIndex]] = getBits(inflate, 3);
+				inflate.lengthIndex++;
+			}
+			inflate.codeLengthTable = buildTable(inflate.lengths, 0, CODE_LENGTHS_ORDER.length, ERR_INVALID_CODE_LENGTHS);
+			inflate.lengths = new Uint8Array(inflate.literalLengthCount + inflate.distanceCount);
+			inflate.lengthIndex = 0;
+			inflate.repeatSymbol = -1;
+			inflate.state = STATE_LENGTHS;
+		} else if (state == STATE_LENGTHS) {
+			if (!readLengths(inflate)) {
+				return;
+			}
+			const { lengths, literalLengthCount, distanceCount } = inflate;
+			if (!lengths[END_OF_BLOCK]) {
+				throw new Error(ERR_MISSING_END_OF_BLOCK);
+			}
+			inflate.literalLengthTable = buildTable(lengths, 0, literalLengthCount, ERR_INVALID_LITERAL_LENGTH_CODE);
+			inflate.distanceTable = buildTable(lengths, literalLengthCount, distanceCount, ERR_INVALID_DISTANCE_CODE);
+			inflate.lengths = null;
+			inflate.state = STATE_CODES;
+		} else if (state == STATE_CODES) {
+			const symbol = decodeSymbol(inflate, inflate.literalLengthTable, ERR_INVALID_LITERAL_LENGTH_CODE);
+			if (symbol == -1) {
+				return;
+			}
+			if (symbol < END_OF_BLOCK) {
+				writeByte(inflate, symbol);
+			} else if (symbol == END_OF_BLOCK) {
+				endBlock(inflate);
+			} else {
+				inflate.lengthCode = symbol - 257;
+				if (inflate.lengthCode >= LENGTH_BASE.length) {
+					throw new Error(ERR_INVALID_LITERAL_LENGTH_CODE);
+				}
+				if (!inflate.deflate64 && inflate.lengthCode == DEFLATE_MAX_LENGTH_CODE) {
+					inflate.length = DEFLATE_MAX_LENGTH;
+					inflate.state = STATE_DISTANCE;
+				} else {
+					inflate.state = STATE_LENGTH_EXTRA;
+				}
+			}
+		} else if (state == STATE_LENGTH_EXTRA) {
+			const { lengthCode } = inflate;
+			const extraBits = LENGTH_EXTRA_BITS[lengthCode];
+			if (!needBits(inflate, extraBits)) {
+				return;
+			}
+			inflate.length = LENGTH_BASE[lengthCode] + getBits(inflate, extraBits);
+			inflate.state = STATE_DISTANCE;
+		} else if (state == STATE_DISTANCE) {
+			const symbol = decodeSymbol(inflate, inflate.distanceTable, ERR_INVALID_DISTANCE_CODE);
+			if (symbol == -1) {
+				return;
+			}
+			if (symbol >= (inflate.deflate64 ? DISTANCE_BASE.length : DEFLATE_DISTANCE_CODES)) {
+				throw new Error(ERR_INVALID_DISTANCE_CODE);
+			}
+			inflate.distanceCode = symbol;
+			inflate.state = STATE_DISTANCE_EXTRA;
+		} else if (state == STATE_DISTANCE_EXTRA) {
+			const { distanceCode } = inflate;
+			const extraBits = DISTANCE_EXTRA_BITS[distanceCode];
+			if (!needBits(inflate, extraBits)) {
+				return;
+			}
+			const distance = DISTANCE_BASE[distanceCode] + getBits(inflate, extraBits);
+			if (distance > inflate.totalOutput) {
+				throw new Error(ERR_INVALID_DISTANCE);
+			}
+			copyMatch(inflate, inflate.length, distance);
+			inflate.state = STATE_CODES;
+		} else {
+			return;
+		}
+	}
+}
+
+function addCheckpoint(inflate) {
+	const { window, windowIndex, totalOutput, inputOffset, inputIndex, bitBuffer, bitCount } = inflate;
+	const windowSize = Math.min(totalOutput, DEFLATE_WINDOW_SIZE);
+	const checkpointWindow = new Uint8Array(windowSize);
+	for (let index = 0; index < windowSize; index++) {
+		checkpointWindow[index] = window[(windowIndex - windowSize + index) & WINDOW_MASK];
+	}
+	inflate.checkpoints.push({
+		inputOffset: inputOffset + inputIndex,
+		outputOffset: totalOutput,
+		bitBuffer,
+		bitCount,
+		window: checkpointWindow
+	});
+	inflate.nextCheckpointOutput = totalOutput + inflate.checkpointInterval;
+}
+
+function endBlock(inflate) {
+	inflate.state = inflate.lastBlock ? STATE_DONE : STATE_HEADER;
+}
+
+function readLengths(inflate) {
+	const { lengths } = inflate;
+	while (inflate.lengthIndex < lengths.length) {
+		let { repeatSymbol } = inflate;
+		if (repeatSymbol == -1) {
+			const symbol = decodeSymbol(inflate, inflate.codeLengthTable, ERR_INVALID_CODE_LENGTHS);
+			if (symbol == -1) {
+				return false;
+			}
+			if (symbol < 16) {
+				lengths[inflate.lengthIndex] = symbol;
+				inflate.lengthIndex++;
+				continue;
+			}
+			if (symbol == 16 && !inflate.lengthIndex) {
+				throw new Error(ERR_INVALID_BIT_LENGTH_REPEAT);
+			}
+			repeatSymbol = inflate.repeatSymbol = symbol - 16;
+		}
+		const extraBits = REPEAT_EXTRA_BITS[repeatSymbol];
+		if (!needBits(inflate, extraBits)) {
+			return false;
+		}
+		const count = REPEAT_BASE[repeatSymbol] + getBits(inflate, extraBits);
+		const value = repeatSymbol ? 0 : lengths[inflate.lengthIndex - 1];
+		if (inflate.lengthIndex + count > lengths.length) {
+			throw new Error(ERR_INVALID_BIT_LENGTH_REPEAT);
+		}
+		lengths.fill(value, inflate.lengthIndex, inflate.lengthIndex + count);
+		inflate.lengthIndex += count;
+		inflate.repeatSymbol = -1;
+	}
+	return true;
+}
+
+function copyStored(inflate) {
+	while (inflate.length && inflate.bitCount) {
+		writeByte(inflate, getBits(inflate, 8));
+		inflate.length--;
+	}
+	const { input, inputIndex } = inflate;
+	const size = Math.min(inflate.length, input.length - inputIndex);
+	if (size) {
+		ensureOutputSize(inflate, size);
+		for (let index = 0; index < size; index++) {
+			writeByte(inflate, input[inputIndex + index]);
+		}
+		inflate.inputIndex += size;
+		inflate.length -= size;
+	}
+	return !inflate.length;
+}
+
+function copyMatch(inflate, length, distance) {
+	ensureOutputSize(inflate, length);
+	const { window, output } = inflate;
+	let { windowIndex, outputIndex } = inflate;
+	let sourceIndex = (windowIndex - distance) & WINDOW_MASK;
+	for (let index = 0; index < length; index++) {
+		const value = window[sourceIndex];
+		window[windowIndex] = output[outputIndex] = value;
+		sourceIndex = (sourceIndex + 1) & WINDOW_MASK;
+		windowIndex = (windowIndex + 1) & WINDOW_MASK;
+		outputIndex++;
+	}
+	inflate.windowIndex = windowIndex;
+	inflate.outputIndex = outputIndex;
+	inflate.totalOutput += length;
+}
+
+function writeByte(inflate, value) {
+	if (inflate.outputIndex == inflate.output.length) {
+		ensureOutputSize(inflate, 1);
+	}
+	inflate.window[inflate.windowIndex] = inflate.output[inflate.outputIndex] = value;
+	inflate.windowIndex = (inflate.windowIndex + 1) & WINDOW_MASK;
+	inflate.outputIndex++;
+	inflate.totalOutput++;
+}
+
+function ensureOutputSize(inflate, size) {
+	const { output, outputIndex } = inflate;
+	if (outputIndex + size > output.length) {
+		const newOutput = new Uint8Array(Math.max(output.length * 2, outputIndex + size));
+		newOutput.set(output.subarray(0, outputIndex));
+		inflate.output = newOutput;
+	}
+}
+
+function needBits(inflate, count) {
+	while (inflate.bitCount < count) {
+		if (inflate.inputIndex == inflate.input.length) {
+			return false;
+		}
+		inflate.bitBuffer |= inflate.input[inflate.inputIndex] << inflate.bitCount;
+		inflate.inputIndex++;
+		inflate.bitCount += 8;
+	}
+	return true;
+}
+
+function getBits(inflate, count) {
+	const value = inflate.bitBuffer & ((1 << count) - 1);
+	dropBits(inflate, count);
+	return value;
+}
+
+function dropBits(inflate, count) {
+	inflate.bitBuffer >>>= count;
+	inflate.bitCount -= count;
+}
+
+function decodeSymbol(inflate, { table, bits }, message) {
+	const available = needBits(inflate, bits);
+	const entry = table[inflate.bitBuffer & ((1 << bits) - 1)];
+	const length = entry & 0x0F;
+	if (!entry || length > inflate.bitCount) {
+		if (available) {
+			throw new Error(message);
+		}
+		return -1;
+	}
+	dropBits(inflate, length);
+	return entry >> 4;
+}
+
+function buildTable(lengths, start, count, message) {
+	const counts = new Uint16Array(16);
+	const nextCodes = new Uint16Array(16);
+	let bits = 0;
+	for (let index = 0; index < count; index++) {
+		const length = lengths[start + index];
+		counts[length]++;
+		if (length > bits) {
+			bits = length;
+		}
+	}
+	counts[0] = 0;
+	let left = 1;
+	let code = 0;
+	for (let length = 1; length < 16; length++) {
+		left = (left << 1) - counts[length];
+		if (left < 0) {
+			throw new Error(message);
+		}
+		code = (code + counts[length - 1]) << 1;
+		nextCodes[length] = code;
+	}
+	const table = new Uint16Array(1 << bits);
+	for (let symbol = 0; symbol < count; symbol++) {
+		const length = lengths[start + symbol];
+		if (length) {
+			const code = nextCodes[length]++;
+			let reversedCode = 0;
+			for (let bit = 0; bit < length; bit++) {
+				reversedCode |= ((code >> bit) & 1) << (length - 1 - bit);
+			}
+			for (let index = reversedCode; index < table.length; index += 1 << length) {
+				table[index] = (symbol << 4) | length;
+			}
+		}
+	}
+	return { table, bits };
+}
+
+function initFixedTables() {
+	const lengths = new Uint8Array(288 + 32);
+	lengths.fill(8, 0, 144);
+	lengths.fill(9, 144, 256);
+	lengths.fill(7, 256, 280);
+	lengths.fill(8, 280, 288);
+	lengths.fill(5, 288);
+	fixedLiteralLengthTable = buildTable(lengths, 0, 288);
+	fixedDistanceTable = buildTable(lengths, 288, 32);
+}
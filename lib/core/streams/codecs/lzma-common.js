@@ -0,0 +1,418 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * LZMA decoder shared by the LZMA (compression method 14) and the XZ
+ * (compression method 95) codecs, see the LZMA specification in the LZMA SDK.
+ */
+
+const STATES_COUNT = 12;
+const LITERAL_STATES_COUNT = 7;
+const POSITION_STATES_COUNT_MAX = 16;
+const LENGTH_STATES_COUNT = 4;
+const POSITION_SLOTS_BITS = 6;
+const END_POSITION_MODEL_INDEX = 14;
+const FULL_DISTANCES_COUNT = 128;
+const ALIGN_BITS = 4;
+const LOW_LENGTH_BITS = 3;
+const MID_LENGTH_BITS = 3;
+const HIGH_LENGTH_BITS = 8;
+const MATCH_LENGTH_MIN = 2;
+const PROBABILITY_BITS = 11;
+const PROBABILITY_INITIAL_VALUE = 1 << (PROBABILITY_BITS - 1);
+const MOVE_BITS = 5;
+const TOP_VALUE = 1 << 24;
+const END_MARKER_DISTANCE = 0xFFFFFFFF;
+const DICTIONARY_SIZE_MIN = 1 << 12;
+const LITERAL_CODER_SIZE = 0x300;
+const INPUT_MARGIN = 21;
+
+const ERR_CORRUPTED_DATA = "corrupted data";
+const ERR_INVALID_PROPERTIES = "invalid properties";
+const ERR_UNEXPECTED_END = "unexpected end of data";
+
+const IS_MATCH_OFFSET = 0;
+const IS_REP_OFFSET = IS_MATCH_OFFSET + (STATES_COUNT << 4);
+const IS_REP_G0_OFFSET = IS_REP_OFFSET + STATES_COUNT;
+const IS_REP_G1_OFFSET = IS_REP_G0_OFFSET + STATES_COUNT;
+const IS_REP_G2_OFFSET = IS_REP_G1_OFFSET + STATES_COUNT;
+const IS_REP0_LONG_OFFSET = IS_REP_G2_OFFSET + STATES_COUNT;
+const POSITION_SLOT_OFFSET = IS_REP0_LONG_OFFSET + (STATES_COUNT << 4);
+const SPECIAL_POSITION_OFFSET = POSITION_SLOT_OFFSET + (LENGTH_STATES_COUNT << POSITION_SLOTS_BITS);
+const ALIGN_OFFSET = SPECIAL_POSITION_OFFSET + FULL_DISTANCES_COUNT - END_POSITION_MODEL_INDEX;
+const LENGTH_CHOICE_OFFSET = 0;
+const LENGTH_CHOICE_2_OFFSET = 1;
+const LENGTH_LOW_OFFSET = 2;
+const LENGTH_MID_OFFSET = LENGTH_LOW_OFFSET + (POSITION_STATES_COUNT_MAX << LOW_LENGTH_BITS);
+const LENGTH_HIGH_OFFSET = LENGTH_MID_OFFSET + (POSITION_STATES_COUNT_MAX << MID_LENGTH_BITS);
+const LENGTH_CODER_SIZE = LENGTH_HIGH_OFFSET + (1 << HIGH_LENGTH_BITS);
+const LENGTH_CODER_OFFSET = ALIGN_OFFSET + (1 << ALIGN_BITS);
+const REP_LENGTH_CODER_OFFSET = LENGTH_CODER_OFFSET + LENGTH_CODER_SIZE;
+const LITERAL_OFFSET = REP_LENGTH_CODER_OFFSET + LENGTH_CODER_SIZE;
+
+export {
+	INPUT_MARGIN,
+	ERR_CORRUPTED_DATA,
+	ERR_INVALID_PROPERTIES,
+	ERR_UNEXPECTED_END,
+	createDecoder,
+	setProperties,
+	resetState,
+	resetDictionary,
+	initRangeDecoder,
+	decodeData,
+	copyUncompressedData,
+	readOutput,
+	appendInput
+};
+
+function createDecoder(dictionarySize, outputSize) {
+	let dictionaryLength = Math.max(dictionarySize, DICTIONARY_SIZE_MIN);
+	if (outputSize !== undefined) {
+		dictionaryLength = Math.max(Math.min(dictionaryLength, outputSize), 1);
+	}
+	return {
+		dictionary: new Uint8Array(dictionaryLength),
+		dictionaryPosition: 0,
+		dictionaryFull: false,
+		outputStart: 0,
+		outputChunks: [],
+		dictionarySize,
+		totalPosition: 0,
+		input: new Uint8Array(0),
+		inputIndex: 0,
+		inputLength: 0,
+		range: 0,
+		code: 0,
+		state: 0,
+		reps: [0, 0, 0, 0],
+		finished: false
+	};
+}
+
+function setProperties(decoder, properties) {
+	if (properties >= 9 * 5 * 5) {
+		throw new Error(ERR_INVALID_PROPERTIES);
+	}
+	const literalContextBits = properties % 9;
+	properties = Math.floor(properties / 9);
+	const literalPositionBits = properties % 5;
+	const positionBits = Math.floor(properties / 5);
+	Object.assign(decoder, {
+		literalContextBits,
+		literalPositionMask: (1 << literalPositionBits) - 1,
+		positionMask: (1 << positionBits) - 1,
+		probabilities: new Uint16Array(LITERAL_OFFSET + (LITERAL_CODER_SIZE << (literalContextBits + literalPositionBits)))
+	});
+}
+
+function resetState(decoder) {
+	decoder.probabilities.fill(PROBABILITY_INITIAL_VALUE);
+	decoder.state = 0;
+	decoder.reps.fill(0);
+}
+
+function resetDictionary(decoder) {
+	decoder.dictionaryFull = false;
+	decoder.totalPosition = 0;
+}
+
+function initRangeDecoder(decoder) {
+	if (readByte(decoder) !== 0) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	decoder.range = 0xFFFFFFFF;
+	decoder.code = 0;
+	for (let indexByte = 0; indexByte < 4; indexByte++) {
+		decoder.code = ((decoder.code << 8) | readByte(decoder)) >>> 0;
+	}
+	if (decoder.code == decoder.range) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+}
+
+function decodeData(decoder, outputLimit, final) {
+	const { probabilities, reps, literalContextBits, literalPositionMask, positionMask, dictionarySize } = decoder;
+	while (decoder.totalPosition < outputLimit && !decoder.finished && (final || decoder.inputLength - decoder.inputIndex >= INPUT_MARGIN)) {
+		const { state, totalPosition } = decoder;
+		const positionState = totalPosition & positionMask;
+		if (!decodeBit(decoder, probabilities, IS_MATCH_OFFSET + (state << 4) + positionState)) {
+			const previousByte = totalPosition || decoder.dictionaryFull ? getByte(decoder, 1) : 0;
+			const literalState = ((totalPosition & literalPositionMask) << literalContextBits) + (previousByte >> (8 - literalContextBits));
+			const offset = LITERAL_OFFSET + LITERAL_CODER_SIZE * literalState;
+			let symbol = 1;
+			if (state >= LITERAL_STATES_COUNT) {
+				let matchByte = getByte(decoder, reps[0] + 1);
+				do {
+					const matchBit = (matchByte >> 7) & 1;
+					matchByte <<= 1;
+					const bit = decodeBit(decoder, probabilities, offset + ((1 + matchBit) << 8) + symbol);
+					symbol = (symbol << 1) | bit;
+					if (matchBit != bit) {
+						break;
+					}
+				} while (symbol < 0x100);
+			}
+			while (symbol < 0x100) {
+				symbol = (symbol << 1) | decodeBit(decoder, probabilities, offset + symbol);
+			}
+			putByte(decoder, symbol & 0xFF);
+			decoder.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+		} else {
+			let length;
+			if (decodeBit(decoder, probabilities, IS_REP_OFFSET + state)) {
+				if (!totalPosition && !decoder.dictionaryFull) {
+					throw new Error(ERR_CORRUPTED_DATA);
+				}
+				if (!decodeBit(decoder, probabilities, IS_REP_G0_OFFSET + state)) {
+					if (!decodeBit(decoder, probabilities, IS_REP0_LONG_OFFSET + (state << 4) + positionState)) {
+						decoder.state = state < LITERAL_STATES_COUNT ? 9 : 11;
+						putByte(decoder, getByte(decoder, reps[0] + 1));
+						continue;
+					}
+				} else {
+					let distance;
+					if (!decodeBit(decoder, probabilities, IS_REP_G1_OFFSET + state)) {
+						distance = reps[1];
+					} else {
+						if (!decodeBit(decoder, probabilities, IS_REP_G2_OFFSET + state)) {
+							distance = reps[2];
+						} else {
+							distance = reps[3];
+							reps[3] = reps[2];
+						}
+						reps[2] = reps[1];
+					}
+					reps[1] = reps[0];
+					reps[0] = distance;
+				}
+				length = decodeLength(decoder, REP_LENGTH_CODER_OFFSET, positionState);
+				decoder.state = state < LITERAL_STATES_COUNT ? 8 : 11;
+			} else {
+				reps[3] = reps[2];
+				reps[2] = reps[1];
+				reps[1] = reps[0];
+				length = decodeLength(decoder, LENGTH_CODER_OFFSET, positionState);
+				decoder.state = state < LITERAL_STATES_COUNT ? 7 : 10;
+				const distance = decodeDistance(decoder, length);
+				if (distance == END_MARKER_DISTANCE) {
+					decoder.finished = true;
+					continue;
+				}
+				if (distance >= dictionarySize || (!decoder.dictionaryFull && distance >= totalPosition)) {
+					throw new Error(ERR_CORRUPTED_DATA);
+				}
+				reps[0] = distance;
+			}
+			length = Math.min(length + MATCH_LENGTH_MIN, outputLimit - totalPosition);
+			copyMatch(decoder, reps[0] + 1, length);
+		}
+	}
+}
+
+function copyUncompressedData(decoder, data) {
+	data.forEach(value => putByte(decoder, value));
+}
+
+function readOutput(decoder) {
+	const { dictionary, dictionaryPosition, outputStart, outputChunks } = decoder;
+	outputChunks.push(dictionary.slice(outputStart, dictionaryPosition));
+	decoder.outputStart = dictionaryPosition;
+	decoder.outputChunks = [];
+	const output = new Uint8Array(outputChunks.reduce((length, chunk) => length + chunk.length, 0));
+	let offset = 0;
+	outputChunks.forEach(chunk => {
+		output.set(chunk, offset);
+		offset += chunk.length;
+	});
+	return output;
+}
+
+function appendInput(decoder, data) {
+	const { input, inputIndex, inputLength } = decoder;
+	const length = inputLength - inputIndex + data.length;
+	if (length > input.length) {
+		const newInput = new Uint8Array(Math.max(length, input.length * 2));
+		newInput.set(input.subarray(inputIndex, inputLength));
+		decoder.input = newInput;
+	} else {
+		input.copyWithin(0, inputIndex, inputLength);
+	}
+	decoder.input.set(data, inputLength - inputIndex);
+	decoder.inputIndex = 0;
+	decoder.inputLength = length;
+}
+
+function decodeLength(decoder, offset, positionState) {
+	const { probabilities } = decoder;
+	if (!decodeBit(decoder, probabilities, offset + LENGTH_CHOICE_OFFSET)) {
+		return decodeBitTree(decoder, offset + LENGTH_LOW_OFFSET + (positionState << LOW_LENGTH_BITS), LOW_LENGTH_BITS);
+	} else if (!decodeBit(decoder, probabilities, offset + LENGTH_CHOICE_2_OFFSET)) {
+		return (1 << LOW_LENGTH_BITS) + decodeBitTree(decoder, offset + LENGTH_MID_OFFSET + (positionState << MID_LENGTH_BITS), MID_LENGTH_BITS);
+	} else {
+		return (1 << LOW_LENGTH_BITS) + (1 << MID_LENGTH_BITS) + decodeBitTree(decoder, offset + LENGTH_HIGH_OFFSET, HIGH_LENGTH_BITS);
+	}
+}
+
+function decodeDistance(decoder, length) {
+	const lengthState = Math.min(length, LENGTH_STATES_COUNT - 1);
+	const positionSlot = decodeBitTree(decoder, POSITION_SLOT_OFFSET + (lengthState << POSITION_SLOTS_BITS), POSITION_SLOTS_BITS);
+	if (positionSlot < 4) {
+		return positionSlot;
+	}
+	const directBitsCount = (positionSlot >>> 1) - 1;
+	let distance = ((2 | (positionSlot & 1)) << directBitsCount) >>> 0;
+	if (positionSlot < END_POSITION_MODEL_INDEX) {
+		distance += decodeReverseBitTree(decoder, SPECIAL_POSITION_OFFSET + distance - positionSlot, directBitsCount);
+	} else {
+		distance += decodeDirectBits(decoder, directBitsCount - ALIGN_BITS) * (1 << ALIGN_BITS);
+		distance += decodeReverseBitTree(decoder, ALIGN_OFFSET, ALIGN_BITS);
+	}
+	return distance;
+}
+
+function decodeBitTree(decoder, offset, bitsCount) {
+	const { probabilities } = decoder;
+	let symbol = 1;
+	for (let indexBit = 0; indexBit < bitsCount; indexBit++) {
+		symbol = (symbol << 1) | decodeBit(decoder, probabilities, offset + symbol);
+	}
+	return symbol - (1 << bitsCount);
+}
+
+function decodeReverseBitTree(decoder, offset, bitsCount) {
+	const { probabilities } = decoder;
+	let symbol = 1;
+	let result = 0;
+	for (let indexBit = 0; indexBit < bitsCount; indexBit++) {
+		const bit = decodeBit(decoder, probabilities, offset + symbol);
+		symbol = (symbol << 1) | bit;
+		result |= bit << indexBit;
+	}
+	return result;
+}
+
+function decodeDirectBits(decoder, bitsCount) {
+	let result = 0;
+	for (let indexBit = 0; indexBit < bitsCount; indexBit++) {
+		decoder.range >>>= 1;
+		let bit = 0;
+		if (decoder.code >= decoder.range) {
+			decoder.code -= decoder.range;
+			bit = 1;
+		}
+		result = ((result << 1) | bit) >>> 0;
+		normalize(decoder);
+	}
+	return result;
+}
+
+function decodeBit(decoder, probabilities, index) {
+	const probability = probabilities[index];
+	const bound = (decoder.range >>> PROBABILITY_BITS) * probability;
+	let bit;
+	if (decoder.code < bound) {
+		decoder.range = bound;
+		probabilities[index] = probability + (((1 << PROBABILITY_BITS) - probability) >>> MOVE_BITS);
+		bit = 0;
+	} else {
+		decoder.range -= bound;
+		decoder.code -= bound;
+		probabilities[index] = probability - (probability >>> MOVE_BITS);
+		bit = 1;
+	}
+	normalize(decoder);
+	return bit;
+}
+
+function normalize(decoder) {
+	if (decoder.range < TOP_VALUE) {
+		decoder.range = (decoder.range * 256) >>> 0;
+		decoder.code = ((decoder.code * 256) + readByte(decoder)) >>> 0;
+	}
+}
+
+function readByte(decoder) {
+	if (decoder.inputIndex >= decoder.inputLength) {
+		throw new Error(ERR_UNEXPECTED_END);
+	}
+	const value = decoder.input[decoder.inputIndex];
+	decoder.inputIndex++;
+	return value;
+}
+
+function getByte(decoder, distance) {
+	const { dictionary, dictionaryPosition } = decoder;
+	const index = dictionaryPosition - distance;
+	return dictionary[index < 0 ? index + dictionary.length : index];
+}
+
+function putByte(decoder, value) {
+	const { dictionary } = decoder;
+	dictionary[decoder.dictionaryPosition] = value;
+	decoder.dictionaryPosition++;
+	decoder.totalPosition++;
+	if (decoder.dictionaryPosition == dictionary.length) {
+		wrapDictionary(decoder);
+	}
+}
+
+function copyMatch(decoder, distance, length) {
+	const { dictionary } = decoder;
+	if (distance > dictionary.length) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	while (length) {
+		let sourceIndex = decoder.dictionaryPosition - distance;
+		if (sourceIndex < 0) {
+			sourceIndex += dictionary.length;
+		}
+		const copyLength = Math.min(length, dictionary.length - decoder.dictionaryPosition, dictionary.length - sourceIndex);
+		if (distance >= copyLength) {
+			dictionary.copyWithin(decoder.dictionaryPosition, sourceIndex, sourceIndex + copyLength);
+		} else {
+			for (let index = 0; index < copyLength; index++) {
+				dictionary[decoder.dictionaryPosition + index] = dictionary[sourceIndex + index];
+			}
+		}
+		decoder.dictionaryPosition += copyLength;
+		decoder.totalPosition += copyLength;
+		length -= copyLength;
+		if (decoder.dictionaryPosition == dictionary.length) {
+			wrapDictionary(decoder);
+		}
+	}
+}
+
+function wrapDictionary(decoder) {
+	const { dictionary, outputStart, outputChunks } = decoder;
+	outputChunks.push(dictionary.slice(outputStart));
+	decoder.dictionaryPosition = 0;
+	decoder.outputStart = 0;
+	decoder.dictionaryFull = true;
+}
@@ -0,0 +1,137 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * LZMA decoder, compression method 14.
+ * The data starts with the LZMA SDK version (2 bytes), the size of the
+ * properties (2 bytes) and the properties (5 bytes). The data ends with an
+ * end marker or when the uncompressed size of the entry has been reached.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+import {
+	ERR_CORRUPTED_DATA,
+	ERR_UNEXPECTED_END,
+	createDecoder,
+	setProperties,
+	resetState,
+	initRangeDecoder,
+	decodeData,
+	readOutput,
+	appendInput
+} from "./lzma-common.js";
+
+const HEADER_LENGTH = 4;
+const PROPERTIES_LENGTH = 5;
+const RANGE_DECODER_INIT_LENGTH = 5;
+
+class LzmaDecompress {
+
+	constructor(options = {}) {
+		const { outputSize } = options;
+		Object.assign(this, {
+			outputSize: outputSize === undefined ? Infinity : outputSize,
+			knownOutputSize: outputSize !== undefined,
+			pending: new Uint8Array(0),
+			decoder: null
+		});
+	}
+
+	append(data, onprogress) {
+		const decompress = this;
+		try {
+			let output;
+			if (data.length && !isFinished(decompress)) {
+				output = decode(decompress, data, false);
+			}
+			if (onprogress) {
+				onprogress(data.length);
+			}
+			return output;
+		} catch (error) {
+			error.message = "lzma: " + error.message;
+			throw error;
+		}
+	}
+
+	flush() {
+		const decompress = this;
+		try {
+			const output = decode(decompress, new Uint8Array(0), true);
+			if (!isFinished(decompress)) {
+				throw new Error(ERR_UNEXPECTED_END);
+			}
+			return output;
+		} catch (error) {
+			error.message = "lzma: " + error.message;
+			throw error;
+		}
+	}
+}
+
+export {
+	LzmaDecompress
+};
+
+function decode(decompress, data, final) {
+	let { decoder } = decompress;
+	if (!decoder) {
+		const pending = new Uint8Array(decompress.pending.length + data.length);
+		pending.set(decompress.pending);
+		pending.set(data, decompress.pending.length);
+		decompress.pending = pending;
+		if (pending.length < HEADER_LENGTH + PROPERTIES_LENGTH + RANGE_DECODER_INIT_LENGTH) {
+			if (final && pending.length) {
+				throw new Error(ERR_UNEXPECTED_END);
+			}
+			return;
+		}
+		const view = new DataView(pending.buffer);
+		const propertiesLength = view.getUint16(2, true);
+		if (propertiesLength != PROPERTIES_LENGTH) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		decoder = decompress.decoder = createDecoder(view.getUint32(HEADER_LENGTH + 1, true), decompress.knownOutputSize ? decompress.outputSize : undefined);
+		setProperties(decoder, pending[HEADER_LENGTH]);
+		resetState(decoder);
+		data = pending.subarray(HEADER_LENGTH + PROPERTIES_LENGTH);
+		decompress.pending = null;
+		appendInput(decoder, data);
+		initRangeDecoder(decoder);
+	} else if (data.length) {
+		appendInput(decoder, data);
+	}
+	decodeData(decoder, decompress.outputSize, final);
+	return readOutput(decoder);
+}
+
+function isFinished(decompress) {
+	const { decoder, outputSize } = decompress;
+	return Boolean(decoder && (decoder.finished || decoder.totalPosition == outputSize));
+}
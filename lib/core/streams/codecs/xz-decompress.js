@@ -0,0 +1,385 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * XZ decoder, compression method 95.
+ * Only the LZMA2 filter is supported. The CRCs of the headers are verified,
+ * the checks of the blocks are ignored since the integrity of the data is
+ * already verified with the CRC32 of the entry.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+import { Crc32 } from "./crc32.js";
+import {
+	ERR_CORRUPTED_DATA,
+	ERR_INVALID_PROPERTIES,
+	ERR_UNEXPECTED_END,
+	createDecoder,
+	setProperties,
+	resetState,
+	resetDictionary,
+	initRangeDecoder,
+	decodeData,
+	copyUncompressedData,
+	readOutput
+} from "./lzma-common.js";
+
+const STREAM_HEADER_MAGIC = [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00];
+const STREAM_FOOTER_MAGIC = [0x59, 0x5A];
+const STREAM_HEADER_LENGTH = 12;
+const STREAM_FOOTER_LENGTH = 12;
+const CHECK_LENGTHS = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+const FILTER_ID_LZMA2 = 0x21;
+const LZMA2_DICTIONARY_SIZE_BITS_MAX = 40;
+const LZMA2_CONTROL_END = 0x00;
+const LZMA2_CONTROL_UNCOMPRESSED_RESET = 0x01;
+const LZMA2_CONTROL_UNCOMPRESSED = 0x02;
+const LZMA2_CONTROL_LZMA = 0x80;
+const LZMA2_RESET_STATE = 1;
+const LZMA2_RESET_PROPERTIES = 2;
+const LZMA2_RESET_DICTIONARY = 3;
+
+const STATE_STREAM_HEADER = 0;
+const STATE_BLOCK_HEADER = 1;
+const STATE_CHUNK = 2;
+const STATE_BLOCK_END = 3;
+const STATE_STREAM_PADDING = 4;
+
+const ERR_INVALID_STREAM_HEADER = "invalid stream header";
+const ERR_INVALID_STREAM_FOOTER = "invalid stream footer";
+const ERR_INVALID_BLOCK_HEADER = "invalid block header";
+const ERR_INVALID_INDEX = "invalid index";
+const ERR_UNSUPPORTED_FILTER = "unsupported filter";
+
+const NEED_INPUT = {};
+
+class XzDecompress {
+
+	constructor(options = {}) {
+		Object.assign(this, {
+			outputSize: options.outputSize,
+			input: new Uint8Array(0),
+			inputIndex: 0,
+			inputLength: 0,
+			state: STATE_STREAM_HEADER,
+			streamsCount: 0
+		});
+	}
+
+	append(data, onprogress) {
+		const decompress = this;
+		if (data.length === 0) {
+			return;
+		}
+		appendInput(decompress, data);
+		const output = decode(decompress);
+		if (onprogress) {
+			onprogress(data.length);
+		}
+		return output;
+	}
+
+	flush() {
+		const decompress = this;
+		const output = decode(decompress);
+		if (decompress.state != STATE_STREAM_PADDING || decompress.inputIndex < decompress.inputLength) {
+			throw new Error("xz: " + ERR_UNEXPECTED_END);
+		}
+		return output;
+	}
+}
+
+export {
+	XzDecompress
+};
+
+function appendInput(decompress, data) {
+	const { input, inputIndex, inputLength } = decompress;
+	const length = inputLength - inputIndex + data.length;
+	if (length > input.length) {
+		const newInput = new Uint8Array(Math.max(length, input.length * 2));
+		newInput.set(input.subarray(inputIndex, inputLength));
+		decompress.input = newInput;
+	} else {
+		input.copyWithin(0, inputIndex, inputLength);
+	}
+	decompress.input.set(data, inputLength - inputIndex);
+	decompress.inputIndex = 0;
+	decompress.inputLength = length;
+}
+
+function decode(decompress) {
+	const output = [];
+	try {
+		let available = true;
+		while (available) {
+			const { inputIndex } = decompress;
+			try {
+				available = decodeStep(decompress, output);
+			} catch (error) {
+				if (error == NEED_INPUT) {
+					decompress.inputIndex = inputIndex;
+					available = false;
+				} else {
+					throw error;
+				}
+			}
+		}
+	} catch (error) {
+		error.message = "xz: " + error.message;
+		throw error;
+	}
+	return concat(output);
+}
+
+function decodeStep(decompress, output) {
+	const { state } = decompress;
+	if (state == STATE_STREAM_HEADER) {
+		readStreamHeader(decompress);
+	} else if (state == STATE_BLOCK_HEADER) {
+		if (peekByte(decompress)) {
+			readBlockHeader(decompress);
+		} else {
+			readIndex(decompress);
+			readStreamFooter(decompress);
+		}
+	} else if (state == STATE_CHUNK) {
+		readChunk(decompress, output);
+	} else if (state == STATE_BLOCK_END) {
+		const { blockLength, checkLength } = decompress;
+		readBytes(decompress, ((4 - (blockLength % 4)) % 4) + checkLength);
+		decompress.state = STATE_BLOCK_HEADER;
+	} else if (state == STATE_STREAM_PADDING) {
+		if (decompress.inputIndex == decompress.inputLength) {
+			return false;
+		}
+		if (peekByte(decompress)) {
+			decompress.state = STATE_STREAM_HEADER;
+		} else if (readBytes(decompress, 4).some(value => value)) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+	}
+	return true;
+}
+
+function readStreamHeader(decompress) {
+	const header = readBytes(decompress, STREAM_HEADER_LENGTH);
+	const view = getDataView(header);
+	if (!STREAM_HEADER_MAGIC.every((value, index) => header[index] == value) || header[6] || header[7] > 0x0F ||
+		getCrc32(header.subarray(6, 8)) != view.getInt32(8, true)) {
+		throw new Error(ERR_INVALID_STREAM_HEADER);
+	}
+	decompress.checkLength = CHECK_LENGTHS[header[7]];
+	decompress.state = STATE_BLOCK_HEADER;
+}
+
+function readBlockHeader(decompress) {
+	const headerLength = (peekByte(decompress) + 1) * 4;
+	const header = readBytes(decompress, headerLength);
+	if (getCrc32(header.subarray(0, headerLength - 4)) != getDataView(header).getInt32(headerLength - 4, true)) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	const flags = header[1];
+	const reader = { data: header.subarray(0, headerLength - 4), index: 2 };
+	if (flags & 0x3C) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	if (flags & 0x40) {
+		readVariableInteger(reader);
+	}
+	if (flags & 0x80) {
+		readVariableInteger(reader);
+	}
+	if (flags & 0x03) {
+		throw new Error(ERR_UNSUPPORTED_FILTER);
+	}
+	const filterId = readVariableInteger(reader);
+	const propertiesLength = readVariableInteger(reader);
+	if (filterId != FILTER_ID_LZMA2) {
+		throw new Error(ERR_UNSUPPORTED_FILTER);
+	}
+	if (propertiesLength != 1 || reader.index >= reader.data.length) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	const dictionarySizeBits = reader.data[reader.index] & 0x3F;
+	reader.index++;
+	if (dictionarySizeBits > LZMA2_DICTIONARY_SIZE_BITS_MAX || reader.data.subarray(reader.index).some(value => value)) {
+		throw new Error(ERR_INVALID_BLOCK_HEADER);
+	}
+	const dictionarySize = dictionarySizeBits == LZMA2_DICTIONARY_SIZE_BITS_MAX ?
+		0xFFFFFFFF : (2 | (dictionarySizeBits & 1)) * Math.pow(2, (dictionarySizeBits >> 1) + 11);
+	Object.assign(decompress, {
+		decoder: createDecoder(dictionarySize, decompress.outputSize),
+		blockLength: headerLength,
+		dictionaryReset: false,
+		propertiesSet: false,
+		state: STATE_CHUNK
+	});
+}
+
+function readChunk(decompress, output) {
+	const { decoder } = decompress;
+	const startIndex = decompress.inputIndex;
+	const control = readBytes(decompress, 1)[0];
+	if (control == LZMA2_CONTROL_END) {
+		decompress.state = STATE_BLOCK_END;
+	} else if (control == LZMA2_CONTROL_UNCOMPRESSED_RESET || control == LZMA2_CONTROL_UNCOMPRESSED) {
+		const data = readBytes(decompress, readUint16(decompress) + 1);
+		if (control == LZMA2_CONTROL_UNCOMPRESSED_RESET) {
+			resetDictionary(decoder);
+			decompress.dictionaryReset = true;
+		} else if (!decompress.dictionaryReset) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		copyUncompressedData(decoder, data);
+	} else if (control & LZMA2_CONTROL_LZMA) {
+		const reset = (control >> 5) & 0x03;
+		const uncompressedSize = (control & 0x1F) * 0x10000 + readUint16(decompress) + 1;
+		const compressedSize = readUint16(decompress) + 1;
+		const properties = reset >= LZMA2_RESET_PROPERTIES ? readBytes(decompress, 1)[0] : undefined;
+		const data = readBytes(decompress, compressedSize);
+		if (reset == LZMA2_RESET_DICTIONARY) {
+			resetDictionary(decoder);
+			decompress.dictionaryReset = true;
+		} else if (!decompress.dictionaryReset) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		if (properties !== undefined) {
+			setProperties(decoder, properties);
+			if (decoder.literalContextBits + Math.log2(decoder.literalPositionMask + 1) > 4) {
+				throw new Error(ERR_INVALID_PROPERTIES);
+			}
+			decompress.propertiesSet = true;
+		} else if (!decompress.propertiesSet) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		if (reset >= LZMA2_RESET_STATE) {
+			resetState(decoder);
+		}
+		Object.assign(decoder, { input: data, inputIndex: 0, inputLength: data.length });
+		initRangeDecoder(decoder);
+		decodeData(decoder, decoder.totalPosition + uncompressedSize, true);
+		if (decoder.finished || decoder.inputIndex != data.length || decoder.code) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+	} else {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	decompress.blockLength += decompress.inputIndex - startIndex;
+	output.push(readOutput(decoder));
+}
+
+function readIndex(decompress) {
+	const startIndex = decompress.inputIndex;
+	const reader = {
+		data: decompress.input.subarray(0, decompress.inputLength),
+		index: decompress.inputIndex + 1
+	};
+	const recordsCount = readVariableInteger(reader);
+	for (let indexRecord = 0; indexRecord < recordsCount * 2; indexRecord++) {
+		readVariableInteger(reader);
+	}
+	decompress.inputIndex = reader.index;
+	const padding = readBytes(decompress, (4 - ((decompress.inputIndex - startIndex) % 4)) % 4);
+	const index = decompress.input.subarray(startIndex, decompress.inputIndex);
+	const crc32 = getDataView(readBytes(decompress, 4)).getInt32(0, true);
+	if (padding.some(value => value) || getCrc32(index) != crc32) {
+		throw new Error(ERR_INVALID_INDEX);
+	}
+}
+
+function readStreamFooter(decompress) {
+	const footer = readBytes(decompress, STREAM_FOOTER_LENGTH);
+	if (!STREAM_FOOTER_MAGIC.every((value, index) => footer[10 + index] == value) ||
+		getCrc32(footer.subarray(4, 10)) != getDataView(footer).getInt32(0, true)) {
+		throw new Error(ERR_INVALID_STREAM_FOOTER);
+	}
+	decompress.state = STATE_STREAM_PADDING;
+	decompress.streamsCount++;
+}
+
+function readVariableInteger(reader) {
+	let value = 0;
+	let shift = 1;
+	let byte;
+	do {
+		if (reader.index >= reader.data.length) {
+			throw NEED_INPUT;
+		}
+		byte = reader.data[reader.index];
+		reader.index++;
+		value += (byte & 0x7F) * shift;
+		shift *= 0x80;
+	} while (byte & 0x80 && shift < Math.pow(2, 63));
+	if (byte & 0x80) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	return value;
+}
+
+function readUint16(decompress) {
+	const bytes = readBytes(decompress, 2);
+	return (bytes[0] << 8) | bytes[1];
+}
+
+function peekByte(decompress) {
+	if (decompress.inputIndex >= decompress.inputLength) {
+		throw NEED_INPUT;
+	}
+	return decompress.input[decompress.inputIndex];
+}
+
+function readBytes(decompress, length) {
+	const { input, inputIndex, inputLength } = decompress;
+	if (inputIndex + length > inputLength) {
+		throw NEED_INPUT;
+	}
+	decompress.inputIndex += length;
+	return input.subarray(inputIndex, inputIndex + length);
+}
+
+function getCrc32(data) {
+	const crc32 = new Crc32();
+	crc32.append(data);
+	return crc32.get();
+}
+
+function getDataView(array) {
+	return new DataView(array.buffer, array.byteOffset, array.byteLength);
+}
+
+function concat(arrays) {
+	const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+	let offset = 0;
+	arrays.forEach(array => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
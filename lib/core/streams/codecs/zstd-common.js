@@ -0,0 +1,144 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * Constants and FSE helpers shared by the Zstandard (RFC 8878) encoder and decoder.
+ */
+
+const ZSTD_MAGIC_NUMBER = 0xFD2FB528;
+const SKIPPABLE_FRAME_MAGIC_NUMBER = 0x184D2A50;
+const SKIPPABLE_FRAME_MAGIC_NUMBER_MASK = 0xFFFFFFF0;
+const BLOCK_SIZE_MAX = 128 * 1024;
+const BLOCK_HEADER_SIZE = 3;
+const BLOCK_TYPE_RAW = 0;
+const BLOCK_TYPE_RLE = 1;
+const BLOCK_TYPE_COMPRESSED = 2;
+const LITERALS_BLOCK_TYPE_RAW = 0;
+const LITERALS_BLOCK_TYPE_RLE = 1;
+const LITERALS_BLOCK_TYPE_COMPRESSED = 2;
+const LITERALS_BLOCK_TYPE_TREELESS = 3;
+const SEQUENCE_MODE_PREDEFINED = 0;
+const SEQUENCE_MODE_RLE = 1;
+const SEQUENCE_MODE_FSE_COMPRESSED = 2;
+const SEQUENCE_MODE_REPEAT = 3;
+const HUFFMAN_MAX_BITS = 11;
+const HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG = 6;
+const LITERALS_LENGTH_BASELINES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512,
+	1024, 2048, 4096, 8192, 16384, 32768, 65536];
+const LITERALS_LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14,
+	15, 16];
+const MATCH_LENGTH_BASELINES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
+	33, 34, 35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539];
+const MATCH_LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2,
+	2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+const LITERALS_LENGTH_DEFAULT_DISTRIBUTION = [4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+	-1, -1, -1, -1];
+const MATCH_LENGTH_DEFAULT_DISTRIBUTION = [1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+	1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1];
+const OFFSET_DEFAULT_DISTRIBUTION = [1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1];
+const LITERALS_LENGTH_DEFAULT_ACCURACY_LOG = 6;
+const MATCH_LENGTH_DEFAULT_ACCURACY_LOG = 6;
+const OFFSET_DEFAULT_ACCURACY_LOG = 5;
+const LITERALS_LENGTH_MAX_ACCURACY_LOG = 9;
+const MATCH_LENGTH_MAX_ACCURACY_LOG = 9;
+const OFFSET_MAX_ACCURACY_LOG = 8;
+const LITERALS_LENGTH_MAX_SYMBOL = 35;
+const MATCH_LENGTH_MAX_SYMBOL = 52;
+const OFFSET_MAX_SYMBOL = 31;
+const ERR_CORRUPTED_DATA = "corrupted data";
+
+export {
+	ZSTD_MAGIC_NUMBER,
+	SKIPPABLE_FRAME_MAGIC_NUMBER,
+	SKIPPABLE_FRAME_MAGIC_NUMBER_MASK,
+	BLOCK_SIZE_MAX,
+	BLOCK_HEADER_SIZE,
+	BLOCK_TYPE_RAW,
+	BLOCK_TYPE_RLE,
+	BLOCK_TYPE_COMPRESSED,
+	LITERALS_BLOCK_TYPE_RAW,
+	LITERALS_BLOCK_TYPE_RLE,
+	LITERALS_BLOCK_TYPE_COMPRESSED,
+	LITERALS_BLOCK_TYPE_TREELESS,
+	SEQUENCE_MODE_PREDEFINED,
+	SEQUENCE_MODE_RLE,
+	SEQUENCE_MODE_FSE_COMPRESSED,
+	SEQUENCE_MODE_REPEAT,
+	HUFFMAN_MAX_BITS,
+	HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_BASELINES,
+	LITERALS_LENGTH_EXTRA_BITS,
+	MATCH_LENGTH_BASELINES,
+	MATCH_LENGTH_EXTRA_BITS,
+	LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+	MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+	OFFSET_DEFAULT_DISTRIBUTION,
+	LITERALS_LENGTH_DEFAULT_ACCURACY_LOG,
+	MATCH_LENGTH_DEFAULT_ACCURACY_LOG,
+	OFFSET_DEFAULT_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_ACCURACY_LOG,
+	MATCH_LENGTH_MAX_ACCURACY_LOG,
+	OFFSET_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_SYMBOL,
+	MATCH_LENGTH_MAX_SYMBOL,
+	OFFSET_MAX_SYMBOL,
+	ERR_CORRUPTED_DATA,
+	highBit,
+	spreadSymbols
+};
+
+function highBit(value) {
+	return 31 - Math.clz32(value);
+}
+
+function spreadSymbols(normalizedCounts, accuracyLog) {
+	const tableSize = 1 << accuracyLog;
+	const mask = tableSize - 1;
+	const step = (tableSize >> 1) + (tableSize >> 3) + 3;
+	const symbols = new Uint8Array(tableSize);
+	let highThreshold = tableSize - 1;
+	normalizedCounts.forEach((count, symbol) => {
+		if (count == -1) {
+			symbols[highThreshold] = symbol;
+			highThreshold--;
+		}
+	});
+	let position = 0;
+	normalizedCounts.forEach((count, symbol) => {
+		for (let index = 0; index < count; index++) {
+			symbols[position] = symbol;
+			do {
+				position = (position + step) & mask;
+			} while (position > highThreshold);
+		}
+	});
+	if (position) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	return symbols;
+}
@@ -0,0 +1,769 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * Zstandard (RFC 8878) encoder, compression method 93.
+ * Matches are found with hash chains, literals are Huffman coded and sequences
+ * use the predefined, RLE or FSE compressed tables depending on the cheapest
+ * estimated cost. Frames are written without content size nor checksum.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+import {
+	ZSTD_MAGIC_NUMBER,
+	BLOCK_SIZE_MAX,
+	BLOCK_TYPE_RAW,
+	BLOCK_TYPE_COMPRESSED,
+	LITERALS_BLOCK_TYPE_RAW,
+	LITERALS_BLOCK_TYPE_RLE,
+	LITERALS_BLOCK_TYPE_COMPRESSED,
+	SEQUENCE_MODE_PREDEFINED,
+	SEQUENCE_MODE_RLE,
+	SEQUENCE_MODE_FSE_COMPRESSED,
+	HUFFMAN_MAX_BITS,
+	HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_BASELINES,
+	LITERALS_LENGTH_EXTRA_BITS,
+	MATCH_LENGTH_BASELINES,
+	MATCH_LENGTH_EXTRA_BITS,
+	LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+	MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+	OFFSET_DEFAULT_DISTRIBUTION,
+	LITERALS_LENGTH_DEFAULT_ACCURACY_LOG,
+	MATCH_LENGTH_DEFAULT_ACCURACY_LOG,
+	OFFSET_DEFAULT_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_ACCURACY_LOG,
+	MATCH_LENGTH_MAX_ACCURACY_LOG,
+	OFFSET_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_SYMBOL,
+	MATCH_LENGTH_MAX_SYMBOL,
+	OFFSET_MAX_SYMBOL,
+	highBit,
+	spreadSymbols
+} from "./zstd-common.js";
+
+// Compression levels 1 to 9 roughly correspond to the zstd levels 1, 2, 3, 4, 6, 9, 12, 16 and 19.
+// [window log, hash log, search depth, lazy matching, target length]
+const LEVEL_PARAMETERS = [
+	[19, 16, 1, false, 16],
+	[19, 16, 2, false, 24],
+	[20, 17, 4, false, 32],
+	[20, 17, 8, false, 48],
+	[21, 18, 16, true, 64],
+	[21, 18, 32, true, 96],
+	[22, 19, 64, true, 128],
+	[22, 19, 256, true, 256],
+	[22, 20, 512, true, 512]
+];
+const DEFAULT_LEVEL = 3;
+const MIN_MATCH = 4;
+const MIN_HUFFMAN_LITERALS = 64;
+const SINGLE_STREAM_LITERALS_MAX = 256;
+const FSE_MIN_ACCURACY_LOG = 5;
+const HUFFMAN_DIRECT_WEIGHTS_MAX = 128;
+const HUFFMAN_COMPRESSED_WEIGHTS_MAX_SIZE = 127;
+const REPEAT_OFFSETS = [1, 4, 8];
+const SEQUENCE_TABLES = [
+	[LITERALS_LENGTH_DEFAULT_DISTRIBUTION, LITERALS_LENGTH_DEFAULT_ACCURACY_LOG, LITERALS_LENGTH_MAX_SYMBOL, LITERALS_LENGTH_MAX_ACCURACY_LOG],
+	[OFFSET_DEFAULT_DISTRIBUTION, OFFSET_DEFAULT_ACCURACY_LOG, OFFSET_MAX_SYMBOL, OFFSET_MAX_ACCURACY_LOG],
+	[MATCH_LENGTH_DEFAULT_DISTRIBUTION, MATCH_LENGTH_DEFAULT_ACCURACY_LOG, MATCH_LENGTH_MAX_SYMBOL, MATCH_LENGTH_MAX_ACCURACY_LOG]
+];
+const POSITION_MAX = 0x40000000;
+
+let defaultTables;
+
+class ZstdCompress {
+
+	constructor(options) {
+		const level = options && options.level !== undefined ? options.level : DEFAULT_LEVEL;
+		const [windowLog, hashLog, searchDepth, lazyMatching, targetLength] = LEVEL_PARAMETERS[Math.min(Math.max(level, 1), LEVEL_PARAMETERS.length) - 1];
+		Object.assign(this, {
+			windowLog,
+			windowSize: 1 << windowLog,
+			hashLog,
+			searchDepth,
+			lazyMatching,
+			targetLength,
+			hashTable: new Uint32Array(1 << hashLog),
+			chainTable: new Uint32Array(1 << windowLog),
+			buffer: new Uint8Array(0),
+			bufferOffset: 0,
+			position: 0,
+			length: 0,
+			repeatOffsets: Array.from(REPEAT_OFFSETS),
+			output: []
+		});
+	}
+
+	append(data, onprogress) {
+		const compress = this;
+		let offset = 0;
+		while (offset < data.length) {
+			reserveBuffer(compress);
+			const size = Math.min(data.length - offset, compress.buffer.length - compress.length);
+			compress.buffer.set(data.subarray(offset, offset + size), compress.length);
+			compress.length += size;
+			offset += size;
+			while (compress.length - compress.position > BLOCK_SIZE_MAX) {
+				writeBlock(compress, compress.position + BLOCK_SIZE_MAX, false);
+			}
+			if (onprogress) {
+				onprogress(offset);
+			}
+		}
+		return getOutput(compress);
+	}
+
+	flush() {
+		const compress = this;
+		writeBlock(compress, compress.length, true);
+		return getOutput(compress);
+	}
+}
+
+export {
+	ZstdCompress
+};
+
+class BitWriter {
+
+	constructor() {
+		this.bytes = [];
+		this.bitBuffer = 0;
+		this.bitCount = 0;
+	}
+
+	addBits(value, count) {
+		const writer = this;
+		if (count > 24) {
+			writer.addBits(value % 0x1000000, 24);
+			writer.addBits(Math.floor(value / 0x1000000), count - 24);
+		} else if (count) {
+			writer.bitBuffer |= (value & ((1 << count) - 1)) << writer.bitCount;
+			writer.bitCount += count;
+			while (writer.bitCount >= 8) {
+				writer.bytes.push(writer.bitBuffer & 0xFF);
+				writer.bitBuffer >>>= 8;
+				writer.bitCount -= 8;
+			}
+		}
+	}
+
+	close() {
+		const writer = this;
+		if (writer.bitCount) {
+			writer.bytes.push(writer.bitBuffer & 0xFF);
+		}
+		writer.bitBuffer = writer.bitCount = 0;
+		return writer.bytes;
+	}
+
+	closeStream() {
+		this.addBits(1, 1);
+		return this.close();
+	}
+}
+
+function reserveBuffer(compress) {
+	const { buffer, length, position, windowSize } = compress;
+	if (length == buffer.length) {
+		const maxLength = windowSize + 2 * BLOCK_SIZE_MAX;
+		if (buffer.length < maxLength) {
+			const newBuffer = new Uint8Array(Math.min(maxLength, Math.max(buffer.length * 2, BLOCK_SIZE_MAX)));
+			newBuffer.set(buffer);
+			compress.buffer = newBuffer;
+		} else {
+			const start = position - windowSize;
+			buffer.copyWithin(0, start, length);
+			compress.position -= start;
+			compress.length -= start;
+			compress.bufferOffset += start;
+			if (compress.bufferOffset > POSITION_MAX) {
+				compress.hashTable.fill(0);
+				compress.chainTable.fill(0);
+				compress.bufferOffset = 0;
+			}
+		}
+	}
+}
+
+function getOutput(compress) {
+	const { output } = compress;
+	compress.output = [];
+	const result = new Uint8Array(output.reduce((length, array) => length + array.length, 0));
+	let offset = 0;
+	output.forEach(array => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
+
+function writeBlock(compress, end, lastBlock) {
+	const { buffer, position, output, repeatOffsets, windowLog } = compress;
+	const blockSize = end - position;
+	if (!compress.headerWritten) {
+		output.push(new Uint8Array([
+			ZSTD_MAGIC_NUMBER & 0xFF, (ZSTD_MAGIC_NUMBER >> 8) & 0xFF, (ZSTD_MAGIC_NUMBER >> 16) & 0xFF, ZSTD_MAGIC_NUMBER >>> 24,
+			0,
+			(windowLog - 10) << 3
+		]));
+		compress.headerWritten = true;
+	}
+	const previousRepeatOffsets = Array.from(repeatOffsets);
+	let block;
+	if (blockSize) {
+		const { literals, sequences } = findSequences(compress, position, end);
+		block = encodeCompressedBlock(literals, sequences);
+	}
+	let blockType = BLOCK_TYPE_COMPRESSED;
+	if (!block || block.length >= blockSize) {
+		compress.repeatOffsets = previousRepeatOffsets;
+		blockType = BLOCK_TYPE_RAW;
+		block = buffer.slice(position, end);
+	}
+	const blockHeader = (block.length << 3) | (blockType << 1) | (lastBlock ? 1 : 0);
+	output.push(new Uint8Array([blockHeader & 0xFF, (blockHeader >> 8) & 0xFF, blockHeader >> 16]), block);
+	compress.position = end;
+}
+
+function findSequences(compress, start, end) {
+	const { buffer, repeatOffsets, lazyMatching, targetLength } = compress;
+	const literals = new Uint8Array(end - start);
+	const sequences = [];
+	const limit = end - MIN_MATCH;
+	let literalsIndex = 0;
+	let anchor = start;
+	let index = start;
+	while (index <= limit) {
+		let match = findMatch(compress, index, end);
+		insertPosition(compress, index);
+		if (match) {
+			let nextMatch = lazyMatching && match.length < targetLength && index < limit && findMatch(compress, index + 1, end);
+			while (nextMatch && nextMatch.length > match.length) {
+				index++;
+				insertPosition(compress, index);
+				match = nextMatch;
+				nextMatch = match.length < targetLength && index < limit && findMatch(compress, index + 1, end);
+			}
+			const literalsLength = index - anchor;
+			literals.set(buffer.subarray(anchor, index), literalsIndex);
+			literalsIndex += literalsLength;
+			let offsetValue;
+			if (literalsLength && match.offset == repeatOffsets[0]) {
+				offsetValue = 1;
+			} else {
+				offsetValue = match.offset + 3;
+				repeatOffsets.unshift(match.offset);
+				repeatOffsets.pop();
+			}
+			sequences.push({ literalsLength, matchLength: match.length, offsetValue });
+			const matchEnd = index + match.length;
+			for (index++; index < matchEnd; index++) {
+				if (index <= limit) {
+					insertPosition(compress, index);
+				}
+			}
+			anchor = index;
+		} else {
+			index++;
+		}
+	}
+	literals.set(buffer.subarray(anchor, end), literalsIndex);
+	literalsIndex += end - anchor;
+	return { literals: literals.subarray(0, literalsIndex), sequences };
+}
+
+function findMatch(compress, index, end) {
+	const { buffer, bufferOffset, hashTable, chainTable, windowSize, searchDepth, targetLength, repeatOffsets } = compress;
+	const chainMask = chainTable.length - 1;
+	const maxLength = end - index;
+	let bestLength = MIN_MATCH - 1;
+	let bestOffset = 0;
+	const repeatOffset = repeatOffsets[0];
+	if (index - repeatOffset >= 0) {
+		const length = getMatchLength(buffer, index - repeatOffset, index, maxLength);
+		if (length > bestLength) {
+			bestLength = length;
+			bestOffset = repeatOffset;
+		}
+	}
+	let candidate = hashTable[hash(compress, index)];
+	let depth = searchDepth;
+	while (candidate && depth && bestLength < targetLength && bestLength < maxLength) {
+		const candidateIndex = candidate - 1 - bufferOffset;
+		if (candidateIndex < 0 || index - candidateIndex > windowSize) {
+			depth = 0;
+		} else {
+			if (buffer[candidateIndex + bestLength] == buffer[index + bestLength]) {
+				const length = getMatchLength(buffer, candidateIndex, index, maxLength);
+				if (length > bestLength) {
+					bestLength = length;
+					bestOffset = index - candidateIndex;
+				}
+			}
+			candidate = chainTable[(candidate - 1) & chainMask];
+			depth--;
+		}
+	}
+	if (bestLength >= MIN_MATCH) {
+		return { length: bestLength, offset: bestOffset };
+	}
+}
+
+function insertPosition(compress, index) {
+	const { hashTable, chainTable, bufferOffset } = compress;
+	const position = bufferOffset + index;
+	const hashIndex = hash(compress, index);
+	chainTable[position & (chainTable.length - 1)] = hashTable[hashIndex];
+	hashTable[hashIndex] = position + 1;
+}
+
+function hash(compress, index) {
+	const { buffer, hashLog } = compress;
+	const value = buffer[index] | (buffer[index + 1] << 8) | (buffer[index + 2] << 16) | (buffer[index + 3] << 24);
+	return Math.imul(value, 0x9E3779B1) >>> (32 - hashLog);
+}
+
+function getMatchLength(buffer, matchIndex, index, maxLength) {
+	let length = 0;
+	while (length < maxLength && buffer[matchIndex + length] == buffer[index + length]) {
+		length++;
+	}
+	return length;
+}
+
+function encodeCompressedBlock(literals, sequences) {
+	const literalsSection = encodeLiterals(literals);
+	const sequencesSection = encodeSequences(sequences);
+	const block = new Uint8Array(literalsSection.length + sequencesSection.length);
+	block.set(literalsSection);
+	block.set(sequencesSection, literalsSection.length);
+	return block;
+}
+
+function encodeLiterals(literals) {
+	const size = literals.length;
+	const counts = new Array(256).fill(0);
+	literals.forEach(literal => counts[literal]++);
+	if (size > 1 && counts[literals[0]] == size) {
+		return concat(getLiteralsHeader(LITERALS_BLOCK_TYPE_RLE, size), [literals[0]]);
+	}
+	if (size >= MIN_HUFFMAN_LITERALS) {
+		const compressedLiterals = encodeHuffmanLiterals(literals, counts);
+		if (compressedLiterals && compressedLiterals.length < size) {
+			return compressedLiterals;
+		}
+	}
+	return concat(getLiteralsHeader(LITERALS_BLOCK_TYPE_RAW, size), literals);
+}
+
+function getLiteralsHeader(blockType, size) {
+	if (size < 32) {
+		return [blockType | (size << 3)];
+	} else if (size < 4096) {
+		return [blockType | (1 << 2) | ((size << 4) & 0xFF), size >> 4];
+	} else {
+		return [blockType | (3 << 2) | ((size << 4) & 0xFF), (size >> 4) & 0xFF, size >> 12];
+	}
+}
+
+function encodeHuffmanLiterals(literals, counts) {
+	const size = literals.length;
+	const nbBits = getHuffmanCodeLengths(counts, HUFFMAN_MAX_BITS);
+	const maxBits = Math.max(...nbBits);
+	let lastSymbol = nbBits.length - 1;
+	while (!nbBits[lastSymbol]) {
+		lastSymbol--;
+	}
+	const weights = nbBits.slice(0, lastSymbol + 1).map(length => length ? maxBits + 1 - length : 0);
+	const tableDescription = encodeHuffmanWeights(weights.slice(0, lastSymbol));
+	if (!tableDescription) {
+		return;
+	}
+	const codes = getHuffmanCodes(weights, maxBits);
+	const streams = [];
+	if (size < SINGLE_STREAM_LITERALS_MAX) {
+		streams.push(encodeHuffmanStream(literals, codes, nbBits));
+	} else {
+		const segmentSize = Math.ceil(size / 4);
+		for (let indexStream = 0; indexStream < 4; indexStream++) {
+			streams.push(encodeHuffmanStream(literals.subarray(indexStream * segmentSize, (indexStream + 1) * segmentSize), codes, nbBits));
+		}
+		if (streams.slice(0, 3).find(stream => stream.length > 0xFFFF)) {
+			return;
+		}
+		streams.unshift(streams.slice(0, 3).flatMap(stream => [stream.length & 0xFF, stream.length >> 8]));
+	}
+	const compressedSize = tableDescription.length + streams.reduce((length, stream) => length + stream.length, 0);
+	let sizeFormat, sizeBits;
+	if (streams.length == 1) {
+		sizeFormat = 0;
+		sizeBits = 10;
+	} else {
+		sizeFormat = Math.max(size, compressedSize) < 1024 ? 1 : Math.max(size, compressedSize) < 16384 ? 2 : 3;
+		sizeBits = sizeFormat == 1 ? 10 : sizeFormat == 2 ? 14 : 18;
+	}
+	const headerSize = sizeFormat < 2 ? 3 : sizeFormat == 2 ? 4 : 5;
+	const headerValue = LITERALS_BLOCK_TYPE_COMPRESSED + sizeFormat * 4 + size * 16 + compressedSize * 2 ** (4 + sizeBits);
+	const header = [];
+	for (let index = 0; index < headerSize; index++) {
+		header.push(Math.floor(headerValue / 2 ** (index * 8)) & 0xFF);
+	}
+	return concat(header, tableDescription, ...streams);
+}
+
+function getHuffmanCodeLengths(counts, maxBits) {
+	let frequencies = counts;
+	let lengths;
+	do {
+		lengths = getOptimalCodeLengths(frequencies);
+		frequencies = frequencies.map(frequency => frequency ? (frequency >> 1) | 1 : 0);
+	} while (Math.max(...lengths) > maxBits);
+	return lengths;
+}
+
+function getOptimalCodeLengths(frequencies) {
+	const leaves = [];
+	frequencies.forEach((frequency, symbol) => {
+		if (frequency) {
+			leaves.push({ frequency, symbol });
+		}
+	});
+	leaves.sort((leaf1, leaf2) => leaf1.frequency - leaf2.frequency || leaf1.symbol - leaf2.symbol);
+	const nodes = [];
+	let indexLeaf = 0;
+	let indexNode = 0;
+	const takeLowest = () => {
+		if (indexNode < nodes.length && (indexLeaf >= leaves.length || nodes[indexNode].frequency < leaves[indexLeaf].frequency)) {
+			return nodes[indexNode++];
+		} else {
+			return leaves[indexLeaf++];
+		}
+	};
+	while (leaves.length - indexLeaf + nodes.length - indexNode > 1) {
+		const node1 = takeLowest();
+		const node2 = takeLowest();
+		const node = { frequency: node1.frequency + node2.frequency, depth: 0 };
+		node1.parent = node2.parent = node;
+		nodes.push(node);
+	}
+	for (let index = nodes.length - 2; index >= 0; index--) {
+		nodes[index].depth = nodes[index].parent.depth + 1;
+	}
+	const lengths = new Array(frequencies.length).fill(0);
+	leaves.forEach(leaf => lengths[leaf.symbol] = leaf.parent.depth + 1);
+	return lengths;
+}
+
+function getHuffmanCodes(weights, maxBits) {
+	const rankStarts = new Array(maxBits + 2).fill(0);
+	weights.forEach(weight => rankStarts[weight + 1] += weight ? 1 << (weight - 1) : 0);
+	for (let weight = 2; weight <= maxBits + 1; weight++) {
+		rankStarts[weight] += rankStarts[weight - 1];
+	}
+	return weights.map(weight => {
+		if (weight) {
+			const code = rankStarts[weight] >> (weight - 1);
+			rankStarts[weight] += 1 << (weight - 1);
+			return code;
+		} else {
+			return 0;
+		}
+	});
+}
+
+function encodeHuffmanStream(literals, codes, nbBits) {
+	const writer = new BitWriter();
+	for (let index = literals.length - 1; index >= 0; index--) {
+		const literal = literals[index];
+		writer.addBits(codes[literal], nbBits[literal]);
+	}
+	return writer.closeStream();
+}
+
+function encodeHuffmanWeights(weights) {
+	let directDescription, compressedDescription;
+	if (weights.length <= HUFFMAN_DIRECT_WEIGHTS_MAX) {
+		directDescription = [127 + weights.length];
+		for (let index = 0; index < weights.length; index += 2) {
+			directDescription.push((weights[index] << 4) | (weights[index + 1] || 0));
+		}
+	}
+	const counts = new Array(HUFFMAN_MAX_BITS + 1).fill(0);
+	weights.forEach(weight => counts[weight]++);
+	if (weights.length > 1 && counts.filter(count => count).length > 1) {
+		const maxSymbol = Math.max(...weights);
+		const accuracyLog = getAccuracyLog(weights.length, maxSymbol, HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG);
+		const normalizedCounts = normalizeCounts(counts.slice(0, maxSymbol + 1), weights.length, accuracyLog);
+		const table = buildEncodingTable(normalizedCounts, accuracyLog);
+		const writer = new BitWriter();
+		const states = [];
+		for (let index = weights.length - 1; index >= 0; index--) {
+			const indexState = index & 1;
+			if (states[indexState] === undefined) {
+				states[indexState] = initState(table, weights[index]);
+			} else {
+				states[indexState] = encodeSymbol(writer, table, states[indexState], weights[index]);
+			}
+		}
+		writer.addBits(states[1], accuracyLog);
+		writer.addBits(states[0], accuracyLog);
+		const description = concat(writeNormalizedCounts(normalizedCounts, accuracyLog), writer.closeStream());
+		if (description.length <= HUFFMAN_COMPRESSED_WEIGHTS_MAX_SIZE) {
+			compressedDescription = concat([description.length], description);
+		}
+	}
+	if (directDescription && (!compressedDescription || directDescription.length <= compressedDescription.length)) {
+		return directDescription;
+	} else {
+		return compressedDescription;
+	}
+}
+
+function encodeSequences(sequences) {
+	const sequencesCount = sequences.length;
+	let header;
+	if (sequencesCount < 0x80) {
+		header = [sequencesCount];
+	} else if (sequencesCount < 0x7F00) {
+		header = [(sequencesCount >> 8) + 0x80, sequencesCount & 0xFF];
+	} else {
+		header = [0xFF, (sequencesCount - 0x7F00) & 0xFF, (sequencesCount - 0x7F00) >> 8];
+	}
+	if (!sequencesCount) {
+		return header;
+	}
+	const codes = [[], [], []];
+	sequences.forEach(({ literalsLength, matchLength, offsetValue }) => {
+		codes[0].push(getCode(literalsLength, LITERALS_LENGTH_BASELINES));
+		codes[1].push(highBit(offsetValue));
+		codes[2].push(getCode(matchLength, MATCH_LENGTH_BASELINES));
+	});
+	let modes = 0;
+	const descriptions = [];
+	const tables = codes.map((typeCodes, type) => {
+		const { mode, table, description } = selectSequenceTable(typeCodes, type);
+		modes |= mode << (6 - type * 2);
+		descriptions.push(...description);
+		return table;
+	});
+	const [literalsLengthTable, offsetTable, matchLengthTable] = tables;
+	const [literalsLengthCodes, offsetCodes, matchLengthCodes] = codes;
+	const writer = new BitWriter();
+	let literalsLengthState, offsetState, matchLengthState;
+	for (let index = sequencesCount - 1; index >= 0; index--) {
+		const { literalsLength, matchLength, offsetValue } = sequences[index];
+		const literalsLengthCode = literalsLengthCodes[index];
+		const offsetCode = offsetCodes[index];
+		const matchLengthCode = matchLengthCodes[index];
+		if (index == sequencesCount - 1) {
+			matchLengthState = initState(matchLengthTable, matchLengthCode);
+			offsetState = initState(offsetTable, offsetCode);
+			literalsLengthState = initState(literalsLengthTable, literalsLengthCode);
+		} else {
+			offsetState = encodeSymbol(writer, offsetTable, offsetState, offsetCode);
+			matchLengthState = encodeSymbol(writer, matchLengthTable, matchLengthState, matchLengthCode);
+			literalsLengthState = encodeSymbol(writer, literalsLengthTable, literalsLengthState, literalsLengthCode);
+		}
+		writer.addBits(literalsLength - LITERALS_LENGTH_BASELINES[literalsLengthCode], LITERALS_LENGTH_EXTRA_BITS[literalsLengthCode]);
+		writer.addBits(matchLength - MATCH_LENGTH_BASELINES[matchLengthCode], MATCH_LENGTH_EXTRA_BITS[matchLengthCode]);
+		writer.addBits(offsetValue - 2 ** offsetCode, offsetCode);
+	}
+	writer.addBits(matchLengthState, matchLengthTable.accuracyLog);
+	writer.addBits(offsetState, offsetTable.accuracyLog);
+	writer.addBits(literalsLengthState, literalsLengthTable.accuracyLog);
+	return concat(header, [modes], descriptions, writer.closeStream());
+}
+
+function getCode(value, baselines) {
+	let code = baselines.length - 1;
+	while (baselines[code] > value) {
+		code--;
+	}
+	return code;
+}
+
+function selectSequenceTable(codes, type) {
+	const [defaultDistribution, defaultAccuracyLog, , maxAccuracyLog] = SEQUENCE_TABLES[type];
+	const maxSymbol = Math.max(...codes);
+	const counts = new Array(maxSymbol + 1).fill(0);
+	codes.forEach(code => counts[code]++);
+	if (counts[maxSymbol] == codes.length) {
+		const normalizedCounts = new Array(maxSymbol + 1).fill(0);
+		normalizedCounts[maxSymbol] = 1;
+		return { mode: SEQUENCE_MODE_RLE, table: buildEncodingTable(normalizedCounts, 0), description: [maxSymbol] };
+	}
+	let predefinedCost = Infinity;
+	if (maxSymbol < defaultDistribution.length) {
+		predefinedCost = getCost(counts, defaultDistribution, defaultAccuracyLog);
+	}
+	const accuracyLog = getAccuracyLog(codes.length, maxSymbol, maxAccuracyLog);
+	const normalizedCounts = normalizeCounts(counts, codes.length, accuracyLog);
+	const description = writeNormalizedCounts(normalizedCounts, accuracyLog);
+	if (description.length * 8 + getCost(counts, normalizedCounts, accuracyLog) < predefinedCost) {
+		return { mode: SEQUENCE_MODE_FSE_COMPRESSED, table: buildEncodingTable(normalizedCounts, accuracyLog), description };
+	} else {
+		if (!defaultTables) {
+			defaultTables = SEQUENCE_TABLES.map(([distribution, accuracyLog]) => buildEncodingTable(distribution, accuracyLog));
+		}
+		return { mode: SEQUENCE_MODE_PREDEFINED, table: defaultTables[type], description: [] };
+	}
+}
+
+function getCost(counts, normalizedCounts, accuracyLog) {
+	let cost = 0;
+	counts.forEach((count, symbol) => {
+		if (count) {
+			const normalizedCount = normalizedCounts[symbol] == -1 ? 1 : normalizedCounts[symbol];
+			cost += normalizedCount ? count * (accuracyLog - Math.log2(normalizedCount)) : Infinity;
+		}
+	});
+	return cost;
+}
+
+function getAccuracyLog(total, maxSymbol, maxAccuracyLog) {
+	const minBits = Math.min(highBit(total) + 1, highBit(maxSymbol) + 2);
+	const accuracyLog = Math.max(Math.min(maxAccuracyLog, highBit(total - 1) - 2), minBits);
+	return Math.min(Math.max(accuracyLog, FSE_MIN_ACCURACY_LOG), maxAccuracyLog);
+}
+
+function normalizeCounts(counts, total, accuracyLog) {
+	const tableSize = 1 << accuracyLog;
+	const normalizedCounts = counts.map(count => count ? Math.max(1, Math.round(count * tableSize / total)) : 0);
+	const symbols = Array.from(normalizedCounts.keys()).sort((symbol1, symbol2) => normalizedCounts[symbol2] - normalizedCounts[symbol1]);
+	let difference = tableSize - normalizedCounts.reduce((sum, count) => sum + count, 0);
+	if (difference > 0) {
+		normalizedCounts[symbols[0]] += difference;
+	}
+	while (difference < 0) {
+		for (let index = 0; index < symbols.length && difference < 0; index++) {
+			if (normalizedCounts[symbols[index]] > 1) {
+				normalizedCounts[symbols[index]]--;
+				difference++;
+			}
+		}
+	}
+	return normalizedCounts;
+}
+
+function writeNormalizedCounts(normalizedCounts, accuracyLog) {
+	const writer = new BitWriter();
+	const tableSize = 1 << accuracyLog;
+	let remaining = tableSize + 1;
+	let threshold = tableSize;
+	let nbBits = accuracyLog + 1;
+	let symbol = 0;
+	let previousZero = false;
+	writer.addBits(accuracyLog - FSE_MIN_ACCURACY_LOG, 4);
+	while (symbol < normalizedCounts.length && remaining > 1) {
+		if (previousZero) {
+			let start = symbol;
+			while (!normalizedCounts[symbol]) {
+				symbol++;
+			}
+			while (symbol >= start + 3) {
+				writer.addBits(3, 2);
+				start += 3;
+			}
+			writer.addBits(symbol - start, 2);
+		}
+		let count = normalizedCounts[symbol];
+		symbol++;
+		const max = (2 * threshold - 1) - remaining;
+		remaining -= Math.abs(count);
+		count++;
+		if (count >= threshold) {
+			count += max;
+		}
+		writer.addBits(count, count < max ? nbBits - 1 : nbBits);
+		previousZero = count == 1;
+		while (remaining < threshold) {
+			nbBits--;
+			threshold >>= 1;
+		}
+	}
+	return writer.close();
+}
+
+function buildEncodingTable(normalizedCounts, accuracyLog) {
+	const tableSize = 1 << accuracyLog;
+	const symbols = spreadSymbols(normalizedCounts, accuracyLog);
+	const starts = [];
+	let total = 0;
+	normalizedCounts.forEach((count, symbol) => {
+		starts[symbol] = total;
+		total += count == -1 ? 1 : count;
+	});
+	const stateTable = new Uint16Array(tableSize);
+	symbols.forEach((symbol, state) => {
+		stateTable[starts[symbol]] = tableSize + state;
+		starts[symbol]++;
+	});
+	const deltaNbBits = [];
+	const deltaFindStates = [];
+	total = 0;
+	normalizedCounts.forEach((count, symbol) => {
+		if (count == -1 || count == 1) {
+			deltaNbBits[symbol] = (accuracyLog << 16) - tableSize;
+			deltaFindStates[symbol] = total - 1;
+			total++;
+		} else if (count > 1) {
+			const maxBitsOut = accuracyLog - highBit(count - 1);
+			deltaNbBits[symbol] = (maxBitsOut << 16) - (count << maxBitsOut);
+			deltaFindStates[symbol] = total - count;
+			total += count;
+		}
+	});
+	return { accuracyLog, stateTable, deltaNbBits, deltaFindStates };
+}
+
+function initState(table, symbol) {
+	const { stateTable, deltaNbBits, deltaFindStates } = table;
+	const nbBitsOut = (deltaNbBits[symbol] + (1 << 15)) >> 16;
+	const value = (nbBitsOut << 16) - deltaNbBits[symbol];
+	return stateTable[(value >> nbBitsOut) + deltaFindStates[symbol]];
+}
+
+function encodeSymbol(writer, table, state, symbol) {
+	const { stateTable, deltaNbBits, deltaFindStates } = table;
+	const nbBitsOut = (state + deltaNbBits[symbol]) >> 16;
+	writer.addBits(state, nbBitsOut);
+	return stateTable[(state >> nbBitsOut) + deltaFindStates[symbol]];
+}
+
+function concat(...arrays) {
+	const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+	let offset = 0;
+	arrays.forEach(array => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
@@ -0,0 +1,815 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/*
+ * Zstandard (RFC 8878) decoder, compression method 93.
+ * Input is buffered until a whole block is available, so that blocks are always
+ * decoded in one pass. Dictionaries are not supported and content checksums are
+ * skipped, the integrity of the data is already verified with the CRC32 of the entry.
+ */
+
+// deno-lint-ignore-file no-this-alias
+
+import {
+	ZSTD_MAGIC_NUMBER,
+	SKIPPABLE_FRAME_MAGIC_NUMBER,
+	SKIPPABLE_FRAME_MAGIC_NUMBER_MASK,
+	BLOCK_SIZE_MAX,
+	BLOCK_HEADER_SIZE,
+	BLOCK_TYPE_RAW,
+	BLOCK_TYPE_RLE,
+	BLOCK_TYPE_COMPRESSED,
+	LITERALS_BLOCK_TYPE_RAW,
+	LITERALS_BLOCK_TYPE_RLE,
+	LITERALS_BLOCK_TYPE_COMPRESSED,
+	SEQUENCE_MODE_PREDEFINED,
+	SEQUENCE_MODE_RLE,
+	SEQUENCE_MODE_FSE_COMPRESSED,
+	HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_BASELINES,
+	LITERALS_LENGTH_EXTRA_BITS,
+	MATCH_LENGTH_BASELINES,
+	MATCH_LENGTH_EXTRA_BITS,
+	LITERALS_LENGTH_DEFAULT_DISTRIBUTION,
+	MATCH_LENGTH_DEFAULT_DISTRIBUTION,
+	OFFSET_DEFAULT_DISTRIBUTION,
+	LITERALS_LENGTH_DEFAULT_ACCURACY_LOG,
+	MATCH_LENGTH_DEFAULT_ACCURACY_LOG,
+	OFFSET_DEFAULT_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_ACCURACY_LOG,
+	MATCH_LENGTH_MAX_ACCURACY_LOG,
+	OFFSET_MAX_ACCURACY_LOG,
+	LITERALS_LENGTH_MAX_SYMBOL,
+	MATCH_LENGTH_MAX_SYMBOL,
+	OFFSET_MAX_SYMBOL,
+	ERR_CORRUPTED_DATA,
+	highBit,
+	spreadSymbols
+} from "./zstd-common.js";
+
+const HUFFMAN_MAX_TABLE_LOG = 12;
+const HUFFMAN_MAX_WEIGHTS = 255;
+const WINDOW_LOG_MIN = 10;
+const WINDOW_LOG_MAX = 31;
+const REPEAT_OFFSETS = [1, 4, 8];
+const LITERALS_LENGTH = 0;
+const OFFSET = 1;
+const MATCH_LENGTH = 2;
+const SEQUENCE_TABLES = [
+	[LITERALS_LENGTH_DEFAULT_DISTRIBUTION, LITERALS_LENGTH_DEFAULT_ACCURACY_LOG, LITERALS_LENGTH_MAX_SYMBOL, LITERALS_LENGTH_MAX_ACCURACY_LOG],
+	[OFFSET_DEFAULT_DISTRIBUTION, OFFSET_DEFAULT_ACCURACY_LOG, OFFSET_MAX_SYMBOL, OFFSET_MAX_ACCURACY_LOG],
+	[MATCH_LENGTH_DEFAULT_DISTRIBUTION, MATCH_LENGTH_DEFAULT_ACCURACY_LOG, MATCH_LENGTH_MAX_SYMBOL, MATCH_LENGTH_MAX_ACCURACY_LOG]
+];
+
+const STATE_MAGIC_NUMBER = 0;
+const STATE_FRAME_HEADER_DESCRIPTOR = 1;
+const STATE_FRAME_HEADER = 2;
+const STATE_BLOCK_HEADER = 3;
+const STATE_BLOCK = 4;
+const STATE_CHECKSUM = 5;
+const STATE_SKIPPABLE_FRAME_SIZE = 6;
+const STATE_SKIPPABLE_FRAME = 7;
+
+const ERR_INVALID_MAGIC_NUMBER = "invalid magic number";
+const ERR_RESERVED_BIT = "reserved bit set";
+const ERR_DICTIONARY_NOT_SUPPORTED = "dictionaries are not supported";
+const ERR_INVALID_WINDOW_SIZE = "invalid window size";
+const ERR_INVALID_BLOCK_TYPE = "invalid block type";
+const ERR_INVALID_BLOCK_SIZE = "invalid block size";
+const ERR_INVALID_HUFFMAN_TABLE = "invalid Huffman table";
+const ERR_INVALID_FSE_TABLE = "invalid FSE table";
+const ERR_INVALID_OFFSET = "invalid offset";
+const ERR_INVALID_CONTENT_SIZE = "invalid content size";
+const ERR_UNEXPECTED_END = "unexpected end of data";
+
+let defaultTables;
+
+class ZstdDecompress {
+
+	constructor() {
+		Object.assign(this, {
+			input: new InputBuffer(),
+			state: STATE_MAGIC_NUMBER,
+			buffer: new Uint8Array(0),
+			framesCount: 0
+		});
+	}
+
+	append(data, onprogress) {
+		const decompress = this;
+		if (data.length === 0) {
+			return;
+		}
+		decompress.input.append(data);
+		const output = [];
+		try {
+			decodeFrames(decompress, output);
+		} catch (error) {
+			error.message = "zstd: " + error.message;
+			throw error;
+		}
+		if (onprogress) {
+			onprogress(data.length);
+		}
+		return concat(output);
+	}
+
+	flush() {
+		const { state, input, framesCount } = this;
+		if (state != STATE_MAGIC_NUMBER || input.length || !framesCount) {
+			throw new Error("zstd: " + ERR_UNEXPECTED_END);
+		}
+	}
+}
+
+export {
+	ZstdDecompress
+};
+
+class InputBuffer {
+
+	constructor() {
+		this.chunks = [];
+		this.length = 0;
+	}
+
+	append(data) {
+		this.chunks.push(data);
+		this.length += data.length;
+	}
+
+	read(length) {
+		const inputBuffer = this;
+		const { chunks } = inputBuffer;
+		let data;
+		if (!length) {
+			data = new Uint8Array(0);
+		} else if (chunks[0].length == length) {
+			data = chunks.shift();
+		} else if (chunks[0].length > length) {
+			data = chunks[0].subarray(0, length);
+			chunks[0] = chunks[0].subarray(length);
+		} else {
+			data = new Uint8Array(length);
+			let offset = 0;
+			while (offset < length) {
+				const chunk = chunks[0];
+				const size = Math.min(chunk.length, length - offset);
+				data.set(chunk.subarray(0, size), offset);
+				offset += size;
+				if (size == chunk.length) {
+					chunks.shift();
+				} else {
+					chunks[0] = chunk.subarray(size);
+				}
+			}
+		}
+		inputBuffer.length -= length;
+		return data;
+	}
+}
+
+class BackwardBitReader {
+
+	constructor(bytes, start, end) {
+		if (end <= start || !bytes[end - 1]) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		this.bytes = bytes;
+		this.bitOffset = start * 8;
+		this.position = (end - start - 1) * 8 + highBit(bytes[end - 1]);
+	}
+
+	readBits(count) {
+		this.position -= count;
+		return this.getBits(this.position, count);
+	}
+
+	peekBits(count) {
+		return this.getBits(this.position - count, count);
+	}
+
+	getBits(position, count) {
+		if (!count || position + count <= 0) {
+			return 0;
+		} else if (position < 0) {
+			return this.getBits(0, count + position) * (1 << -position);
+		} else {
+			return readBits(this.bytes, this.bitOffset + position, count);
+		}
+	}
+}
+
+function decodeFrames(decompress, output) {
+	const { input } = decompress;
+	let available = true;
+	while (available) {
+		const { state } = decompress;
+		if (state == STATE_MAGIC_NUMBER) {
+			available = input.length >= 4;
+			if (available) {
+				const magicNumber = getUint32(input.read(4), 0);
+				if (magicNumber == ZSTD_MAGIC_NUMBER) {
+					decompress.state = STATE_FRAME_HEADER_DESCRIPTOR;
+				} else if (((magicNumber & SKIPPABLE_FRAME_MAGIC_NUMBER_MASK) >>> 0) == SKIPPABLE_FRAME_MAGIC_NUMBER) {
+					decompress.state = STATE_SKIPPABLE_FRAME_SIZE;
+				} else {
+					throw new Error(ERR_INVALID_MAGIC_NUMBER);
+				}
+			}
+		} else if (state == STATE_FRAME_HEADER_DESCRIPTOR) {
+			available = input.length >= 1;
+			if (available) {
+				const descriptor = input.read(1)[0];
+				const contentSizeFlag = descriptor >> 6;
+				const singleSegment = Boolean(descriptor & 0x20);
+				const dictionaryIdFlag = descriptor & 0x03;
+				if (descriptor & 0x08) {
+					throw new Error(ERR_RESERVED_BIT);
+				}
+				Object.assign(decompress, {
+					descriptor,
+					headerSize: (singleSegment ? 0 : 1) + [0, 1, 2, 4][dictionaryIdFlag] +
+						(contentSizeFlag ? 1 << contentSizeFlag : singleSegment ? 1 : 0),
+					state: STATE_FRAME_HEADER
+				});
+			}
+		} else if (state == STATE_FRAME_HEADER) {
+			available = input.length >= decompress.headerSize;
+			if (available) {
+				readFrameHeader(decompress, input.read(decompress.headerSize));
+				decompress.state = STATE_BLOCK_HEADER;
+			}
+		} else if (state == STATE_BLOCK_HEADER) {
+			available = input.length >= BLOCK_HEADER_SIZE;
+			if (available) {
+				const header = input.read(BLOCK_HEADER_SIZE);
+				const value = header[0] | (header[1] << 8) | (header[2] << 16);
+				const blockType = (value >> 1) & 0x03;
+				const blockSize = value >> 3;
+				if (blockType > BLOCK_TYPE_COMPRESSED) {
+					throw new Error(ERR_INVALID_BLOCK_TYPE);
+				}
+				if (blockSize > decompress.blockSizeMax) {
+					throw new Error(ERR_INVALID_BLOCK_SIZE);
+				}
+				Object.assign(decompress, {
+					lastBlock: Boolean(value & 0x01),
+					blockType,
+					blockSize,
+					state: STATE_BLOCK
+				});
+			}
+		} else if (state == STATE_BLOCK) {
+			const { blockType, blockSize } = decompress;
+			const size = blockType == BLOCK_TYPE_RLE ? 1 : blockSize;
+			available = input.length >= size;
+			if (available) {
+				output.push(decodeBlock(decompress, input.read(size)));
+				if (decompress.lastBlock) {
+					endFrame(decompress);
+				} else {
+					decompress.state = STATE_BLOCK_HEADER;
+				}
+			}
+		} else if (state == STATE_CHECKSUM) {
+			available = input.length >= 4;
+			if (available) {
+				input.read(4);
+				decompress.state = STATE_MAGIC_NUMBER;
+			}
+		} else if (state == STATE_SKIPPABLE_FRAME_SIZE) {
+			available = input.length >= 4;
+			if (available) {
+				decompress.skippableFrameSize = getUint32(input.read(4), 0);
+				decompress.state = STATE_SKIPPABLE_FRAME;
+			}
+		} else if (state == STATE_SKIPPABLE_FRAME) {
+			const size = Math.min(input.length, decompress.skippableFrameSize);
+			input.read(size);
+			decompress.skippableFrameSize -= size;
+			available = !decompress.skippableFrameSize;
+			if (available) {
+				decompress.state = STATE_MAGIC_NUMBER;
+			}
+		}
+	}
+}
+
+function readFrameHeader(decompress, header) {
+	const { descriptor } = decompress;
+	const contentSizeFlag = descriptor >> 6;
+	const singleSegment = Boolean(descriptor & 0x20);
+	const dictionaryIdSize = [0, 1, 2, 4][descriptor & 0x03];
+	let offset = 0;
+	let windowSize;
+	if (!singleSegment) {
+		const windowDescriptor = header[offset];
+		const windowLog = WINDOW_LOG_MIN + (windowDescriptor >> 3);
+		if (windowLog > WINDOW_LOG_MAX) {
+			throw new Error(ERR_INVALID_WINDOW_SIZE);
+		}
+		const windowBase = 2 ** windowLog;
+		windowSize = windowBase + (windowBase / 8) * (windowDescriptor & 0x07);
+		offset++;
+	}
+	if (dictionaryIdSize) {
+		const dictionaryId = getUint(header, offset, dictionaryIdSize);
+		if (dictionaryId) {
+			throw new Error(ERR_DICTIONARY_NOT_SUPPORTED);
+		}
+		offset += dictionaryIdSize;
+	}
+	let contentSize;
+	if (contentSizeFlag || singleSegment) {
+		const contentSizeLength = contentSizeFlag ? 1 << contentSizeFlag : 1;
+		contentSize = getUint(header, offset, contentSizeLength);
+		if (contentSizeLength == 2) {
+			contentSize += 256;
+		}
+	}
+	if (singleSegment) {
+		windowSize = contentSize;
+	}
+	Object.assign(decompress, {
+		windowSize,
+		blockSizeMax: Math.min(windowSize, BLOCK_SIZE_MAX),
+		contentSize,
+		checksum: Boolean(descriptor & 0x04),
+		frameOutputSize: 0,
+		position: 0,
+		repeatOffsets: Array.from(REPEAT_OFFSETS),
+		huffmanTable: null,
+		sequenceTables: []
+	});
+}
+
+function endFrame(decompress) {
+	const { contentSize, frameOutputSize, checksum } = decompress;
+	if (contentSize !== undefined && contentSize != frameOutputSize) {
+		throw new Error(ERR_INVALID_CONTENT_SIZE);
+	}
+	decompress.state = checksum ? STATE_CHECKSUM : STATE_MAGIC_NUMBER;
+	decompress.framesCount++;
+}
+
+function decodeBlock(decompress, block) {
+	const { blockType, blockSize } = decompress;
+	reserveBuffer(decompress);
+	const start = decompress.blockStart = decompress.position;
+	if (blockType == BLOCK_TYPE_RAW) {
+		decompress.buffer.set(block, start);
+		decompress.position += blockSize;
+	} else if (blockType == BLOCK_TYPE_RLE) {
+		decompress.buffer.fill(block[0], start, start + blockSize);
+		decompress.position += blockSize;
+	} else {
+		decodeCompressedBlock(decompress, block);
+	}
+	decompress.frameOutputSize += decompress.position - start;
+	return decompress.buffer.slice(start, decompress.position);
+}
+
+function reserveBuffer(decompress) {
+	const { buffer, position, windowSize } = decompress;
+	if (position + BLOCK_SIZE_MAX > buffer.length) {
+		const maxLength = windowSize + 2 * BLOCK_SIZE_MAX;
+		if (buffer.length < maxLength) {
+			const newBuffer = new Uint8Array(Math.min(maxLength, Math.max(buffer.length * 2, position + BLOCK_SIZE_MAX)));
+			newBuffer.set(buffer.subarray(0, position));
+			decompress.buffer = newBuffer;
+		} else {
+			buffer.copyWithin(0, position - windowSize, position);
+			decompress.position = windowSize;
+		}
+	}
+}
+
+function decodeCompressedBlock(decompress, block) {
+	const { literals, size } = decodeLiterals(decompress, block);
+	let offset = size;
+	if (offset >= block.length) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	let sequencesCount = block[offset];
+	offset++;
+	if (sequencesCount >= 0x80) {
+		if (sequencesCount == 0xFF) {
+			sequencesCount = block[offset] + (block[offset + 1] << 8) + 0x7F00;
+			offset += 2;
+		} else {
+			sequencesCount = ((sequencesCount - 0x80) << 8) + block[offset];
+			offset++;
+		}
+	}
+	let literalsIndex = 0;
+	if (sequencesCount) {
+		const modes = block[offset];
+		offset++;
+		if (modes & 0x03) {
+			throw new Error(ERR_RESERVED_BIT);
+		}
+		const tables = [];
+		[LITERALS_LENGTH, OFFSET, MATCH_LENGTH].forEach(type => {
+			const mode = (modes >> (6 - type * 2)) & 0x03;
+			const { table, size } = readSequenceTable(decompress, type, mode, block, offset);
+			tables[type] = decompress.sequenceTables[type] = table;
+			offset += size;
+		});
+		literalsIndex = executeSequences(decompress, tables, new BackwardBitReader(block, offset, block.length), sequencesCount, literals);
+	} else if (offset != block.length) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	const remainingLiterals = literals.length - literalsIndex;
+	if (decompress.position + remainingLiterals - decompress.blockStart > BLOCK_SIZE_MAX) {
+		throw new Error(ERR_INVALID_BLOCK_SIZE);
+	}
+	decompress.buffer.set(literals.subarray(literalsIndex), decompress.position);
+	decompress.position += remainingLiterals;
+}
+
+function executeSequences(decompress, tables, reader, sequencesCount, literals) {
+	const { buffer, repeatOffsets, blockStart } = decompress;
+	const [literalsLengthTable, offsetTable, matchLengthTable] = tables;
+	const outputMax = blockStart + BLOCK_SIZE_MAX;
+	let position = decompress.position;
+	let literalsIndex = 0;
+	let literalsLengthState = reader.readBits(literalsLengthTable.accuracyLog);
+	let offsetState = reader.readBits(offsetTable.accuracyLog);
+	let matchLengthState = reader.readBits(matchLengthTable.accuracyLog);
+	for (let sequenceIndex = 0; sequenceIndex < sequencesCount; sequenceIndex++) {
+		const offsetCode = offsetTable.symbols[offsetState];
+		const matchLengthCode = matchLengthTable.symbols[matchLengthState];
+		const literalsLengthCode = literalsLengthTable.symbols[literalsLengthState];
+		const offsetValue = 2 ** offsetCode + reader.readBits(offsetCode);
+		const matchLength = MATCH_LENGTH_BASELINES[matchLengthCode] + reader.readBits(MATCH_LENGTH_EXTRA_BITS[matchLengthCode]);
+		const literalsLength = LITERALS_LENGTH_BASELINES[literalsLengthCode] + reader.readBits(LITERALS_LENGTH_EXTRA_BITS[literalsLengthCode]);
+		let offset;
+		if (offsetValue > 3) {
+			offset = offsetValue - 3;
+			repeatOffsets.unshift(offset);
+			repeatOffsets.pop();
+		} else {
+			const repeatIndex = offsetValue - 1 + (literalsLength ? 0 : 1);
+			if (repeatIndex) {
+				offset = repeatIndex == 3 ? repeatOffsets[0] - 1 : repeatOffsets[repeatIndex];
+				if (repeatIndex != 1) {
+					repeatOffsets[2] = repeatOffsets[1];
+				}
+				repeatOffsets[1] = repeatOffsets[0];
+				repeatOffsets[0] = offset;
+			} else {
+				offset = repeatOffsets[0];
+			}
+		}
+		if (sequenceIndex < sequencesCount - 1) {
+			literalsLengthState = literalsLengthTable.baselines[literalsLengthState] + reader.readBits(literalsLengthTable.nbBits[literalsLengthState]);
+			matchLengthState = matchLengthTable.baselines[matchLengthState] + reader.readBits(matchLengthTable.nbBits[matchLengthState]);
+			offsetState = offsetTable.baselines[offsetState] + reader.readBits(offsetTable.nbBits[offsetState]);
+		}
+		if (literalsIndex + literalsLength > literals.length || position + literalsLength + matchLength > outputMax) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		buffer.set(literals.subarray(literalsIndex, literalsIndex + literalsLength), position);
+		literalsIndex += literalsLength;
+		position += literalsLength;
+		if (!offset || offset > position || offset > decompress.frameOutputSize + position - blockStart) {
+			throw new Error(ERR_INVALID_OFFSET);
+		}
+		const matchStart = position - offset;
+		if (offset >= matchLength) {
+			buffer.copyWithin(position, matchStart, matchStart + matchLength);
+		} else {
+			for (let index = 0; index < matchLength; index++) {
+				buffer[position + index] = buffer[matchStart + index];
+			}
+		}
+		position += matchLength;
+	}
+	if (reader.position) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+	decompress.position = position;
+	return literalsIndex;
+}
+
+function decodeLiterals(decompress, block) {
+	const blockType = block[0] & 0x03;
+	const sizeFormat = (block[0] >> 2) & 0x03;
+	if (blockType == LITERALS_BLOCK_TYPE_RAW || blockType == LITERALS_BLOCK_TYPE_RLE) {
+		let regeneratedSize, headerSize;
+		if (sizeFormat == 1) {
+			regeneratedSize = (block[0] >> 4) | (block[1] << 4);
+			headerSize = 2;
+		} else if (sizeFormat == 3) {
+			regeneratedSize = (block[0] >> 4) | (block[1] << 4) | (block[2] << 12);
+			headerSize = 3;
+		} else {
+			regeneratedSize = block[0] >> 3;
+			headerSize = 1;
+		}
+		if (regeneratedSize > BLOCK_SIZE_MAX) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		if (blockType == LITERALS_BLOCK_TYPE_RAW) {
+			if (headerSize + regeneratedSize > block.length) {
+				throw new Error(ERR_CORRUPTED_DATA);
+			}
+			return { literals: block.subarray(headerSize, headerSize + regeneratedSize), size: headerSize + regeneratedSize };
+		} else {
+			return { literals: new Uint8Array(regeneratedSize).fill(block[headerSize]), size: headerSize + 1 };
+		}
+	} else {
+		let regeneratedSize, compressedSize, headerSize;
+		if (sizeFormat < 2) {
+			regeneratedSize = (block[0] >> 4) | ((block[1] & 0x3F) << 4);
+			compressedSize = (block[1] >> 6) | (block[2] << 2);
+			headerSize = 3;
+		} else if (sizeFormat == 2) {
+			regeneratedSize = (block[0] >> 4) | (block[1] << 4) | ((block[2] & 0x03) << 12);
+			compressedSize = (block[2] >> 2) | (block[3] << 6);
+			headerSize = 4;
+		} else {
+			regeneratedSize = (block[0] >> 4) | (block[1] << 4) | ((block[2] & 0x3F) << 12);
+			compressedSize = (block[2] >> 6) | (block[3] << 2) | (block[4] << 10);
+			headerSize = 5;
+		}
+		const end = headerSize + compressedSize;
+		if (regeneratedSize > BLOCK_SIZE_MAX || end > block.length) {
+			throw new Error(ERR_CORRUPTED_DATA);
+		}
+		let offset = headerSize;
+		if (blockType == LITERALS_BLOCK_TYPE_COMPRESSED) {
+			const { table, size } = readHuffmanTable(block, offset, end);
+			decompress.huffmanTable = table;
+			offset += size;
+		} else if (!decompress.huffmanTable) {
+			throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+		}
+		const table = decompress.huffmanTable;
+		const literals = new Uint8Array(regeneratedSize);
+		if (sizeFormat == 0) {
+			decodeHuffmanStream(table, block, offset, end, literals, 0, regeneratedSize);
+		} else {
+			const segmentSize = Math.ceil(regeneratedSize / 4);
+			let streamStart = offset + 6;
+			if (streamStart > end || segmentSize * 3 > regeneratedSize) {
+				throw new Error(ERR_CORRUPTED_DATA);
+			}
+			for (let indexStream = 0; indexStream < 4; indexStream++) {
+				const streamEnd = indexStream < 3 ? streamStart + (block[offset + indexStream * 2] | (block[offset + indexStream * 2 + 1] << 8)) : end;
+				const outputStart = indexStream * segmentSize;
+				const outputEnd = indexStream < 3 ? outputStart + segmentSize : regeneratedSize;
+				if (streamEnd > end) {
+					throw new Error(ERR_CORRUPTED_DATA);
+				}
+				decodeHuffmanStream(table, block, streamStart, streamEnd, literals, outputStart, outputEnd);
+				streamStart = streamEnd;
+			}
+		}
+		return { literals, size: end };
+	}
+}
+
+function readHuffmanTable(block, offset, end) {
+	const headerByte = block[offset];
+	const weights = [];
+	let size;
+	if (headerByte >= 128) {
+		const weightsCount = headerByte - 127;
+		size = 1 + Math.ceil(weightsCount / 2);
+		if (offset + size > end) {
+			throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+		}
+		for (let index = 0; index < weightsCount; index++) {
+			const byte = block[offset + 1 + (index >> 1)];
+			weights.push(index & 1 ? byte & 0x0F : byte >> 4);
+		}
+	} else {
+		size = 1 + headerByte;
+		const start = offset + 1;
+		if (offset + size > end) {
+			throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+		}
+		const { normalizedCounts, accuracyLog, size: countsSize } = readNormalizedCounts(block, start, offset + size, HUFFMAN_MAX_TABLE_LOG, HUFFMAN_WEIGHTS_MAX_ACCURACY_LOG);
+		const table = buildDecodingTable(normalizedCounts, accuracyLog);
+		const reader = new BackwardBitReader(block, start + countsSize, offset + size);
+		const states = [reader.readBits(accuracyLog), reader.readBits(accuracyLog)];
+		let indexState = 0;
+		let done = false;
+		while (!done) {
+			const state = states[indexState];
+			weights.push(table.symbols[state]);
+			states[indexState] = table.baselines[state] + reader.readBits(table.nbBits[state]);
+			indexState = 1 - indexState;
+			if (reader.position < 0) {
+				weights.push(table.symbols[states[indexState]]);
+				done = true;
+			}
+			if (weights.length > HUFFMAN_MAX_WEIGHTS) {
+				throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+			}
+		}
+	}
+	let total = 0;
+	weights.forEach(weight => {
+		if (weight > HUFFMAN_MAX_TABLE_LOG) {
+			throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+		}
+		total += weight ? 1 << (weight - 1) : 0;
+	});
+	if (!total) {
+		throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+	}
+	const maxBits = highBit(total) + 1;
+	const remainder = (1 << maxBits) - total;
+	if (maxBits > HUFFMAN_MAX_TABLE_LOG || remainder & (remainder - 1)) {
+		throw new Error(ERR_INVALID_HUFFMAN_TABLE);
+	}
+	weights.push(highBit(remainder) + 1);
+	const rankStarts = new Array(maxBits + 2).fill(0);
+	weights.forEach(weight => rankStarts[weight + 1] += weight ? 1 << (weight - 1) : 0);
+	for (let weight = 2; weight <= maxBits + 1; weight++) {
+		rankStarts[weight] += rankStarts[weight - 1];
+	}
+	const symbols = new Uint8Array(1 << maxBits);
+	const nbBits = new Uint8Array(1 << maxBits);
+	weights.forEach((weight, symbol) => {
+		if (weight) {
+			const start = rankStarts[weight];
+			const length = 1 << (weight - 1);
+			symbols.fill(symbol, start, start + length);
+			nbBits.fill(maxBits + 1 - weight, start, start + length);
+			rankStarts[weight] += length;
+		}
+	});
+	return { table: { maxBits, symbols, nbBits }, size };
+}
+
+function decodeHuffmanStream(table, bytes, start, end, output, outputStart, outputEnd) {
+	const { maxBits, symbols, nbBits } = table;
+	const reader = new BackwardBitReader(bytes, start, end);
+	for (let index = outputStart; index < outputEnd; index++) {
+		const value = reader.peekBits(maxBits);
+		output[index] = symbols[value];
+		reader.position -= nbBits[value];
+	}
+	if (reader.position) {
+		throw new Error(ERR_CORRUPTED_DATA);
+	}
+}
+
+function readSequenceTable(decompress, type, mode, block, offset) {
+	const [, , maxSymbol, maxAccuracyLog] = SEQUENCE_TABLES[type];
+	if (mode == SEQUENCE_MODE_PREDEFINED) {
+		if (!defaultTables) {
+			defaultTables = SEQUENCE_TABLES.map(([distribution, accuracyLog]) => buildDecodingTable(distribution, accuracyLog));
+		}
+		return { table: defaultTables[type], size: 0 };
+	} else if (mode == SEQUENCE_MODE_RLE) {
+		const symbol = block[offset];
+		if (symbol > maxSymbol) {
+			throw new Error(ERR_INVALID_FSE_TABLE);
+		}
+		return { table: { accuracyLog: 0, symbols: [symbol], nbBits: [0], baselines: [0] }, size: 1 };
+	} else if (mode == SEQUENCE_MODE_FSE_COMPRESSED) {
+		const { normalizedCounts, accuracyLog, size } = readNormalizedCounts(block, offset, block.length, maxSymbol, maxAccuracyLog);
+		return { table: buildDecodingTable(normalizedCounts, accuracyLog), size };
+	} else {
+		const table = decompress.sequenceTables[type];
+		if (!table) {
+			throw new Error(ERR_INVALID_FSE_TABLE);
+		}
+		return { table, size: 0 };
+	}
+}
+
+function readNormalizedCounts(bytes, offset, end, maxSymbol, maxAccuracyLog) {
+	let bitOffset = offset * 8;
+	const read = count => {
+		const value = readBits(bytes, bitOffset, count);
+		bitOffset += count;
+		return value;
+	};
+	const accuracyLog = read(4) + 5;
+	if (accuracyLog > maxAccuracyLog) {
+		throw new Error(ERR_INVALID_FSE_TABLE);
+	}
+	const normalizedCounts = [];
+	let remaining = (1 << accuracyLog) + 1;
+	let threshold = 1 << accuracyLog;
+	let nbBits = accuracyLog + 1;
+	let previousZero = false;
+	while (remaining > 1 && normalizedCounts.length <= maxSymbol) {
+		if (previousZero) {
+			let repeat;
+			do {
+				repeat = read(2);
+				for (let index = 0; index < repeat; index++) {
+					normalizedCounts.push(0);
+				}
+			} while (repeat == 3);
+			if (normalizedCounts.length > maxSymbol) {
+				throw new Error(ERR_INVALID_FSE_TABLE);
+			}
+		}
+		const max = (2 * threshold - 1) - remaining;
+		let count = readBits(bytes, bitOffset, nbBits - 1);
+		if (count < max) {
+			bitOffset += nbBits - 1;
+		} else {
+			count = readBits(bytes, bitOffset, nbBits);
+			if (count >= threshold) {
+				count -= max;
+			}
+			bitOffset += nbBits;
+		}
+		count--;
+		remaining -= Math.abs(count);
+		normalizedCounts.push(count);
+		previousZero = !count;
+		while (remaining < threshold) {
+			nbBits--;
+			threshold >>= 1;
+		}
+	}
+	const size = ((bitOffset + 7) >> 3) - offset;
+	if (remaining != 1 || offset + size > end) {
+		throw new Error(ERR_INVALID_FSE_TABLE);
+	}
+	return { normalizedCounts, accuracyLog, size };
+}
+
+function buildDecodingTable(normalizedCounts, accuracyLog) {
+	const tableSize = 1 << accuracyLog;
+	const symbols = spreadSymbols(normalizedCounts, accuracyLog);
+	const nextStates = normalizedCounts.map(count => count == -1 ? 1 : count);
+	const nbBits = new Uint8Array(tableSize);
+	const baselines = new Uint16Array(tableSize);
+	for (let state = 0; state < tableSize; state++) {
+		const nextState = nextStates[symbols[state]]++;
+		nbBits[state] = accuracyLog - highBit(nextState);
+		baselines[state] = (nextState << nbBits[state]) - tableSize;
+	}
+	return { accuracyLog, symbols, nbBits, baselines };
+}
+
+function readBits(bytes, bitOffset, count) {
+	if (count > 24) {
+		return readBits(bytes, bitOffset, 24) + readBits(bytes, bitOffset + 24, count - 24) * 0x1000000;
+	} else {
+		const index = bitOffset >> 3;
+		const value = bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16) | (bytes[index + 3] << 24);
+		return (value >>> (bitOffset & 0x07)) & ((1 << count) - 1);
+	}
+}
+
+function getUint32(bytes, offset) {
+	return getUint(bytes, offset, 4);
+}
+
+function getUint(bytes, offset, length) {
+	let value = 0;
+	for (let index = length - 1; index >= 0; index--) {
+		value = value * 256 + bytes[offset + index];
+	}
+	return value;
+}
+
+function concat(arrays) {
+	if (arrays.length == 1) {
+		return arrays[0];
+	}
+	const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+	let offset = 0;
+	arrays.forEach(array => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
@@ -0,0 +1,73 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+/* global TransformStream */
+
+import { IndexedInflate } from "./codecs/indexed-inflate.js";
+
+class RangeInflateStream extends TransformStream {
+
+	constructor({ checkpoints, checkpoint, checkpointInterval, chunkSize, start, end }) {
+		// deno-lint-ignore prefer-const
+		let stream;
+		const inflate = new IndexedInflate({ chunkSize, checkpoint, checkpointInterval });
+		let outputOffset = checkpoint.outputOffset;
+		super({
+			transform(chunk, controller) {
+				const data = inflate.append(chunk);
+				addCheckpoints(checkpoints, inflate.checkpoints.splice(0));
+				if (data) {
+					const dataStart = Math.max(start - outputOffset, 0);
+					const dataEnd = Math.min(end - outputOffset, data.length);
+					if (dataStart < dataEnd) {
+						controller.enqueue(data.subarray(dataStart, dataEnd));
+						stream.outputSize += dataEnd - dataStart;
+					}
+					outputOffset += data.length;
+				}
+				if (outputOffset >= end) {
+					controller.terminate();
+				}
+			},
+			flush() {
+				inflate.flush();
+			}
+		});
+		stream = this;
+		stream.outputSize = 0;
+	}
+}
+
+export {
+	RangeInflateStream
+};
+
+function addCheckpoints(checkpoints, newCheckpoints) {
+	newCheckpoints
+		.filter(checkpoint => checkpoint.outputOffset > checkpoints[checkpoints.length - 1].outputOffset)
+		.forEach(checkpoint => checkpoints.push(checkpoint));
+}
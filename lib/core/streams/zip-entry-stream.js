@@ -29,6 +29,11 @@
 /* global TransformStream */
 // deno-lint-ignore-file no-this-alias
 
+import {
+	COMPRESSION_METHOD_DEFLATE,
+	UNDEFINED_VALUE
+} from "../constants.js";
+import { StreamAdapter } from "./stream-adapter.js";
 import { Crc32Stream } from "./crc32-stream.js";
 import {
 	AESEncryptionStream,
@@ -45,13 +50,17 @@ import {
 } from "./common-crypto.js";
 
 const ERR_INVALID_UNCOMPRESSED_SIZE = "Invalid uncompressed size";
+const ERR_UNSUPPORTED_COMPRESSION = "Compression method not supported";
+const ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED = "Maximum total uncompressed size exceeded";
+const ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED = "Maximum entry uncompressed size exceeded";
+const ERR_MAX_COMPRESSION_RATIO_EXCEEDED = "Maximum compression ratio exceeded";
 const COMPRESSION_FORMAT = "deflate-raw";
 
 class DeflateStream extends TransformStream {
 
-	constructor(options, { chunkSize, CompressionStream, CompressionStreamNative }) {
+	constructor(options, { chunkSize, CompressionStream, CompressionStreamNative, codecs }) {
 		super({});
-		const { compressed, encrypted, useCompressionStream, zipCrypto, signed, level } = options;
+		const { compressed, compressionMethod, encrypted, useCompressionStream, zipCrypto, signed, level } = options;
 		const stream = this;
 		let crc32Stream, encryptionStream;
 		let readable = super.readable;
@@ -60,7 +69,13 @@ class DeflateStream extends TransformStream {
 			readable = pipeThrough(readable, crc32Stream);
 		}
 		if (compressed) {
-			readable = pipeThroughCommpressionStream(readable, useCompressionStream, { level, chunkSize }, CompressionStreamNative, CompressionStream);
+			const codec = getCodec(codecs, compressionMethod);
+			if (codec) {
+				readable = pipeThroughCodec(readable, codec.Compress, { level, chunkSize });
+			} else {
+				checkCompressionMethod(compressionMethod);
+				readable = pipeThroughCommpressionStream(readable, useCompressionStream, { level, chunkSize }, CompressionStreamNative, CompressionStream);
+			}
 		}
 		if (encrypted) {
 			if (zipCrypto) {
@@ -85,9 +100,9 @@ class DeflateStream extends TransformStream {
 
 class InflateStream extends TransformStream {
 
-	constructor(options, { chunkSize, DecompressionStream, DecompressionStreamNative }) {
+	constructor(options, { chunkSize, DecompressionStream, DecompressionStreamNative, codecs }) {
 		super({});
-		const { zipCrypto, encrypted, signed, signature, compressed, useCompressionStream } = options;
+		const { zipCrypto, encrypted, signed, signature, compressed, compressionMethod, useCompressionStream, outputSize } = options;
 		let crc32Stream, decryptionStream;
 		let readable = super.readable;
 		if (encrypted) {
@@ -99,7 +114,13 @@ class InflateStream extends TransformStream {
 			}
 		}
 		if (compressed) {
-			readable = pipeThroughCommpressionStream(readable, useCompressionStream, { chunkSize }, DecompressionStreamNative, DecompressionStream);
+			const codec = getCodec(codecs, compressionMethod);
+			if (codec) {
+				readable = pipeThroughCodec(readable, codec.Decompress, { chunkSize, outputSize });
+			} else {
+				checkCompressionMethod(compressionMethod);
+				readable = pipeThroughCommpressionStream(readable, useCompressionStream, { chunkSize }, DecompressionStreamNative, DecompressionStream);
+			}
 		}
 		if ((!encrypted || zipCrypto) && signed) {
 			crc32Stream = new Crc32Stream();
@@ -122,6 +143,10 @@ export {
 	ERR_INVALID_PASSWORD,
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_ABORT_CHECK_PASSWORD
 };
 
@@ -134,6 +159,24 @@ function setReadable(stream, readable, flush) {
 	});
 }
 
+function getCodec(codecs, compressionMethod) {
+	return codecs && codecs[compressionMethod];
+}
+
+function checkCompressionMethod(compressionMethod) {
+	if (compressionMethod !== UNDEFINED_VALUE && compressionMethod != COMPRESSION_METHOD_DEFLATE) {
+		throw new Error(ERR_UNSUPPORTED_COMPRESSION);
+	}
+}
+
+function pipeThroughCodec(readable, Codec, options) {
+	if (!Codec) {
+		throw new Error(ERR_UNSUPPORTED_COMPRESSION);
+	}
+	const CodecStream = new StreamAdapter(Codec);
+	return pipeThrough(readable, new CodecStream(COMPRESSION_FORMAT, options));
+}
+
 function pipeThroughCommpressionStream(readable, useCompressionStream, options, CodecStreamNative, CodecStream) {
 	try {
 		const CompressionStream = useCompressionStream && CodecStreamNative ? CodecStreamNative : CodecStream;
@@ -0,0 +1,124 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { UNDEFINED_VALUE } from "../constants.js";
+
+const DEFAULT_BLOCK_SIZE = 256 * 1024;
+const DEFAULT_CACHE_SIZE = 32 * 1024 * 1024;
+const DEFAULT_READ_AHEAD_BLOCKS = 4;
+
+export {
+	createBlockCache,
+	readCachedUint8Array
+};
+
+function createBlockCache({ blockSize = DEFAULT_BLOCK_SIZE, cacheSize = DEFAULT_CACHE_SIZE, readAheadSize = blockSize * DEFAULT_READ_AHEAD_BLOCKS }) {
+	return {
+		blockSize,
+		maxBlocks: Math.max(1, Math.floor(cacheSize / blockSize)),
+		readAheadBlocks: Math.ceil(readAheadSize / blockSize),
+		blocks: new Map(),
+		stats: { hits: 0, misses: 0, requests: 0 }
+	};
+}
+
+async function readCachedUint8Array(cache, index, length, size, readRange) {
+	const { blockSize, blocks, stats, readAheadBlocks, nextIndex } = cache;
+	const end = Math.min(index + length, size);
+	if (end <= index) {
+		return new Uint8Array();
+	}
+	const firstBlock = Math.floor(index / blockSize);
+	const lastBlock = Math.floor((end - 1) / blockSize);
+	const lastReadBlock = index == nextIndex ? Math.min(lastBlock + readAheadBlocks, Math.floor((size - 1) / blockSize)) : lastBlock;
+	cache.nextIndex = end;
+	let runStart;
+	for (let block = firstBlock; block <= lastReadBlock; block++) {
+		const cached = blocks.has(block);
+		if (block <= lastBlock) {
+			if (cached) {
+				stats.hits++;
+				touchBlock(blocks, block);
+			} else {
+				stats.misses++;
+			}
+		}
+		if (!cached && runStart === UNDEFINED_VALUE) {
+			runStart = block;
+		}
+		if (runStart !== UNDEFINED_VALUE && (cached || block == lastReadBlock)) {
+			readBlocks(cache, runStart, cached ? block - 1 : block, size, readRange);
+			runStart = UNDEFINED_VALUE;
+		}
+	}
+	const pendingBlocks = [];
+	for (let block = firstBlock; block <= lastBlock; block++) {
+		pendingBlocks.push(blocks.get(block));
+	}
+	evictBlocks(cache);
+	const arrays = await Promise.all(pendingBlocks);
+	const result = new Uint8Array(end - index);
+	const offset = firstBlock * blockSize;
+	arrays.forEach((array, indexArray) => {
+		const blockOffset = offset + indexArray * blockSize;
+		const start = Math.max(index - blockOffset, 0);
+		const stop = Math.min(end - blockOffset, array.length);
+		result.set(array.subarray(start, stop), blockOffset + start - index);
+	});
+	return result;
+}
+
+function readBlocks(cache, firstBlock, lastBlock, size, readRange) {
+	const { blockSize, blocks, stats } = cache;
+	const offset = firstBlock * blockSize;
+	const data = readRange(offset, Math.min((lastBlock + 1) * blockSize, size) - offset);
+	stats.requests++;
+	for (let block = firstBlock; block <= lastBlock; block++) {
+		const blockOffset = (block - firstBlock) * blockSize;
+		const blockData = data.then(array => array.subarray(blockOffset, blockOffset + blockSize));
+		blocks.set(block, blockData);
+		blockData.catch(() => {
+			if (blocks.get(block) == blockData) {
+				blocks.delete(block);
+			}
+		});
+	}
+}
+
+function touchBlock(blocks, block) {
+	const blockData = blocks.get(block);
+	blocks.delete(block);
+	blocks.set(block, blockData);
+}
+
+function evictBlocks({ blocks, maxBlocks }) {
+	const iterator = blocks.keys();
+	while (blocks.size > maxBlocks) {
+		blocks.delete(iterator.next().value);
+	}
+}
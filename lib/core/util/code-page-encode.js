@@ -0,0 +1,151 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* global TextDecoder */
+
+import { CP437 } from "./cp437-decode.js";
+import { CP850 } from "./cp850-decode.js";
+
+const CHARSET_UTF8 = "utf-8";
+const CHARSET_CP437 = "cp437";
+const CHARSET_CP850 = "cp850";
+const CHARSET_SHIFT_JIS = "shift_jis";
+const CHARSET_GBK = "gbk";
+const CHARSET_ALIASES = {
+	"utf8": CHARSET_UTF8,
+	"ibm437": CHARSET_CP437,
+	"ibm850": CHARSET_CP850,
+	"shift-jis": CHARSET_SHIFT_JIS,
+	"sjis": CHARSET_SHIFT_JIS,
+	"ms_kanji": CHARSET_SHIFT_JIS,
+	"windows-31j": CHARSET_SHIFT_JIS,
+	"cp932": CHARSET_SHIFT_JIS,
+	"cp936": CHARSET_GBK,
+	"windows-936": CHARSET_GBK,
+	"gb2312": CHARSET_GBK
+};
+const MAX_ASCII_CODE = 0x7f;
+const MAX_SINGLE_BYTE_CODE = 0xff;
+const REPLACEMENT_CODE = "_".charCodeAt(0);
+const REPLACEMENT_CHARACTER = "\ufffd";
+// lead bytes 0xED and 0xEE (NEC selected IBM extensions) come last so that the IBM extensions are preferred
+const SHIFT_JIS_LEAD_BYTES = [[0x81, 0x9f], [0xe0, 0xec], [0xef, 0xfc], [0xed, 0xee]];
+const SHIFT_JIS_TRAIL_BYTES = [[0x40, 0x7e], [0x80, 0xfc]];
+const GBK_LEAD_BYTES = [[0x81, 0xfe]];
+const GBK_TRAIL_BYTES = [[0x40, 0x7e], [0x80, 0xfe]];
+const codeTables = new Map();
+
+export {
+	CHARSET_UTF8,
+	CHARSET_CP437,
+	getCharset,
+	encodeCodePage
+};
+
+function getCharset(encoding) {
+	const charset = encoding.trim().toLowerCase();
+	return CHARSET_ALIASES[charset] || charset;
+}
+
+function encodeCodePage(value, encoding) {
+	const codes = getCodes(getCharset(encoding));
+	if (codes) {
+		const result = [];
+		let valid = true;
+		for (const character of value) {
+			const code = character.charCodeAt(0);
+			if (code <= MAX_ASCII_CODE) {
+				result.push(code);
+			} else if (codes.has(character)) {
+				result.push(...codes.get(character));
+			} else {
+				result.push(REPLACEMENT_CODE);
+				valid = false;
+			}
+		}
+		return { array: new Uint8Array(result), valid };
+	}
+}
+
+function getCodes(charset) {
+	if (!codeTables.has(charset)) {
+		let codes;
+		if (charset == CHARSET_CP437) {
+			codes = getSingleByteCodes(CP437);
+		} else if (charset == CHARSET_CP850) {
+			codes = getSingleByteCodes(CP850);
+		} else if (charset == CHARSET_SHIFT_JIS) {
+			codes = getMultiByteCodes(charset, SHIFT_JIS_LEAD_BYTES, SHIFT_JIS_TRAIL_BYTES);
+		} else if (charset == CHARSET_GBK) {
+			codes = getMultiByteCodes(charset, GBK_LEAD_BYTES, GBK_TRAIL_BYTES);
+		}
+		codeTables.set(charset, codes);
+	}
+	return codeTables.get(charset);
+}
+
+function getSingleByteCodes(table) {
+	const codes = new Map();
+	table.forEach((character, code) => {
+		if (code > MAX_ASCII_CODE) {
+			codes.set(character, [code]);
+		}
+	});
+	return codes;
+}
+
+function getMultiByteCodes(charset, leadBytes, trailBytes) {
+	let decoder;
+	try {
+		decoder = new TextDecoder(charset);
+		// eslint-disable-next-line no-unused-vars
+	} catch (_) {
+		return;
+	}
+	const codes = new Map();
+	for (let code = MAX_ASCII_CODE + 1; code <= MAX_SINGLE_BYTE_CODE; code++) {
+		addCode(codes, decoder, [code]);
+	}
+	leadBytes.forEach(([leadStart, leadEnd]) => {
+		for (let lead = leadStart; lead <= leadEnd; lead++) {
+			trailBytes.forEach(([trailStart, trailEnd]) => {
+				for (let trail = trailStart; trail <= trailEnd; trail++) {
+					addCode(codes, decoder, [lead, trail]);
+				}
+			});
+		}
+	});
+	return codes;
+}
+
+function addCode(codes, decoder, bytes) {
+	const character = decoder.decode(new Uint8Array(bytes));
+	if (character.length == 1 && character != REPLACEMENT_CHARACTER && !codes.has(character)) {
+		codes.set(character, bytes);
+	}
+}
@@ -32,6 +32,7 @@ const CP437 = "\0☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§
 const VALID_CP437 = CP437.length == 256;
 
 export {
+	CP437,
 	decodeCP437
 };
 
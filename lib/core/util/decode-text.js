@@ -29,14 +29,18 @@
 /* global TextDecoder */
 
 import { decodeCP437 } from "./cp437-decode.js";
+import { decodeCP850 } from "./cp850-decode.js";
 
 export {
 	decodeText
 };
 
 function decodeText(value, encoding) {
-	if (encoding && encoding.trim().toLowerCase() == "cp437") {
+	const charset = encoding && encoding.trim().toLowerCase();
+	if (charset == "cp437") {
 		return decodeCP437(value);
+	} else if (charset == "cp850") {
+		return decodeCP850(value);
 	} else {
 		return new TextDecoder(encoding).decode(value);
 	}
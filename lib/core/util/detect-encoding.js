@@ -0,0 +1,269 @@
+/*
+ Copyright (c) 2022 Gildas Lormeau. All rights reserved.
+
+ Redistribution and use in source and binary forms, with or without
+ modification, are permitted provided that the following conditions are met:
+
+ 1. Redistributions of source code must retain the above copyright notice,
+ this list of conditions and the following disclaimer.
+
+ 2. Redistributions in binary form must reproduce the above copyright 
+ notice, this list of conditions and the following disclaimer in 
+ the documentation and/or other materials provided with the distribution.
+
+ 3. The names of the authors may not be used to endorse or promote products
+ derived from this software without specific prior written permission.
+
+ THIS SOFTWARE IS PROVIDED ''AS IS'' AND ANY EXPRESSED OR IMPLIED WARRANTIES,
+ INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ FITNESS FOR A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL JCRAFT,
+ INC. OR ANY CONTRIBUTORS TO THIS SOFTWARE BE LIABLE FOR ANY DIRECT, INDIRECT,
+ INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+ LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA,
+ OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE,
+ EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/* global TextDecoder */
+
+import { UNDEFINED_VALUE } from "../constants.js";
+import { CP437 } from "./cp437-decode.js";
+
+const CHARSET_UTF8 = "utf-8";
+const CHARSET_CP437 = "cp437";
+const CHARSET_CP866 = "cp866";
+const CHARSET_SHIFT_JIS = "shift_jis";
+const CHARSET_GBK = "gbk";
+const CHARSET_BIG5 = "big5";
+const CHARSET_EUC_KR = "euc-kr";
+const MAX_ASCII_CODE = 0x7f;
+const REPLACEMENT_CHARACTER = "�";
+const HOST_MS_DOS = 0;
+const HOST_UNIX = 3;
+const HOST_NTFS = 11;
+const HOST_VFAT = 14;
+const HOST_MACOS = 19;
+const HOST_PENALTY = 0.95;
+const LATIN_LETTER_REGEXP = /[À-ɏ]/;
+const LATIN_SYMBOL_REGEXP = /[¡-¿₧]/;
+const CYRILLIC_LETTER_REGEXP = /[Ѐ-ӿ]/;
+const ASCII_LETTER_REGEXP = /[a-z]/i;
+const C1_CONTROL_REGEXP = /[\u0080-\u009f]/;
+const COMMON_SIMPLIFIED_CHINESE = "的一是不了在人有我他这中大来上国个到说们为子和你地出道也时年得就那要下以生会自着去之过家学对可她里后小么心多天而能好都然没日于起还发成事只作当想看文无开手十用主行方又如前所本见经头面公同三已老从动两长知民样现分将外但身些与高意进把法此实回二理美点月明其种声全工己话儿者向情部正名定女问力机给等几很业最间新什打便位因重被走电四第门相次东政海口使教西再平真听世气信北少关并内加化由却代军产入先山五太水万市眼体别处总才场师书比住员九笑性通目华报立马命张活难神数件安表原车白应路期叫死常提感金何更反合放做系计或司利受光王果亲界及今京务制解各任至清物台象记边共风战干接它许八特觉望直服毛林题建南度统色字请交爱让认算论百吃义科怎元社术结六功指思非流每青管夫连远资队跟带花快条院变联言权往展该领传近留红治决周保达办运武半候七必城父强步完革深区即求品士转量空甚众技轻程告江语英基派满式李息写呢识极令黄德收脸钱党倒未持取设始版双历越史商千片容研像找友孩站广改议形委早房音火际则首单据导影失拿网香似斯专石若兵弟谁校读志飞观争究包组造落视济喜离虽坏兴切府苦具官板夹档图料照";
+const COMMON_TRADITIONAL_CHINESE = "的一是不了在人有我他這中大來上國個到說們為子和你地出道也時年得就那要下以生會自著去之過家學對可她裡後小麼心多天而能好都然沒日於起還發成事只作當想看文無開手十用主行方又如前所本見經頭面公同三已老從動兩長知民樣現分將外但身些與高意進把法此實回二理美點月明其種聲全工己話兒者向情部正名定女問力機給等幾很業最間新什打便位因重被走電四第門相次東政海口使教西再平真聽世氣信北少關並內加化由卻代軍產入先山五太水萬市眼體別處總才場師書比住員九笑性通目華報立馬命張活難神數件安表原車白應路期叫死常提感金何更反合放做系計或司利受光王果親界及今京務制解各任至清物台象記邊共風戰干接它許八特覺望直服毛林題建南度統色字請交愛讓認算論百吃義科怎元社術結六功指思非流每青管夫連遠資隊跟帶花快條院變聯言權往展該領傳近留紅治決周保達辦運武半候七必城父強步完革深區即求品士轉量空甚眾技輕程告江語英基派滿式李息寫呢識極令黃德收臉錢黨倒未持取設始版雙歷越史商千片容研像找友孩站廣改議形委早房音火際則首單據導影失拿網香似斯專石若兵弟誰校讀志飛觀爭究包組造落視濟喜離雖壞興切府苦具官板夾檔圖料照";
+const COMMON_HANGUL = "이의가는을다에하고지기서사로도리자나대한수일정시인어상전보국그있것들게아내요우부주해제만문여장성원면라스신중회학동적과오년관비에선무계구소데미방경통실연생물화음발모유분공위단불본안업개속결람운심직당진마식세행금호체명강설토조드터트파";
+
+const candidates = [
+	{ charset: CHARSET_CP437, getLength: getSingleByteLength, getWeight: getLatinWeight },
+	{ charset: CHARSET_CP866, getLength: getSingleByteLength, getWeight: getCyrillicWeight },
+	{ charset: CHARSET_SHIFT_JIS, getLength: getShiftJISLength, getWeight: getShiftJISWeight },
+	{ charset: CHARSET_GBK, getLength: getDoubleByteLength, getWeight: getGBKWeight },
+	{ charset: CHARSET_BIG5, getLength: getDoubleByteLength, getWeight: getBig5Weight },
+	{ charset: CHARSET_EUC_KR, getLength: getDoubleByteLength, getWeight: getEUCKRWeight }
+];
+const decoders = new Map();
+
+export {
+	detectEncoding
+};
+
+function detectEncoding(rawTexts, hosts = []) {
+	let nonAsciiLength = 0;
+	rawTexts.forEach(rawText => rawText.forEach(byte => {
+		if (byte > MAX_ASCII_CODE) {
+			nonAsciiLength++;
+		}
+	}));
+	if (!nonAsciiLength) {
+		return { charset: CHARSET_CP437, confidence: 1 };
+	}
+	const unixHostsLength = hosts.filter(host => host == HOST_UNIX || host == HOST_MACOS).length;
+	const windowsHostsLength = hosts.filter(host => host == HOST_MS_DOS || host == HOST_NTFS || host == HOST_VFAT).length;
+	const results = [{ charset: CHARSET_UTF8, score: getUTF8Score(rawTexts) / nonAsciiLength }];
+	candidates.forEach(candidate => {
+		const score = getScore(rawTexts, candidate);
+		if (score !== UNDEFINED_VALUE) {
+			results.push({ charset: candidate.charset, score: score / nonAsciiLength });
+		}
+	});
+	results.forEach(result => {
+		if (result.charset == CHARSET_UTF8 ? windowsHostsLength > unixHostsLength : unixHostsLength > windowsHostsLength) {
+			result.score *= HOST_PENALTY;
+		}
+	});
+	const [bestResult, secondResult] = results.sort((result, otherResult) => otherResult.score - result.score);
+	const { charset, score } = bestResult;
+	const secondScore = secondResult ? secondResult.score : 0;
+	const confidence = score ? score * score / (score + secondScore) : 0;
+	return { charset, confidence: Math.round(confidence * 100) / 100 };
+}
+
+function getUTF8Score(rawTexts) {
+	const decoder = getDecoder(CHARSET_UTF8);
+	let score = 0;
+	rawTexts.forEach(rawText => {
+		let text;
+		try {
+			text = decoder.decode(rawText);
+			// eslint-disable-next-line no-unused-vars
+		} catch (_) {
+			// ignored
+		}
+		if (text !== UNDEFINED_VALUE) {
+			for (const character of text) {
+				const code = character.codePointAt(0);
+				if (code > MAX_ASCII_CODE && !C1_CONTROL_REGEXP.test(character)) {
+					score += code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+				}
+			}
+		}
+	});
+	return score;
+}
+
+function getScore(rawTexts, { charset, getLength, getWeight }) {
+	const decoder = getDecoder(charset);
+	if (charset == CHARSET_CP437 || decoder) {
+		let score = 0;
+		rawTexts.forEach(rawText => {
+			const characters = [];
+			for (let offset = 0; offset < rawText.length;) {
+				const length = rawText[offset] > MAX_ASCII_CODE ? getLength(rawText[offset]) : 1;
+				const bytes = rawText.subarray(offset, offset + length);
+				characters.push({ character: decodeCharacter(bytes, charset, decoder), bytes });
+				offset += length;
+			}
+			characters.forEach((character, indexCharacter) => {
+				if (character.bytes[0] > MAX_ASCII_CODE && character.character !== UNDEFINED_VALUE) {
+					const previousCharacter = characters[indexCharacter - 1];
+					const nextCharacter = characters[indexCharacter + 1];
+					score += getWeight(character, previousCharacter, nextCharacter) * character.bytes.filter(byte => byte > MAX_ASCII_CODE).length;
+				}
+			});
+		});
+		return score;
+	}
+}
+
+function decodeCharacter(bytes, charset, decoder) {
+	if (charset == CHARSET_CP437) {
+		return CP437[bytes[0]];
+	} else {
+		let character;
+		try {
+			character = decoder.decode(bytes);
+			// eslint-disable-next-line no-unused-vars
+		} catch (_) {
+			// ignored
+		}
+		if (character && character.length == 1 && character != REPLACEMENT_CHARACTER) {
+			return character;
+		}
+	}
+}
+
+function getDecoder(charset) {
+	if (!decoders.has(charset)) {
+		let decoder;
+		try {
+			decoder = new TextDecoder(charset, { fatal: true });
+			// eslint-disable-next-line no-unused-vars
+		} catch (_) {
+			// ignored
+		}
+		decoders.set(charset, decoder);
+	}
+	return decoders.get(charset);
+}
+
+function getSingleByteLength() {
+	return 1;
+}
+
+function getShiftJISLength(lead) {
+	return (lead >= 0xa1 && lead <= 0xdf) || lead == 0x80 || lead >= 0xfd ? 1 : 2;
+}
+
+function getDoubleByteLength(lead) {
+	return lead == 0x80 || lead == 0xff ? 1 : 2;
+}
+
+function getLatinWeight({ character }, previousCharacter, nextCharacter) {
+	if (LATIN_LETTER_REGEXP.test(character)) {
+		return isNonAscii(previousCharacter) || isNonAscii(nextCharacter) ? 0.6 : 1;
+	} else if (LATIN_SYMBOL_REGEXP.test(character)) {
+		return 0.3;
+	} else {
+		return 0;
+	}
+}
+
+function getCyrillicWeight({ character }, previousCharacter, nextCharacter) {
+	if (CYRILLIC_LETTER_REGEXP.test(character)) {
+		return !isCyrillic(previousCharacter) && !isCyrillic(nextCharacter) && (isAsciiLetter(previousCharacter) || isAsciiLetter(nextCharacter)) ? 0.2 : 1;
+	} else {
+		return 0;
+	}
+}
+
+function getShiftJISWeight({ bytes: [lead] }) {
+	if (lead == 0x82 || lead == 0x83) {
+		return 1;
+	} else if (lead >= 0x88 && lead <= 0x9f) {
+		return 0.8;
+	} else if (lead == 0x81 || (lead >= 0xe0 && lead <= 0xea)) {
+		return 0.5;
+	} else if (lead >= 0xa1 && lead <= 0xdf) {
+		return 0.3;
+	} else {
+		return 0.1;
+	}
+}
+
+function getGBKWeight({ character, bytes: [lead, trail] }) {
+	if (lead >= 0xb0 && lead <= 0xf7 && trail >= 0xa1) {
+		return COMMON_SIMPLIFIED_CHINESE.includes(character) ? 1 : lead <= 0xd7 ? 0.8 : 0.6;
+	} else if (lead >= 0xa1 && lead <= 0xa3 && trail >= 0xa1) {
+		return 0.5;
+	} else {
+		return 0.2;
+	}
+}
+
+function getBig5Weight({ character, bytes: [lead] }) {
+	if (lead >= 0xa4 && lead <= 0xc6) {
+		return COMMON_TRADITIONAL_CHINESE.includes(character) ? 1 : 0.7;
+	} else if (lead >= 0xc9 && lead <= 0xf9) {
+		return 0.4;
+	} else if (lead >= 0xa1 && lead <= 0xa3) {
+		return 0.5;
+	} else {
+		return 0.1;
+	}
+}
+
+function getEUCKRWeight({ character, bytes: [lead, trail] }) {
+	if (lead >= 0xb0 && lead <= 0xc8 && trail >= 0xa1) {
+		return COMMON_HANGUL.includes(character) ? 1 : 0.8;
+	} else if (lead >= 0xca && lead <= 0xfd && trail >= 0xa1) {
+		return 0.3;
+	} else if (lead >= 0xa1 && lead <= 0xac && trail >= 0xa1) {
+		return 0.4;
+	} else {
+		return 0.2;
+	}
+}
+
+function isNonAscii(character) {
+	return character && character.bytes[0] > MAX_ASCII_CODE;
+}
+
+function isCyrillic(character) {
+	return character && character.character !== UNDEFINED_VALUE && CYRILLIC_LETTER_REGEXP.test(character.character);
+}
+
+function isAsciiLetter(character) {
+	return character && ASCII_LETTER_REGEXP.test(character.character);
+}
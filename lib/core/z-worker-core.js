@@ -98,6 +98,7 @@ async function init(message) {
 		if (self.Inflate) {
 			config.DecompressionStream = new StreamAdapter(self.Inflate);
 		}
+		config.codecs = Object.assign({}, self.codecs);
 		const strategy = { highWaterMark: 1 };
 		const readable = message.readable || new ReadableStream({
 			async pull(controller) {
@@ -52,9 +52,15 @@ const PROPERTY_NAME_VERSION_MADE_BY = "versionMadeBy";
 const PROPERTY_NAME_ZIPCRYPTO = "zipCrypto";
 const PROPERTY_NAME_DIRECTORY = "directory";
 const PROPERTY_NAME_EXECUTABLE = "executable";
+const PROPERTY_NAME_SYMLINK = "symlink";
+const PROPERTY_NAME_UNIX_MODE = "unixMode";
+const PROPERTY_NAME_UID = "uid";
+const PROPERTY_NAME_GID = "gid";
 const PROPERTY_NAME_COMPRESSION_METHOD = "compressionMethod";
 const PROPERTY_NAME_SIGNATURE = "signature";
 const PROPERTY_NAME_EXTRA_FIELD = "extraField";
+const PROPERTY_NAME_RECOVERED = "recovered";
+const PROPERTY_NAME_RECOVERY_REPORT = "recoveryReport";
 
 // Additional runtime property names used for sizing/debug and extra fields
 const PROPERTY_NAME_BIT_FLAG = "bitFlag";
@@ -77,6 +83,8 @@ const PROPERTY_NAME_EXTRA_FIELD_UNICODE_COMMENT = "extraFieldUnicodeComment";
 const PROPERTY_NAME_EXTRA_FIELD_AES = "extraFieldAES";
 const PROPERTY_NAME_EXTRA_FIELD_NTFS = "extraFieldNTFS";
 const PROPERTY_NAME_EXTRA_FIELD_EXTENDED_TIMESTAMP = "extraFieldExtendedTimestamp";
+const PROPERTY_NAME_EXTRA_FIELD_UNIX = "extraFieldUnix";
+const PROPERTY_NAME_EXTRA_FIELD_UNIX_LEGACY = "extraFieldUnixLegacy";
 
 const PROPERTY_NAMES = [
 	PROPERTY_NAME_FILENAME, PROPERTY_NAME_RAW_FILENAME, PROPERTY_NAME_COMPRESSED_SIZE, PROPERTY_NAME_UNCOMPRESSED_SIZE,
@@ -85,15 +93,17 @@ const PROPERTY_NAMES = [
 	PROPERTY_NAME_DISK_NUMBER_START, PROPERTY_NAME_INTERNAL_FILE_ATTRIBUTE, PROPERTY_NAME_INTERNAL_FILE_ATTRIBUTES,
 	PROPERTY_NAME_EXTERNAL_FILE_ATTRIBUTE, PROPERTY_NAME_EXTERNAL_FILE_ATTRIBUTES, PROPERTY_NAME_MS_DOS_COMPATIBLE, PROPERTY_NAME_ZIP64,
 	PROPERTY_NAME_ENCRYPTED, PROPERTY_NAME_VERSION, PROPERTY_NAME_VERSION_MADE_BY, PROPERTY_NAME_ZIPCRYPTO, PROPERTY_NAME_DIRECTORY,
-	PROPERTY_NAME_EXECUTABLE, PROPERTY_NAME_COMPRESSION_METHOD, PROPERTY_NAME_SIGNATURE, PROPERTY_NAME_EXTRA_FIELD,
+	PROPERTY_NAME_EXECUTABLE, PROPERTY_NAME_SYMLINK, PROPERTY_NAME_UNIX_MODE, PROPERTY_NAME_UID, PROPERTY_NAME_GID,
+	PROPERTY_NAME_COMPRESSION_METHOD, PROPERTY_NAME_SIGNATURE, PROPERTY_NAME_EXTRA_FIELD,
+	PROPERTY_NAME_RECOVERED, PROPERTY_NAME_RECOVERY_REPORT,
     // Additional runtime fields useful outside the core for sizing/debug
     PROPERTY_NAME_BIT_FLAG, PROPERTY_NAME_FILENAME_UTF8, PROPERTY_NAME_COMMENT_UTF8,
     // Local header building blocks and helper lengths
     PROPERTY_NAME_HEADER_ARRAY, PROPERTY_NAME_RAW_EXTRA_FIELD, PROPERTY_NAME_RAW_EXTRA_FIELD_ZIP64, PROPERTY_NAME_LOCAL_EXTRA_FIELD_ZIP64_LENGTH,
     PROPERTY_NAME_RAW_EXTRA_FIELD_AES, PROPERTY_NAME_RAW_EXTRA_FIELD_NTFS, PROPERTY_NAME_RAW_EXTRA_FIELD_EXTENDED_TIMESTAMP,
     // Central directory extra references
-    PROPERTY_NAME_EXTRA_FIELD_ZIP64, PROPERTY_NAME_EXTRA_FIELD_UNICODE_PATH, PROPERTY_NAME_EXTRA_FIELD_UNICODE_COMMENT,
-    PROPERTY_NAME_EXTRA_FIELD_AES, PROPERTY_NAME_EXTRA_FIELD_NTFS, PROPERTY_NAME_EXTRA_FIELD_EXTENDED_TIMESTAMP
+    PROPERTY_NAME_EXTRA_FIELD_ZIP64, PROPERTY_NAME_EXTRA_FIELD_UNICODE_PATH, PROPERTY_NAME_EXTRA_FIELD_UNICODE_COMMENT, PROPERTY_NAME_EXTRA_FIELD_UNIX,
+    PROPERTY_NAME_EXTRA_FIELD_AES, PROPERTY_NAME_EXTRA_FIELD_NTFS, PROPERTY_NAME_EXTRA_FIELD_EXTENDED_TIMESTAMP, PROPERTY_NAME_EXTRA_FIELD_UNIX_LEGACY
 ];
 
 class Entry {
@@ -131,9 +141,15 @@ export {
 	PROPERTY_NAME_ZIPCRYPTO,
 	PROPERTY_NAME_DIRECTORY,
 	PROPERTY_NAME_EXECUTABLE,
+	PROPERTY_NAME_SYMLINK,
+	PROPERTY_NAME_UNIX_MODE,
+	PROPERTY_NAME_UID,
+	PROPERTY_NAME_GID,
 	PROPERTY_NAME_COMPRESSION_METHOD,
 	PROPERTY_NAME_SIGNATURE,
 	PROPERTY_NAME_EXTRA_FIELD,
+	PROPERTY_NAME_RECOVERED,
+	PROPERTY_NAME_RECOVERY_REPORT,
     PROPERTY_NAME_BIT_FLAG,
     PROPERTY_NAME_FILENAME_UTF8,
     PROPERTY_NAME_COMMENT_UTF8,
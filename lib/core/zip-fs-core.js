@@ -52,12 +52,21 @@ import {
 import {
 	Entry
 } from "./zip-entry.js";
+import {
+	normalizeName,
+	getNameKey
+} from "./util/name-policy.js";
 import { UNDEFINED_VALUE } from "./constants.js";
 
+const DEFAULT_FILENAME_POLICY = "sanitize";
+
 class ZipEntry {
 
 	constructor(fs, name, params, parent) {
 		const zipEntry = this;
+		if (name !== UNDEFINED_VALUE) {
+			name = normalizeName(name, fs.nameNormalization);
+		}
 		if (fs.root && parent && parent.getChildByName(name)) {
 			throw new Error("Entry filename already exists");
 		}
@@ -112,7 +121,9 @@ class ZipEntry {
 
 	rename(name) {
 		const parent = this.parent;
-		if (parent && parent.getChildByName(name)) {
+		name = normalizeName(name, this.fs.nameNormalization);
+		const child = parent && parent.getChildByName(name);
+		if (child && child != this) {
 			throw new Error("Entry filename already exists");
 		} else {
 			this.name = name;
@@ -245,6 +256,22 @@ class ZipFileEntry extends ZipEntry {
 	}
 }
 
+class ZipSymlinkEntry extends ZipFileEntry {
+
+	constructor(fs, name, params, parent) {
+		super(fs, name, params, parent);
+		this.symlink = true;
+	}
+
+	clone() {
+		return new ZipSymlinkEntry(this.fs, this.name, this);
+	}
+
+	getTarget(options) {
+		return this.getText(UNDEFINED_VALUE, options);
+	}
+}
+
 class ZipDirectoryEntry extends ZipEntry {
 
 	constructor(fs, name, params, parent) {
@@ -279,6 +306,17 @@ class ZipDirectoryEntry extends ZipEntry {
 		});
 	}
 
+	addSymlink(name, target, options = {}) {
+		return addChild(this, name, {
+			data: target,
+			Reader: TextReader,
+			Writer: TextWriter,
+			options: Object.assign({}, options, { symlink: target }),
+			uncompressedSize: target.length,
+			symlink: true
+		});
+	}
+
 	addBlob(name, blob, options = {}) {
 		return addChild(this, name, {
 			data: blob,
@@ -400,7 +438,8 @@ class ZipDirectoryEntry extends ZipEntry {
 
 	async importZip(reader, options = {}) {
 		await initStream(reader);
-		const zipReader = new ZipReader(reader, options);
+		const filenamePolicy = options.filenamePolicy || DEFAULT_FILENAME_POLICY;
+		const zipReader = new ZipReader(reader, Object.assign({}, options, { filenamePolicy }));
 		const importedEntries = [];
 		const entries = await zipReader.getEntries();
 		for (const entry of entries) {
@@ -412,7 +451,7 @@ class ZipDirectoryEntry extends ZipEntry {
 					const previousParent = parent;
 					parent = parent.getChildByName(pathPart);
 					if (!parent) {
-						parent = new ZipDirectoryEntry(this.fs, pathPart, { data: pathIndex == path.length - 1 ? entry : null }, previousParent);
+						parent = new ZipDirectoryEntry(this.fs, pathPart, { data: pathIndex == path.length - 1 && entry.directory ? entry : null }, previousParent);
 						importedEntries.push(parent);
 					}
 				});
@@ -421,7 +460,8 @@ class ZipDirectoryEntry extends ZipEntry {
 						data: entry,
 						Reader: getZipBlobReader(Object.assign({}, options)),
 						uncompressedSize: entry.uncompressedSize,
-						passThrough: options.passThrough
+						passThrough: options.passThrough,
+						symlink: entry.symlink
 					}));
 				}
 			} catch (error) {
@@ -452,10 +492,12 @@ class ZipDirectoryEntry extends ZipEntry {
 	}
 
 	getChildByName(name) {
-		const children = this.children;
+		const { children, fs } = this;
+		const { nameNormalization, caseInsensitiveDuplicates } = fs;
+		const key = getNameKey(name, nameNormalization, caseInsensitiveDuplicates);
 		for (let childIndex = 0; childIndex < children.length; childIndex++) {
 			const child = children[childIndex];
-			if (child.name == name) {
+			if (getNameKey(child.name, nameNormalization, caseInsensitiveDuplicates) == key) {
 				return child;
 			}
 		}
@@ -482,7 +524,12 @@ class ZipDirectoryEntry extends ZipEntry {
 
 class FS {
 
-	constructor() {
+	constructor(options = {}) {
+		const { nameNormalization, caseInsensitiveDuplicates } = options;
+		Object.assign(this, {
+			nameNormalization,
+			caseInsensitiveDuplicates
+		});
 		resetFS(this);
 	}
 
@@ -543,6 +590,10 @@ class FS {
 		return this.root.addText(name, text, options);
 	}
 
+	addSymlink(name, target, options) {
+		return this.root.addSymlink(name, target, options);
+	}
+
 	addBlob(name, blob, options) {
 		return this.root.addBlob(name, blob, options);
 	}
@@ -633,7 +684,7 @@ class FS {
 	}
 }
 
-const fs = { FS, ZipDirectoryEntry, ZipFileEntry };
+const fs = { FS, ZipDirectoryEntry, ZipFileEntry, ZipSymlinkEntry };
 export { fs };
 
 function getTotalSize(entries, propertyName) {
@@ -741,6 +792,8 @@ async function exportZip(zipWriter, entry, totalSize, options) {
 					lastModDate,
 					creationDate,
 					lastAccessDate,
+					uid,
+					gid,
 					uncompressedSize,
 					encrypted,
 					zipCrypto,
@@ -754,7 +807,9 @@ async function exportZip(zipWriter, entry, totalSize, options) {
 					comment,
 					lastModDate,
 					creationDate,
-					lastAccessDate
+					lastAccessDate,
+					uid,
+					gid
 				};
 				if (child.passThrough) {
 					let level, encryptionStrength;
@@ -891,7 +946,13 @@ function resetFS(fs) {
 
 function addChild(parent, name, params, directory) {
 	if (parent.directory) {
-		return directory ? new ZipDirectoryEntry(parent.fs, name, params, parent) : new ZipFileEntry(parent.fs, name, params, parent);
+		if (directory) {
+			return new ZipDirectoryEntry(parent.fs, name, params, parent);
+		} else if (params.symlink) {
+			return new ZipSymlinkEntry(parent.fs, name, params, parent);
+		} else {
+			return new ZipFileEntry(parent.fs, name, params, parent);
+		}
 	} else {
 		throw new Error("Parent entry is not a directory");
 	}
@@ -26,7 +26,7 @@
  EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
-/* global Response, WritableStream, ReadableStream, TransformStream */
+/* global Response, WritableStream, ReadableStream, TransformStream, Blob */
 // deno-lint-ignore-file no-this-alias
 
 import {
@@ -52,6 +52,8 @@ import {
 	EXTRAFIELD_TYPE_NTFS,
 	EXTRAFIELD_TYPE_NTFS_TAG1,
 	EXTRAFIELD_TYPE_EXTENDED_TIMESTAMP,
+	EXTRAFIELD_TYPE_UNIX,
+	EXTRAFIELD_TYPE_UNIX_LEGACY,
 	EXTRAFIELD_TYPE_USDZ,
 	END_OF_CENTRAL_DIR_LENGTH,
 	ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH,
@@ -63,13 +65,15 @@ import {
 	FILE_ATTR_MSDOS_DIR_MASK,
 	FILE_ATTR_UNIX_TYPE_MASK,
 	FILE_ATTR_UNIX_TYPE_DIR,
+	FILE_ATTR_UNIX_TYPE_SYMLINK,
 	FILE_ATTR_UNIX_EXECUTABLE_MASK,
 	DIRECTORY_SIGNATURE,
 	HEADER_SIZE,
 	HEADER_OFFSET_SIGNATURE,
 	HEADER_OFFSET_COMPRESSED_SIZE,
 	HEADER_OFFSET_UNCOMPRESSED_SIZE,
-	UNDEFINED_VALUE
+	UNDEFINED_VALUE,
+	FUNCTION_TYPE
 } from "./constants.js";
 import {
 	getConfiguration,
@@ -81,6 +85,10 @@ import {
 	ERR_INVALID_SIGNATURE,
 	ERR_INVALID_PASSWORD,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
+	ERR_UNSUPPORTED_COMPRESSION,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
 	ERR_ABORT_CHECK_PASSWORD
 } from "./codec-pool.js";
 import {
@@ -91,7 +99,12 @@ import {
 	GenericWriter
 } from "./io.js";
 import { decodeText } from "./util/decode-text.js";
+import { detectEncoding } from "./util/detect-encoding.js";
+import { normalizeName } from "./util/name-policy.js";
+import { encodeText } from "./util/encode-text.js";
 import { Crc32 } from "./streams/codecs/crc32.js";
+import { Crc32Stream } from "./streams/crc32-stream.js";
+import { RangeInflateStream } from "./streams/range-inflate-stream.js";
 import {
 	PROPERTY_NAME_RAW_FILENAME,
 	PROPERTY_NAME_FILENAME,
@@ -107,6 +120,16 @@ import {
 	PROPERTY_NAME_RAW_LAST_ACCESS_DATE,
 	PROPERTY_NAME_CREATION_DATE,
 	PROPERTY_NAME_RAW_CREATION_DATE,
+	PROPERTY_NAME_VERSION_MADE_BY,
+	PROPERTY_NAME_MS_DOS_COMPATIBLE,
+	PROPERTY_NAME_INTERNAL_FILE_ATTRIBUTES,
+	PROPERTY_NAME_EXTERNAL_FILE_ATTRIBUTES,
+	PROPERTY_NAME_EXECUTABLE,
+	PROPERTY_NAME_SYMLINK,
+	PROPERTY_NAME_UNIX_MODE,
+	PROPERTY_NAME_SIGNATURE,
+	PROPERTY_NAME_COMPRESSION_METHOD,
+	PROPERTY_NAME_ENCRYPTED,
 	Entry
 } from "./zip-entry.js";
 import {
@@ -120,13 +143,24 @@ import {
 	OPTION_PASS_THROUGH,
 	OPTION_SIGNAL,
 	OPTION_CHECK_PASSWORD_ONLY,
+	OPTION_GET_PASSWORD,
 	OPTION_CHECK_OVERLAPPING_ENTRY_ONLY,
 	OPTION_CHECK_OVERLAPPING_ENTRY,
 	OPTION_CHECK_SIGNATURE,
 	OPTION_USE_WEB_WORKERS,
 	OPTION_USE_COMPRESSION_STREAM,
 	OPTION_TRANSFER_STREAMS,
-	OPTION_PREVENT_CLOSE
+	OPTION_PREVENT_CLOSE,
+	OPTION_SEQUENTIAL,
+	OPTION_RECOVER,
+	OPTION_MAX_ENTRIES,
+	OPTION_MAX_TOTAL_UNCOMPRESSED_SIZE,
+	OPTION_MAX_ENTRY_UNCOMPRESSED_SIZE,
+	OPTION_MAX_COMPRESSION_RATIO,
+	OPTION_FILENAME_POLICY,
+	OPTION_CHECKPOINT_INTERVAL,
+	OPTION_INDEX,
+	OPTION_NAME_NORMALIZATION
 } from "./options.js";
 
 const ERR_BAD_FORMAT = "File format is not recognized";
@@ -137,11 +171,72 @@ const ERR_LOCAL_FILE_HEADER_NOT_FOUND = "Local file header not found";
 const ERR_EXTRAFIELD_ZIP64_NOT_FOUND = "Zip64 extra field not found";
 const ERR_ENCRYPTED = "File contains encrypted entry";
 const ERR_UNSUPPORTED_ENCRYPTION = "Encryption method not supported";
-const ERR_UNSUPPORTED_COMPRESSION = "Compression method not supported";
 const ERR_SPLIT_ZIP_FILE = "Split zip file";
 const ERR_OVERLAPPING_ENTRY = "Overlapping entry found";
+const ERR_DATA_DESCRIPTOR_NOT_FOUND = "Data descriptor not found";
+const ERR_CENTRAL_DIRECTORY_MISMATCH = "Central directory does not match local file headers";
+const ERR_ENTRY_DATA_NOT_AVAILABLE = "Entry data not available";
+const ERR_MAX_ENTRIES_EXCEEDED = "Maximum number of entries exceeded";
+const ERR_UNSAFE_ENTRY_NAME = "Unsafe entry name";
+const ERR_UNSUPPORTED_RANGE = "Byte range not supported";
+const ERROR_CODES = {
+	[ERR_BAD_FORMAT]: "ERR_BAD_FORMAT",
+	[ERR_EOCDR_NOT_FOUND]: "ERR_EOCDR_NOT_FOUND",
+	[ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND]: "ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND",
+	[ERR_CENTRAL_DIRECTORY_NOT_FOUND]: "ERR_CENTRAL_DIRECTORY_NOT_FOUND",
+	[ERR_LOCAL_FILE_HEADER_NOT_FOUND]: "ERR_LOCAL_FILE_HEADER_NOT_FOUND",
+	[ERR_EXTRAFIELD_ZIP64_NOT_FOUND]: "ERR_EXTRAFIELD_ZIP64_NOT_FOUND",
+	[ERR_ENCRYPTED]: "ERR_ENCRYPTED",
+	[ERR_UNSUPPORTED_ENCRYPTION]: "ERR_UNSUPPORTED_ENCRYPTION",
+	[ERR_UNSUPPORTED_COMPRESSION]: "ERR_UNSUPPORTED_COMPRESSION",
+	[ERR_INVALID_SIGNATURE]: "ERR_INVALID_SIGNATURE",
+	[ERR_INVALID_PASSWORD]: "ERR_INVALID_PASSWORD",
+	[ERR_INVALID_UNCOMPRESSED_SIZE]: "ERR_INVALID_UNCOMPRESSED_SIZE",
+	[ERR_SPLIT_ZIP_FILE]: "ERR_SPLIT_ZIP_FILE",
+	[ERR_OVERLAPPING_ENTRY]: "ERR_OVERLAPPING_ENTRY",
+	[ERR_DATA_DESCRIPTOR_NOT_FOUND]: "ERR_DATA_DESCRIPTOR_NOT_FOUND",
+	[ERR_CENTRAL_DIRECTORY_MISMATCH]: "ERR_CENTRAL_DIRECTORY_MISMATCH",
+	[ERR_ENTRY_DATA_NOT_AVAILABLE]: "ERR_ENTRY_DATA_NOT_AVAILABLE",
+	[ERR_MAX_ENTRIES_EXCEEDED]: "ERR_MAX_ENTRIES_EXCEEDED",
+	[ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED]: "ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED",
+	[ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED]: "ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED",
+	[ERR_MAX_COMPRESSION_RATIO_EXCEEDED]: "ERR_MAX_COMPRESSION_RATIO_EXCEEDED",
+	[ERR_UNSAFE_ENTRY_NAME]: "ERR_UNSAFE_ENTRY_NAME",
+	[ERR_UNSUPPORTED_RANGE]: "ERR_UNSUPPORTED_RANGE"
+};
+const FILENAME_POLICY_SANITIZE = "sanitize";
+const FILENAME_POLICY_REJECT = "reject";
+const BACKSLASH_REGEXP = /\\/g;
+const DRIVE_PREFIX_REGEXP = /^[a-z]:/i;
+const DEFAULT_CHECKPOINT_INTERVAL = 1024 * 1024;
+// internal option set by ZipReader#test(), the data decompressed to check the entries is not counted in the total uncompressed size
+const OPTION_INTEGRITY_CHECK = "integrityCheck";
+const INDEX_SIGNATURE = 0x58444e49;
+const INDEX_VERSION = 1;
+const INDEX_HEADER_LENGTH = 57;
+const WINDOWS_RESERVED_NAME_REGEXP = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(\.|$)/i;
+const RECOVERABLE_ERRORS = [
+	ERR_BAD_FORMAT,
+	ERR_EOCDR_NOT_FOUND,
+	ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND,
+	ERR_CENTRAL_DIRECTORY_NOT_FOUND,
+	ERR_EXTRAFIELD_ZIP64_NOT_FOUND,
+	ERR_DATA_DESCRIPTOR_NOT_FOUND
+];
+const RECOVERY_UNVERIFIED_PROPERTIES = [
+	PROPERTY_NAME_VERSION_MADE_BY,
+	PROPERTY_NAME_MS_DOS_COMPATIBLE,
+	PROPERTY_NAME_INTERNAL_FILE_ATTRIBUTES,
+	PROPERTY_NAME_EXTERNAL_FILE_ATTRIBUTES,
+	PROPERTY_NAME_EXECUTABLE,
+	PROPERTY_NAME_SYMLINK,
+	PROPERTY_NAME_UNIX_MODE,
+	PROPERTY_NAME_COMMENT
+];
 const CHARSET_UTF8 = "utf-8";
 const CHARSET_CP437 = "cp437";
+const ENCODING_AUTO = "auto";
+const MAX_ASCII_CODE = 0x7f;
 const ZIP64_PROPERTIES = [
 	[PROPERTY_NAME_UNCOMPRESSED_SIZE, MAX_32_BITS],
 	[PROPERTY_NAME_COMPRESSED_SIZE, MAX_32_BITS],
@@ -166,224 +261,239 @@ class ZipReader {
 			reader: new GenericReader(reader),
 			options,
 			config: getConfiguration(),
-			readRanges: []
+			readRanges: [],
+			uncompressedSizes: new Map(),
+			totalUncompressedSize: 0
 		});
 	}
 
 	async* getEntriesGenerator(options = {}) {
 		const zipReader = this;
-		let { reader } = zipReader;
-		const { config } = zipReader;
-		await initStream(reader);
-		if (reader.size === UNDEFINED_VALUE || !reader.readUint8Array) {
-			reader = new BlobReader(await new Response(reader.readable).blob());
-			await initStream(reader);
-		}
-		if (reader.size < END_OF_CENTRAL_DIR_LENGTH) {
-			throw new Error(ERR_BAD_FORMAT);
-		}
-		reader.chunkSize = getChunkSize(config);
-		const endOfDirectoryInfo = await seekSignature(reader, END_OF_CENTRAL_DIR_SIGNATURE, reader.size, END_OF_CENTRAL_DIR_LENGTH, MAX_16_BITS * 16);
-		if (!endOfDirectoryInfo) {
-			const signatureArray = await readUint8Array(reader, 0, 4);
-			const signatureView = getDataView(signatureArray);
-			if (getUint32(signatureView) == SPLIT_ZIP_FILE_SIGNATURE) {
-				throw new Error(ERR_SPLIT_ZIP_FILE);
-			} else {
-				throw new Error(ERR_EOCDR_NOT_FOUND);
-			}
-		}
-		const endOfDirectoryView = getDataView(endOfDirectoryInfo);
-		let directoryDataLength = getUint32(endOfDirectoryView, 12);
-		let directoryDataOffset = getUint32(endOfDirectoryView, 16);
-		const commentOffset = endOfDirectoryInfo.offset;
-		const commentLength = getUint16(endOfDirectoryView, 20);
-		const appendedDataOffset = commentOffset + END_OF_CENTRAL_DIR_LENGTH + commentLength;
-		let lastDiskNumber = getUint16(endOfDirectoryView, 4);
-		const expectedLastDiskNumber = reader.lastDiskNumber || 0;
-		let diskNumber = getUint16(endOfDirectoryView, 6);
-		let filesLength = getUint16(endOfDirectoryView, 8);
-		let prependedDataLength = 0;
-		let startOffset = 0;
-		if (directoryDataOffset == MAX_32_BITS || directoryDataLength == MAX_32_BITS || filesLength == MAX_16_BITS || diskNumber == MAX_16_BITS) {
-			const endOfDirectoryLocatorArray = await readUint8Array(reader, endOfDirectoryInfo.offset - ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH, ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH);
-			const endOfDirectoryLocatorView = getDataView(endOfDirectoryLocatorArray);
-			if (getUint32(endOfDirectoryLocatorView, 0) == ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE) {
-				directoryDataOffset = getBigUint64(endOfDirectoryLocatorView, 8);
-				let endOfDirectoryArray = await readUint8Array(reader, directoryDataOffset, ZIP64_END_OF_CENTRAL_DIR_LENGTH, -1);
-				let endOfDirectoryView = getDataView(endOfDirectoryArray);
-				const expectedDirectoryDataOffset = endOfDirectoryInfo.offset - ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH - ZIP64_END_OF_CENTRAL_DIR_LENGTH;
-				if (getUint32(endOfDirectoryView, 0) != ZIP64_END_OF_CENTRAL_DIR_SIGNATURE && directoryDataOffset != expectedDirectoryDataOffset) {
-					const originalDirectoryDataOffset = directoryDataOffset;
-					directoryDataOffset = expectedDirectoryDataOffset;
-					if (directoryDataOffset > originalDirectoryDataOffset) {
-						prependedDataLength = directoryDataOffset - originalDirectoryDataOffset;
-					}
-					endOfDirectoryArray = await readUint8Array(reader, directoryDataOffset, ZIP64_END_OF_CENTRAL_DIR_LENGTH, -1);
-					endOfDirectoryView = getDataView(endOfDirectoryArray);
-				}
-				if (getUint32(endOfDirectoryView, 0) != ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
-					throw new Error(ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND);
-				}
-				if (lastDiskNumber == MAX_16_BITS) {
-					lastDiskNumber = getUint32(endOfDirectoryView, 16);
-				}
-				if (diskNumber == MAX_16_BITS) {
-					diskNumber = getUint32(endOfDirectoryView, 20);
-				}
-				if (filesLength == MAX_16_BITS) {
-					filesLength = getBigUint64(endOfDirectoryView, 32);
-				}
-				if (directoryDataLength == MAX_32_BITS) {
-					directoryDataLength = getBigUint64(endOfDirectoryView, 40);
+		const limits = getEntryLimits(zipReader, options);
+		const filenamePolicy = getOptionValue(zipReader, options, OPTION_FILENAME_POLICY);
+		const nameNormalization = getOptionValue(zipReader, options, OPTION_NAME_NORMALIZATION);
+		for await (const entry of readEntries(zipReader, options)) {
+			checkEntryLimits(entry, limits);
+			entry.filename = normalizeName(entry.filename, nameNormalization);
+			applyFilenamePolicy(entry, filenamePolicy);
+			yield entry;
+		}
+		return true;
+	}
+
+	async getEntry(filename, options = {}) {
+		const zipReader = this;
+		const entryIndex = await getEntryIndex(zipReader, options);
+		filename = normalizeName(filename, getOptionValue(zipReader, options, OPTION_NAME_NORMALIZATION));
+		if (entryIndex) {
+			const offset = entryIndex.offsets.get(filename);
+			if (offset !== UNDEFINED_VALUE) {
+				return getIndexedEntry(zipReader, entryIndex, offset, options);
+			}
+		} else {
+			for await (const entry of zipReader.getEntriesGenerator(options)) {
+				if (entry.filename == filename) {
+					return entry;
 				}
-				directoryDataOffset -= directoryDataLength;
 			}
 		}
-		if (directoryDataOffset >= reader.size) {
-			prependedDataLength = reader.size - directoryDataOffset - directoryDataLength - END_OF_CENTRAL_DIR_LENGTH;
-			directoryDataOffset = reader.size - directoryDataLength - END_OF_CENTRAL_DIR_LENGTH;
-		}
-		if (expectedLastDiskNumber != lastDiskNumber) {
-			throw new Error(ERR_SPLIT_ZIP_FILE);
+	}
+
+	async has(filename, options = {}) {
+		const zipReader = this;
+		const entryIndex = await getEntryIndex(zipReader, options);
+		return entryIndex ?
+			entryIndex.offsets.has(normalizeName(filename, entryIndex.nameNormalization)) :
+			Boolean(await zipReader.getEntry(filename, options));
+	}
+
+	async exportIndex() {
+		const zipReader = this;
+		await initStream(zipReader.reader);
+		const reader = await getRandomAccessReader(zipReader);
+		const centralDirectory = zipReader.centralDirectory || await readCentralDirectory(zipReader, reader, {});
+		const comment = centralDirectory.comment || await readComment(reader, centralDirectory);
+		return writeIndex(reader, centralDirectory, comment);
+	}
+
+	async getEntries(options = {}) {
+		const entries = [];
+		for await (const entry of this.getEntriesGenerator(options)) {
+			entries.push(entry);
 		}
-		if (directoryDataOffset < 0) {
-			throw new Error(ERR_BAD_FORMAT);
+		return entries;
+	}
+
+	async test(options = {}) {
+		const zipReader = this;
+		const entries = [];
+		const dataOptions = Object.assign({}, options, {
+			checkSignature: true,
+			checkOverlappingEntry: true,
+			[OPTION_INTEGRITY_CHECK]: true,
+			onstart: UNDEFINED_VALUE,
+			onprogress: UNDEFINED_VALUE,
+			onend: UNDEFINED_VALUE
+		});
+		let error;
+		try {
+			for await (const entry of zipReader.getEntriesGenerator(options)) {
+				entries.push(await testEntry(zipReader, entry, dataOptions));
+			}
+		} catch (entriesError) {
+			error = getTestError(entriesError);
 		}
-		let offset = 0;
-		let directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
-		let directoryView = getDataView(directoryArray);
-		if (directoryDataLength) {
-			const expectedDirectoryDataOffset = endOfDirectoryInfo.offset - directoryDataLength;
-			if (getUint32(directoryView, offset) != CENTRAL_FILE_HEADER_SIGNATURE && directoryDataOffset != expectedDirectoryDataOffset) {
-				const originalDirectoryDataOffset = directoryDataOffset;
-				directoryDataOffset = expectedDirectoryDataOffset;
-				if (directoryDataOffset > originalDirectoryDataOffset) {
-					prependedDataLength += directoryDataOffset - originalDirectoryDataOffset;
+		return {
+			valid: !error && entries.every(entry => entry.valid),
+			error,
+			entries
+		};
+	}
+
+	async prefetch(entries) {
+		const { reader } = this;
+		await initStream(reader);
+		if (typeof reader.prefetch == FUNCTION_TYPE) {
+			entries = entries.filter(entry => !entry.directory);
+			// the local extra field may be longer than the extra field in the central directory, the local headers are
+			// fetched first to compute the exact ranges of the data
+			const headerRanges = await reader.prefetch(entries.map(({ offset }) => ({ start: offset, end: offset + HEADER_SIZE })));
+			const entryRanges = [];
+			for (const entry of entries) {
+				const { offset, diskNumberStart } = entry;
+				if (headerRanges.some(({ start, end }) => offset >= start && offset + HEADER_SIZE <= end)) {
+					const headerArray = await readUint8Array(reader, offset, HEADER_SIZE, diskNumberStart);
+					entryRanges.push(getEntryRange(entry, getDataView(headerArray)));
 				}
-				directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
-				directoryView = getDataView(directoryArray);
+			}
+			if (entryRanges.length) {
+				await reader.prefetch(entryRanges);
 			}
 		}
-		const expectedDirectoryDataLength = endOfDirectoryInfo.offset - directoryDataOffset - (reader.lastDiskOffset || 0);
-		if (directoryDataLength != expectedDirectoryDataLength && expectedDirectoryDataLength >= 0) {
-			directoryDataLength = expectedDirectoryDataLength;
-			directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
-			directoryView = getDataView(directoryArray);
+	}
+
+	async close() {
+		const { reader } = this;
+		if (typeof reader.close == FUNCTION_TYPE) {
+			await reader.close();
 		}
-		if (directoryDataOffset < 0 || directoryDataOffset >= reader.size) {
-			throw new Error(ERR_BAD_FORMAT);
-		}
-		const filenameEncoding = getOptionValue(zipReader, options, OPTION_FILENAME_ENCODING);
-		const commentEncoding = getOptionValue(zipReader, options, OPTION_COMMENT_ENCODING);
-		for (let indexFile = 0; indexFile < filesLength; indexFile++) {
-			const fileEntry = new ZipEntry(reader, config, zipReader.options);
-			if (getUint32(directoryView, offset) != CENTRAL_FILE_HEADER_SIGNATURE) {
-				throw new Error(ERR_CENTRAL_DIRECTORY_NOT_FOUND);
-			}
-			readCommonHeader(fileEntry, directoryView, offset + 6);
-			const languageEncodingFlag = Boolean(fileEntry.bitFlag.languageEncodingFlag);
-			const filenameOffset = offset + 46;
-			const extraFieldOffset = filenameOffset + fileEntry.filenameLength;
-			const commentOffset = extraFieldOffset + fileEntry.extraFieldLength;
-			const versionMadeBy = getUint16(directoryView, offset + 4);
-			const msDosCompatible = versionMadeBy >> 8 == 0;
-			const unixCompatible = versionMadeBy >> 8 == 3;
-			const rawFilename = directoryArray.subarray(filenameOffset, extraFieldOffset);
-			const commentLength = getUint16(directoryView, offset + 32);
-			const endOffset = commentOffset + commentLength;
-			const rawComment = directoryArray.subarray(commentOffset, endOffset);
-			const filenameUTF8 = languageEncodingFlag;
-			const commentUTF8 = languageEncodingFlag;
-			const externalFileAttributes = getUint32(directoryView, offset + 38);
-			const directory =
-				(msDosCompatible && ((getUint8(directoryView, offset + 38) & FILE_ATTR_MSDOS_DIR_MASK) == FILE_ATTR_MSDOS_DIR_MASK)) ||
-				(unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_TYPE_MASK) == FILE_ATTR_UNIX_TYPE_DIR)) ||
-				(rawFilename.length && rawFilename.at(-1) == DIRECTORY_SIGNATURE.charCodeAt(0));
-			const executable = (unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_EXECUTABLE_MASK) != 0));
-			const offsetFileEntry = getUint32(directoryView, offset + 42) + prependedDataLength;
-			Object.assign(fileEntry, {
-				versionMadeBy,
-				msDosCompatible,
-				compressedSize: 0,
-				uncompressedSize: 0,
-				commentLength,
-				directory,
-				offset: offsetFileEntry,
-				diskNumberStart: getUint16(directoryView, offset + 34),
-				internalFileAttributes: getUint16(directoryView, offset + 36),
-				externalFileAttributes,
-				rawFilename,
-				filenameUTF8,
-				commentUTF8,
-				rawExtraField: directoryArray.subarray(extraFieldOffset, commentOffset),
-				executable
-			});
-			fileEntry.internalFileAttribute = fileEntry.internalFileAttributes;
-			fileEntry.externalFileAttribute = fileEntry.externalFileAttributes;
-			const decode = getOptionValue(zipReader, options, OPTION_DECODE_TEXT) || decodeText;
-			const rawFilenameEncoding = filenameUTF8 ? CHARSET_UTF8 : filenameEncoding || CHARSET_CP437;
-			const rawCommentEncoding = commentUTF8 ? CHARSET_UTF8 : commentEncoding || CHARSET_CP437;
-			let filename = decode(rawFilename, rawFilenameEncoding);
-			if (filename === UNDEFINED_VALUE) {
-				filename = decodeText(rawFilename, rawFilenameEncoding);
-			}
-			let comment = decode(rawComment, rawCommentEncoding);
-			if (comment === UNDEFINED_VALUE) {
-				comment = decodeText(rawComment, rawCommentEncoding);
-			}
-			Object.assign(fileEntry, {
-				rawComment,
-				filename,
-				comment,
-				directory: directory || filename.endsWith(DIRECTORY_SIGNATURE)
-			});
-			startOffset = Math.max(offsetFileEntry, startOffset);
-			readCommonFooter(fileEntry, fileEntry, directoryView, offset + 6);
-			fileEntry.zipCrypto = fileEntry.encrypted && !fileEntry.extraFieldAES;
-			const entry = new Entry(fileEntry);
-			entry.getData = (writer, options) => fileEntry.getData(writer, entry, zipReader.readRanges, options);
-			entry.arrayBuffer = async options => {
-				const writer = new TransformStream();
-				const [arrayBuffer] = await Promise.all([
-					new Response(writer.readable).arrayBuffer(),
-					fileEntry.getData(writer, entry, zipReader.readRanges, options)]);
-				return arrayBuffer;
-			};
-			offset = endOffset;
-			const { onprogress } = options;
-			if (onprogress) {
-				try {
-					await onprogress(indexFile + 1, filesLength, new Entry(fileEntry));
-					// eslint-disable-next-line no-unused-vars
-				} catch (_) {
-					// ignored
-				}
-			}
+	}
+}
+
+async function* readEntries(zipReader, options) {
+	await initStream(zipReader.reader);
+	if (getOptionValue(zipReader, options, OPTION_SEQUENTIAL)) {
+		return yield* getEntriesSequentially(zipReader, options);
+	}
+	const reader = await getRandomAccessReader(zipReader);
+	const entries = [];
+	try {
+		for await (const entry of getCentralDirectoryEntries(zipReader, reader, options)) {
+			entries.push(entry);
 			yield entry;
 		}
-		const extractPrependedData = getOptionValue(zipReader, options, OPTION_EXTRACT_PREPENDED_DATA);
-		const extractAppendedData = getOptionValue(zipReader, options, OPTION_EXTRACT_APPENDED_DATA);
-		if (extractPrependedData) {
-			zipReader.prependedData = startOffset > 0 ? await readUint8Array(reader, 0, startOffset) : new Uint8Array();
-		}
-		zipReader.comment = commentLength ? await readUint8Array(reader, commentOffset + END_OF_CENTRAL_DIR_LENGTH, commentLength) : new Uint8Array();
-		if (extractAppendedData) {
-			zipReader.appendedData = appendedDataOffset < reader.size ? await readUint8Array(reader, appendedDataOffset, reader.size - appendedDataOffset) : new Uint8Array();
+	} catch (error) {
+		if (!getOptionValue(zipReader, options, OPTION_RECOVER) || !isRecoverableError(error)) {
+			throw error;
 		}
-		return true;
+		yield* recoverEntries(zipReader, reader, options, entries);
+	}
+	return true;
+}
+
+function getEntryRange({ offset, compressedSize }, headerView) {
+	return {
+		start: offset,
+		end: offset + HEADER_SIZE + getUint16(headerView, 26) + getUint16(headerView, 28) + compressedSize
+	};
+}
+
+async function getRandomAccessReader(zipReader) {
+	let { reader } = zipReader;
+	if (reader.size === UNDEFINED_VALUE || !reader.readUint8Array) {
+		reader = zipReader.reader = new BlobReader(await new Response(reader.readable).blob());
+		await initStream(reader);
 	}
+	return reader;
+}
 
-	async getEntries(options = {}) {
-		const entries = [];
-		for await (const entry of this.getEntriesGenerator(options)) {
-			entries.push(entry);
+async function getEntryIndex(zipReader, options) {
+	const filenameEncoding = getOptionValue(zipReader, options, OPTION_FILENAME_ENCODING);
+	const decode = getOptionValue(zipReader, options, OPTION_DECODE_TEXT) || decodeText;
+	const filenamePolicy = getOptionValue(zipReader, options, OPTION_FILENAME_POLICY);
+	const nameNormalization = getOptionValue(zipReader, options, OPTION_NAME_NORMALIZATION);
+	let { entryIndex } = zipReader;
+	if (!entryIndex ||
+		entryIndex.filenameEncoding != filenameEncoding ||
+		entryIndex.decode != decode ||
+		entryIndex.filenamePolicy != filenamePolicy ||
+		entryIndex.nameNormalization != nameNormalization) {
+		await initStream(zipReader.reader);
+		if (getOptionValue(zipReader, options, OPTION_SEQUENTIAL)) {
+			return;
 		}
-		return entries;
+		const reader = await getRandomAccessReader(zipReader);
+		const offsets = new Map();
+		let centralDirectory;
+		try {
+			centralDirectory = await readCentralDirectory(zipReader, reader, options);
+			const { directoryView, filesLength } = centralDirectory;
+			const rawFilenameEncoding = getEntryTextEncoding(zipReader, centralDirectory, options, OPTION_FILENAME_ENCODING);
+			for (let indexFile = 0, offset = 0; indexFile < filesLength; indexFile++) {
+				if (getUint32(directoryView, offset) != CENTRAL_FILE_HEADER_SIGNATURE) {
+					throw new Error(ERR_CENTRAL_DIRECTORY_NOT_FOUND);
+				}
+				const filename = getIndexedFilename(zipReader, centralDirectory, offset, { decode, filenameEncoding: rawFilenameEncoding, filenamePolicy, nameNormalization }, options);
+				if (filename && !offsets.has(filename)) {
+					offsets.set(filename, offset);
+				}
+				offset = getNextRecordOffset(directoryView, offset);
+			}
+		} catch (error) {
+			if (getOptionValue(zipReader, options, OPTION_RECOVER) && isRecoverableError(error)) {
+				return;
+			}
+			throw error;
+		}
+		entryIndex = zipReader.entryIndex = { centralDirectory, offsets, filenameEncoding, decode, filenamePolicy, nameNormalization };
 	}
+	return entryIndex;
+}
 
-	async close() {
+function getIndexedFilename(zipReader, centralDirectory, offset, { decode, filenameEncoding, filenamePolicy, nameNormalization }, options) {
+	const { directoryArray, directoryView } = centralDirectory;
+	const filenameOffset = offset + 46;
+	const extraFieldOffset = filenameOffset + getUint16(directoryView, offset + 28);
+	const extraFieldLength = getUint16(directoryView, offset + 30);
+	let filename;
+	if (hasExtraField(directoryView, extraFieldOffset, extraFieldLength, EXTRAFIELD_TYPE_UNICODE_PATH)) {
+		({ filename } = readCentralDirectoryEntry(zipReader, centralDirectory, offset, options));
+	} else {
+		const filenameUTF8 = (getUint16(directoryView, offset + 8) & BITFLAG_LANG_ENCODING_FLAG) == BITFLAG_LANG_ENCODING_FLAG;
+		const rawFilename = directoryArray.subarray(filenameOffset, extraFieldOffset);
+		filename = decodeEntryText(decode, rawFilename, filenameUTF8 ? CHARSET_UTF8 : filenameEncoding || CHARSET_CP437);
+	}
+	filename = normalizeName(filename, nameNormalization);
+	return filenamePolicy == FILENAME_POLICY_SANITIZE || filenamePolicy == FILENAME_POLICY_REJECT ? getSafeFilename(filename) : filename;
+}
+
+function hasExtraField(directoryView, offset, length, type) {
+	const endOffset = offset + length;
+	while (offset + 4 <= endOffset) {
+		if (getUint16(directoryView, offset) == type) {
+			return true;
+		}
+		offset += 4 + getUint16(directoryView, offset + 2);
 	}
+	return false;
+}
+
+function getIndexedEntry(zipReader, entryIndex, offset, options) {
+	const entry = createEntry(zipReader, readCentralDirectoryEntry(zipReader, entryIndex.centralDirectory, offset, options));
+	checkEntryLimits(entry, getEntryLimits(zipReader, options));
+	entry.filename = normalizeName(entry.filename, entryIndex.nameNormalization);
+	applyFilenamePolicy(entry, entryIndex.filenamePolicy);
+	return entry;
 }
 
 class ZipReaderStream {
@@ -391,11 +501,18 @@ class ZipReaderStream {
 	constructor(options = {}) {
 		const { readable, writable } = new TransformStream();
 		const gen = new ZipReader(readable, options).getEntriesGenerator();
+		const sequential = options[OPTION_SEQUENTIAL];
 		this.readable = new ReadableStream({
 			async pull(controller) {
 				const { done, value } = await gen.next();
 				if (done)
 					return controller.close();
+				if (sequential) {
+					const { getData } = value;
+					delete value.getData;
+					value.readable = createSequentialReadable(getData);
+					return controller.enqueue(value);
+				}
 				const chunk = {
 					...value,
 					readable: (function () {
@@ -409,7 +526,7 @@ class ZipReaderStream {
 				delete chunk.getData;
 				controller.enqueue(chunk);
 			}
-		});
+		}, { highWaterMark: sequential ? 0 : 1 });
 		this.writable = writable;
 	}
 }
@@ -430,7 +547,16 @@ export {
 	ERR_INVALID_PASSWORD,
 	ERR_INVALID_UNCOMPRESSED_SIZE,
 	ERR_SPLIT_ZIP_FILE,
-	ERR_OVERLAPPING_ENTRY
+	ERR_OVERLAPPING_ENTRY,
+	ERR_DATA_DESCRIPTOR_NOT_FOUND,
+	ERR_CENTRAL_DIRECTORY_MISMATCH,
+	ERR_ENTRY_DATA_NOT_AVAILABLE,
+	ERR_MAX_ENTRIES_EXCEEDED,
+	ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED,
+	ERR_MAX_COMPRESSION_RATIO_EXCEEDED,
+	ERR_UNSAFE_ENTRY_NAME,
+	ERR_UNSUPPORTED_RANGE
 };
 
 class ZipEntry {
@@ -443,7 +569,7 @@ class ZipEntry {
 		});
 	}
 
-	async getData(writer, fileEntry, readRanges, options = {}) {
+	async getData(writer, fileEntry, zipReader, options = {}) {
 		const zipEntry = this;
 		const {
 			reader,
@@ -455,7 +581,6 @@ class ZipEntry {
 			config,
 			bitFlag,
 			signature,
-			rawLastModDate,
 			uncompressedSize,
 			compressedSize
 		} = zipEntry;
@@ -465,19 +590,8 @@ class ZipEntry {
 		const localDirectory = fileEntry.localDirectory = {};
 		const dataArray = await readUint8Array(reader, offset, HEADER_SIZE, diskNumberStart);
 		const dataView = getDataView(dataArray);
-		let password = getOptionValue(zipEntry, options, OPTION_PASSWORD);
-		let rawPassword = getOptionValue(zipEntry, options, OPTION_RAW_PASSWORD);
-		const passThrough = getOptionValue(zipEntry, options, OPTION_PASS_THROUGH);
-		password = password && password.length && password;
-		rawPassword = rawPassword && rawPassword.length && rawPassword;
-		if (extraFieldAES) {
-			if (extraFieldAES.originalCompressionMethod != COMPRESSION_METHOD_AES) {
-				throw new Error(ERR_UNSUPPORTED_COMPRESSION);
-			}
-		}
-		if ((compressionMethod != COMPRESSION_METHOD_STORE && compressionMethod != COMPRESSION_METHOD_DEFLATE) && !passThrough) {
-			throw new Error(ERR_UNSUPPORTED_COMPRESSION);
-		}
+		const dataOptions = getDataOptions(zipEntry, options);
+		const { passThrough } = dataOptions;
 		if (getUint32(dataView, 0) != LOCAL_FILE_HEADER_SIGNATURE) {
 			throw new Error(ERR_LOCAL_FILE_HEADER_NOT_FOUND);
 		}
@@ -499,49 +613,23 @@ class ZipEntry {
 			fileEntry.zipCrypto = zipCrypto;
 		}
 		if (encrypted) {
-			if (!zipCrypto && extraFieldAES.strength === UNDEFINED_VALUE) {
-				throw new Error(ERR_UNSUPPORTED_ENCRYPTION);
-			} else if (!password && !rawPassword) {
-				throw new Error(ERR_ENCRYPTED);
-			}
+			await checkEncryption(fileEntry, zipEntry, dataOptions, zipCrypto);
 		}
 		const dataOffset = offset + HEADER_SIZE + filenameLength + extraFieldLength;
-		const size = compressedSize;
-		const readable = reader.readable;
-		Object.assign(readable, {
-			diskNumberStart,
-			offset: dataOffset,
-			size
-		});
-		const signal = getOptionValue(zipEntry, options, OPTION_SIGNAL);
-		const checkPasswordOnly = getOptionValue(zipEntry, options, OPTION_CHECK_PASSWORD_ONLY);
+		const range = getDataRange(zipEntry, options, passThrough);
+		const seekable = range && (passThrough || (compressionMethod == COMPRESSION_METHOD_STORE && !zipEntry.encrypted));
+		const rangeInflated = range && !seekable;
+		if (rangeInflated && (compressionMethod != COMPRESSION_METHOD_DEFLATE || zipEntry.encrypted)) {
+			throw new Error(ERR_UNSUPPORTED_RANGE);
+		}
+		const checkpoint = rangeInflated && getCheckpoint(zipEntry, range.start);
+		const size = seekable ? range.end - range.start : rangeInflated ? compressedSize - checkpoint.inputOffset : compressedSize;
+		const expectedSize = range ? range.end - range.start : passThrough ? compressedSize : uncompressedSize;
 		let checkOverlappingEntry = getOptionValue(zipEntry, options, OPTION_CHECK_OVERLAPPING_ENTRY);
 		const checkOverlappingEntryOnly = getOptionValue(zipEntry, options, OPTION_CHECK_OVERLAPPING_ENTRY_ONLY);
 		if (checkOverlappingEntryOnly) {
 			checkOverlappingEntry = true;
 		}
-		const { onstart, onprogress, onend } = options;
-		const workerOptions = {
-			options: {
-				codecType: CODEC_INFLATE,
-				password,
-				rawPassword,
-				zipCrypto,
-				encryptionStrength: extraFieldAES && extraFieldAES.strength,
-				signed: getOptionValue(zipEntry, options, OPTION_CHECK_SIGNATURE) && !passThrough,
-				passwordVerification: zipCrypto && (dataDescriptor ? ((rawLastModDate >>> 8) & 0xFF) : ((signature >>> 24) & 0xFF)),
-				outputSize: uncompressedSize,
-				signature,
-				compressed: compressionMethod != 0 && !passThrough,
-				encrypted: zipEntry.encrypted && !passThrough,
-				useWebWorkers: getOptionValue(zipEntry, options, OPTION_USE_WEB_WORKERS),
-				useCompressionStream: getOptionValue(zipEntry, options, OPTION_USE_COMPRESSION_STREAM),
-				transferStreams: getOptionValue(zipEntry, options, OPTION_TRANSFER_STREAMS),
-				checkPasswordOnly
-			},
-			config,
-			streamOptions: { signal, size, onstart, onprogress, onend }
-		};
 		if (checkOverlappingEntry) {
 			await detectOverlappingEntry({
 				reader,
@@ -554,41 +642,1236 @@ class ZipEntry {
 				dataOffset,
 				dataDescriptor: dataDescriptor || localDirectory.bitFlag.dataDescriptor,
 				extraFieldZip64: extraFieldZip64 || localDirectory.extraFieldZip64,
-				readRanges
+				readRanges: zipReader.readRanges
 			});
 		}
-		let writable;
-		try {
-			if (!checkOverlappingEntryOnly) {
-				if (checkPasswordOnly) {
-					writer = new WritableStream();
+		if (!checkOverlappingEntryOnly) {
+			return readEntryData(writer, zipReader, zipEntry, options, dataOptions, {
+				entry: fileEntry,
+				range,
+				expectedSize,
+				retryPassword: true,
+				readData: (writable, dataOptions) => {
+					const readable = reader.readable;
+					Object.assign(readable, {
+						diskNumberStart,
+						offset: dataOffset + (seekable ? range.start : rangeInflated ? checkpoint.inputOffset : 0),
+						size
+					});
+					return rangeInflated ?
+						inflateRange(zipEntry, { readable, writable }, { checkpoint, range, options, config, signal: dataOptions.signal }) :
+						runWorker({ readable, writable }, getWorkerOptions(zipReader, zipEntry, options, dataOptions, {
+							zipCrypto,
+							signed: getOptionValue(zipEntry, options, OPTION_CHECK_SIGNATURE) && !passThrough && !range,
+							outputSize: range ? expectedSize : uncompressedSize,
+							size
+						}));
+				},
+				checkData: outputSize => {
+					if (outputSize != expectedSize) {
+						throw new Error(ERR_INVALID_UNCOMPRESSED_SIZE);
+					}
 				}
-				writer = new GenericWriter(writer);
-				await initStream(writer, passThrough ? compressedSize : uncompressedSize);
-				({ writable } = writer);
-				const { outputSize } = await runWorker({ readable, writable }, workerOptions);
-				writer.size += outputSize;
-				if (outputSize != (passThrough ? compressedSize : uncompressedSize)) {
-					throw new Error(ERR_INVALID_UNCOMPRESSED_SIZE);
+			});
+		}
+	}
+}
+
+class SequentialReader {
+
+	constructor(readable, chunkSize) {
+		Object.assign(this, {
+			reader: readable.getReader(),
+			chunkSize,
+			array: new Uint8Array(),
+			offset: 0,
+			done: false
+		});
+	}
+
+	async fill(length) {
+		const sequentialReader = this;
+		const { reader } = sequentialReader;
+		while (sequentialReader.array.length < length && !sequentialReader.done) {
+			const { value, done } = await reader.read();
+			if (done) {
+				sequentialReader.done = true;
+			} else {
+				const array = new Uint8Array(sequentialReader.array.length + value.length);
+				array.set(sequentialReader.array);
+				array.set(value, sequentialReader.array.length);
+				sequentialReader.array = array;
+			}
+		}
+		return sequentialReader.array;
+	}
+
+	async read(length) {
+		const sequentialReader = this;
+		const array = (await sequentialReader.fill(length)).slice(0, length);
+		sequentialReader.array = sequentialReader.array.subarray(array.length);
+		sequentialReader.offset += array.length;
+		return array;
+	}
+
+	async readUint32() {
+		const array = await this.read(4);
+		if (array.length == 4) {
+			return getUint32(getDataView(array), 0);
+		}
+	}
+
+	async* readChunks(length = Infinity) {
+		const sequentialReader = this;
+		while (length > 0) {
+			const array = await sequentialReader.read(Math.min(length, sequentialReader.chunkSize));
+			if (!array.length) {
+				if (length == Infinity) {
+					return;
+				}
+				throw new Error(ERR_BAD_FORMAT);
+			}
+			length -= array.length;
+			yield array;
+		}
+	}
+
+	async skip(length) {
+		// eslint-disable-next-line no-unused-vars
+		for await (const _ of this.readChunks(length)) {
+			// ignored
+		}
+	}
+}
+
+async function testEntry(zipReader, entry, options) {
+	const { reader } = zipReader;
+	const { filename, offset, diskNumberStart } = entry;
+	const errors = [];
+	let dataOffset;
+	if (reader.readUint8Array && !entry.recovered) {
+		try {
+			const localDirectory = await readLocalDirectory(reader, offset, diskNumberStart);
+			dataOffset = offset + HEADER_SIZE + localDirectory.filenameLength + localDirectory.extraFieldLength;
+			const properties = [PROPERTY_NAME_COMPRESSION_METHOD, PROPERTY_NAME_ENCRYPTED];
+			if (!localDirectory.bitFlag.dataDescriptor) {
+				properties.push(PROPERTY_NAME_SIGNATURE, PROPERTY_NAME_COMPRESSED_SIZE, PROPERTY_NAME_UNCOMPRESSED_SIZE);
+			}
+			if (!isSameArray(localDirectory.rawFilename, entry.rawFilename)) {
+				errors.push(getTestError(new Error(ERR_CENTRAL_DIRECTORY_MISMATCH), offset, PROPERTY_NAME_FILENAME));
+			}
+			properties
+				.filter(propertyName => localDirectory[propertyName] != entry[propertyName])
+				.forEach(propertyName => errors.push(getTestError(new Error(ERR_CENTRAL_DIRECTORY_MISMATCH), offset, propertyName)));
+		} catch (error) {
+			errors.push(getTestError(error, offset));
+		}
+	}
+	try {
+		await entry.getData(new WritableStream(), options);
+	} catch (error) {
+		errors.push(getTestError(error, dataOffset === UNDEFINED_VALUE ? offset : dataOffset));
+	}
+	return {
+		filename,
+		offset,
+		dataOffset,
+		valid: !errors.length,
+		errors
+	};
+}
+
+async function readLocalDirectory(reader, offset, diskNumberStart) {
+	const localDirectory = {};
+	const dataArray = await readUint8Array(reader, offset, HEADER_SIZE, diskNumberStart);
+	const dataView = getDataView(dataArray);
+	if (dataArray.length != HEADER_SIZE || getUint32(dataView, 0) != LOCAL_FILE_HEADER_SIGNATURE) {
+		throw new Error(ERR_LOCAL_FILE_HEADER_NOT_FOUND);
+	}
+	readCommonHeader(localDirectory, dataView, 4);
+	const { filenameLength, extraFieldLength } = localDirectory;
+	const variableDataArray = filenameLength + extraFieldLength ?
+		await readUint8Array(reader, offset + HEADER_SIZE, filenameLength + extraFieldLength, diskNumberStart) :
+		new Uint8Array();
+	localDirectory.rawFilename = variableDataArray.slice(0, filenameLength);
+	localDirectory.rawExtraField = variableDataArray.slice(filenameLength);
+	readCommonFooter(localDirectory, localDirectory, dataView, 4, true);
+	return localDirectory;
+}
+
+function getTestError(error, offset, property) {
+	const testError = {
+		code: ERROR_CODES[error.message] || error.code || error.name,
+		message: error.message,
+		offset,
+		property
+	};
+	if (error.overlappingEntry) {
+		testError.overlappingEntry = error.overlappingEntry;
+	}
+	return testError;
+}
+
+function isSameArray(array, otherArray) {
+	return array.length == otherArray.length && array.every((value, index) => value == otherArray[index]);
+}
+
+async function* getCentralDirectoryEntries(zipReader, reader, options) {
+	const directory = await readCentralDirectory(zipReader, reader, options);
+	const { directoryView, filesLength, appendedDataOffset } = directory;
+	let offset = 0;
+	let startOffset = 0;
+	for (let indexFile = 0; indexFile < filesLength; indexFile++) {
+		const fileEntry = readCentralDirectoryEntry(zipReader, directory, offset, options);
+		startOffset = Math.max(fileEntry.offset, startOffset);
+		const entry = createEntry(zipReader, fileEntry);
+		offset = getNextRecordOffset(directoryView, offset);
+		const { onprogress } = options;
+		if (onprogress) {
+			try {
+				await onprogress(indexFile + 1, filesLength, new Entry(fileEntry));
+				// eslint-disable-next-line no-unused-vars
+			} catch (_) {
+				// ignored
+			}
+		}
+		yield entry;
+	}
+	const extractPrependedData = getOptionValue(zipReader, options, OPTION_EXTRACT_PREPENDED_DATA);
+	const extractAppendedData = getOptionValue(zipReader, options, OPTION_EXTRACT_APPENDED_DATA);
+	if (extractPrependedData) {
+		zipReader.prependedData = startOffset > 0 ? await readUint8Array(reader, 0, startOffset) : new Uint8Array();
+	}
+	zipReader.comment = directory.comment || await readComment(reader, directory);
+	if (extractAppendedData) {
+		zipReader.appendedData = appendedDataOffset < reader.size ? await readUint8Array(reader, appendedDataOffset, reader.size - appendedDataOffset) : new Uint8Array();
+	}
+}
+
+async function readCentralDirectory(zipReader, reader, options) {
+	const { config } = zipReader;
+	const index = getOptionValue(zipReader, options, OPTION_INDEX);
+	const indexedCentralDirectory = index && readIndex(reader, index);
+	if (indexedCentralDirectory) {
+		return zipReader.centralDirectory = indexedCentralDirectory;
+	}
+	if (reader.size < END_OF_CENTRAL_DIR_LENGTH) {
+		throw new Error(ERR_BAD_FORMAT);
+	}
+	reader.chunkSize = getChunkSize(config);
+	const endOfDirectoryInfo = await seekSignature(reader, END_OF_CENTRAL_DIR_SIGNATURE, reader.size, END_OF_CENTRAL_DIR_LENGTH, MAX_16_BITS * 16);
+	if (!endOfDirectoryInfo) {
+		const signatureArray = await readUint8Array(reader, 0, 4);
+		const signatureView = getDataView(signatureArray);
+		if (getUint32(signatureView) == SPLIT_ZIP_FILE_SIGNATURE) {
+			throw new Error(ERR_SPLIT_ZIP_FILE);
+		} else {
+			throw new Error(ERR_EOCDR_NOT_FOUND);
+		}
+	}
+	const endOfDirectoryView = getDataView(endOfDirectoryInfo);
+	let directoryDataLength = getUint32(endOfDirectoryView, 12);
+	let directoryDataOffset = getUint32(endOfDirectoryView, 16);
+	const commentOffset = endOfDirectoryInfo.offset;
+	const commentLength = getUint16(endOfDirectoryView, 20);
+	const appendedDataOffset = commentOffset + END_OF_CENTRAL_DIR_LENGTH + commentLength;
+	let lastDiskNumber = getUint16(endOfDirectoryView, 4);
+	const expectedLastDiskNumber = reader.lastDiskNumber || 0;
+	let diskNumber = getUint16(endOfDirectoryView, 6);
+	let filesLength = getUint16(endOfDirectoryView, 8);
+	let prependedDataLength = 0;
+	if (directoryDataOffset == MAX_32_BITS || directoryDataLength == MAX_32_BITS || filesLength == MAX_16_BITS || diskNumber == MAX_16_BITS) {
+		const endOfDirectoryLocatorArray = await readUint8Array(reader, endOfDirectoryInfo.offset - ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH, ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH);
+		const endOfDirectoryLocatorView = getDataView(endOfDirectoryLocatorArray);
+		if (getUint32(endOfDirectoryLocatorView, 0) == ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE) {
+			directoryDataOffset = getBigUint64(endOfDirectoryLocatorView, 8);
+			let endOfDirectoryArray = await readUint8Array(reader, directoryDataOffset, ZIP64_END_OF_CENTRAL_DIR_LENGTH, -1);
+			let endOfDirectoryView = getDataView(endOfDirectoryArray);
+			const expectedDirectoryDataOffset = endOfDirectoryInfo.offset - ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH - ZIP64_END_OF_CENTRAL_DIR_LENGTH;
+			if (getUint32(endOfDirectoryView, 0) != ZIP64_END_OF_CENTRAL_DIR_SIGNATURE && directoryDataOffset != expectedDirectoryDataOffset) {
+				const originalDirectoryDataOffset = directoryDataOffset;
+				directoryDataOffset = expectedDirectoryDataOffset;
+				if (directoryDataOffset > originalDirectoryDataOffset) {
+					prependedDataLength = directoryDataOffset - originalDirectoryDataOffset;
 				}
+				endOfDirectoryArray = await readUint8Array(reader, directoryDataOffset, ZIP64_END_OF_CENTRAL_DIR_LENGTH, -1);
+				endOfDirectoryView = getDataView(endOfDirectoryArray);
+			}
+			if (getUint32(endOfDirectoryView, 0) != ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
+				throw new Error(ERR_EOCDR_LOCATOR_ZIP64_NOT_FOUND);
+			}
+			if (lastDiskNumber == MAX_16_BITS) {
+				lastDiskNumber = getUint32(endOfDirectoryView, 16);
+			}
+			if (diskNumber == MAX_16_BITS) {
+				diskNumber = getUint32(endOfDirectoryView, 20);
+			}
+			if (filesLength == MAX_16_BITS) {
+				filesLength = getBigUint64(endOfDirectoryView, 32);
+			}
+			if (directoryDataLength == MAX_32_BITS) {
+				directoryDataLength = getBigUint64(endOfDirectoryView, 40);
+			}
+			directoryDataOffset -= directoryDataLength;
+		}
+	}
+	if (directoryDataOffset >= reader.size) {
+		prependedDataLength = reader.size - directoryDataOffset - directoryDataLength - END_OF_CENTRAL_DIR_LENGTH;
+		directoryDataOffset = reader.size - directoryDataLength - END_OF_CENTRAL_DIR_LENGTH;
+	}
+	if (expectedLastDiskNumber != lastDiskNumber) {
+		throw new Error(ERR_SPLIT_ZIP_FILE);
+	}
+	if (directoryDataOffset < 0) {
+		throw new Error(ERR_BAD_FORMAT);
+	}
+	let offset = 0;
+	let directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
+	let directoryView = getDataView(directoryArray);
+	if (directoryDataLength) {
+		const expectedDirectoryDataOffset = endOfDirectoryInfo.offset - directoryDataLength;
+		if (getUint32(directoryView, offset) != CENTRAL_FILE_HEADER_SIGNATURE && directoryDataOffset != expectedDirectoryDataOffset) {
+			const originalDirectoryDataOffset = directoryDataOffset;
+			directoryDataOffset = expectedDirectoryDataOffset;
+			if (directoryDataOffset > originalDirectoryDataOffset) {
+				prependedDataLength += directoryDataOffset - originalDirectoryDataOffset;
+			}
+			directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
+			directoryView = getDataView(directoryArray);
+		}
+	}
+	const expectedDirectoryDataLength = endOfDirectoryInfo.offset - directoryDataOffset - (reader.lastDiskOffset || 0);
+	if (directoryDataLength != expectedDirectoryDataLength && expectedDirectoryDataLength >= 0) {
+		directoryDataLength = expectedDirectoryDataLength;
+		directoryArray = await readUint8Array(reader, directoryDataOffset, directoryDataLength, diskNumber);
+		directoryView = getDataView(directoryArray);
+	}
+	if (directoryDataOffset < 0 || directoryDataOffset >= reader.size) {
+		throw new Error(ERR_BAD_FORMAT);
+	}
+	const maxEntries = getOptionValue(zipReader, options, OPTION_MAX_ENTRIES);
+	if (maxEntries !== UNDEFINED_VALUE && filesLength > maxEntries) {
+		throw new Error(ERR_MAX_ENTRIES_EXCEEDED);
+	}
+	return zipReader.centralDirectory = {
+		reader,
+		directoryArray,
+		directoryView,
+		filesLength,
+		prependedDataLength,
+		commentOffset,
+		commentLength,
+		appendedDataOffset
+	};
+}
+
+function readComment(reader, { commentOffset, commentLength }) {
+	return commentLength ? readUint8Array(reader, commentOffset + END_OF_CENTRAL_DIR_LENGTH, commentLength) : new Uint8Array();
+}
+
+function writeIndex(reader, centralDirectory, comment) {
+	const { directoryArray, filesLength, prependedDataLength, commentOffset, commentLength, appendedDataOffset } = centralDirectory;
+	const etag = encodeText(reader.etag || "");
+	const index = new Uint8Array(INDEX_HEADER_LENGTH + etag.length + directoryArray.length + comment.length);
+	const indexView = getDataView(index);
+	setUint32(indexView, 0, INDEX_SIGNATURE);
+	setUint8(indexView, 4, INDEX_VERSION);
+	setUint16(indexView, 5, etag.length);
+	setFloat64(indexView, 7, reader.size);
+	setFloat64(indexView, 15, filesLength);
+	setFloat64(indexView, 23, prependedDataLength);
+	setFloat64(indexView, 31, commentOffset);
+	setUint16(indexView, 39, commentLength);
+	setFloat64(indexView, 41, appendedDataOffset);
+	setFloat64(indexView, 49, directoryArray.length);
+	index.set(etag, INDEX_HEADER_LENGTH);
+	index.set(directoryArray, INDEX_HEADER_LENGTH + etag.length);
+	index.set(comment, INDEX_HEADER_LENGTH + etag.length + directoryArray.length);
+	return index;
+}
+
+function readIndex(reader, index) {
+	const indexView = new DataView(index.buffer, index.byteOffset, index.byteLength);
+	if (index.length >= INDEX_HEADER_LENGTH && getUint32(indexView, 0) == INDEX_SIGNATURE && getUint8(indexView, 4) == INDEX_VERSION) {
+		const etagLength = getUint16(indexView, 5);
+		const commentLength = getUint16(indexView, 39);
+		const directoryLength = getFloat64(indexView, 49);
+		const directoryOffset = INDEX_HEADER_LENGTH + etagLength;
+		const indexCommentOffset = directoryOffset + directoryLength;
+		const etag = decodeText(index.subarray(INDEX_HEADER_LENGTH, directoryOffset), CHARSET_UTF8);
+		if (index.length == indexCommentOffset + commentLength && getFloat64(indexView, 7) == reader.size && etag == (reader.etag || "")) {
+			const directoryArray = index.slice(directoryOffset, indexCommentOffset);
+			return {
+				reader,
+				directoryArray,
+				directoryView: getDataView(directoryArray),
+				filesLength: getFloat64(indexView, 15),
+				prependedDataLength: getFloat64(indexView, 23),
+				commentOffset: getFloat64(indexView, 31),
+				commentLength,
+				appendedDataOffset: getFloat64(indexView, 41),
+				comment: index.slice(indexCommentOffset)
+			};
+		}
+	}
+}
+
+function readCentralDirectoryEntry(zipReader, centralDirectory, offset, options) {
+	const { config } = zipReader;
+	const { reader, directoryArray, directoryView, prependedDataLength } = centralDirectory;
+	const filenameEncoding = getEntryTextEncoding(zipReader, centralDirectory, options, OPTION_FILENAME_ENCODING);
+	const commentEncoding = getEntryTextEncoding(zipReader, centralDirectory, options, OPTION_COMMENT_ENCODING);
+	const fileEntry = new ZipEntry(reader, config, zipReader.options);
+	if (getUint32(directoryView, offset) != CENTRAL_FILE_HEADER_SIGNATURE) {
+		throw new Error(ERR_CENTRAL_DIRECTORY_NOT_FOUND);
+	}
+	readCommonHeader(fileEntry, directoryView, offset + 6);
+	const languageEncodingFlag = Boolean(fileEntry.bitFlag.languageEncodingFlag);
+	const filenameOffset = offset + 46;
+	const extraFieldOffset = filenameOffset + fileEntry.filenameLength;
+	const commentOffset = extraFieldOffset + fileEntry.extraFieldLength;
+	const versionMadeBy = getUint16(directoryView, offset + 4);
+	const msDosCompatible = versionMadeBy >> 8 == 0;
+	const unixCompatible = versionMadeBy >> 8 == 3;
+	const rawFilename = directoryArray.subarray(filenameOffset, extraFieldOffset);
+	const commentLength = getUint16(directoryView, offset + 32);
+	const rawComment = directoryArray.subarray(commentOffset, commentOffset + commentLength);
+	const filenameUTF8 = languageEncodingFlag;
+	const commentUTF8 = languageEncodingFlag;
+	const externalFileAttributes = getUint32(directoryView, offset + 38);
+	const directory =
+		(msDosCompatible && ((getUint8(directoryView, offset + 38) & FILE_ATTR_MSDOS_DIR_MASK) == FILE_ATTR_MSDOS_DIR_MASK)) ||
+		(unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_TYPE_MASK) == FILE_ATTR_UNIX_TYPE_DIR)) ||
+		(rawFilename.length && rawFilename.at(-1) == DIRECTORY_SIGNATURE.charCodeAt(0));
+	const symlink = (unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_TYPE_MASK) == FILE_ATTR_UNIX_TYPE_SYMLINK));
+	const executable = (unixCompatible && !symlink && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_EXECUTABLE_MASK) != 0));
+	const unixMode = unixCompatible ? externalFileAttributes >>> 16 : UNDEFINED_VALUE;
+	const offsetFileEntry = getUint32(directoryView, offset + 42) + prependedDataLength;
+	Object.assign(fileEntry, {
+		versionMadeBy,
+		msDosCompatible,
+		compressedSize: 0,
+		uncompressedSize: 0,
+		commentLength,
+		directory,
+		offset: offsetFileEntry,
+		diskNumberStart: getUint16(directoryView, offset + 34),
+		internalFileAttributes: getUint16(directoryView, offset + 36),
+		externalFileAttributes,
+		rawFilename,
+		filenameUTF8,
+		commentUTF8,
+		rawExtraField: directoryArray.subarray(extraFieldOffset, commentOffset),
+		executable,
+		symlink,
+		unixMode
+	});
+	fileEntry.internalFileAttribute = fileEntry.internalFileAttributes;
+	fileEntry.externalFileAttribute = fileEntry.externalFileAttributes;
+	const decode = getOptionValue(zipReader, options, OPTION_DECODE_TEXT) || decodeText;
+	const rawFilenameEncoding = filenameUTF8 ? CHARSET_UTF8 : filenameEncoding || CHARSET_CP437;
+	const rawCommentEncoding = commentUTF8 ? CHARSET_UTF8 : commentEncoding || CHARSET_CP437;
+	const filename = decodeEntryText(decode, rawFilename, rawFilenameEncoding);
+	const comment = decodeEntryText(decode, rawComment, rawCommentEncoding);
+	Object.assign(fileEntry, {
+		rawComment,
+		filename,
+		comment,
+		directory: directory || filename.endsWith(DIRECTORY_SIGNATURE)
+	});
+	readCommonFooter(fileEntry, fileEntry, directoryView, offset + 6);
+	fileEntry.zipCrypto = fileEntry.encrypted && !fileEntry.extraFieldAES;
+	return fileEntry;
+}
+
+function getEntryTextEncoding(zipReader, centralDirectory, options, encodingOptionName) {
+	const encoding = getOptionValue(zipReader, options, encodingOptionName);
+	return encoding == ENCODING_AUTO ? getDetectedEncoding(zipReader, centralDirectory).charset : encoding;
+}
+
+function getDetectedEncoding(zipReader, centralDirectory) {
+	if (!centralDirectory.detectedEncoding) {
+		const { directoryArray, directoryView, filesLength } = centralDirectory;
+		const rawFilenames = [];
+		const hosts = [];
+		for (let indexFile = 0, offset = 0; indexFile < filesLength && offset + 46 <= directoryArray.length && getUint32(directoryView, offset) == CENTRAL_FILE_HEADER_SIGNATURE; indexFile++) {
+			if ((getUint16(directoryView, offset + 8) & BITFLAG_LANG_ENCODING_FLAG) != BITFLAG_LANG_ENCODING_FLAG) {
+				const filenameOffset = offset + 46;
+				rawFilenames.push(directoryArray.subarray(filenameOffset, filenameOffset + getUint16(directoryView, offset + 28)));
+				hosts.push(getUint16(directoryView, offset + 4) >> 8);
+			}
+			offset = getNextRecordOffset(directoryView, offset);
+		}
+		centralDirectory.detectedEncoding = detectEncoding(rawFilenames, hosts);
+	}
+	return zipReader.detectedEncoding = centralDirectory.detectedEncoding;
+}
+
+function decodeEntryText(decode, rawText, encoding) {
+	const text = decode(rawText, encoding);
+	return text === UNDEFINED_VALUE ? decodeText(rawText, encoding) : text;
+}
+
+function getNextRecordOffset(directoryView, offset) {
+	return offset + 46 + getUint16(directoryView, offset + 28) + getUint16(directoryView, offset + 30) + getUint16(directoryView, offset + 32);
+}
+
+async function* recoverEntries(zipReader, reader, options, entries) {
+	const { config } = zipReader;
+	const offsets = entries.map(entry => entry.offset);
+	const { readable } = reader;
+	readable.size = reader.size;
+	const sequentialReader = new SequentialReader(readable, getChunkSize(config));
+	while (await seekSequentialSignature(sequentialReader, LOCAL_FILE_HEADER_SIGNATURE)) {
+		const fileEntry = new ZipEntry(reader, config, zipReader.options);
+		try {
+			Object.assign(fileEntry, await readSequentialFileEntry(zipReader, sequentialReader, options));
+			// eslint-disable-next-line no-unused-vars
+		} catch (_) {
+			break;
+		}
+		let error;
+		try {
+			await skipSequentialData(readSequentialData(sequentialReader, fileEntry, fileEntry));
+		} catch (dataError) {
+			error = dataError;
+		}
+		if (!offsets.includes(fileEntry.offset)) {
+			Object.assign(fileEntry, {
+				recovered: true,
+				recoveryReport: getRecoveryReport(error)
+			});
+			yield createEntry(zipReader, fileEntry);
+		}
+	}
+	if (!zipReader.comment) {
+		zipReader.comment = new Uint8Array();
+	}
+}
+
+function setRecovered(fileEntry, entry, recoveryReport) {
+	const properties = { recovered: true, recoveryReport };
+	Object.assign(fileEntry, properties);
+	Object.assign(entry, properties);
+}
+
+function getRecoveryReport(error, mismatched = []) {
+	const unverified = mismatched.length ? [] : Array.from(RECOVERY_UNVERIFIED_PROPERTIES);
+	if (error) {
+		unverified.push(PROPERTY_NAME_SIGNATURE, PROPERTY_NAME_COMPRESSED_SIZE, PROPERTY_NAME_UNCOMPRESSED_SIZE);
+	}
+	return {
+		unverified,
+		mismatched,
+		truncated: Boolean(error),
+		error: error && error.message
+	};
+}
+
+function isRecoverableError(error) {
+	return RECOVERABLE_ERRORS.includes(error.message) || error instanceof RangeError;
+}
+
+async function seekSequentialSignature(sequentialReader, signature) {
+	for (; ;) {
+		const array = await sequentialReader.fill(sequentialReader.chunkSize + 4);
+		const view = new DataView(array.buffer, array.byteOffset, array.byteLength);
+		for (let indexByte = 0; indexByte + 4 <= array.length; indexByte++) {
+			if (getUint32(view, indexByte) == signature) {
+				await sequentialReader.skip(indexByte + 4);
+				return true;
 			}
+		}
+		if (sequentialReader.done) {
+			return false;
+		}
+		await sequentialReader.skip(array.length - 3);
+	}
+}
+
+function createEntry(zipReader, fileEntry) {
+	const entry = new Entry(fileEntry);
+	entry.getData = (writer, options) => fileEntry.getData(writer, entry, zipReader, options);
+	entry.arrayBuffer = async options => {
+		const writer = new TransformStream();
+		const [arrayBuffer] = await Promise.all([
+			new Response(writer.readable).arrayBuffer(),
+			fileEntry.getData(writer, entry, zipReader, options)]);
+		return arrayBuffer;
+	};
+	entry.getSymlinkTarget = options => getSymlinkTarget(entry, options);
+	return entry;
+}
+
+async function requestPassword(getPassword, entry) {
+	const password = await getPassword(entry);
+	if (password !== UNDEFINED_VALUE) {
+		return typeof password == "string" ?
+			{ password, rawPassword: UNDEFINED_VALUE } :
+			{ password: UNDEFINED_VALUE, rawPassword: password };
+	}
+}
+
+async function getSymlinkTarget(entry, options) {
+	if (entry.symlink) {
+		return decodeText(new Uint8Array(await entry.arrayBuffer(options)), CHARSET_UTF8);
+	}
+}
+
+async function* getEntriesSequentially(zipReader, options) {
+	const { reader, config } = zipReader;
+	const { readable } = reader;
+	if (reader.readUint8Array && reader.size !== UNDEFINED_VALUE) {
+		readable.size = reader.size;
+	}
+	const sequentialReader = new SequentialReader(readable, getChunkSize(config));
+	const recover = getOptionValue(zipReader, options, OPTION_RECOVER);
+	const entries = [];
+	let signature = await sequentialReader.readUint32();
+	if (signature == SPLIT_ZIP_FILE_SIGNATURE) {
+		signature = await sequentialReader.readUint32();
+	}
+	while (signature == LOCAL_FILE_HEADER_SIGNATURE) {
+		const fileEntry = await readSequentialFileEntry(zipReader, sequentialReader, options);
+		const entry = new Entry(fileEntry);
+		const entryData = { data: readSequentialData(sequentialReader, fileEntry, entry), entry, sequentialReader };
+		entry.getData = (writer, options) => getSequentialData(writer, zipReader, fileEntry, entryData, options);
+		entry.arrayBuffer = async options => {
+			const writer = new TransformStream();
+			const [arrayBuffer] = await Promise.all([
+				new Response(writer.readable).arrayBuffer(),
+				entry.getData(writer, options)]);
+			return arrayBuffer;
+		};
+		entry.getSymlinkTarget = options => getSymlinkTarget(entry, options);
+		entries.push({ fileEntry, entry });
+		yield entry;
+		try {
+			await closeSequentialData(entryData);
 		} catch (error) {
-			if (error.outputSize !== UNDEFINED_VALUE) {
-				writer.size += error.outputSize;
+			if (!recover || !isRecoverableError(error)) {
+				throw error;
 			}
-			if (!checkPasswordOnly || error.message != ERR_ABORT_CHECK_PASSWORD) {
+			zipReader.comment = new Uint8Array();
+			entries.forEach(({ fileEntry, entry }) => setRecovered(fileEntry, entry, getRecoveryReport()));
+			setRecovered(fileEntry, entry, getRecoveryReport(error));
+			return true;
+		}
+		signature = await sequentialReader.readUint32();
+	}
+	const extractAppendedData = getOptionValue(zipReader, options, OPTION_EXTRACT_APPENDED_DATA);
+	let directoryEntries;
+	try {
+		directoryEntries = await readSequentialCentralDirectory(zipReader, sequentialReader, signature, entries.length);
+	} catch (error) {
+		if (!recover || !isRecoverableError(error)) {
+			throw error;
+		}
+		zipReader.comment = new Uint8Array();
+		entries.forEach(({ fileEntry, entry }) => setRecovered(fileEntry, entry, getRecoveryReport()));
+	}
+	const appendedData = [];
+	for await (const array of sequentialReader.readChunks()) {
+		if (extractAppendedData) {
+			appendedData.push(array);
+		}
+	}
+	if (extractAppendedData) {
+		zipReader.appendedData = new Uint8Array(await new Blob(appendedData).arrayBuffer());
+	}
+	if (directoryEntries) {
+		reconcileSequentialEntries(entries, directoryEntries, zipReader, options, recover);
+	}
+	return true;
+}
+
+async function readSequentialCentralDirectory(zipReader, sequentialReader, signature, filesLength) {
+	const directoryEntries = [];
+	while (signature == CENTRAL_FILE_HEADER_SIGNATURE) {
+		directoryEntries.push(await readSequentialDirectoryEntry(sequentialReader));
+		signature = await sequentialReader.readUint32();
+	}
+	if (filesLength && !directoryEntries.length) {
+		throw new Error(ERR_CENTRAL_DIRECTORY_NOT_FOUND);
+	}
+	if (signature == ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
+		const sizeArray = await sequentialReader.read(8);
+		await sequentialReader.skip(getBigUint64(getDataView(sizeArray), 0));
+		signature = await sequentialReader.readUint32();
+	}
+	if (signature == ZIP64_END_OF_CENTRAL_DIR_LOCATOR_SIGNATURE) {
+		await sequentialReader.skip(ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH - 4);
+		signature = await sequentialReader.readUint32();
+	}
+	const endOfDirectoryArray = await sequentialReader.read(END_OF_CENTRAL_DIR_LENGTH - 4);
+	if (signature != END_OF_CENTRAL_DIR_SIGNATURE || endOfDirectoryArray.length != END_OF_CENTRAL_DIR_LENGTH - 4) {
+		throw new Error(ERR_EOCDR_NOT_FOUND);
+	}
+	const commentLength = getUint16(getDataView(endOfDirectoryArray), 16);
+	zipReader.comment = await sequentialReader.read(commentLength);
+	return directoryEntries;
+}
+
+async function readSequentialFileEntry(zipReader, sequentialReader, options) {
+	const { config } = zipReader;
+	const offset = sequentialReader.offset - 4;
+	const headerArray = await sequentialReader.read(HEADER_SIZE - 4);
+	if (headerArray.length != HEADER_SIZE - 4) {
+		throw new Error(ERR_BAD_FORMAT);
+	}
+	const headerView = getDataView(headerArray);
+	const fileEntry = { config, options: zipReader.options };
+	readCommonHeader(fileEntry, headerView, 0);
+	const rawFilename = await sequentialReader.read(fileEntry.filenameLength);
+	const rawExtraField = await sequentialReader.read(fileEntry.extraFieldLength);
+	const languageEncodingFlag = Boolean(fileEntry.bitFlag.languageEncodingFlag);
+	Object.assign(fileEntry, {
+		offset,
+		diskNumberStart: 0,
+		rawFilename,
+		rawExtraField,
+		rawComment: new Uint8Array(),
+		comment: "",
+		commentLength: 0,
+		filenameUTF8: languageEncodingFlag,
+		commentUTF8: languageEncodingFlag,
+		executable: false,
+		symlink: false
+	});
+	const filename = decodeSequentialText(zipReader, options, rawFilename, languageEncodingFlag, OPTION_FILENAME_ENCODING);
+	Object.assign(fileEntry, {
+		filename,
+		directory: filename.endsWith(DIRECTORY_SIGNATURE)
+	});
+	readCommonFooter(fileEntry, fileEntry, headerView, 0, true);
+	fileEntry.zipCrypto = fileEntry.encrypted && !fileEntry.extraFieldAES;
+	fileEntry.sizeUnknown = fileEntry.bitFlag.dataDescriptor && (!fileEntry.compressedSize || fileEntry.compressedSize == MAX_32_BITS);
+	return fileEntry;
+}
+
+async function readSequentialDirectoryEntry(sequentialReader) {
+	const directoryArray = await sequentialReader.read(46 - 4);
+	if (directoryArray.length != 46 - 4) {
+		throw new Error(ERR_BAD_FORMAT);
+	}
+	const directoryView = getDataView(directoryArray);
+	const directory = {};
+	readCommonHeader(directory, directoryView, 2);
+	const versionMadeBy = getUint16(directoryView, 0);
+	const commentLength = getUint16(directoryView, 28);
+	Object.assign(directory, {
+		versionMadeBy,
+		msDosCompatible: versionMadeBy >> 8 == 0,
+		unixCompatible: versionMadeBy >> 8 == 3,
+		diskNumberStart: getUint16(directoryView, 30),
+		internalFileAttributes: getUint16(directoryView, 32),
+		externalFileAttributes: getUint32(directoryView, 34),
+		offset: getUint32(directoryView, 38),
+		rawFilename: await sequentialReader.read(directory.filenameLength),
+		rawExtraField: await sequentialReader.read(directory.extraFieldLength),
+		rawComment: await sequentialReader.read(commentLength)
+	});
+	readCommonFooter(directory, directory, directoryView, 2);
+	return directory;
+}
+
+function reconcileSequentialEntries(entries, directoryEntries, zipReader, options, recover) {
+	if (entries.length != directoryEntries.length && !recover) {
+		throw new Error(ERR_CENTRAL_DIRECTORY_MISMATCH);
+	}
+	if (entries.length && directoryEntries.length) {
+		const prependedDataLength = Math.min(...entries.map(({ fileEntry }) => fileEntry.offset)) -
+			Math.min(...directoryEntries.map(directory => directory.offset));
+		for (const { fileEntry, entry } of entries) {
+			const directory = directoryEntries.find(directory => fileEntry.offset == directory.offset + prependedDataLength);
+			const mismatchedProperties = directory ?
+				[PROPERTY_NAME_SIGNATURE, PROPERTY_NAME_COMPRESSED_SIZE, PROPERTY_NAME_UNCOMPRESSED_SIZE].filter(propertyName => fileEntry[propertyName] != directory[propertyName]) :
+				[];
+			if (!recover && (!directory || mismatchedProperties.length)) {
+				const error = new Error(ERR_CENTRAL_DIRECTORY_MISMATCH);
+				error.entry = entry;
 				throw error;
 			}
-		} finally {
-			const preventClose = getOptionValue(zipEntry, options, OPTION_PREVENT_CLOSE);
-			if (!preventClose && writable && !writable.locked) {
-				await writable.getWriter().close();
+			if (!directory || mismatchedProperties.length) {
+				setRecovered(fileEntry, entry, getRecoveryReport(UNDEFINED_VALUE, mismatchedProperties));
+			}
+			if (directory) {
+				const {
+					versionMadeBy,
+					msDosCompatible,
+					unixCompatible,
+					internalFileAttributes,
+					externalFileAttributes,
+					rawComment,
+					bitFlag
+				} = directory;
+				const directoryEntry =
+					(msDosCompatible && ((externalFileAttributes & FILE_ATTR_MSDOS_DIR_MASK) == FILE_ATTR_MSDOS_DIR_MASK)) ||
+					(unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_TYPE_MASK) == FILE_ATTR_UNIX_TYPE_DIR)) ||
+					fileEntry.directory;
+				const symlink = (unixCompatible && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_TYPE_MASK) == FILE_ATTR_UNIX_TYPE_SYMLINK));
+				const executable = (unixCompatible && !symlink && (((externalFileAttributes >> 16) & FILE_ATTR_UNIX_EXECUTABLE_MASK) != 0));
+				const unixMode = unixCompatible ? externalFileAttributes >>> 16 : UNDEFINED_VALUE;
+				const commentUTF8 = Boolean(bitFlag.languageEncodingFlag);
+				let comment = decodeSequentialText(zipReader, options, rawComment, commentUTF8, OPTION_COMMENT_ENCODING);
+				if (directory.extraFieldUnicodeComment && directory.extraFieldUnicodeComment.valid) {
+					comment = directory.comment;
+				}
+				const properties = {
+					versionMadeBy,
+					msDosCompatible,
+					internalFileAttributes,
+					internalFileAttribute: internalFileAttributes,
+					externalFileAttributes,
+					externalFileAttribute: externalFileAttributes,
+					directory: Boolean(directoryEntry),
+					executable,
+					symlink,
+					unixMode,
+					rawComment,
+					comment,
+					commentUTF8
+				};
+				Object.assign(fileEntry, properties);
+				Object.assign(entry, properties);
 			}
 		}
-		return checkPasswordOnly || checkOverlappingEntryOnly ? UNDEFINED_VALUE : writer.getData ? writer.getData() : writable;
 	}
 }
 
+function decodeSequentialText(zipReader, options, rawText, utf8, encodingOptionName) {
+	const decode = getOptionValue(zipReader, options, OPTION_DECODE_TEXT) || decodeText;
+	let encoding = utf8 ? CHARSET_UTF8 : getOptionValue(zipReader, options, encodingOptionName) || CHARSET_CP437;
+	if (encoding == ENCODING_AUTO) {
+		encoding = getSequentialDetectedEncoding(zipReader, rawText).charset;
+	}
+	let text = decode(rawText, encoding);
+	if (text === UNDEFINED_VALUE) {
+		text = decodeText(rawText, encoding);
+	}
+	return text;
+}
+
+function getSequentialDetectedEncoding(zipReader, rawText) {
+	// the charset is detected once from the first name which is not flagged as UTF-8 and contains non-ASCII characters,
+	// and reused for the next names
+	if (zipReader.detectedEncoding) {
+		return zipReader.detectedEncoding;
+	}
+	const detectedEncoding = detectEncoding([rawText]);
+	if (rawText.some(byte => byte > MAX_ASCII_CODE)) {
+		zipReader.detectedEncoding = detectedEncoding;
+	}
+	return detectedEncoding;
+}
+
+async function* readSequentialData(sequentialReader, fileEntry, entry) {
+	const { bitFlag, compressedSize, sizeUnknown } = fileEntry;
+	let dataDescriptor;
+	if (sizeUnknown) {
+		dataDescriptor = yield* seekSequentialDataDescriptor(sequentialReader, fileEntry);
+	} else {
+		yield* sequentialReader.readChunks(compressedSize);
+		if (bitFlag.dataDescriptor) {
+			dataDescriptor = await readSequentialDataDescriptor(sequentialReader, fileEntry);
+		}
+	}
+	if (dataDescriptor) {
+		Object.assign(fileEntry, dataDescriptor);
+		Object.assign(entry, dataDescriptor);
+	}
+}
+
+async function* seekSequentialDataDescriptor(sequentialReader, fileEntry) {
+	const lookAheadLength = DATA_DESCRIPTOR_RECORD_SIGNATURE_LENGTH + DATA_DESCRIPTOR_RECORD_ZIP_64_LENGTH + 4;
+	let dataLength = 0;
+	for (; ;) {
+		const array = await sequentialReader.fill(sequentialReader.chunkSize + lookAheadLength);
+		const view = new DataView(array.buffer, array.byteOffset, array.byteLength);
+		const { done } = sequentialReader;
+		const scanLength = done ? array.length : array.length - lookAheadLength + 1;
+		for (let indexByte = 0; indexByte < scanLength; indexByte++) {
+			const dataDescriptor = getSequentialDataDescriptor(view, indexByte, dataLength + indexByte, fileEntry);
+			if (dataDescriptor) {
+				if (indexByte) {
+					yield await sequentialReader.read(indexByte);
+				}
+				await sequentialReader.skip(dataDescriptor.length);
+				delete dataDescriptor.length;
+				return dataDescriptor;
+			}
+		}
+		if (done) {
+			throw new Error(ERR_DATA_DESCRIPTOR_NOT_FOUND);
+		}
+		dataLength += scanLength;
+		yield await sequentialReader.read(scanLength);
+	}
+}
+
+function getSequentialDataDescriptor(view, offset, compressedSize, fileEntry) {
+	const zip64 = Boolean(fileEntry.extraFieldZip64);
+	for (const zip64DataDescriptor of [zip64, !zip64]) {
+		for (const signed of [true, false]) {
+			const sizesOffset = offset + (signed ? DATA_DESCRIPTOR_RECORD_SIGNATURE_LENGTH : 0) + 4;
+			const sizeLength = zip64DataDescriptor ? 8 : 4;
+			const length = sizesOffset - offset + 2 * sizeLength;
+			if (offset + length <= view.byteLength &&
+				(!signed || getUint32(view, offset) == DATA_DESCRIPTOR_RECORD_SIGNATURE) &&
+				getSequentialSize(view, sizesOffset, zip64DataDescriptor) == compressedSize &&
+				isSequentialRecordSignature(view, offset + length)) {
+				return {
+					signature: getUint32(view, sizesOffset - 4),
+					compressedSize,
+					uncompressedSize: getSequentialSize(view, sizesOffset + sizeLength, zip64DataDescriptor),
+					length
+				};
+			}
+		}
+	}
+}
+
+async function readSequentialDataDescriptor(sequentialReader, fileEntry) {
+	const length = fileEntry.extraFieldZip64 ? DATA_DESCRIPTOR_RECORD_ZIP_64_LENGTH : DATA_DESCRIPTOR_RECORD_LENGTH;
+	let array = await sequentialReader.fill(length + DATA_DESCRIPTOR_RECORD_SIGNATURE_LENGTH);
+	if (array.length >= 4 && getUint32(getDataView(array.slice(0, 4)), 0) == DATA_DESCRIPTOR_RECORD_SIGNATURE) {
+		await sequentialReader.skip(DATA_DESCRIPTOR_RECORD_SIGNATURE_LENGTH);
+	}
+	array = await sequentialReader.read(length);
+	if (array.length != length) {
+		throw new Error(ERR_DATA_DESCRIPTOR_NOT_FOUND);
+	}
+	const view = getDataView(array);
+	const zip64 = Boolean(fileEntry.extraFieldZip64);
+	return {
+		signature: getUint32(view, 0),
+		compressedSize: getSequentialSize(view, 4, zip64),
+		uncompressedSize: getSequentialSize(view, zip64 ? 12 : 8, zip64)
+	};
+}
+
+function getSequentialSize(view, offset, zip64) {
+	return zip64 ? getBigUint64(view, offset) : getUint32(view, offset);
+}
+
+function isSequentialRecordSignature(view, offset) {
+	if (offset + 4 > view.byteLength) {
+		return offset == view.byteLength;
+	} else {
+		const signature = getUint32(view, offset);
+		return signature == LOCAL_FILE_HEADER_SIGNATURE ||
+			signature == CENTRAL_FILE_HEADER_SIGNATURE ||
+			signature == ZIP64_END_OF_CENTRAL_DIR_SIGNATURE ||
+			signature == END_OF_CENTRAL_DIR_SIGNATURE;
+	}
+}
+
+function getSequentialData(writer, zipReader, fileEntry, entryData, options) {
+	if (entryData.closed || entryData.pending) {
+		return Promise.reject(new Error(ERR_ENTRY_DATA_NOT_AVAILABLE));
+	}
+	return entryData.pending = readSequentialEntryData(writer, zipReader, fileEntry, entryData, options);
+}
+
+async function readSequentialEntryData(writer, zipReader, fileEntry, entryData, options = {}) {
+	const {
+		encrypted,
+		extraFieldAES,
+		compressedSize,
+		uncompressedSize,
+		sizeUnknown
+	} = fileEntry;
+	if (getDataRange(fileEntry, options, getOptionValue(fileEntry, options, OPTION_PASS_THROUGH))) {
+		throw new Error(ERR_UNSUPPORTED_RANGE);
+	}
+	const dataOptions = getDataOptions(fileEntry, options);
+	const { passThrough } = dataOptions;
+	const zipCrypto = encrypted && !extraFieldAES && !passThrough;
+	if (encrypted && !passThrough) {
+		await checkEncryption(entryData.entry, fileEntry, dataOptions, zipCrypto);
+		if (dataOptions.getPassword) {
+			await checkSequentialPassword(zipReader, fileEntry, entryData, options, dataOptions, zipCrypto);
+		}
+	}
+	const readable = new ReadableStream({
+		async pull(controller) {
+			let result;
+			try {
+				result = await entryData.data.next();
+			} catch (error) {
+				entryData.error = error;
+				throw error;
+			}
+			if (result.done) {
+				controller.close();
+			} else {
+				controller.enqueue(result.value);
+			}
+		}
+	});
+	const checkSignature = getOptionValue(fileEntry, options, OPTION_CHECK_SIGNATURE) && !passThrough;
+	const checkSignatureAfter = checkSignature && sizeUnknown && (!encrypted || zipCrypto);
+	const workerOptions = getWorkerOptions(zipReader, fileEntry, options, dataOptions, {
+		zipCrypto,
+		signed: checkSignature && !checkSignatureAfter,
+		outputSize: sizeUnknown ? UNDEFINED_VALUE : uncompressedSize,
+		size: sizeUnknown ? UNDEFINED_VALUE : compressedSize
+	});
+	let crc32Stream;
+	return readEntryData(writer, zipReader, fileEntry, options, dataOptions, {
+		expectedSize: sizeUnknown ? UNDEFINED_VALUE : passThrough ? compressedSize : uncompressedSize,
+		readData: async writable => {
+			let crc32Pipe, workerWritable = writable;
+			if (checkSignatureAfter) {
+				crc32Stream = new Crc32Stream();
+				crc32Pipe = crc32Stream.readable.pipeTo(writable, { preventClose: true, preventAbort: true });
+				workerWritable = crc32Stream.writable;
+			}
+			const result = await runWorker({ readable, writable: workerWritable }, workerOptions);
+			if (crc32Stream) {
+				await crc32Stream.writable.getWriter().close();
+				await crc32Pipe;
+			}
+			return result;
+		},
+		checkData: outputSize => {
+			// the sizes and the signature of an entry with a data descriptor are known once its data has been read
+			if (outputSize != (passThrough ? fileEntry.compressedSize : fileEntry.uncompressedSize)) {
+				throw new Error(ERR_INVALID_UNCOMPRESSED_SIZE);
+			}
+			if (crc32Stream && getDataView(crc32Stream.value).getUint32(0, false) != fileEntry.signature) {
+				throw new Error(ERR_INVALID_SIGNATURE);
+			}
+		}
+	});
+}
+
+function getDataOptions(fileEntry, options) {
+	const { extraFieldAES, compressionMethod, config } = fileEntry;
+	const password = getOptionValue(fileEntry, options, OPTION_PASSWORD);
+	const rawPassword = getOptionValue(fileEntry, options, OPTION_RAW_PASSWORD);
+	const passThrough = getOptionValue(fileEntry, options, OPTION_PASS_THROUGH);
+	if (extraFieldAES) {
+		if (extraFieldAES.originalCompressionMethod != COMPRESSION_METHOD_AES) {
+			throw new Error(ERR_UNSUPPORTED_COMPRESSION);
+		}
+	}
+	if (!isCompressionMethodSupported(compressionMethod, config) && !passThrough) {
+		throw new Error(ERR_UNSUPPORTED_COMPRESSION);
+	}
+	return {
+		password: password && password.length && password,
+		rawPassword: rawPassword && rawPassword.length && rawPassword,
+		passThrough,
+		getPassword: passThrough ? UNDEFINED_VALUE : getOptionValue(fileEntry, options, OPTION_GET_PASSWORD),
+		signal: getOptionValue(fileEntry, options, OPTION_SIGNAL),
+		checkPasswordOnly: getOptionValue(fileEntry, options, OPTION_CHECK_PASSWORD_ONLY)
+	};
+}
+
+async function checkEncryption(entry, { extraFieldAES }, dataOptions, zipCrypto) {
+	if (!zipCrypto && extraFieldAES.strength === UNDEFINED_VALUE) {
+		throw new Error(ERR_UNSUPPORTED_ENCRYPTION);
+	} else if (!dataOptions.password && !dataOptions.rawPassword) {
+		Object.assign(dataOptions, await getPasswordOptions(entry, dataOptions, new Error(ERR_ENCRYPTED)));
+	}
+}
+
+async function getPasswordOptions(entry, { getPassword }, error) {
+	const passwordOptions = getPassword && await requestPassword(getPassword, entry);
+	if (!passwordOptions) {
+		throw error;
+	}
+	return passwordOptions;
+}
+
+async function checkSequentialPassword(zipReader, fileEntry, { entry, sequentialReader }, options, dataOptions, zipCrypto) {
+	// the data read sequentially cannot be read twice, the password is checked with the encryption header of the entry
+	const checkOptions = Object.assign({}, options, { onstart: UNDEFINED_VALUE, onprogress: UNDEFINED_VALUE, onend: UNDEFINED_VALUE });
+	let passwordError;
+	do {
+		if (passwordError) {
+			Object.assign(dataOptions, await getPasswordOptions(entry, dataOptions, passwordError));
+		}
+		const header = (await sequentialReader.fill(sequentialReader.chunkSize)).slice();
+		const readable = new ReadableStream({
+			start(controller) {
+				controller.enqueue(header);
+				controller.close();
+			}
+		});
+		const workerOptions = getWorkerOptions(zipReader, fileEntry, checkOptions, Object.assign({}, dataOptions, { checkPasswordOnly: true }), {
+			zipCrypto,
+			size: header.length
+		});
+		passwordError = UNDEFINED_VALUE;
+		try {
+			await runWorker({ readable, writable: new WritableStream() }, workerOptions);
+		} catch (error) {
+			if (error.message == ERR_INVALID_PASSWORD) {
+				passwordError = error;
+			} else if (error.message != ERR_ABORT_CHECK_PASSWORD) {
+				throw error;
+			}
+		}
+	} while (passwordError);
+}
+
+function getWorkerOptions(zipReader, fileEntry, options, dataOptions, { zipCrypto, signed, outputSize, size }) {
+	const {
+		config,
+		encrypted,
+		extraFieldAES,
+		compressionMethod,
+		bitFlag,
+		signature,
+		rawLastModDate
+	} = fileEntry;
+	const { password, rawPassword, passThrough, signal, checkPasswordOnly } = dataOptions;
+	const { onstart, onprogress, onend } = options;
+	return {
+		options: {
+			codecType: CODEC_INFLATE,
+			password,
+			rawPassword,
+			zipCrypto,
+			encryptionStrength: extraFieldAES && extraFieldAES.strength,
+			signed,
+			passwordVerification: zipCrypto && (bitFlag.dataDescriptor ? ((rawLastModDate >>> 8) & 0xFF) : ((signature >>> 24) & 0xFF)),
+			outputSize,
+			signature,
+			compressed: compressionMethod != 0 && !passThrough,
+			compressionMethod,
+			encrypted: encrypted && !passThrough,
+			useWebWorkers: getOptionValue(fileEntry, options, OPTION_USE_WEB_WORKERS),
+			useCompressionStream: getOptionValue(fileEntry, options, OPTION_USE_COMPRESSION_STREAM),
+			transferStreams: getOptionValue(fileEntry, options, OPTION_TRANSFER_STREAMS),
+			checkPasswordOnly,
+			...getOutputLimits(zipReader, fileEntry, options, passThrough)
+		},
+		config,
+		streamOptions: { signal, size, onstart, onprogress, onend }
+	};
+}
+
+async function readEntryData(writer, zipReader, fileEntry, options, dataOptions, { entry, range, expectedSize, retryPassword, readData, checkData }) {
+	const { passThrough, checkPasswordOnly, getPassword } = dataOptions;
+	const countedOutput = !passThrough && !range && !checkPasswordOnly && !getOptionValue(fileEntry, options, OPTION_INTEGRITY_CHECK);
+	let writable;
+	try {
+		if (checkPasswordOnly) {
+			writer = new WritableStream();
+		}
+		writer = new GenericWriter(writer);
+		await initStream(writer, expectedSize);
+		({ writable } = writer);
+		let result;
+		while (!result) {
+			try {
+				result = await readData(retryPassword && getPassword ? getAttemptWritable(writable) : writable, dataOptions);
+			} catch (error) {
+				if (!retryPassword || error.message != ERR_INVALID_PASSWORD) {
+					throw error;
+				}
+				Object.assign(dataOptions, await getPasswordOptions(entry, dataOptions, error));
+			}
+		}
+		const { outputSize } = result;
+		writer.size += outputSize;
+		addUncompressedSize(zipReader, fileEntry, outputSize, countedOutput);
+		checkData(outputSize);
+	} catch (error) {
+		if (error.outputSize !== UNDEFINED_VALUE) {
+			writer.size += error.outputSize;
+			addUncompressedSize(zipReader, fileEntry, error.outputSize, countedOutput);
+		}
+		if (!checkPasswordOnly || error.message != ERR_ABORT_CHECK_PASSWORD) {
+			throw error;
+		}
+	} finally {
+		const preventClose = getOptionValue(fileEntry, options, OPTION_PREVENT_CLOSE);
+		if (!preventClose && writable && !writable.locked) {
+			await writable.getWriter().close();
+		}
+	}
+	return checkPasswordOnly ? UNDEFINED_VALUE : writer.getData ? writer.getData() : writable;
+}
+
+function getAttemptWritable(writable) {
+	// the writable of a failed attempt may be aborted, the data of each attempt is written through a distinct stream
+	return new WritableStream({
+		async write(chunk) {
+			const writer = writable.getWriter();
+			await writer.ready;
+			await writer.write(chunk);
+			writer.releaseLock();
+		}
+	});
+}
+
+async function closeSequentialData(entryData) {
+	entryData.closed = true;
+	if (entryData.pending) {
+		try {
+			await entryData.pending;
+			// eslint-disable-next-line no-unused-vars
+		} catch (_) {
+			// ignored
+		}
+	}
+	if (entryData.error) {
+		throw entryData.error;
+	}
+	await skipSequentialData(entryData.data);
+}
+
+async function skipSequentialData(data) {
+	let result;
+	do {
+		result = await data.next();
+	} while (!result.done);
+}
+
+function createSequentialReadable(getData) {
+	let reader, pending;
+	return new ReadableStream({
+		async pull(controller) {
+			if (!reader) {
+				const { readable, writable } = new TransformStream();
+				pending = getData(writable);
+				pending.catch(error => {
+					try {
+						controller.error(error);
+						// eslint-disable-next-line no-unused-vars
+					} catch (_) {
+						// ignored
+					}
+				});
+				reader = readable.getReader();
+			}
+			const { value, done } = await reader.read();
+			if (done) {
+				await pending;
+				controller.close();
+			} else {
+				controller.enqueue(value);
+			}
+		},
+		cancel(reason) {
+			if (reader) {
+				return reader.cancel(reason);
+			}
+		}
+	}, { highWaterMark: 0 });
+}
+
+function isCompressionMethodSupported(compressionMethod, { codecs }) {
+	const codec = codecs && codecs[compressionMethod];
+	return compressionMethod == COMPRESSION_METHOD_STORE ||
+		compressionMethod == COMPRESSION_METHOD_DEFLATE ||
+		Boolean(codec && codec.Decompress);
+}
+
 function readCommonHeader(directory, dataView, offset) {
 	const rawBitFlag = directory.rawBitFlag = getUint16(dataView, offset + 2);
 	const encrypted = (rawBitFlag & BITFLAG_ENCRYPTED) == BITFLAG_ENCRYPTED;
@@ -665,6 +1948,16 @@ function readCommonFooter(fileEntry, directory, dataView, offset, localDirectory
 		readExtraFieldExtendedTimestamp(extraFieldExtendedTimestamp, directory, localDirectory);
 		directory.extraFieldExtendedTimestamp = extraFieldExtendedTimestamp;
 	}
+	const extraFieldUnix = extraField.get(EXTRAFIELD_TYPE_UNIX);
+	const extraFieldUnixLegacy = extraField.get(EXTRAFIELD_TYPE_UNIX_LEGACY);
+	if (extraFieldUnixLegacy) {
+		readExtraFieldUnixLegacy(extraFieldUnixLegacy, directory);
+		directory.extraFieldUnixLegacy = extraFieldUnixLegacy;
+	}
+	if (extraFieldUnix) {
+		readExtraFieldUnix(extraFieldUnix, directory);
+		directory.extraFieldUnix = extraFieldUnix;
+	}
 	const extraFieldUSDZ = extraField.get(EXTRAFIELD_TYPE_USDZ);
 	if (extraFieldUSDZ) {
 		directory.extraFieldUSDZ = extraFieldUSDZ;
@@ -793,6 +2086,42 @@ function readExtraFieldExtendedTimestamp(extraFieldExtendedTimestamp, directory,
 	});
 }
 
+function readExtraFieldUnix(extraFieldUnix, directory) {
+	const { data } = extraFieldUnix;
+	const uidSize = data[1];
+	const gidSize = data[2 + uidSize];
+	if (data.length >= 3 + uidSize + gidSize) {
+		const uid = getUnixId(data, 2, uidSize);
+		const gid = getUnixId(data, 3 + uidSize, gidSize);
+		Object.assign(extraFieldUnix, { version: data[0], uid, gid });
+		Object.assign(directory, { uid, gid });
+	}
+}
+
+function readExtraFieldUnixLegacy(extraFieldUnixLegacy, directory) {
+	const extraFieldView = getDataView(extraFieldUnixLegacy.data);
+	if (extraFieldUnixLegacy.data.length >= 8) {
+		Object.assign(extraFieldUnixLegacy, {
+			lastAccessDate: new Date(getUint32(extraFieldView, 0) * 1000),
+			lastModDate: new Date(getUint32(extraFieldView, 4) * 1000)
+		});
+	}
+	if (extraFieldUnixLegacy.data.length >= 12) {
+		const uid = getUint16(extraFieldView, 8);
+		const gid = getUint16(extraFieldView, 10);
+		Object.assign(extraFieldUnixLegacy, { uid, gid });
+		Object.assign(directory, { uid, gid });
+	}
+}
+
+function getUnixId(array, offset, length) {
+	let value = 0;
+	for (let indexByte = length - 1; indexByte >= 0; indexByte--) {
+		value = value * 256 + array[offset + indexByte];
+	}
+	return value;
+}
+
 async function detectOverlappingEntry({
 	reader,
 	fileEntry,
@@ -880,6 +2209,139 @@ async function seekSignature(reader, signature, startOffset, minimumBytes, maxim
 	}
 }
 
+function getEntryLimits(zipReader, options) {
+	return {
+		maxEntries: getOptionValue(zipReader, options, OPTION_MAX_ENTRIES),
+		maxTotalUncompressedSize: getOptionValue(zipReader, options, OPTION_MAX_TOTAL_UNCOMPRESSED_SIZE),
+		maxEntryUncompressedSize: getOptionValue(zipReader, options, OPTION_MAX_ENTRY_UNCOMPRESSED_SIZE),
+		maxCompressionRatio: getOptionValue(zipReader, options, OPTION_MAX_COMPRESSION_RATIO),
+		entriesCount: 0,
+		totalUncompressedSize: 0
+	};
+}
+
+function checkEntryLimits(entry, limits) {
+	const { maxEntries, maxTotalUncompressedSize, maxEntryUncompressedSize, maxCompressionRatio } = limits;
+	const { compressedSize, uncompressedSize } = entry;
+	limits.entriesCount++;
+	limits.totalUncompressedSize += uncompressedSize;
+	if (maxEntries !== UNDEFINED_VALUE && limits.entriesCount > maxEntries) {
+		throw new Error(ERR_MAX_ENTRIES_EXCEEDED);
+	}
+	if (maxEntryUncompressedSize !== UNDEFINED_VALUE && uncompressedSize > maxEntryUncompressedSize) {
+		throw new Error(ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED);
+	}
+	if (maxTotalUncompressedSize !== UNDEFINED_VALUE && limits.totalUncompressedSize > maxTotalUncompressedSize) {
+		throw new Error(ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED);
+	}
+	if (maxCompressionRatio !== UNDEFINED_VALUE && uncompressedSize > compressedSize * maxCompressionRatio) {
+		throw new Error(ERR_MAX_COMPRESSION_RATIO_EXCEEDED);
+	}
+}
+
+function applyFilenamePolicy(entry, filenamePolicy) {
+	const { filename } = entry;
+	entry.originalFilename = filename;
+	if (filenamePolicy == FILENAME_POLICY_SANITIZE || filenamePolicy == FILENAME_POLICY_REJECT) {
+		const safeFilename = getSafeFilename(filename);
+		if (safeFilename != filename) {
+			if ((filenamePolicy == FILENAME_POLICY_REJECT && isUnsafeFilename(filename)) || !safeFilename) {
+				const error = new Error(ERR_UNSAFE_ENTRY_NAME);
+				error.entry = entry;
+				throw error;
+			}
+			entry.filename = safeFilename;
+		}
+		entry.reservedFilename = safeFilename.split(DIRECTORY_SIGNATURE).some(segment => WINDOWS_RESERVED_NAME_REGEXP.test(segment));
+	}
+}
+
+function isUnsafeFilename(filename) {
+	const path = filename.replace(BACKSLASH_REGEXP, DIRECTORY_SIGNATURE);
+	return path.startsWith(DIRECTORY_SIGNATURE) || DRIVE_PREFIX_REGEXP.test(path) || path.split(DIRECTORY_SIGNATURE).includes("..");
+}
+
+function getSafeFilename(filename) {
+	const path = filename.replace(BACKSLASH_REGEXP, DIRECTORY_SIGNATURE).replace(DRIVE_PREFIX_REGEXP, "");
+	const segments = path.split(DIRECTORY_SIGNATURE).filter(segment => segment && segment != "." && segment != "..");
+	let safeFilename = segments.join(DIRECTORY_SIGNATURE);
+	if (safeFilename && path.endsWith(DIRECTORY_SIGNATURE)) {
+		safeFilename += DIRECTORY_SIGNATURE;
+	}
+	return safeFilename;
+}
+
+function getDataRange(entry, options, passThrough) {
+	const { start, end } = options;
+	if (start !== UNDEFINED_VALUE || end !== UNDEFINED_VALUE) {
+		const size = passThrough ? entry.compressedSize : entry.uncompressedSize;
+		const rangeStart = Math.min(Math.max(start || 0, 0), size);
+		return {
+			start: rangeStart,
+			end: end === UNDEFINED_VALUE ? size : Math.min(Math.max(end, rangeStart), size)
+		};
+	}
+}
+
+function getCheckpoint(zipEntry, start) {
+	if (!zipEntry.checkpoints) {
+		zipEntry.checkpoints = [{ inputOffset: 0, outputOffset: 0, bitBuffer: 0, bitCount: 0, window: new Uint8Array() }];
+	}
+	return zipEntry.checkpoints.filter(checkpoint => checkpoint.outputOffset <= start).pop();
+}
+
+async function inflateRange(zipEntry, { readable, writable }, { checkpoint, range, options, config, signal }) {
+	// the checkpoints are recorded in the entry, the data is decompressed in the current thread instead of a web worker
+	const checkpointInterval = getOptionValue(zipEntry, options, OPTION_CHECKPOINT_INTERVAL);
+	const rangeInflateStream = new RangeInflateStream({
+		checkpoints: zipEntry.checkpoints,
+		checkpoint,
+		checkpointInterval: checkpointInterval === UNDEFINED_VALUE ? DEFAULT_CHECKPOINT_INTERVAL : checkpointInterval,
+		chunkSize: getChunkSize(config),
+		start: range.start,
+		end: range.end
+	});
+	try {
+		await readable
+			.pipeThrough(rangeInflateStream, { signal })
+			.pipeTo(writable, { preventClose: true, preventAbort: true });
+	} catch (error) {
+		error.outputSize = rangeInflateStream.outputSize;
+		throw error;
+	}
+	return { outputSize: rangeInflateStream.outputSize };
+}
+
+function getOutputLimits(zipReader, fileEntry, options, passThrough) {
+	if (!passThrough) {
+		const maxTotalUncompressedSize = getOptionValue(fileEntry, options, OPTION_MAX_TOTAL_UNCOMPRESSED_SIZE);
+		return {
+			maxEntryUncompressedSize: getOptionValue(fileEntry, options, OPTION_MAX_ENTRY_UNCOMPRESSED_SIZE),
+			remainingUncompressedSize: maxTotalUncompressedSize === UNDEFINED_VALUE ?
+				UNDEFINED_VALUE : Math.max(maxTotalUncompressedSize - zipReader.totalUncompressedSize + getUncompressedSize(zipReader, fileEntry), 0),
+			maxCompressionRatio: getOptionValue(fileEntry, options, OPTION_MAX_COMPRESSION_RATIO)
+		};
+	}
+}
+
+function addUncompressedSize(zipReader, fileEntry, outputSize, countedOutput) {
+	if (countedOutput) {
+		const uncompressedSize = getUncompressedSize(zipReader, fileEntry);
+		if (outputSize > uncompressedSize) {
+			zipReader.uncompressedSizes.set(getEntryKey(fileEntry), outputSize);
+			zipReader.totalUncompressedSize += outputSize - uncompressedSize;
+		}
+	}
+}
+
+function getUncompressedSize(zipReader, fileEntry) {
+	return zipReader.uncompressedSizes.get(getEntryKey(fileEntry)) || 0;
+}
+
+function getEntryKey({ diskNumberStart, offset }) {
+	return (diskNumberStart || 0) + ":" + offset;
+}
+
 function getOptionValue(zipReader, options, name) {
 	return options[name] === UNDEFINED_VALUE ? zipReader.options[name] : options[name];
 }
@@ -914,10 +2376,26 @@ function getBigUint64(view, offset) {
 	return Number(view.getBigUint64(offset, true));
 }
 
+function getFloat64(view, offset) {
+	return view.getFloat64(offset, true);
+}
+
+function setUint8(view, offset, value) {
+	view.setUint8(offset, value);
+}
+
+function setUint16(view, offset, value) {
+	view.setUint16(offset, value, true);
+}
+
 function setUint32(view, offset, value) {
 	view.setUint32(offset, value, true);
 }
 
+function setFloat64(view, offset, value) {
+	view.setFloat64(offset, value, true);
+}
+
 function getDataView(array) {
 	return new DataView(array.buffer);
 }
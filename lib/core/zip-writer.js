@@ -34,6 +34,10 @@ import {
 	MAX_16_BITS,
 	COMPRESSION_METHOD_DEFLATE,
 	COMPRESSION_METHOD_DEFLATE_64,
+	COMPRESSION_METHOD_BZIP2,
+	COMPRESSION_METHOD_LZMA,
+	COMPRESSION_METHOD_ZSTD,
+	COMPRESSION_METHOD_XZ,
 	COMPRESSION_METHOD_STORE,
 	COMPRESSION_METHOD_AES,
 	SPLIT_ZIP_FILE_SIGNATURE,
@@ -51,6 +55,10 @@ import {
 	EXTRAFIELD_TYPE_EXTENDED_TIMESTAMP,
 	EXTRAFIELD_TYPE_NTFS,
 	EXTRAFIELD_TYPE_NTFS_TAG1,
+	EXTRAFIELD_TYPE_UNIX,
+	EXTRAFIELD_TYPE_UNIX_LEGACY,
+	EXTRAFIELD_TYPE_UNICODE_PATH,
+	EXTRAFIELD_TYPE_UNICODE_COMMENT,
 	EXTRAFIELD_TYPE_USDZ,
 	END_OF_CENTRAL_DIR_LENGTH,
 	ZIP64_END_OF_CENTRAL_DIR_LENGTH,
@@ -63,12 +71,18 @@ import {
 	BITFLAG_LEVEL_SUPER_FAST_MASK,
 	BITFLAG_LEVEL_MAX_MASK,
 	FILE_ATTR_MSDOS_DIR_MASK,
+	FILE_ATTR_UNIX_TYPE_MASK,
 	FILE_ATTR_UNIX_TYPE_DIR,
+	FILE_ATTR_UNIX_TYPE_SYMLINK,
 	FILE_ATTR_UNIX_EXECUTABLE_MASK,
 	FILE_ATTR_UNIX_DEFAULT_MASK,
+	FILE_ATTR_UNIX_SYMLINK_MASK,
 	VERSION_DEFLATE,
+	VERSION_DEFLATE_64,
 	VERSION_ZIP64,
+	VERSION_BZIP2,
 	VERSION_AES,
+	VERSION_LZMA,
 	DIRECTORY_SIGNATURE,
 	HEADER_SIZE,
 	HEADER_OFFSET_SIGNATURE,
@@ -76,7 +90,8 @@ import {
 	HEADER_OFFSET_UNCOMPRESSED_SIZE,
 	MIN_DATE,
 	MAX_DATE,
-	UNDEFINED_VALUE
+	UNDEFINED_VALUE,
+	FUNCTION_TYPE
 } from "./constants.js";
 import {
 	getConfiguration,
@@ -84,14 +99,19 @@ import {
 } from "./configuration.js";
 import {
 	CODEC_DEFLATE,
+	ERR_UNSUPPORTED_COMPRESSION,
 	runWorker
 } from "./codec-pool.js";
 import {
 	initStream,
 	GenericWriter,
-	GenericReader
+	GenericReader,
+	Uint8ArrayReader
 } from "./io.js";
 import { encodeText } from "./util/encode-text.js";
+import { CHARSET_UTF8, CHARSET_CP437, getCharset, encodeCodePage } from "./util/code-page-encode.js";
+import { normalizeName, getNameKey } from "./util/name-policy.js";
+import { Crc32 } from "./streams/codecs/crc32.js";
 import {
 	PROPERTY_NAME_LAST_MODIFICATION_DATE,
 	PROPERTY_NAME_LAST_ACCESS_DATE,
@@ -108,6 +128,10 @@ import {
 	PROPERTY_NAME_ZIPCRYPTO,
 	PROPERTY_NAME_DIRECTORY,
 	PROPERTY_NAME_EXECUTABLE,
+	PROPERTY_NAME_SYMLINK,
+	PROPERTY_NAME_UNIX_MODE,
+	PROPERTY_NAME_UID,
+	PROPERTY_NAME_GID,
 	PROPERTY_NAME_COMPRESSION_METHOD,
 	PROPERTY_NAME_SIGNATURE,
 	PROPERTY_NAME_COMMENT,
@@ -133,6 +157,11 @@ import {
 	OPTION_DATA_DESCRIPTOR,
 	OPTION_SUPPORT_ZIP64_SPLIT_FILE,
 	OPTION_ENCODE_TEXT,
+	OPTION_FILENAME_ENCODING,
+	OPTION_COMMENT_ENCODING,
+	OPTION_ENCODING_FALLBACK,
+	OPTION_NAME_NORMALIZATION,
+	OPTION_CASE_INSENSITIVE_DUPLICATES,
 	OPTION_OFFSET,
 	OPTION_USDZ
 } from "./options.js";
@@ -151,6 +180,19 @@ const ERR_INVALID_EXTRAFIELD_DATA = "Extra field data exceeds 64KB";
 const ERR_UNSUPPORTED_FORMAT = "Zip64 is not supported (make sure 'keepOrder' is set to 'true')";
 const ERR_UNDEFINED_UNCOMPRESSED_SIZE = "Undefined uncompressed size";
 const ERR_ZIP_NOT_EMPTY = "Zip file not empty";
+const ERR_UNSUPPORTED_ENCODING = "Unsupported text encoding";
+const ERR_UNENCODABLE_TEXT = "Text cannot be encoded with the requested encoding";
+
+const ENCODING_FALLBACK_UNICODE = "unicode";
+const ENCODING_FALLBACK_ERROR = "error";
+
+const COMPRESSION_METHOD_VERSIONS = {
+	[COMPRESSION_METHOD_DEFLATE_64]: VERSION_DEFLATE_64,
+	[COMPRESSION_METHOD_BZIP2]: VERSION_BZIP2,
+	[COMPRESSION_METHOD_LZMA]: VERSION_LZMA,
+	[COMPRESSION_METHOD_ZSTD]: VERSION_LZMA,
+	[COMPRESSION_METHOD_XZ]: VERSION_LZMA
+};
 
 const EXTRAFIELD_DATA_AES = new Uint8Array([0x07, 0x00, 0x02, 0x00, 0x41, 0x45, 0x03, 0x00, 0x00]);
 
@@ -171,6 +213,7 @@ class ZipWriter {
 			config: getConfiguration(),
 			files: new Map(),
 			filenames: new Set(),
+			filenameKeys: new Map(),
 			offset: options[OPTION_OFFSET] === UNDEFINED_VALUE ? writer.size || writer.writable.size || 0 : options[OPTION_OFFSET],
 			pendingEntriesSize: 0,
 			pendingAddFileCalls: new Set(),
@@ -188,7 +231,9 @@ class ZipWriter {
 		await zipReader.close();
 		await reader.readable.pipeTo(this.writer.writable, { preventClose: true, preventAbort: true });
 		this.writer.size = this.offset = reader.size;
-		this.filenames = new Set(entries.map(entry => entry.filename));
+		this.filenames = new Set();
+		this.filenameKeys = new Map();
+		entries.forEach(entry => addFilename(this, entry.filename));
 		this.files = new Map(entries.map(entry => {
 			const {
 				version,
@@ -266,18 +311,20 @@ class ZipWriter {
 		} else {
 			await new Promise(resolve => pendingEntries.push(resolve));
 		}
-		let promiseAddFile;
+		let promiseAddFile, filenameAdded;
 		try {
-			name = name.trim();
-			if (zipWriter.filenames.has(name)) {
-				throw new Error(ERR_DUPLICATED_NAME);
-			}
-			zipWriter.filenames.add(name);
+			const nameNormalization = getOptionValue(zipWriter, options, OPTION_NAME_NORMALIZATION);
+			const caseInsensitiveDuplicates = getOptionValue(zipWriter, options, OPTION_CASE_INSENSITIVE_DUPLICATES);
+			name = normalizeName(name.trim(), nameNormalization);
+			addFilename(zipWriter, name, caseInsensitiveDuplicates);
+			filenameAdded = true;
 			promiseAddFile = addFile(zipWriter, name, reader, options);
 			pendingAddFileCalls.add(promiseAddFile);
 			return await promiseAddFile;
 		} catch (error) {
-			zipWriter.filenames.delete(name);
+			if (filenameAdded) {
+				deleteFilename(zipWriter, name);
+			}
 			throw error;
 		} finally {
 			pendingAddFileCalls.delete(promiseAddFile);
@@ -298,7 +345,7 @@ class ZipWriter {
 		if (entry && entry.filename !== UNDEFINED_VALUE) {
 			const { filename } = entry;
 			if (filenames.has(filename) && files.has(filename)) {
-				filenames.delete(filename);
+				deleteFilename(this, filename);
 				files.delete(filename);
 				return true;
 			}
@@ -351,22 +398,30 @@ class ZipWriter {
 			// Simulate writing these entries next, compute their local header + data sizes
 			const addSplitSignatureLen = this.addSplitZipSignature ? 4 : 0;
 			let cumulativeOffset = baseOffset + addSplitSignatureLen;
-			const encode = getOptionValue(this, normalizedOptions, OPTION_ENCODE_TEXT, encodeText);
+			const { useUnicodeFileNames, filenameEncoding, commentEncoding, encode, encodingFallback } = getTextEncodingOptions(this, normalizedOptions);
+			const nameNormalization = getOptionValue(this, normalizedOptions, OPTION_NAME_NORMALIZATION);
 			for (const file of providedFiles) {
-				const name = (file.name || file.filename || "").trim();
-				let rawFilename = encode(name);
-				if (rawFilename === UNDEFINED_VALUE) rawFilename = encodeText(name);
+				const name = normalizeName((file.name || file.filename || "").trim(), nameNormalization);
+				const rawFilename = encodeEntryText(encode, name, filenameEncoding, encodingFallback);
 				if (getLength(rawFilename) > MAX_16_BITS) throw new Error(ERR_INVALID_ENTRY_NAME);
 				const entryComment = file.comment || "";
-				let rawComment = encode(entryComment);
-				if (rawComment === UNDEFINED_VALUE) rawComment = encodeText(entryComment);
+				const rawComment = encodeEntryText(encode, entryComment, commentEncoding, encodingFallback);
 				if (getLength(rawComment) > MAX_16_BITS) throw new Error(ERR_INVALID_ENTRY_COMMENT);
 				const directory = Boolean(file.directory || (!file.reader && name.endsWith("/")));
 				const lastModDate = file.lastModDate || new Date();
 				const lastAccessDate = file.lastAccessDate;
 				const creationDate = file.creationDate;
 				const extendedTimestamp = file.extendedTimestamp === UNDEFINED_VALUE ? true : Boolean(file.extendedTimestamp);
-				const rawExtraField = file.extraField || new Uint8Array();
+				let rawExtraField = file.extraField || new Uint8Array();
+				if (!useUnicodeFileNames) {
+					let extraFieldUnicode = getExtraFieldUnicode(UNDEFINED_VALUE, EXTRAFIELD_TYPE_UNICODE_PATH, name, rawFilename);
+					extraFieldUnicode = getExtraFieldUnicode(extraFieldUnicode, EXTRAFIELD_TYPE_UNICODE_COMMENT, entryComment, rawComment);
+					const rawExtraFieldUnicode = getRawExtraField(extraFieldUnicode);
+					const rawExtraFieldUser = rawExtraField;
+					rawExtraField = new Uint8Array(getLength(rawExtraFieldUser, rawExtraFieldUnicode));
+					arraySet(rawExtraField, rawExtraFieldUser, 0);
+					arraySet(rawExtraField, rawExtraFieldUnicode, getLength(rawExtraFieldUser));
+				}
 				const zipCrypto = Boolean(file.zipCrypto);
 				const encryptionStrength = file.encryptionStrength || 3;
 				const password = file.password;
@@ -390,7 +445,6 @@ class ZipWriter {
 				const zip64Offset = zip64Forced || cumulativeOffset > MAX_32_BITS;
 				const zip64DiskNumberStart = (supportZip64SplitFile && zip64Forced) || writer.diskNumber > MAX_16_BITS;
 				let zip64 = zip64Forced || zip64UncompressedSize || zip64CompressedSize || zip64Offset || zip64DiskNumberStart;
-				const useUnicodeFileNames = getOptionValue(this, normalizedOptions, OPTION_USE_UNICODE_FILE_NAMES, true);
 				const headerOptions = {
 					// identification and sizing
 					rawFilename,
@@ -565,14 +619,41 @@ export {
 	ERR_INVALID_ENCRYPTION_STRENGTH,
 	ERR_UNSUPPORTED_FORMAT,
 	ERR_UNDEFINED_UNCOMPRESSED_SIZE,
-	ERR_ZIP_NOT_EMPTY
+	ERR_ZIP_NOT_EMPTY,
+	ERR_UNSUPPORTED_ENCODING,
+	ERR_UNENCODABLE_TEXT
 };
 
+function addFilename(zipWriter, name, caseInsensitiveDuplicates) {
+	const { filenames, filenameKeys } = zipWriter;
+	const key = getNameKey(name, UNDEFINED_VALUE, true);
+	if (filenames.has(name) || (caseInsensitiveDuplicates && filenameKeys.has(key))) {
+		throw new Error(ERR_DUPLICATED_NAME);
+	}
+	filenames.add(name);
+	filenameKeys.set(key, (filenameKeys.get(key) || 0) + 1);
+}
+
+function deleteFilename(zipWriter, name) {
+	const { filenames, filenameKeys } = zipWriter;
+	const key = getNameKey(name, UNDEFINED_VALUE, true);
+	filenames.delete(name);
+	if (filenameKeys.get(key) > 1) {
+		filenameKeys.set(key, filenameKeys.get(key) - 1);
+	} else {
+		filenameKeys.delete(key);
+	}
+}
+
 async function addFile(zipWriter, name, reader, options) {
 	name = name.trim();
 	const msDosCompatible = getOptionValue(zipWriter, options, PROPERTY_NAME_MS_DOS_COMPATIBLE);
 	const versionMadeBy = getOptionValue(zipWriter, options, PROPERTY_NAME_VERSION_MADE_BY, msDosCompatible ? 20 : 768);
 	const executable = getOptionValue(zipWriter, options, PROPERTY_NAME_EXECUTABLE);
+	const symlink = options[PROPERTY_NAME_SYMLINK];
+	const unixMode = getOptionValue(zipWriter, options, PROPERTY_NAME_UNIX_MODE);
+	const uid = getOptionValue(zipWriter, options, PROPERTY_NAME_UID);
+	const gid = getOptionValue(zipWriter, options, PROPERTY_NAME_GID);
 	if (versionMadeBy > MAX_16_BITS) {
 		throw new Error(ERR_INVALID_VERSION);
 	}
@@ -580,6 +661,9 @@ async function addFile(zipWriter, name, reader, options) {
 	if (externalFileAttributes === 0) {
 		externalFileAttributes = getOptionValue(zipWriter, options, PROPERTY_NAME_EXTERNAL_FILE_ATTRIBUTE, 0);
 	}
+	if (symlink !== UNDEFINED_VALUE) {
+		reader = new Uint8ArrayReader(encodeText(symlink));
+	}
 	if (!options[PROPERTY_NAME_DIRECTORY] && name.endsWith(DIRECTORY_SIGNATURE)) {
 		options[PROPERTY_NAME_DIRECTORY] = true;
 	}
@@ -591,29 +675,25 @@ async function addFile(zipWriter, name, reader, options) {
 		if (externalFileAttributes === 0) {
 			externalFileAttributes = FILE_ATTR_MSDOS_DIR_MASK;
 			if (!msDosCompatible) {
-				externalFileAttributes |= (FILE_ATTR_UNIX_TYPE_DIR | FILE_ATTR_UNIX_EXECUTABLE_MASK | FILE_ATTR_UNIX_DEFAULT_MASK) << 16;
+				externalFileAttributes |= getUnixFileAttributes(unixMode, FILE_ATTR_UNIX_TYPE_DIR, FILE_ATTR_UNIX_EXECUTABLE_MASK | FILE_ATTR_UNIX_DEFAULT_MASK);
 			}
 		}
 	} else if (!msDosCompatible && externalFileAttributes === 0) {
-		if (executable) {
-			externalFileAttributes = (FILE_ATTR_UNIX_EXECUTABLE_MASK | FILE_ATTR_UNIX_DEFAULT_MASK) << 16;
+		if (symlink !== UNDEFINED_VALUE) {
+			externalFileAttributes = getUnixFileAttributes(unixMode, FILE_ATTR_UNIX_TYPE_SYMLINK, FILE_ATTR_UNIX_SYMLINK_MASK);
+		} else if (executable) {
+			externalFileAttributes = getUnixFileAttributes(unixMode, 0, FILE_ATTR_UNIX_EXECUTABLE_MASK | FILE_ATTR_UNIX_DEFAULT_MASK);
 		} else {
-			externalFileAttributes = FILE_ATTR_UNIX_DEFAULT_MASK << 16;
+			externalFileAttributes = getUnixFileAttributes(unixMode, 0, FILE_ATTR_UNIX_DEFAULT_MASK);
 		}
 	}
-	const encode = getOptionValue(zipWriter, options, OPTION_ENCODE_TEXT, encodeText);
-	let rawFilename = encode(name);
-	if (rawFilename === UNDEFINED_VALUE) {
-		rawFilename = encodeText(name);
-	}
+	const { useUnicodeFileNames, filenameEncoding, commentEncoding, encode, encodingFallback } = getTextEncodingOptions(zipWriter, options);
+	const rawFilename = encodeEntryText(encode, name, filenameEncoding, encodingFallback);
 	if (getLength(rawFilename) > MAX_16_BITS) {
 		throw new Error(ERR_INVALID_ENTRY_NAME);
 	}
 	const comment = options[PROPERTY_NAME_COMMENT] || "";
-	let rawComment = encode(comment);
-	if (rawComment === UNDEFINED_VALUE) {
-		rawComment = encodeText(comment);
-	}
+	const rawComment = encodeEntryText(encode, comment, commentEncoding, encodingFallback);
 	if (getLength(rawComment) > MAX_16_BITS) {
 		throw new Error(ERR_INVALID_ENTRY_COMMENT);
 	}
@@ -643,11 +723,14 @@ async function addFile(zipWriter, name, reader, options) {
 	const bufferedWrite = getOptionValue(zipWriter, options, OPTION_BUFFERED_WRITE);
 	const dataDescriptorSignature = getOptionValue(zipWriter, options, OPTION_DATA_DESCRIPTOR_SIGNATURE, false);
 	const signal = getOptionValue(zipWriter, options, OPTION_SIGNAL);
-	const useUnicodeFileNames = getOptionValue(zipWriter, options, OPTION_USE_UNICODE_FILE_NAMES, true);
 	const useCompressionStream = getOptionValue(zipWriter, options, OPTION_USE_COMPRESSION_STREAM);
 	const compressionMethod = getOptionValue(zipWriter, options, PROPERTY_NAME_COMPRESSION_METHOD);
+	const codec = getCodec(zipWriter.config, compressionMethod);
+	if (!passThrough && !isCompressionMethodSupported(compressionMethod, codec)) {
+		throw new Error(ERR_UNSUPPORTED_COMPRESSION);
+	}
 	let dataDescriptor = getOptionValue(zipWriter, options, OPTION_DATA_DESCRIPTOR);
-	if (bufferedWrite && dataDescriptor === UNDEFINED_VALUE) {
+	if ((bufferedWrite || isSeekable(zipWriter.writer)) && dataDescriptor === UNDEFINED_VALUE) {
 		dataDescriptor = false;
 	}
 	if (dataDescriptor === UNDEFINED_VALUE || zipCrypto) {
@@ -657,26 +740,15 @@ async function addFile(zipWriter, name, reader, options) {
 	if (!zipCrypto && (password !== UNDEFINED_VALUE || rawPassword !== UNDEFINED_VALUE) && !(encryptionStrength >= 1 && encryptionStrength <= 3)) {
 		throw new Error(ERR_INVALID_ENCRYPTION_STRENGTH);
 	}
-	let rawExtraField = new Uint8Array();
-	const extraField = options[PROPERTY_NAME_EXTRA_FIELD];
-	if (extraField) {
-		let extraFieldSize = 0;
-		let offset = 0;
-		extraField.forEach(data => extraFieldSize += 4 + getLength(data));
-		rawExtraField = new Uint8Array(extraFieldSize);
-		extraField.forEach((data, type) => {
-			if (type > MAX_16_BITS) {
-				throw new Error(ERR_INVALID_EXTRAFIELD_TYPE);
-			}
-			if (getLength(data) > MAX_16_BITS) {
-				throw new Error(ERR_INVALID_EXTRAFIELD_DATA);
-			}
-			arraySet(rawExtraField, new Uint16Array([type]), offset);
-			arraySet(rawExtraField, new Uint16Array([getLength(data)]), offset + 2);
-			arraySet(rawExtraField, data, offset + 4);
-			offset += 4 + getLength(data);
-		});
+	let extraField = options[PROPERTY_NAME_EXTRA_FIELD];
+	if (uid !== UNDEFINED_VALUE || gid !== UNDEFINED_VALUE) {
+		extraField = getExtraFieldUnix(extraField, uid || 0, gid || 0, lastModDate, lastAccessDate);
 	}
+	if (!useUnicodeFileNames) {
+		extraField = getExtraFieldUnicode(extraField, EXTRAFIELD_TYPE_UNICODE_PATH, name, rawFilename);
+		extraField = getExtraFieldUnicode(extraField, EXTRAFIELD_TYPE_UNICODE_COMMENT, comment, rawComment);
+	}
+	const rawExtraField = getRawExtraField(extraField);
 	let maximumCompressedSize = 0;
 	let maximumEntrySize = 0;
 	let uncompressedSize = 0;
@@ -724,7 +796,7 @@ async function addFile(zipWriter, name, reader, options) {
 	options = Object.assign({}, options, {
 		rawFilename,
 		rawComment,
-		version,
+		version: getVersion(version, compressionMethod, codec),
 		versionMadeBy,
 		lastModDate,
 		lastAccessDate,
@@ -737,7 +809,7 @@ async function addFile(zipWriter, name, reader, options) {
 		zip64DiskNumberStart,
 		password,
 		rawPassword,
-		level: !useCompressionStream && (zipWriter.config.CompressionStream === UNDEFINED_VALUE && zipWriter.config.CompressionStreamNative === UNDEFINED_VALUE) ? 0 : level,
+		level: !useCompressionStream && !codec && (zipWriter.config.CompressionStream === UNDEFINED_VALUE && zipWriter.config.CompressionStreamNative === UNDEFINED_VALUE) ? 0 : level,
 		useWebWorkers,
 		encryptionStrength,
 		extendedTimestamp,
@@ -776,7 +848,14 @@ async function addFile(zipWriter, name, reader, options) {
 	} finally {
 		zipWriter.pendingEntriesSize -= maximumEntrySize;
 	}
-	Object.assign(fileEntry, { name, comment, extraField });
+	Object.assign(fileEntry, {
+		name,
+		comment,
+		extraField,
+		uid,
+		gid,
+		unixMode: versionMadeBy >> 8 == 3 ? externalFileAttributes >>> 16 : UNDEFINED_VALUE
+	});
 	return new Entry(fileEntry);
 }
 
@@ -803,6 +882,8 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 	let writingEntryData;
 	let fileWriter;
 	let blobPromise;
+	let localHeaderPosition;
+	const seekable = isSeekable(writer);
 	files.set(name, fileEntry);
 	try {
 		let lockPreviousFileEntry;
@@ -810,7 +891,7 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 			lockPreviousFileEntry = previousFileEntry && previousFileEntry.lock;
 			requestLockCurrentFileEntry();
 		}
-		if ((options.bufferedWrite || zipWriter.writerLocked || (zipWriter.bufferedWrites && keepOrder) || !dataDescriptor) && !usdz) {
+		if ((options.bufferedWrite || zipWriter.writerLocked || (zipWriter.bufferedWrites && keepOrder) || (!dataDescriptor && !seekable)) && !usdz) {
 			fileWriter = new TransformStream();
 			fileWriter.size = 0;
 			bufferedWrite = true;
@@ -839,7 +920,7 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 		} = headerInfo;
 		if (!bufferedWrite) {
 			await lockPreviousFileEntry;
-			await skipDiskIfNeeded(writable);
+			await skipDiskIfNeeded();
 		}
 		const { diskNumber } = writer;
 		writingEntryData = true;
@@ -847,6 +928,7 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 		if (bufferedWrite) {
 			blobPromise = new Response(fileWriter.readable).blob();
 		} else {
+			localHeaderPosition = writer.size;
 			await writeData(fileWriter, localHeaderArray);
 		}
 		fileEntry = await createFileEntry(reader, fileWriter, fileEntry, entryInfo, zipWriter.config, options);
@@ -858,22 +940,26 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 			const [blob] = await Promise.all([blobPromise, fileWriter.writable.getWriter().close(), lockPreviousFileEntry]);
 			await requestLockWriter();
 			writingBufferedEntryData = true;
+			await skipDiskIfNeeded();
 			fileEntry.diskNumberStart = writer.diskNumber;
 			fileEntry.offset = zipWriter.offset - writer.diskOffset;
 			if (zip64) {
 				updateZip64ExtraField(fileEntry);
 			}
 			updateLocalHeader(fileEntry, localHeaderView, options);
-			await skipDiskIfNeeded(writable);
 			await writeData(writer, localHeaderArray);
 			await blob.stream().pipeTo(writable, { preventClose: true, preventAbort: true, signal });
 			writer.size += fileWriter.size;
 			writingBufferedEntryData = false;
 		} else {
-			fileEntry.offset = zipWriter.offset - diskOffset;
+			fileEntry.offset = zipWriter.offset - writer.diskOffset;
 			if (zip64) {
 				updateZip64ExtraField(fileEntry);
 			}
+			if (!dataDescriptor && seekable) {
+				updateLocalHeader(fileEntry, localHeaderView, options);
+				await writer.writeUint8ArrayAt(localHeaderArray, localHeaderPosition);
+			}
 		}
 		if (fileEntry.offset > MAX_32_BITS && !zip64) {
 			throw new Error(ERR_UNSUPPORTED_FORMAT);
@@ -925,10 +1011,10 @@ async function getFileEntry(zipWriter, name, reader, entryInfo, options) {
 		await lockWriter;
 	}
 
-	async function skipDiskIfNeeded(writable) {
+	async function skipDiskIfNeeded() {
 		if (getLength(headerInfo.localHeaderArray) > writer.availableSize) {
 			writer.availableSize = 0;
-			await writeData(writable, new Uint8Array());
+			await writeData(writer, new Uint8Array());
 		}
 	}
 }
@@ -972,6 +1058,7 @@ async function createFileEntry(reader, writer, { diskNumberStart, lock }, entryI
 		dataDescriptor,
 		directory,
 		executable,
+		symlink,
 		versionMadeBy,
 		rawComment,
 		rawExtraField,
@@ -994,6 +1081,7 @@ async function createFileEntry(reader, writer, { diskNumberStart, lock }, entryI
 		zip64,
 		directory: Boolean(directory),
 		executable: Boolean(executable),
+		symlink: symlink !== UNDEFINED_VALUE,
 		filenameUTF8: true,
 		rawFilename,
 		commentUTF8: true,
@@ -1034,6 +1122,7 @@ async function createFileEntry(reader, writer, { diskNumberStart, lock }, entryI
 				passwordVerification: encrypted && zipCrypto && (rawLastModDate >> 8) & 0xFF,
 				signed: !passThrough,
 				compressed: compressed && !passThrough,
+				compressionMethod: options.compressionMethod,
 				encrypted: encrypted && !passThrough,
 				useWebWorkers,
 				useCompressionStream,
@@ -1553,6 +1642,7 @@ async function closeFile(zipWriter, comment, options) {
 		arraySet(directoryArray, rawExtraField, directoryOffset);
 		directoryOffset += getLength(rawExtraField);
 		arraySet(directoryArray, rawComment, directoryOffset);
+		directoryOffset += getLength(rawComment);
 		if (offset - directoryDiskOffset > writer.availableSize) {
 			writer.availableSize = 0;
 			await writeData(writer, directoryArray.slice(directoryDiskOffset, offset));
@@ -1630,6 +1720,10 @@ async function closeFile(zipWriter, comment, options) {
 	}
 }
 
+function isSeekable(writer) {
+	return typeof writer.writeUint8ArrayAt == FUNCTION_TYPE;
+}
+
 async function writeData(writer, array) {
 	const { writable } = writer;
 	const streamWriter = writable.getWriter();
@@ -1648,6 +1742,113 @@ function getTimeNTFS(date) {
 	}
 }
 
+function getUnixFileAttributes(unixMode, type, defaultMode) {
+	if (unixMode === UNDEFINED_VALUE) {
+		unixMode = type | defaultMode;
+	} else if (!(unixMode & FILE_ATTR_UNIX_TYPE_MASK)) {
+		unixMode |= type;
+	}
+	return (unixMode << 16) >>> 0;
+}
+
+function getExtraFieldUnix(extraField, uid, gid, lastModDate, lastAccessDate) {
+	extraField = new Map(extraField);
+	if (!extraField.has(EXTRAFIELD_TYPE_UNIX)) {
+		const data = new Uint8Array(11);
+		const extraFieldView = getDataView(data);
+		setUint8(extraFieldView, 0, 1);
+		setUint8(extraFieldView, 1, 4);
+		setUint32(extraFieldView, 2, uid);
+		setUint8(extraFieldView, 6, 4);
+		setUint32(extraFieldView, 7, gid);
+		extraField.set(EXTRAFIELD_TYPE_UNIX, data);
+	}
+	if (!extraField.has(EXTRAFIELD_TYPE_UNIX_LEGACY) && uid <= MAX_16_BITS && gid <= MAX_16_BITS) {
+		const data = new Uint8Array(12);
+		const extraFieldView = getDataView(data);
+		setUint32(extraFieldView, 0, Math.floor((lastAccessDate || lastModDate).getTime() / 1000));
+		setUint32(extraFieldView, 4, Math.floor(lastModDate.getTime() / 1000));
+		setUint16(extraFieldView, 8, uid);
+		setUint16(extraFieldView, 10, gid);
+		extraField.set(EXTRAFIELD_TYPE_UNIX_LEGACY, data);
+	}
+	return extraField;
+}
+
+function getTextEncodingOptions(zipWriter, options) {
+	const useUnicodeFileNames = getOptionValue(zipWriter, options, OPTION_USE_UNICODE_FILE_NAMES, true);
+	const filenameEncoding = getCharset(getOptionValue(zipWriter, options, OPTION_FILENAME_ENCODING, useUnicodeFileNames ? CHARSET_UTF8 : CHARSET_CP437));
+	const commentEncoding = getCharset(getOptionValue(zipWriter, options, OPTION_COMMENT_ENCODING, filenameEncoding));
+	const encode = getOptionValue(zipWriter, options, OPTION_ENCODE_TEXT);
+	const encodingFallback = getOptionValue(zipWriter, options, OPTION_ENCODING_FALLBACK, ENCODING_FALLBACK_UNICODE);
+	return {
+		useUnicodeFileNames: useUnicodeFileNames && filenameEncoding == CHARSET_UTF8 && commentEncoding == CHARSET_UTF8,
+		filenameEncoding,
+		commentEncoding,
+		encode,
+		encodingFallback
+	};
+}
+
+function encodeEntryText(encode, text, encoding, encodingFallback) {
+	let rawText = encode ? encode(text) : UNDEFINED_VALUE;
+	if (rawText === UNDEFINED_VALUE) {
+		if (encoding == CHARSET_UTF8) {
+			rawText = encodeText(text);
+		} else {
+			const result = encodeCodePage(text, encoding);
+			if (result === UNDEFINED_VALUE) {
+				throw new Error(ERR_UNSUPPORTED_ENCODING);
+			}
+			if (!result.valid && encodingFallback == ENCODING_FALLBACK_ERROR) {
+				throw new Error(ERR_UNENCODABLE_TEXT);
+			}
+			rawText = result.array;
+		}
+	}
+	return rawText;
+}
+
+function getExtraFieldUnicode(extraField, type, text, rawText) {
+	const textUTF8 = encodeText(text);
+	if (getLength(textUTF8) != text.length && !(extraField && extraField.has(type))) {
+		const data = new Uint8Array(5 + getLength(textUTF8));
+		const extraFieldView = getDataView(data);
+		const crc32 = new Crc32();
+		crc32.append(rawText);
+		setUint8(extraFieldView, 0, 1);
+		setUint32(extraFieldView, 1, crc32.get());
+		arraySet(data, textUTF8, 5);
+		extraField = new Map(extraField);
+		extraField.set(type, data);
+	}
+	return extraField;
+}
+
+function getRawExtraField(extraField) {
+	let rawExtraField = new Uint8Array();
+	if (extraField) {
+		let extraFieldSize = 0;
+		let offset = 0;
+		extraField.forEach(data => extraFieldSize += 4 + getLength(data));
+		rawExtraField = new Uint8Array(extraFieldSize);
+		const rawExtraFieldView = getDataView(rawExtraField);
+		extraField.forEach((data, type) => {
+			if (type > MAX_16_BITS) {
+				throw new Error(ERR_INVALID_EXTRAFIELD_TYPE);
+			}
+			if (getLength(data) > MAX_16_BITS) {
+				throw new Error(ERR_INVALID_EXTRAFIELD_DATA);
+			}
+			setUint16(rawExtraFieldView, offset, type);
+			setUint16(rawExtraFieldView, offset + 2, getLength(data));
+			arraySet(rawExtraField, data, offset + 4);
+			offset += 4 + getLength(data);
+		});
+	}
+	return rawExtraField;
+}
+
 function getOptionValue(zipWriter, options, name, defaultValue) {
 	const result = options[name] === UNDEFINED_VALUE ? zipWriter.options[name] : options[name];
 	return result === UNDEFINED_VALUE ? defaultValue : result;
@@ -1725,6 +1926,22 @@ function getHeaderArrayData({
 	};
 }
 
+function getCodec({ codecs }, compressionMethod) {
+	return codecs && codecs[compressionMethod];
+}
+
+function isCompressionMethodSupported(compressionMethod, codec) {
+	return compressionMethod === UNDEFINED_VALUE ||
+		compressionMethod == COMPRESSION_METHOD_STORE ||
+		compressionMethod == COMPRESSION_METHOD_DEFLATE ||
+		Boolean(codec && codec.Compress);
+}
+
+function getVersion(version, compressionMethod, codec) {
+	const versionNeeded = (codec && codec.version) || COMPRESSION_METHOD_VERSIONS[compressionMethod];
+	return versionNeeded > version ? versionNeeded : version;
+}
+
 function getBitFlag(level, useUnicodeFileNames, dataDescriptor, encrypted, compressionMethod) {
 	let bitFlag = 0;
 	if (useUnicodeFileNames) {
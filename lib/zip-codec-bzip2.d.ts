@@ -0,0 +1,6 @@
+import type { CompressionCodec } from "../index.js";
+
+/**
+ * The codec implementation used to decompress data compressed with BZIP2 (compression method 12).
+ */
+export declare const Bzip2Decompress: NonNullable<CompressionCodec["Decompress"]>;
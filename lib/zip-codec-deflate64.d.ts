@@ -0,0 +1,6 @@
+import type { CompressionCodec } from "../index.js";
+
+/**
+ * The codec implementation used to decompress data compressed with Deflate64 (compression method 9).
+ */
+export declare const Inflate64: NonNullable<CompressionCodec["Decompress"]>;
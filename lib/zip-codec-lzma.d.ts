@@ -0,0 +1,10 @@
+import type { CompressionCodec } from "../index.js";
+
+/**
+ * The codec implementation used to decompress data compressed with LZMA (compression method 14).
+ */
+export declare const LzmaDecompress: NonNullable<CompressionCodec["Decompress"]>;
+/**
+ * The codec implementation used to decompress data compressed with XZ (compression method 95).
+ */
+export declare const XzDecompress: NonNullable<CompressionCodec["Decompress"]>;
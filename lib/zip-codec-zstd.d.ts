@@ -0,0 +1,10 @@
+import type { CompressionCodec } from "../index.js";
+
+/**
+ * The codec implementation used to compress data with Zstandard (compression method 93).
+ */
+export declare const ZstdCompress: NonNullable<CompressionCodec["Compress"]>;
+/**
+ * The codec implementation used to decompress data compressed with Zstandard (compression method 93).
+ */
+export declare const ZstdDecompress: NonNullable<CompressionCodec["Decompress"]>;
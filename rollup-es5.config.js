@@ -84,7 +84,7 @@ const inlineTerserOptions = {
 	},
 	mangle: {
 		properties: {
-			reserved: ["codecType", "config", "salt", "iterations", "keys", "password", "rawPassword", "encryptionStrength", "encrypted", "signed", "compressed", "level", "zipCrypto", "passwordVerification", "pull", "enqueue", "close", "messageId", "chunkSize", "highWaterMark", "useCompressionStream", "preventAbort", "preventClose", "CompressionStreamNative", "DecompressionStreamNative", "checkPasswordOnly", "inputSize", "outputSize"]
+			reserved: ["codecType", "config", "salt", "iterations", "keys", "password", "rawPassword", "encryptionStrength", "encrypted", "signed", "compressed", "level", "zipCrypto", "passwordVerification", "pull", "enqueue", "close", "messageId", "chunkSize", "highWaterMark", "useCompressionStream", "preventAbort", "preventClose", "CompressionStreamNative", "DecompressionStreamNative", "checkPasswordOnly", "inputSize", "outputSize", "compressionMethod", "codecs", "Compress", "Decompress", "maxEntryUncompressedSize", "remainingUncompressedSize", "maxCompressionRatio"]
 		}
 	}
 };
@@ -29,7 +29,7 @@ const inlineTerserOptions = {
 	},
 	mangle: {
 		properties: {
-			reserved: ["codecType", "config", "salt", "iterations", "keys", "password", "rawPassword", "encryptionStrength", "encrypted", "signed", "compressed", "level", "zipCrypto", "passwordVerification", "pull", "enqueue", "close", "messageId", "chunkSize", "highWaterMark", "useCompressionStream", "preventAbort", "preventClose", "CompressionStreamNative", "DecompressionStreamNative", "checkPasswordOnly", "inputSize", "outputSize"]
+			reserved: ["codecType", "config", "salt", "iterations", "keys", "password", "rawPassword", "encryptionStrength", "encrypted", "signed", "compressed", "level", "zipCrypto", "passwordVerification", "pull", "enqueue", "close", "messageId", "chunkSize", "highWaterMark", "useCompressionStream", "preventAbort", "preventClose", "CompressionStreamNative", "DecompressionStreamNative", "checkPasswordOnly", "inputSize", "outputSize", "compressionMethod", "codecs", "Compress", "Decompress", "maxEntryUncompressedSize", "remainingUncompressedSize", "maxCompressionRatio"]
 		}
 	}
 };
@@ -148,6 +148,78 @@ export default [{
 		format: "es",
 		plugins: [terser(bundledTerserOptions)]
 	}]
+}, {
+	input: "lib/zip-codec-bzip2.js",
+	output: [{
+		intro: GLOBALS,
+		file: "dist/zip-codec-bzip2.min.js",
+		format: "umd",
+		name: "zip",
+		extend: true,
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/zip-codec-deflate64.js",
+	output: [{
+		intro: GLOBALS,
+		file: "dist/zip-codec-deflate64.min.js",
+		format: "umd",
+		name: "zip",
+		extend: true,
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/zip-codec-lzma.js",
+	output: [{
+		intro: GLOBALS,
+		file: "dist/zip-codec-lzma.min.js",
+		format: "umd",
+		name: "zip",
+		extend: true,
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/zip-codec-zstd.js",
+	output: [{
+		intro: GLOBALS,
+		file: "dist/zip-codec-zstd.min.js",
+		format: "umd",
+		name: "zip",
+		extend: true,
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/z-worker-codec-bzip2.js",
+	output: [{
+		intro: GLOBALS_WORKER,
+		file: "dist/z-worker-codec-bzip2.js",
+		format: "iife",
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/z-worker-codec-deflate64.js",
+	output: [{
+		intro: GLOBALS_WORKER,
+		file: "dist/z-worker-codec-deflate64.js",
+		format: "iife",
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/z-worker-codec-lzma.js",
+	output: [{
+		intro: GLOBALS_WORKER,
+		file: "dist/z-worker-codec-lzma.js",
+		format: "iife",
+		plugins: [terser(bundledTerserOptions)]
+	}]
+}, {
+	input: "lib/z-worker-codec-zstd.js",
+	output: [{
+		intro: GLOBALS_WORKER,
+		file: "dist/z-worker-codec-zstd.js",
+		format: "iife",
+		plugins: [terser(bundledTerserOptions)]
+	}]
 }, {
 	input: "lib/z-worker-bootstrap-pako.js",
 	output: [{
@@ -0,0 +1,61 @@
+/* global TextEncoder */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. ";
+const DATA_SIZE = 256 * 1024;
+const RANGES = [[0, 10], [200000, 200100], [DATA_SIZE - 5, DATA_SIZE], [100000, 150000], [1000, 1000], [0, DATA_SIZE], [250000, DATA_SIZE + 10]];
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128 });
+	const data = getData();
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("stored.bin", new zip.Uint8ArrayReader(data), { level: 0 });
+	await zipWriter.add("deflated.bin", new zip.Uint8ArrayReader(data));
+	await zipWriter.add("encrypted.bin", new zip.Uint8ArrayReader(data), { password: "password", level: 0 });
+	const zipData = await zipWriter.close();
+	for (const useWebWorkers of [true, false]) {
+		const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), { checkpointInterval: 16 * 1024, useWebWorkers });
+		const [storedEntry, deflatedEntry, encryptedEntry] = await zipReader.getEntries();
+		for (const entry of [storedEntry, deflatedEntry]) {
+			for (const [start, end] of RANGES.concat(RANGES.slice().reverse())) {
+				const rangeData = await entry.getData(new zip.Uint8ArrayWriter(), { start, end });
+				if (!isSameArray(rangeData, data.subarray(start, end))) {
+					throw new Error();
+				}
+			}
+		}
+		if (!isSameArray(await deflatedEntry.getData(new zip.Uint8ArrayWriter(), { start: 200000, checkpointInterval: 0 }), data.subarray(200000))) {
+			throw new Error();
+		}
+		try {
+			await encryptedEntry.getData(new zip.Uint8ArrayWriter(), { start: 10, password: "password" });
+			throw new Error();
+		} catch (error) {
+			if (error.message != zip.ERR_UNSUPPORTED_RANGE) {
+				throw error;
+			}
+		}
+		await zipReader.close();
+	}
+	await zip.terminateWorkers();
+}
+
+function getData() {
+	const data = new Uint8Array(DATA_SIZE);
+	const text = new TextEncoder().encode(TEXT_CONTENT);
+	let seed = 1;
+	for (let index = 0; index < DATA_SIZE; index++) {
+		seed ^= seed << 13;
+		seed ^= seed >>> 17;
+		seed ^= seed << 5;
+		data[index] = index % 4096 < 1024 ? text[index % text.length] : seed & 0xFF;
+	}
+	return data;
+}
+
+function isSameArray(array1, array2) {
+	return array1.length == array2.length && array1.every((value, index) => value == array2[index]);
+}
@@ -0,0 +1,58 @@
+/* global URL */
+
+import * as zip from "../../index.js";
+import { Bzip2Decompress } from "../../lib/zip-codec-bzip2.js";
+import { LzmaDecompress, XzDecompress } from "../../lib/zip-codec-lzma.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi. Nam liber tempor cum soluta nobis eleifend option congue nihil imperdiet doming id quod mazim placerat facer possim assum. Typi non habent claritatem insitam; est usus legentis in iis qui facit eorum claritatem. Investigationes demonstraverunt lectores legere me lius quod ii legunt saepius. Claritas est etiam processus dynamicus, qui sequitur mutationem consuetudium lectorum. Mirum est notare quam littera gothica, quam nunc putamus parum claram, anteposuerit litterarum formas humanitatis per seacula quarta decima et quinta decima. Eodem modo typi, qui nunc nobis videntur parum clari, fiant sollemnes in futurum.";
+const COMPRESSION_METHOD_BZIP2 = 12;
+const COMPRESSION_METHOD_LZMA = 14;
+const COMPRESSION_METHOD_XZ = 95;
+const BZIP2_WORKER_SCRIPT = new URL("./../../lib/z-worker-codec-bzip2.js", import.meta.url).href;
+const LZMA_WORKER_SCRIPT = new URL("./../../lib/z-worker-codec-lzma.js", import.meta.url).href;
+const FILES = [
+	{ url: new URL("./../data/lorem-bzip2.zip", import.meta.url).href, compressionMethod: COMPRESSION_METHOD_BZIP2 },
+	{ url: new URL("./../data/lorem-lzma.zip", import.meta.url).href, compressionMethod: COMPRESSION_METHOD_LZMA },
+	{ url: new URL("./../data/lorem-xz.zip", import.meta.url).href, compressionMethod: COMPRESSION_METHOD_XZ }
+];
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128 });
+	for (const { url } of FILES) {
+		const zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+		const [entry] = await zipReader.getEntries();
+		try {
+			await entry.getData(new zip.TextWriter(), { useWebWorkers: false });
+			throw new Error();
+		} catch (error) {
+			if (error.message != zip.ERR_UNSUPPORTED_COMPRESSION) {
+				throw error;
+			}
+		}
+		await zipReader.close();
+	}
+	zip.configure({
+		codecs: {
+			[COMPRESSION_METHOD_BZIP2]: { Decompress: Bzip2Decompress, workerScripts: [BZIP2_WORKER_SCRIPT] },
+			[COMPRESSION_METHOD_LZMA]: { Decompress: LzmaDecompress, workerScripts: [LZMA_WORKER_SCRIPT] },
+			[COMPRESSION_METHOD_XZ]: { Decompress: XzDecompress, workerScripts: [LZMA_WORKER_SCRIPT] }
+		}
+	});
+	try {
+		for (const useWebWorkers of [true, false]) {
+			for (const { url, compressionMethod } of FILES) {
+				const zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+				const [entry] = await zipReader.getEntries();
+				if (entry.compressionMethod != compressionMethod || await entry.getData(new zip.TextWriter(), { checkSignature: true, useWebWorkers }) != TEXT_CONTENT) {
+					throw new Error();
+				}
+				await zipReader.close();
+			}
+		}
+	} finally {
+		zip.configure({ codecs: { [COMPRESSION_METHOD_BZIP2]: null, [COMPRESSION_METHOD_LZMA]: null, [COMPRESSION_METHOD_XZ]: null } });
+		await zip.terminateWorkers();
+	}
+}
@@ -0,0 +1,65 @@
+/* global TextDecoder */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const SHIFT_JIS_FILENAME = "日本語/ファイル.txt";
+const GBK_FILENAME = "中文/文件.txt";
+const CP850_FILENAME = "Ångström ÿ.txt";
+const CP850_COMMENT = "façade";
+const UNENCODABLE_FILENAME = "日本語 €.txt";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { filenameEncoding: "shift_jis" });
+	await zipWriter.add(SHIFT_JIS_FILENAME, new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add(GBK_FILENAME, new zip.TextReader(TEXT_CONTENT), { filenameEncoding: "gbk" });
+	await zipWriter.add(CP850_FILENAME, new zip.TextReader(TEXT_CONTENT), { filenameEncoding: "cp850", comment: CP850_COMMENT });
+	await zipWriter.add(UNENCODABLE_FILENAME, new zip.TextReader(TEXT_CONTENT));
+	try {
+		await zipWriter.add(UNENCODABLE_FILENAME + "2", new zip.TextReader(TEXT_CONTENT), { encodingFallback: "error" });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_UNENCODABLE_TEXT) {
+			throw error;
+		}
+	}
+	try {
+		await zipWriter.add("unknown.txt", new zip.TextReader(TEXT_CONTENT), { filenameEncoding: "unknown" });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_UNSUPPORTED_ENCODING) {
+			throw error;
+		}
+	}
+	const data = await zipWriter.close();
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+	const [shiftJISEntry, gbkEntry, cp850Entry, unencodableEntry, ...otherEntries] = await zipReader.getEntries();
+	if (otherEntries.length) {
+		throw new Error();
+	}
+	if (shiftJISEntry.bitFlag.languageEncodingFlag || shiftJISEntry.filename != SHIFT_JIS_FILENAME ||
+		new TextDecoder("shift_jis").decode(shiftJISEntry.rawFilename) != SHIFT_JIS_FILENAME) {
+		throw new Error();
+	}
+	if (gbkEntry.filename != GBK_FILENAME || new TextDecoder("gbk").decode(gbkEntry.rawFilename) != GBK_FILENAME) {
+		throw new Error();
+	}
+	if (cp850Entry.rawFilename[0] != 0x8f || cp850Entry.rawFilename[9] != 0x98 || cp850Entry.rawComment[2] != 0x87) {
+		throw new Error();
+	}
+	if (unencodableEntry.filename != UNENCODABLE_FILENAME || !unencodableEntry.extraFieldUnicodePath.valid ||
+		new TextDecoder("shift_jis").decode(unencodableEntry.rawFilename) != "日本語 _.txt") {
+		throw new Error();
+	}
+	await zipReader.close();
+	const cp850Reader = new zip.ZipReader(new zip.Uint8ArrayReader(data), { filenameEncoding: "cp850", commentEncoding: "cp850" });
+	const cp850Entries = await cp850Reader.getEntries();
+	if (cp850Entries[2].filename != CP850_FILENAME || cp850Entries[2].comment != CP850_COMMENT) {
+		throw new Error();
+	}
+	await cp850Reader.close();
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,69 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat.";
+const FILENAME = "lorem.txt";
+const COMPRESSION_METHOD = 0x4C58;
+const VERSION = 0x3F;
+
+class XorCodec {
+
+	append(data) {
+		return data.map(value => value ^ 0x55);
+	}
+
+	flush() {
+		return new Uint8Array();
+	}
+}
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true, codecs: { [COMPRESSION_METHOD]: { Compress: XorCodec, Decompress: XorCodec, version: VERSION } } });
+	try {
+		const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+		await zipWriter.add(FILENAME, new zip.TextReader(TEXT_CONTENT), { compressionMethod: COMPRESSION_METHOD });
+		const data = await zipWriter.close();
+		let zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+		let [entry] = await zipReader.getEntries();
+		if (entry.compressionMethod != COMPRESSION_METHOD || entry.version != VERSION) {
+			throw new Error();
+		}
+		const rawData = await entry.getData(new zip.Uint8ArrayWriter(), { passThrough: true });
+		if (rawData[0] != (TEXT_CONTENT.charCodeAt(0) ^ 0x55) || await entry.getData(new zip.TextWriter(), { checkSignature: true }) != TEXT_CONTENT) {
+			throw new Error();
+		}
+		await zipReader.close();
+		let zipFs = new zip.fs.FS();
+		await zipFs.importUint8Array(data);
+		const exportedData = await zipFs.exportUint8Array({ compressionMethod: COMPRESSION_METHOD });
+		zipFs = new zip.fs.FS();
+		await zipFs.importUint8Array(exportedData);
+		if (await zipFs.getChildByName(FILENAME).getText() != TEXT_CONTENT) {
+			throw new Error();
+		}
+		zip.configure({ codecs: { [COMPRESSION_METHOD]: null } });
+		zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+		[entry] = await zipReader.getEntries();
+		try {
+			await entry.getData(new zip.TextWriter());
+			throw new Error();
+		} catch (error) {
+			if (error.message != zip.ERR_UNSUPPORTED_COMPRESSION) {
+				throw error;
+			}
+		}
+		await zipReader.close();
+		try {
+			await new zip.ZipWriter(new zip.Uint8ArrayWriter()).add(FILENAME, new zip.TextReader(TEXT_CONTENT), { compressionMethod: COMPRESSION_METHOD });
+			throw new Error();
+		} catch (error) {
+			if (error.message != zip.ERR_UNSUPPORTED_COMPRESSION) {
+				throw error;
+			}
+		}
+	} finally {
+		zip.configure({ codecs: { [COMPRESSION_METHOD]: null } });
+		await zip.terminateWorkers();
+	}
+}
@@ -0,0 +1,48 @@
+/* global URL */
+
+import * as zip from "../../index.js";
+import { Inflate64 } from "../../lib/zip-codec-deflate64.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi. Nam liber tempor cum soluta nobis eleifend option congue nihil imperdiet doming id quod mazim placerat facer possim assum. Typi non habent claritatem insitam; est usus legentis in iis qui facit eorum claritatem. Investigationes demonstraverunt lectores legere me lius quod ii legunt saepius. Claritas est etiam processus dynamicus, qui sequitur mutationem consuetudium lectorum. Mirum est notare quam littera gothica, quam nunc putamus parum claram, anteposuerit litterarum formas humanitatis per seacula quarta decima et quinta decima. Eodem modo typi, qui nunc nobis videntur parum clari, fiant sollemnes in futurum.";
+const COMPRESSION_METHOD_DEFLATE_64 = 9;
+const DEFLATE64_WORKER_SCRIPT = new URL("./../../lib/z-worker-codec-deflate64.js", import.meta.url).href;
+const url = new URL("./../data/lorem-deflate64.zip", import.meta.url).href;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128 });
+	let zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+	const [entry] = await zipReader.getEntries();
+	try {
+		await entry.getData(new zip.TextWriter(), { useWebWorkers: false });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_UNSUPPORTED_COMPRESSION) {
+			throw error;
+		}
+	}
+	await zipReader.close();
+	zip.configure({
+		codecs: {
+			[COMPRESSION_METHOD_DEFLATE_64]: { Decompress: Inflate64, workerScripts: [DEFLATE64_WORKER_SCRIPT] }
+		}
+	});
+	try {
+		for (const useWebWorkers of [true, false]) {
+			zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+			const entries = await zipReader.getEntries();
+			if (entries[0].compressionMethod != COMPRESSION_METHOD_DEFLATE_64) {
+				throw new Error();
+			}
+			const data = await entries[0].getData(new zip.TextWriter(), { checkSignature: true, useWebWorkers });
+			await zipReader.close();
+			if (data != TEXT_CONTENT.repeat(64)) {
+				throw new Error();
+			}
+		}
+	} finally {
+		zip.configure({ codecs: { [COMPRESSION_METHOD_DEFLATE_64]: null } });
+		await zip.terminateWorkers();
+	}
+}
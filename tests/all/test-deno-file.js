@@ -0,0 +1,59 @@
+/* global Deno */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const FILENAMES = ["lorem.txt", "lorem2.txt", "dir/lorem3.txt"];
+const TEXT_CONTENT_REPEAT = 64;
+const SPLIT_SIZE = 4096;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const directory = await Deno.makeTempDir();
+	const path = directory + "/test.zip";
+	try {
+		let zipWriter = new zip.ZipWriter(new zip.DenoFileWriter(path));
+		await Promise.all(FILENAMES.map(filename => zipWriter.add(filename, new zip.TextReader(TEXT_CONTENT))));
+		await zipWriter.close();
+		await checkZip(new zip.DenoFileReader(path), TEXT_CONTENT, false);
+		const volumes = [];
+		zipWriter = new zip.ZipWriter(new zip.SplitDataWriter(getVolumeWriters(directory, volumes), SPLIT_SIZE));
+		for (const filename of FILENAMES) {
+			await zipWriter.add(filename, new zip.TextReader(TEXT_CONTENT.repeat(TEXT_CONTENT_REPEAT)), { level: 0 });
+		}
+		await zipWriter.close();
+		if (volumes.length < 2) {
+			throw new Error();
+		}
+		const readers = volumes.map(volume => new zip.DenoFileReader(volume));
+		await checkZip(new zip.SplitDataReader(readers), TEXT_CONTENT.repeat(TEXT_CONTENT_REPEAT), true);
+		await Promise.all(readers.map(reader => reader.close()));
+	} finally {
+		await zip.terminateWorkers();
+		await Deno.remove(directory, { recursive: true });
+	}
+}
+
+async function* getVolumeWriters(directory, volumes) {
+	while (true) {
+		const volume = directory + "/split.z" + String(volumes.length + 1).padStart(2, "0");
+		volumes.push(volume);
+		yield new zip.DenoFileWriter(volume);
+	}
+}
+
+async function checkZip(reader, content, dataDescriptor) {
+	const zipReader = new zip.ZipReader(reader);
+	const entries = await zipReader.getEntries();
+	if (entries.map(entry => entry.filename).join() != FILENAMES.join()) {
+		throw new Error();
+	}
+	for (const entry of entries) {
+		if (entry.bitFlag.dataDescriptor != dataDescriptor || await entry.getData(new zip.TextWriter(), { checkSignature: true }) != content) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+}
@@ -0,0 +1,33 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const ENTRIES = [
+	{ name: "lorem1.txt", comment: "first comment" },
+	{ name: "lorem2.txt", comment: "second comment" },
+	{ name: "lorem3.txt", comment: "" },
+	{ name: "lorem4.txt", comment: "fourth comment" }
+];
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (const { name, comment } of ENTRIES) {
+		await zipWriter.add(name, new zip.TextReader(TEXT_CONTENT), { comment });
+	}
+	const data = await zipWriter.close();
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+	const entries = await zipReader.getEntries();
+	if (entries.length != ENTRIES.length) {
+		throw new Error();
+	}
+	for (const [indexEntry, entry] of entries.entries()) {
+		const { name, comment } = ENTRIES[indexEntry];
+		if (entry.filename != name || entry.comment != comment || await entry.getData(new zip.TextWriter()) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,57 @@
+/* global TextEncoder, TextDecoder */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const FILENAMES = ["lorem.txt", "dir/", "dir/lorem.txt"];
+const COMMENT = "comment";
+
+class CountingReader extends zip.Uint8ArrayReader {
+
+	constructor(array, etag) {
+		super(array);
+		Object.assign(this, { etag, readCount: 0 });
+	}
+
+	readUint8Array(offset, length) {
+		this.readCount++;
+		return super.readUint8Array(offset, length);
+	}
+}
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (const filename of FILENAMES) {
+		await zipWriter.add(filename, filename.endsWith("/") ? undefined : new zip.TextReader(TEXT_CONTENT));
+	}
+	const zipData = await zipWriter.close(new TextEncoder().encode(COMMENT));
+	let zipReader = new zip.ZipReader(new CountingReader(zipData, "\"etag-1\""));
+	const index = await zipReader.exportIndex();
+	await zipReader.close();
+	let reader = new CountingReader(zipData, "\"etag-1\"");
+	zipReader = new zip.ZipReader(reader, { index });
+	let entries = await zipReader.getEntries();
+	if (reader.readCount ||
+		entries.map(entry => entry.filename).join() != FILENAMES.join() ||
+		new TextDecoder().decode(zipReader.comment) != COMMENT ||
+		!await zipReader.has("dir/lorem.txt") ||
+		reader.readCount ||
+		await entries[2].getData(new zip.TextWriter()) != TEXT_CONTENT) {
+		throw new Error();
+	}
+	await zipReader.close();
+	const appendedZipData = new Uint8Array(zipData.length + 1);
+	appendedZipData.set(zipData);
+	for (const [data, etag] of [[zipData, "\"etag-2\""], [appendedZipData, "\"etag-1\""]]) {
+		reader = new CountingReader(data, etag);
+		zipReader = new zip.ZipReader(reader, { index });
+		entries = await zipReader.getEntries();
+		if (!reader.readCount || entries.map(entry => entry.filename).join() != FILENAMES.join()) {
+			throw new Error();
+		}
+		await zipReader.close();
+	}
+}
@@ -0,0 +1,64 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const SHIFT_JIS_FILENAMES = [
+	["日本語/ファイル.txt", [0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x2f, 0x83, 0x74, 0x83, 0x40, 0x83, 0x43, 0x83, 0x8b, 0x2e, 0x74, 0x78, 0x74]],
+	["写真/旅行.jpg", [0x8e, 0xca, 0x90, 0x5e, 0x2f, 0x97, 0xb7, 0x8d, 0x73, 0x2e, 0x6a, 0x70, 0x67]],
+	["資料.txt", [0x8e, 0x91, 0x97, 0xbf, 0x2e, 0x74, 0x78, 0x74]]
+];
+const CP866_FILENAMES = [
+	["Привет.txt", [0x8f, 0xe0, 0xa8, 0xa2, 0xa5, 0xe2, 0x2e, 0x74, 0x78, 0x74]],
+	["Документ.txt", [0x84, 0xae, 0xaa, 0xe3, 0xac, 0xa5, 0xad, 0xe2, 0x2e, 0x74, 0x78, 0x74]]
+];
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const shiftJISData = await createZip(SHIFT_JIS_FILENAMES);
+	const shiftJISReader = new zip.ZipReader(new zip.Uint8ArrayReader(shiftJISData), { filenameEncoding: "auto" });
+	const shiftJISEntries = await shiftJISReader.getEntries();
+	if (shiftJISEntries.map(entry => entry.filename).join() != SHIFT_JIS_FILENAMES.map(([filename]) => filename).join()) {
+		throw new Error();
+	}
+	const { charset, confidence } = shiftJISReader.detectedEncoding;
+	if (charset != "shift_jis" || !(confidence > 0 && confidence <= 1)) {
+		throw new Error();
+	}
+	if (!await shiftJISReader.has(SHIFT_JIS_FILENAMES[2][0])) {
+		throw new Error();
+	}
+	await shiftJISReader.close();
+	const sequentialReader = new zip.ZipReader(new zip.Uint8ArrayReader(shiftJISData), { filenameEncoding: "auto", sequential: true });
+	const sequentialFilenames = [];
+	for await (const entry of sequentialReader.getEntriesGenerator()) {
+		sequentialFilenames.push(entry.filename);
+	}
+	await sequentialReader.close();
+	if (sequentialFilenames.join() != SHIFT_JIS_FILENAMES.map(([filename]) => filename).join() ||
+		sequentialReader.detectedEncoding.charset != "shift_jis" || !(sequentialReader.detectedEncoding.confidence > 0)) {
+		throw new Error();
+	}
+	const cp437Reader = new zip.ZipReader(new zip.Uint8ArrayReader(shiftJISData));
+	if ((await cp437Reader.getEntries())[0].filename == SHIFT_JIS_FILENAMES[0][0] || cp437Reader.detectedEncoding) {
+		throw new Error();
+	}
+	await cp437Reader.close();
+	const cp866Data = await createZip(CP866_FILENAMES);
+	const cp866Reader = new zip.ZipReader(new zip.Uint8ArrayReader(cp866Data), { filenameEncoding: "auto" });
+	const cp866Entries = await cp866Reader.getEntries();
+	if (cp866Reader.detectedEncoding.charset != "cp866" || cp866Entries.map(entry => entry.filename).join() != CP866_FILENAMES.map(([filename]) => filename).join()) {
+		throw new Error();
+	}
+	await cp866Reader.close();
+	await zip.terminateWorkers();
+}
+
+async function createZip(filenames) {
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { useUnicodeFileNames: false });
+	for (const [indexFilename, [, rawFilename]] of filenames.entries()) {
+		const placeholder = indexFilename + ".txt";
+		await zipWriter.add(placeholder, new zip.TextReader(TEXT_CONTENT), { encodeText: text => text == placeholder ? new Uint8Array(rawFilename) : undefined });
+	}
+	return zipWriter.close();
+}
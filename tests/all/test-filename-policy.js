@@ -0,0 +1,65 @@
+/* global TextDecoder */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const FILENAMES = ["../../etc/passwd", "/abs.txt", "C:\\dir\\file.txt", "dir/CON.txt", "safe/lorem.txt"];
+const SANITIZED_FILENAMES = ["etc/passwd", "abs.txt", "dir/file.txt", "dir/CON.txt", "safe/lorem.txt"];
+const HARMLESS_FILENAMES = ["./a.txt", "a//b.txt", "dir\\c.txt", "d..txt"];
+const SANITIZED_HARMLESS_FILENAMES = ["a.txt", "a/b.txt", "dir/c.txt", "d..txt"];
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (const filename of FILENAMES) {
+		await zipWriter.add(filename, new zip.TextReader(TEXT_CONTENT));
+	}
+	const zipData = await zipWriter.close();
+	const harmlessZipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (const filename of HARMLESS_FILENAMES) {
+		await harmlessZipWriter.add(filename, new zip.TextReader(TEXT_CONTENT));
+	}
+	const harmlessZipData = await harmlessZipWriter.close();
+	for (const sequential of [false, true]) {
+		let entries = await getEntries(zipData, { sequential });
+		if (entries.map(entry => entry.filename).join() != FILENAMES.join()) {
+			throw new Error();
+		}
+		entries = await getEntries(zipData, { filenamePolicy: "sanitize", sequential });
+		if (entries.map(entry => entry.filename).join() != SANITIZED_FILENAMES.join() ||
+			entries.map(entry => entry.reservedFilename).join() != "false,false,false,true,false" ||
+			new TextDecoder().decode(entries[0].rawFilename) != FILENAMES[0] ||
+			entries.map(entry => entry.originalFilename).join() != FILENAMES.join()) {
+			throw new Error();
+		}
+		entries = await getEntries(harmlessZipData, { filenamePolicy: "reject", sequential });
+		if (entries.map(entry => entry.filename).join() != SANITIZED_HARMLESS_FILENAMES.join() ||
+			entries.map(entry => entry.originalFilename).join() != HARMLESS_FILENAMES.join()) {
+			throw new Error();
+		}
+		try {
+			await getEntries(zipData, { filenamePolicy: "reject", sequential });
+			throw new Error();
+		} catch (error) {
+			if (error.message != zip.ERR_UNSAFE_ENTRY_NAME || error.entry.filename != FILENAMES[0]) {
+				throw error;
+			}
+		}
+	}
+	const zipFs = new zip.fs.FS();
+	await zipFs.importUint8Array(zipData);
+	if (zipFs.children.map(entry => entry.name).join() != "etc,abs.txt,dir,safe" ||
+		await zipFs.find("etc/passwd").getText() != TEXT_CONTENT ||
+		await zipFs.find("dir/file.txt").getText() != TEXT_CONTENT) {
+		throw new Error();
+	}
+}
+
+async function getEntries(zipData, options) {
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), options);
+	const entries = await zipReader.getEntries();
+	await zipReader.close();
+	return entries;
+}
@@ -0,0 +1,34 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const ENTRIES_LENGTH = 1000;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { level: 0 });
+	for (let indexEntry = 0; indexEntry < ENTRIES_LENGTH; indexEntry++) {
+		await zipWriter.add("dir/file-" + indexEntry + ".txt", new zip.TextReader(TEXT_CONTENT + indexEntry));
+	}
+	await zipWriter.add("../unsafe.txt", new zip.TextReader(TEXT_CONTENT));
+	const zipData = await zipWriter.close();
+	let zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData));
+	const entry = await zipReader.getEntry("dir/file-500.txt");
+	if (entry.filename != "dir/file-500.txt" || await entry.getData(new zip.TextWriter()) != TEXT_CONTENT + 500 ||
+		!await zipReader.has("dir/file-999.txt") ||
+		await zipReader.has("dir/file-1000.txt") ||
+		await zipReader.getEntry("dir/file-1000.txt") !== undefined ||
+		!await zipReader.has("../unsafe.txt") ||
+		await zipReader.has("unsafe.txt") ||
+		!await zipReader.has("unsafe.txt", { filenamePolicy: "sanitize" }) ||
+		(await zipReader.getEntry("unsafe.txt", { filenamePolicy: "sanitize" })).filename != "unsafe.txt") {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), { sequential: true });
+	if (await (await zipReader.getEntry("dir/file-1.txt")).getData(new zip.TextWriter()) != TEXT_CONTENT + 1) {
+		throw new Error();
+	}
+	await zipReader.close();
+}
@@ -0,0 +1,69 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const PASSWORDS = {
+	"alpha/": "password-alpha",
+	"beta/": "password-beta"
+};
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("alpha/lorem.txt", new zip.TextReader(TEXT_CONTENT), { password: PASSWORDS["alpha/"] });
+	await zipWriter.add("beta/lorem.txt", new zip.TextReader(TEXT_CONTENT), { password: PASSWORDS["beta/"], zipCrypto: true });
+	const data = await zipWriter.close();
+	const requestedFilenames = [];
+	const getPassword = entry => {
+		requestedFilenames.push(entry.filename);
+		const passwordKey = Object.keys(PASSWORDS).find(directory => entry.filename.startsWith(directory));
+		return requestedFilenames.length == 1 ? "notagoodpassword" : PASSWORDS[passwordKey];
+	};
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data), { getPassword });
+	const entries = await zipReader.getEntries();
+	let startCount = 0;
+	const onstart = () => startCount++;
+	for (const entry of entries) {
+		if (await entry.getData(new zip.TextWriter()) != TEXT_CONTENT || await entry.getData(new zip.TextWriter(), { onstart }) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	if (requestedFilenames.join() != "alpha/lorem.txt,alpha/lorem.txt,alpha/lorem.txt,beta/lorem.txt,beta/lorem.txt" || startCount != 2) {
+		throw new Error();
+	}
+	try {
+		await entries[0].getData(new zip.TextWriter(), { getPassword: null });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_ENCRYPTED) {
+			throw error;
+		}
+	}
+	try {
+		await entries[0].getData(new zip.TextWriter(), { password: "notagoodpassword", getPassword: () => undefined });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_INVALID_PASSWORD) {
+			throw error;
+		}
+	}
+	await zipReader.close();
+	requestedFilenames.length = 0;
+	const sequentialReader = new zip.ZipReader(new zip.Uint8ArrayReader(data), { sequential: true, getPassword });
+	for await (const entry of sequentialReader.getEntriesGenerator()) {
+		if (await entry.getData(new zip.TextWriter(), { password: "notagoodpassword" }) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	await sequentialReader.close();
+	if (requestedFilenames.join() != "alpha/lorem.txt,alpha/lorem.txt,beta/lorem.txt") {
+		throw new Error();
+	}
+	const zipFs = new zip.fs.FS();
+	await zipFs.importUint8Array(data, { getPassword: entry => PASSWORDS[entry.filename.split("/")[0] + "/"] });
+	if (!await zipFs.checkPassword("notagoodpassword") || await zipFs.find("beta/lorem.txt").getText() != TEXT_CONTENT) {
+		throw new Error();
+	}
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,93 @@
+/* global Headers */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const ENTRIES_COUNT = 32;
+const ZIP_URL = "https://zip.js.test/lorem.zip";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (let indexEntry = 0; indexEntry < ENTRIES_COUNT; indexEntry++) {
+		await zipWriter.add("lorem" + indexEntry + ".txt", new zip.TextReader(TEXT_CONTENT + indexEntry));
+	}
+	const data = await zipWriter.close();
+	const fetch = globalThis.fetch;
+	try {
+		const server = new Server(data);
+		globalThis.fetch = (url, options) => server.fetch(options);
+		await readEntries(new zip.HttpRangeReader(ZIP_URL));
+		const uncachedRequests = server.rangeRequests;
+		server.rangeRequests = 0;
+		const reader = new zip.HttpRangeReader(ZIP_URL, { blockSize: 1024, cacheSize: 64 * 1024 });
+		await readEntries(reader);
+		const cachedRequests = server.rangeRequests;
+		const { hits, misses, requests } = reader.cacheStats;
+		if (cachedRequests >= uncachedRequests || !hits || !misses || requests != cachedRequests - 1) {
+			throw new Error();
+		}
+		server.rangeRequests = 0;
+		const zipReader = new zip.ZipReader(reader);
+		const entries = await zipReader.getEntries();
+		await entries[ENTRIES_COUNT - 1].getData(new zip.TextWriter());
+		await zipReader.close();
+		if (server.rangeRequests || reader.cacheStats.misses != misses) {
+			throw new Error();
+		}
+		server.rangeRequests = 0;
+		const smallCacheReader = new zip.HttpRangeReader(ZIP_URL, { blockSize: 256, cacheSize: 512, readAheadSize: 0 });
+		await readEntries(smallCacheReader);
+		if (smallCacheReader.cacheStats.requests != server.rangeRequests - 1) {
+			throw new Error();
+		}
+	} finally {
+		globalThis.fetch = fetch;
+		await zip.terminateWorkers();
+	}
+}
+
+async function readEntries(reader) {
+	const zipReader = new zip.ZipReader(reader);
+	const entries = await zipReader.getEntries();
+	for (const [indexEntry, entry] of entries.entries()) {
+		if (await entry.getData(new zip.TextWriter()) != TEXT_CONTENT + indexEntry) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+}
+
+class Server {
+
+	constructor(data) {
+		Object.assign(this, { data, rangeRequests: 0 });
+	}
+
+	async fetch({ method, headers }) {
+		const { data } = this;
+		const range = headers.Range;
+		const responseHeaders = { "Accept-Ranges": "bytes" };
+		if (method == "GET" && range) {
+			this.rangeRequests++;
+			const [start, end] = range.substring("bytes=".length).split("-").map(Number);
+			const chunk = start < 0 ? data.slice(start) : data.slice(start, end + 1);
+			const rangeStart = start < 0 ? data.length + start : start;
+			responseHeaders["Content-Range"] = "bytes " + rangeStart + "-" + (rangeStart + chunk.length - 1) + "/" + data.length;
+			return getResponse(206, chunk, responseHeaders);
+		} else {
+			responseHeaders["Content-Length"] = String(data.length);
+			return getResponse(200, method == "HEAD" ? new Uint8Array() : data, responseHeaders);
+		}
+	}
+}
+
+function getResponse(status, data, headers) {
+	return {
+		status,
+		headers: new Headers(headers),
+		arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+	};
+}
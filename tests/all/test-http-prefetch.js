@@ -0,0 +1,170 @@
+/* global Headers, TextEncoder */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const ENTRIES_COUNT = 50;
+const SELECTION_STEP = 5;
+const ZIP_URL = "https://zip.js.test/lorem.zip";
+const BOUNDARY = "zip-js-boundary";
+const MODE_MULTIPART = "multipart";
+const MODE_SINGLE_RANGE = "single";
+const MODE_SINGLE_RANGE_HIDDEN = "single-hidden";
+const MODE_FULL_CONTENT = "full";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	for (let indexEntry = 0; indexEntry < ENTRIES_COUNT; indexEntry++) {
+		await zipWriter.add("lorem" + indexEntry + ".txt", new zip.TextReader(TEXT_CONTENT + indexEntry), {
+			dataDescriptor: indexEntry % 2 == 0,
+			// the local extra fields are longer than the extra fields in the central directory
+			lastAccessDate: new Date(),
+			creationDate: new Date()
+		});
+	}
+	const data = await zipWriter.close();
+	const { fetch, XMLHttpRequest } = globalThis;
+	try {
+		const server = new Server(data);
+		globalThis.fetch = (url, options) => server.fetch(options);
+		globalThis.XMLHttpRequest = getXMLHttpRequestClass(server);
+		await testPrefetch(server, MODE_MULTIPART, {}, 2, 0);
+		await testPrefetch(server, MODE_MULTIPART, { useXHR: true }, 2, 0);
+		await testPrefetch(server, MODE_SINGLE_RANGE, {}, 2, 0);
+		await testPrefetch(server, MODE_SINGLE_RANGE_HIDDEN, {}, 1);
+		await testPrefetch(server, MODE_SINGLE_RANGE_HIDDEN, {}, 2, 0, ENTRIES_COUNT);
+		server.canceledResponses = 0;
+		await testPrefetch(server, MODE_FULL_CONTENT, {}, 1);
+		if (!server.canceledResponses) {
+			throw new Error();
+		}
+		await testPrefetch(server, MODE_FULL_CONTENT, { useXHR: true }, 1);
+	} finally {
+		Object.assign(globalThis, { fetch, XMLHttpRequest });
+		await zip.terminateWorkers();
+	}
+}
+
+async function testPrefetch(server, mode, options, expectedPrefetchRequests, expectedReadRequests, selectionStep = SELECTION_STEP) {
+	server.mode = mode;
+	const reader = new zip.HttpRangeReader(ZIP_URL, options);
+	const zipReader = new zip.ZipReader(reader);
+	const entries = await zipReader.getEntries();
+	const selectedEntries = entries.filter((entry, indexEntry) => indexEntry % selectionStep == 0);
+	server.requests = 0;
+	await zipReader.prefetch(selectedEntries);
+	if (server.requests != expectedPrefetchRequests) {
+		throw new Error();
+	}
+	server.requests = 0;
+	for (const entry of selectedEntries) {
+		if (await entry.getData(new zip.TextWriter(), { checkSignature: true }) != TEXT_CONTENT + entries.indexOf(entry)) {
+			throw new Error();
+		}
+	}
+	if (expectedReadRequests === undefined ? !server.requests : server.requests != expectedReadRequests) {
+		throw new Error();
+	}
+	if (reader.reader.prefetchedRanges.length) {
+		throw new Error();
+	}
+	await zipReader.close();
+}
+
+class Server {
+
+	constructor(data) {
+		Object.assign(this, { data, requests: 0, canceledResponses: 0 });
+	}
+
+	async fetch({ method, headers }) {
+		const { data, mode } = this;
+		const range = headers && headers.Range;
+		const responseHeaders = { "Accept-Ranges": "bytes" };
+		this.requests++;
+		if (method == "GET" && range) {
+			const ranges = range.substring("bytes=".length).split(",").map(range => {
+				const [start, end] = range.split("-").map(Number);
+				return start < 0 ? [data.length + start, data.length - 1] : [start, end];
+			});
+			if (ranges.length == 1 || mode == MODE_SINGLE_RANGE || mode == MODE_SINGLE_RANGE_HIDDEN) {
+				const start = Math.min(...ranges.map(([start]) => start));
+				const end = Math.max(...ranges.map(([, end]) => end));
+				if (mode != MODE_SINGLE_RANGE_HIDDEN) {
+					responseHeaders["Content-Range"] = "bytes " + start + "-" + end + "/" + data.length;
+				}
+				return getResponse(206, data.slice(start, end + 1), responseHeaders);
+			} else if (mode == MODE_MULTIPART) {
+				const encoder = new TextEncoder();
+				const parts = [];
+				ranges.forEach(([start, end]) => {
+					parts.push(encoder.encode("\r\n--" + BOUNDARY + "\r\nContent-Type: application/zip\r\nContent-Range: bytes " + start + "-" + end + "/" + data.length + "\r\n\r\n"));
+					parts.push(data.slice(start, end + 1));
+				});
+				parts.push(encoder.encode("\r\n--" + BOUNDARY + "--\r\n"));
+				const body = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+				let offset = 0;
+				for (const part of parts) {
+					body.set(part, offset);
+					offset += part.length;
+				}
+				responseHeaders["Content-Type"] = "multipart/byteranges; boundary=" + BOUNDARY;
+				return getResponse(206, body, responseHeaders);
+			}
+		}
+		responseHeaders["Content-Length"] = String(data.length);
+		const response = getResponse(200, method == "HEAD" ? new Uint8Array() : data, responseHeaders);
+		response.body = { cancel: async () => this.canceledResponses++ };
+		return response;
+	}
+}
+
+function getResponse(status, data, headers) {
+	return {
+		status,
+		headers: new Headers(headers),
+		arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+	};
+}
+
+function getXMLHttpRequestClass(server) {
+	return class {
+
+		constructor() {
+			Object.assign(this, { listeners: {}, headers: {} });
+		}
+
+		addEventListener(type, listener) {
+			this.listeners[type] = listener;
+		}
+
+		open(method) {
+			this.method = method;
+		}
+
+		setRequestHeader(name, value) {
+			this.headers[name] = value;
+		}
+
+		async send() {
+			const response = await server.fetch({ method: this.method, headers: this.headers });
+			Object.assign(this, {
+				status: response.status,
+				response: await response.arrayBuffer(),
+				responseHeaders: response.headers
+			});
+			this.listeners.load();
+		}
+
+		getAllResponseHeaders() {
+			return Array.from(this.responseHeaders).map(([name, value]) => name + ": " + value).join("\r\n");
+		}
+
+		getResponseHeader(name) {
+			return this.responseHeaders.get(name);
+		}
+	};
+}
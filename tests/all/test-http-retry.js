@@ -0,0 +1,134 @@
+/* global Headers */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const ZIP_URL = "https://zip.js.test/lorem.zip";
+const ETAG = "\"lorem-1\"";
+const CHANGED_ETAG = "\"lorem-2\"";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("lorem.txt", new zip.TextReader(TEXT_CONTENT));
+	const data = await zipWriter.close();
+	const fetch = globalThis.fetch;
+	try {
+		const server = new Server(data);
+		globalThis.fetch = (url, options) => server.fetch(options);
+		server.failures = [503, "network", 429];
+		let zipReader = new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL, { retries: 3, retryDelay: 1, useIfRangeHeader: true }));
+		let entries = await zipReader.getEntries();
+		if (await entries[0].getData(new zip.TextWriter()) != TEXT_CONTENT || server.failures.length || !server.rangeRequests || !server.ifRangeHeaders.length || server.ifRangeHeaders.some(ifRange => ifRange != ETAG) || server.cancelledBodies != 2) {
+			throw new Error();
+		}
+		server.failures = [503];
+		server.retryAfter = new Date(Date.now() + 2000).toUTCString();
+		const startTime = Date.now();
+		await new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL, { retries: 1, retryDelay: 1 })).getEntries();
+		if (Date.now() - startTime < 900) {
+			throw new Error();
+		}
+		server.retryAfter = "0";
+		server.failures = [503];
+		try {
+			await new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL)).getEntries();
+			throw new Error();
+		} catch (error) {
+			if (!error.message.startsWith("HTTP error ") || error.status != 503) {
+				throw error;
+			}
+		}
+		server.failures = ["error", 503];
+		try {
+			await new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL, { retries: 3, retryDelay: 1 })).getEntries();
+			throw new Error();
+		} catch (error) {
+			if (!(error instanceof RangeError) || server.failures.length != 1) {
+				throw error;
+			}
+		}
+		server.failures = [];
+		server.ifRangeHeaders = [];
+		zipReader = new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL));
+		entries = await zipReader.getEntries();
+		server.etag = CHANGED_ETAG;
+		await checkDataError(entries[0], zip.ERR_HTTP_CONTENT_CHANGED);
+		if (server.ifRangeHeaders.length) {
+			throw new Error();
+		}
+		server.etag = ETAG;
+		zipReader = new zip.ZipReader(new zip.HttpRangeReader(ZIP_URL, { useIfRangeHeader: true }));
+		entries = await zipReader.getEntries();
+		server.etag = CHANGED_ETAG;
+		await checkDataError(entries[0], zip.ERR_HTTP_CONTENT_CHANGED);
+		server.etag = ETAG;
+		server.ignoreRanges = true;
+		server.cancelledBodies = 0;
+		await checkDataError(entries[0], zip.ERR_HTTP_RANGE);
+		if (server.cancelledBodies != 1) {
+			throw new Error();
+		}
+	} finally {
+		globalThis.fetch = fetch;
+		await zip.terminateWorkers();
+	}
+}
+
+async function checkDataError(entry, message) {
+	try {
+		await entry.getData(new zip.TextWriter());
+		throw new Error();
+	} catch (error) {
+		if (error.message != message) {
+			throw error;
+		}
+	}
+}
+
+class Server {
+
+	constructor(data) {
+		Object.assign(this, { data, etag: ETAG, failures: [], rangeRequests: 0, ifRangeHeaders: [], ignoreRanges: false, retryAfter: "0", cancelledBodies: 0 });
+	}
+
+	async fetch({ method, headers }) {
+		const { data, etag, failures, ignoreRanges } = this;
+		const failure = failures.shift();
+		if (failure == "network") {
+			throw new TypeError("Failed to fetch");
+		} else if (failure == "error") {
+			throw new RangeError("Invalid array length");
+		} else if (failure) {
+			return this.getResponse(failure, new Uint8Array(), { "Retry-After": this.retryAfter });
+		}
+		const range = headers.Range;
+		const ifRange = headers["If-Range"];
+		const responseHeaders = { "Accept-Ranges": "bytes", "Etag": etag };
+		if (ifRange !== undefined) {
+			this.ifRangeHeaders.push(ifRange);
+		}
+		if (method == "GET" && range && !ignoreRanges && (ifRange === undefined || ifRange == etag)) {
+			this.rangeRequests++;
+			const [start, end] = range.substring("bytes=".length).split("-").map(Number);
+			const chunk = start < 0 ? data.slice(start) : data.slice(start, end + 1);
+			const rangeStart = start < 0 ? data.length + start : start;
+			responseHeaders["Content-Range"] = "bytes " + rangeStart + "-" + (rangeStart + chunk.length - 1) + "/" + data.length;
+			return this.getResponse(206, chunk, responseHeaders);
+		} else {
+			responseHeaders["Content-Length"] = String(data.length);
+			return this.getResponse(200, method == "HEAD" ? new Uint8Array() : data, responseHeaders);
+		}
+	}
+
+	getResponse(status, data, headers) {
+		return {
+			status,
+			headers: new Headers(headers),
+			body: { cancel: async () => this.cancelledBodies++ },
+			arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+		};
+	}
+}
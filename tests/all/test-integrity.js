@@ -0,0 +1,49 @@
+/* global URL */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat.";
+const url = new URL("./../data/lorem-invalid-crc.zip", import.meta.url).href;
+const overlappingEntriesUrl = new URL("./../data/lorem-overlapping-entries.zip", import.meta.url).href;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("lorem.txt", new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add("lorem-encrypted.txt", new zip.TextReader(TEXT_CONTENT), { password: "password" });
+	const zipData = await zipWriter.close();
+	let zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData));
+	let report = await zipReader.test({ password: "password" });
+	if (!report.valid || report.entries.length != 2 || report.entries.some(entry => !entry.valid || entry.dataOffset <= entry.offset)) {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData));
+	report = await zipReader.test();
+	if (report.valid || !report.entries[0].valid || report.entries[1].errors[0].code != "ERR_ENCRYPTED") {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+	report = await zipReader.test();
+	const [error] = report.entries[0].errors;
+	if (report.valid || error.code != "ERR_INVALID_SIGNATURE" || error.message != zip.ERR_INVALID_SIGNATURE || error.offset != report.entries[0].dataOffset) {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new zip.HttpReader(overlappingEntriesUrl, { preventHeadRequest: true }));
+	report = await zipReader.test();
+	if (report.valid || !report.entries.some(entry => entry.errors.some(error => error.code == "ERR_OVERLAPPING_ENTRY" && error.overlappingEntry))) {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(new Uint8Array(64)));
+	report = await zipReader.test();
+	if (report.valid || report.error.code != "ERR_EOCDR_NOT_FOUND") {
+		throw new Error();
+	}
+	await zipReader.close();
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,60 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const NFD_FILENAME = "cafe\u0301/re\u0301sume\u0301.txt";
+const NFC_FILENAME = "caf\u00e9/r\u00e9sum\u00e9.txt";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add(NFD_FILENAME, new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add("Lorem.txt", new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add("LOREM.TXT", new zip.TextReader(TEXT_CONTENT));
+	await expectDuplicatedName(zipWriter.add(NFC_FILENAME, new zip.TextReader(TEXT_CONTENT), { nameNormalization: "NFD" }));
+	await expectDuplicatedName(zipWriter.add("lorem.txt", new zip.TextReader(TEXT_CONTENT), { caseInsensitiveDuplicates: true }));
+	await expectDuplicatedName(zipWriter.add("Lorem.txt", new zip.TextReader(TEXT_CONTENT)));
+	const data = await zipWriter.close();
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data), { nameNormalization: "NFC" });
+	const entries = await zipReader.getEntries();
+	if (entries.length != 3 || entries[0].filename != NFC_FILENAME || !await zipReader.has(NFD_FILENAME) || !await zipReader.getEntry(NFC_FILENAME)) {
+		throw new Error();
+	}
+	if ((await new zip.ZipReader(new zip.Uint8ArrayReader(data)).getEntries())[0].filename != NFD_FILENAME) {
+		throw new Error();
+	}
+	await zipReader.close();
+	const fs = new zip.fs.FS({ nameNormalization: "NFC", caseInsensitiveDuplicates: true });
+	fs.addText(NFD_FILENAME.split("/")[0], TEXT_CONTENT);
+	if (fs.children[0].name != NFC_FILENAME.split("/")[0] || !fs.find(NFD_FILENAME.split("/")[0].toUpperCase())) {
+		throw new Error();
+	}
+	let duplicated;
+	try {
+		fs.addText("Lorem.txt", TEXT_CONTENT);
+		fs.addText("LOREM.txt", TEXT_CONTENT);
+	} catch (error) {
+		duplicated = error.message == "Entry filename already exists";
+	}
+	if (!duplicated) {
+		throw new Error();
+	}
+	fs.find("lorem.TXT").rename("LOREM.TXT");
+	if (fs.getChildByName("lorem.txt").name != "LOREM.TXT") {
+		throw new Error();
+	}
+	await zip.terminateWorkers();
+}
+
+async function expectDuplicatedName(promise) {
+	try {
+		await promise;
+	} catch (error) {
+		if (error.message == zip.ERR_DUPLICATED_NAME) {
+			return;
+		}
+		throw error;
+	}
+	throw new Error();
+}
@@ -0,0 +1,63 @@
+import { open, readFile, rm, mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const FILENAMES = ["lorem.txt", "lorem2.txt", "dir/lorem3.txt"];
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const BITFLAG_DATA_DESCRIPTOR = 0x08;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const directory = await mkdtemp(join(tmpdir(), "zip-js-"));
+	const path = join(directory, "test.zip");
+	try {
+		const zipWriter = new zip.ZipWriter(new zip.NodeFileWriter(path));
+		await Promise.all(FILENAMES.map(filename => zipWriter.add(filename, new zip.TextReader(TEXT_CONTENT))));
+		if (await zipWriter.close() != path) {
+			throw new Error();
+		}
+		const data = new Uint8Array(await readFile(path));
+		const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+		let localHeaderCount = 0;
+		for (let offset = 0; offset < data.length - 4; offset++) {
+			if (view.getUint32(offset, true) == LOCAL_FILE_HEADER_SIGNATURE) {
+				localHeaderCount++;
+				if (view.getUint16(offset + 6, true) & BITFLAG_DATA_DESCRIPTOR || !view.getUint32(offset + 14, true)) {
+					throw new Error();
+				}
+			}
+		}
+		if (localHeaderCount != FILENAMES.length) {
+			throw new Error();
+		}
+		await checkZip(new zip.NodeFileReader(path));
+		const fileHandle = await open(path);
+		try {
+			await checkZip(new zip.NodeFileReader(fileHandle));
+			await fileHandle.stat();
+		} finally {
+			await fileHandle.close();
+		}
+	} finally {
+		await zip.terminateWorkers();
+		await rm(directory, { recursive: true, force: true });
+	}
+}
+
+async function checkZip(reader) {
+	const zipReader = new zip.ZipReader(reader);
+	const entries = await zipReader.getEntries();
+	if (entries.map(entry => entry.filename).join() != FILENAMES.join()) {
+		throw new Error();
+	}
+	for (const entry of entries) {
+		if (entry.bitFlag.dataDescriptor || await entry.getData(new zip.TextWriter(), { checkSignature: true }) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+}
@@ -0,0 +1,39 @@
+/* global navigator */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const FILENAMES = ["lorem.txt", "lorem2.txt", "dir/lorem3.txt"];
+const DIRECTORY_NAME = "zip-js-tests";
+const PATH = DIRECTORY_NAME + "/test.zip";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	const rootDirectory = await navigator.storage.getDirectory();
+	try {
+		const zipWriter = new zip.ZipWriter(new zip.OPFSWriter(PATH));
+		await Promise.all(FILENAMES.map(filename => zipWriter.add(filename, new zip.TextReader(TEXT_CONTENT))));
+		const fileHandle = await zipWriter.close();
+		await checkZip(new zip.OPFSReader(PATH));
+		await checkZip(new zip.OPFSReader(fileHandle));
+	} finally {
+		await zip.terminateWorkers();
+		await rootDirectory.removeEntry(DIRECTORY_NAME, { recursive: true });
+	}
+}
+
+async function checkZip(reader) {
+	const zipReader = new zip.ZipReader(reader);
+	const entries = await zipReader.getEntries();
+	if (entries.map(entry => entry.filename).join() != FILENAMES.join()) {
+		throw new Error();
+	}
+	for (const entry of entries) {
+		if (entry.bitFlag.dataDescriptor || await entry.getData(new zip.TextWriter(), { checkSignature: true }) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+}
@@ -0,0 +1,60 @@
+/* global Blob */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi.";
+const FILENAME_FIRST_ENTRY = "lorem1.txt";
+const FILENAME_SECOND_ENTRY = "lorem2.txt";
+const FILENAME_THIRD_ENTRY = "lorem3.txt";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const blobWriter = new zip.BlobWriter("application/zip");
+	const zipWriter = new zip.ZipWriter(blobWriter);
+	await zipWriter.add(FILENAME_FIRST_ENTRY, new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add(FILENAME_SECOND_ENTRY, new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add(FILENAME_THIRD_ENTRY, new zip.TextReader(TEXT_CONTENT));
+	const zipData = new Uint8Array(await (await zipWriter.close()).arrayBuffer());
+	const truncatedData = zipData.slice(0, zipData.length - 100);
+	try {
+		await new zip.ZipReader(new zip.Uint8ArrayReader(truncatedData)).getEntries();
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_EOCDR_NOT_FOUND) {
+			throw error;
+		}
+	}
+	let zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(truncatedData), { recover: true, checkSignature: true });
+	let entries = await zipReader.getEntries();
+	if (entries.length != 3 || entries.some(entry => !entry.recovered || entry.recoveryReport.truncated || !entry.recoveryReport.unverified.length)) {
+		throw new Error();
+	}
+	for (const entry of entries) {
+		if (await entry.getData(new zip.TextWriter()) != TEXT_CONTENT) {
+			throw new Error();
+		}
+	}
+	await zipReader.close();
+	const thirdEntryOffset = entries[2].offset;
+	zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData.slice(0, thirdEntryOffset + 60)), { recover: true });
+	entries = await zipReader.getEntries();
+	if (entries.length != 3 || !entries[2].recoveryReport.truncated || entries[1].recoveryReport.truncated) {
+		throw new Error();
+	}
+	await zipReader.close();
+	zipReader = new zip.ZipReader(new Blob([truncatedData]).stream(), { recover: true, sequential: true });
+	entries = [];
+	for await (const entry of zipReader.getEntriesGenerator()) {
+		if (await entry.getData(new zip.TextWriter()) != TEXT_CONTENT) {
+			throw new Error();
+		}
+		entries.push(entry);
+	}
+	if (entries.length != 3 || entries.some(entry => !entry.recovered)) {
+		throw new Error();
+	}
+	await zipReader.close();
+	await zip.terminateWorkers();
+}
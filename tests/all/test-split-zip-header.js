@@ -0,0 +1,49 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat.";
+const DISK_SIZE = 544;
+// the first entry leaves less free space in the first disk than the size of the local header of the second entry
+const ENTRIES = [
+	{ name: "lorem1.txt", content: TEXT_CONTENT.repeat(3) },
+	{ name: "lorem2.txt", content: TEXT_CONTENT }
+];
+
+export { test };
+
+function* arrayWriterGenerator(writers) {
+	while (true) {
+		const writer = new zip.Uint8ArrayWriter();
+		writer.maxSize = DISK_SIZE;
+		writers.push(writer);
+		yield writer;
+	}
+}
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: false });
+	try {
+		for (const bufferedWrite of [false, true]) {
+			const writers = [];
+			const zipWriter = new zip.ZipWriter(arrayWriterGenerator(writers), { level: 0, bufferedWrite });
+			for (const { name, content } of ENTRIES) {
+				await zipWriter.add(name, new zip.TextReader(content));
+			}
+			await zipWriter.close();
+			const readers = await Promise.all(writers.map(async writer => new zip.Uint8ArrayReader(await writer.getData())));
+			const zipReader = new zip.ZipReader(new zip.SplitDataReader(readers));
+			const entries = await zipReader.getEntries();
+			// the local header of the second entry is written at the start of the second disk
+			if (entries[1].diskNumberStart != 1 || entries[1].offset != 0) {
+				throw new Error();
+			}
+			for (const [indexEntry, entry] of entries.entries()) {
+				if (await entry.getData(new zip.TextWriter()) != ENTRIES[indexEntry].content) {
+					throw new Error();
+				}
+			}
+			await zipReader.close();
+		}
+	} finally {
+		await zip.terminateWorkers();
+	}
+}
@@ -0,0 +1,57 @@
+import * as zip from "../../index.js";
+
+const TARGET = "../lib/index.js";
+const LINK_FILENAME = "src/index.js";
+const TEXT_CONTENT = "export * from \"./lib/index.js\";";
+const FILENAME = "lib/index.js";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const blobWriter = new zip.BlobWriter("application/zip");
+	const zipWriter = new zip.ZipWriter(blobWriter);
+	await zipWriter.add(FILENAME, new zip.TextReader(TEXT_CONTENT));
+	const entry = await zipWriter.add(LINK_FILENAME, null, { symlink: TARGET });
+	await zipWriter.close();
+	if (!entry.symlink) {
+		throw new Error();
+	}
+	const data = await blobWriter.getData();
+	const zipReader = new zip.ZipReader(new zip.BlobReader(data));
+	const entries = await zipReader.getEntries();
+	const [fileEntry, symlinkEntry] = entries;
+	if (fileEntry.symlink || await fileEntry.getSymlinkTarget() !== undefined) {
+		throw new Error();
+	}
+	if (!symlinkEntry.symlink || symlinkEntry.executable || symlinkEntry.filename != LINK_FILENAME) {
+		throw new Error();
+	}
+	if (((symlinkEntry.externalFileAttributes >> 16) & 0o170000) != 0o120000) {
+		throw new Error();
+	}
+	if (await symlinkEntry.getSymlinkTarget() != TARGET) {
+		throw new Error();
+	}
+	await zipReader.close();
+	const zipFs = new zip.fs.FS();
+	await zipFs.importBlob(data);
+	const importedEntry = zipFs.find(LINK_FILENAME);
+	if (!(importedEntry instanceof zip.fs.ZipSymlinkEntry) || zipFs.find(FILENAME).symlink) {
+		throw new Error();
+	}
+	if (await importedEntry.getTarget() != TARGET) {
+		throw new Error();
+	}
+	zipFs.addSymlink("index.js", LINK_FILENAME);
+	const exportedZipReader = new zip.ZipReader(new zip.BlobReader(await zipFs.exportBlob()));
+	const exportedEntries = await exportedZipReader.getEntries();
+	const symlinks = exportedEntries.filter(entry => entry.symlink);
+	if (symlinks.length != 2 ||
+		await symlinks.find(entry => entry.filename == LINK_FILENAME).getSymlinkTarget() != TARGET ||
+		await symlinks.find(entry => entry.filename == "index.js").getSymlinkTarget() != LINK_FILENAME) {
+		throw new Error();
+	}
+	await exportedZipReader.close();
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,42 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet";
+const FILENAME = "café/naïve €.txt";
+const COMMENT = "résumé ✓";
+const ASCII_FILENAME = "lorem.txt";
+const CUSTOM_FILENAME = "ß.txt";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { useUnicodeFileNames: false });
+	await zipWriter.add(FILENAME, new zip.TextReader(TEXT_CONTENT), { comment: COMMENT });
+	await zipWriter.add(ASCII_FILENAME, new zip.TextReader(TEXT_CONTENT));
+	await zipWriter.add(CUSTOM_FILENAME, new zip.TextReader(TEXT_CONTENT), {
+		encodeText: text => text == CUSTOM_FILENAME ? new Uint8Array([0x73, 0x73, 0x2e, 0x74, 0x78, 0x74]) : undefined
+	});
+	const data = await zipWriter.close();
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+	const [entry, asciiEntry, customEntry] = await zipReader.getEntries();
+	if (entry.bitFlag.languageEncodingFlag || entry.filename != FILENAME || entry.comment != COMMENT) {
+		throw new Error();
+	}
+	if (!entry.extraFieldUnicodePath.valid || !entry.extraFieldUnicodeComment.valid) {
+		throw new Error();
+	}
+	if (entry.rawFilename[3] != 0x82 || entry.rawFilename[7] != 0x8b || entry.rawFilename[11] != "_".charCodeAt(0)) {
+		throw new Error();
+	}
+	if (asciiEntry.filename != ASCII_FILENAME || asciiEntry.extraFieldUnicodePath) {
+		throw new Error();
+	}
+	if (customEntry.filename != CUSTOM_FILENAME || customEntry.rawFilename.length != 6 || !customEntry.extraFieldUnicodePath.valid) {
+		throw new Error();
+	}
+	if (await entry.getData(new zip.TextWriter()) != TEXT_CONTENT) {
+		throw new Error();
+	}
+	await zipReader.close();
+	await zip.terminateWorkers();
+}
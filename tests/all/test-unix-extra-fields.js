@@ -0,0 +1,49 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "#!/bin/sh\necho \"Hello, world!\"\n";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const legacyExtraField = new Uint8Array(12);
+	const legacyExtraFieldView = new DataView(legacyExtraField.buffer);
+	legacyExtraFieldView.setUint16(8, 1001, true);
+	legacyExtraFieldView.setUint16(10, 1002, true);
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	const entry = await zipWriter.add("deploy.sh", new zip.TextReader(TEXT_CONTENT), { uid: 1000, gid: 100, unixMode: 0o100750 });
+	await zipWriter.add("config/", null, { uid: 70000, gid: 70001, unixMode: 0o700 });
+	await zipWriter.add("legacy.txt", new zip.TextReader(TEXT_CONTENT), { extraField: new Map([[0x5855, legacyExtraField]]) });
+	await zipWriter.add("default.txt", new zip.TextReader(TEXT_CONTENT));
+	const data = await zipWriter.close();
+	if (entry.uid != 1000 || entry.gid != 100 || entry.unixMode != 0o100750) {
+		throw new Error();
+	}
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(data));
+	const [fileEntry, directoryEntry, legacyEntry, defaultEntry] = await zipReader.getEntries();
+	if (fileEntry.uid != 1000 || fileEntry.gid != 100 || fileEntry.unixMode != 0o100750 || !fileEntry.extraFieldUnix || !fileEntry.extraFieldUnixLegacy) {
+		throw new Error();
+	}
+	if (!directoryEntry.directory || directoryEntry.uid != 70000 || directoryEntry.gid != 70001 || directoryEntry.unixMode != 0o40700 || directoryEntry.extraFieldUnixLegacy) {
+		throw new Error();
+	}
+	if (legacyEntry.uid != 1001 || legacyEntry.gid != 1002 || legacyEntry.extraFieldUnix) {
+		throw new Error();
+	}
+	if (defaultEntry.uid !== undefined || defaultEntry.gid !== undefined || defaultEntry.unixMode != 0o644) {
+		throw new Error();
+	}
+	if (await fileEntry.getData(new zip.TextWriter()) != TEXT_CONTENT) {
+		throw new Error();
+	}
+	await zipReader.close();
+	const zipFs = new zip.fs.FS();
+	await zipFs.importUint8Array(data);
+	const exportedZipReader = new zip.ZipReader(new zip.Uint8ArrayReader(await zipFs.exportUint8Array()));
+	const exportedEntry = (await exportedZipReader.getEntries()).find(entry => entry.filename == "deploy.sh");
+	if (exportedEntry.uid != 1000 || exportedEntry.gid != 100 || exportedEntry.unixMode != 0o100750) {
+		throw new Error();
+	}
+	await exportedZipReader.close();
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,140 @@
+/* global URL */
+
+import { readFile } from "node:fs/promises";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+
+// Deflate64 stream of "a" followed by a match of length 1000 (length code 285 with 16 extra bits), which cannot be
+// decompressed with the Deflate algorithm
+const DEFLATE64_DATA = new Uint8Array([0x4b, 0x1c, 0x2d, 0x1f, 0x00, 0x00]);
+const DEFLATE64_CONTENT = "a".repeat(1001);
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi. Nam liber tempor cum soluta nobis eleifend option congue nihil imperdiet doming id quod mazim placerat facer possim assum. Typi non habent claritatem insitam; est usus legentis in iis qui facit eorum claritatem. Investigationes demonstraverunt lectores legere me lius quod ii legunt saepius. Claritas est etiam processus dynamicus, qui sequitur mutationem consuetudium lectorum. Mirum est notare quam littera gothica, quam nunc putamus parum claram, anteposuerit litterarum formas humanitatis per seacula quarta decima et quinta decima. Eodem modo typi, qui nunc nobis videntur parum clari, fiant sollemnes in futurum.";
+const COMPRESSION_METHOD_DEFLATE_64 = 9;
+const COMPRESSION_METHOD_ZSTD = 93;
+const COMPRESSION_METHOD_BZIP2 = 12;
+const DATA_URI_PREFIX = "data:text/javascript,";
+const WORKER_GLOBAL_SCOPE = `
+const { parentPort } = require("node:worker_threads");
+globalThis.self = globalThis;
+globalThis.postMessage = (message, transfer) => parentPort.postMessage(message, transfer);
+globalThis.addEventListener = (type, listener) => parentPort.on(type, data => listener({ data }));
+`;
+
+let webWorkersCount = 0;
+
+// The inline worker code runs in a nested worker thread emulating the global scope of a web worker.
+class WebWorker {
+
+	constructor(url) {
+		const code = decodeURIComponent(url.toString().substring(DATA_URI_PREFIX.length));
+		this.worker = new Worker(WORKER_GLOBAL_SCOPE + code, { eval: true });
+		webWorkersCount++;
+	}
+
+	addEventListener(type, listener) {
+		this.worker.on(type, data => listener({ data }));
+	}
+
+	postMessage(message, transfer) {
+		this.worker.postMessage(message, transfer);
+	}
+
+	terminate() {
+		this.worker.terminate();
+	}
+}
+
+export { test };
+
+if (!isMainThread && workerData && workerData.url == import.meta.url) {
+	runTests()
+		.then(() => parentPort.postMessage({ webWorkersCount }))
+		.catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+// The library is imported in a separate thread so that it detects the emulated Worker API when it is loaded.
+async function test() {
+	const worker = new Worker(new URL(import.meta.url), { workerData: { url: import.meta.url } });
+	try {
+		const { error, webWorkersCount } = await new Promise((resolve, reject) => {
+			worker.once("message", resolve);
+			worker.once("error", reject);
+		});
+		if (error) {
+			throw new Error(error);
+		}
+		if (!webWorkersCount) {
+			throw new Error();
+		}
+	} finally {
+		await worker.terminate();
+	}
+}
+
+async function runTests() {
+	globalThis.Worker = WebWorker;
+	const zip = await import("../../lib/zip-data-uri.js");
+	const { Inflate64 } = await import("../../lib/zip-codec-deflate64.js");
+	const { ZstdCompress, ZstdDecompress } = await import("../../lib/zip-codec-zstd.js");
+	const { Bzip2Decompress } = await import("../../lib/zip-codec-bzip2.js");
+	zip.configure({
+		chunkSize: 128,
+		useWebWorkers: true,
+		codecs: {
+			[COMPRESSION_METHOD_DEFLATE_64]: { Decompress: Inflate64, workerScripts: ["z-worker-codec-deflate64.js"] },
+			[COMPRESSION_METHOD_ZSTD]: { Compress: ZstdCompress, Decompress: ZstdDecompress, workerScripts: ["z-worker-codec-zstd.js"] },
+			[COMPRESSION_METHOD_BZIP2]: { Decompress: Bzip2Decompress, workerScripts: ["z-worker-codec-bzip2.js"] }
+		}
+	});
+	try {
+		await testDeflate64(zip);
+		await testZstd(zip);
+		await testBzip2(zip);
+	} finally {
+		await zip.terminateWorkers();
+	}
+}
+
+async function testDeflate64(zip) {
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("a.txt", new zip.Uint8ArrayReader(DEFLATE64_DATA), {
+		passThrough: true,
+		compressionMethod: COMPRESSION_METHOD_DEFLATE_64,
+		uncompressedSize: DEFLATE64_CONTENT.length
+	});
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(await zipWriter.close()));
+	const entries = await zipReader.getEntries();
+	const data = await entries[0].getData(new zip.TextWriter());
+	await zipReader.close();
+	if (data != DEFLATE64_CONTENT) {
+		throw new Error();
+	}
+}
+
+async function testZstd(zip) {
+	const text = TEXT_CONTENT.repeat(4);
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	await zipWriter.add("lorem.txt", new zip.TextReader(text), { compressionMethod: COMPRESSION_METHOD_ZSTD });
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(await zipWriter.close()));
+	const [entry] = await zipReader.getEntries();
+	if (entry.compressionMethod != COMPRESSION_METHOD_ZSTD || entry.compressedSize >= entry.uncompressedSize) {
+		throw new Error();
+	}
+	const data = await entry.getData(new zip.TextWriter(), { checkSignature: true });
+	await zipReader.close();
+	if (data != text) {
+		throw new Error();
+	}
+}
+
+async function testBzip2(zip) {
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(await readFile(new URL("../data/lorem-bzip2.zip", import.meta.url))));
+	const [entry] = await zipReader.getEntries();
+	if (entry.compressionMethod != COMPRESSION_METHOD_BZIP2) {
+		throw new Error();
+	}
+	const data = await entry.getData(new zip.TextWriter(), { checkSignature: true });
+	await zipReader.close();
+	if (data != TEXT_CONTENT) {
+		throw new Error();
+	}
+}
@@ -0,0 +1,99 @@
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat.";
+const BOMB_SIZE = 1024 * 1024;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128 });
+	for (const useWebWorkers of [true, false]) {
+		for (const dataDescriptor of [false, true]) {
+			const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { dataDescriptor, useWebWorkers });
+			await zipWriter.add("lorem.txt", new zip.TextReader(TEXT_CONTENT));
+			await zipWriter.add("bomb.bin", new zip.Uint8ArrayReader(new Uint8Array(BOMB_SIZE)));
+			const zipData = await zipWriter.close();
+			await testEntriesLimit(zipData, { maxEntries: 1 }, zip.ERR_MAX_ENTRIES_EXCEEDED);
+			await testEntriesLimit(zipData, { maxEntries: 1, sequential: true }, zip.ERR_MAX_ENTRIES_EXCEEDED);
+			await testEntriesLimit(zipData, { maxEntryUncompressedSize: BOMB_SIZE - 1 }, zip.ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED);
+			await testEntriesLimit(zipData, { maxTotalUncompressedSize: BOMB_SIZE }, zip.ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED);
+			await testEntriesLimit(zipData, { maxCompressionRatio: 100 }, zip.ERR_MAX_COMPRESSION_RATIO_EXCEEDED);
+			await testDataLimit(zipData, { maxEntryUncompressedSize: BOMB_SIZE - 1, useWebWorkers }, zip.ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED);
+			await testDataLimit(zipData, { maxTotalUncompressedSize: BOMB_SIZE, useWebWorkers }, zip.ERR_MAX_TOTAL_UNCOMPRESSED_SIZE_EXCEEDED);
+			await testDataLimit(zipData, { maxCompressionRatio: 100, useWebWorkers }, zip.ERR_MAX_COMPRESSION_RATIO_EXCEEDED);
+			if (dataDescriptor) {
+				await testDataLimit(zipData, { maxEntryUncompressedSize: BOMB_SIZE - 1, sequential: true, useWebWorkers }, zip.ERR_MAX_ENTRY_UNCOMPRESSED_SIZE_EXCEEDED);
+				await testDataLimit(zipData, { maxCompressionRatio: 100, sequential: true, useWebWorkers }, zip.ERR_MAX_COMPRESSION_RATIO_EXCEEDED);
+			}
+			await testTotalSizeCountedOnce(zipData, { useWebWorkers });
+			const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), {
+				maxEntries: 2,
+				maxTotalUncompressedSize: BOMB_SIZE + TEXT_CONTENT.length,
+				maxEntryUncompressedSize: BOMB_SIZE,
+				maxCompressionRatio: 2000,
+				useWebWorkers
+			});
+			const entries = await zipReader.getEntries();
+			if (await entries[0].getData(new zip.TextWriter()) != TEXT_CONTENT || (await entries[1].getData(new zip.Uint8ArrayWriter())).length != BOMB_SIZE) {
+				throw new Error();
+			}
+			await zipReader.close();
+		}
+	}
+	await zip.terminateWorkers();
+}
+
+async function testEntriesLimit(zipData, options, message) {
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), options);
+	try {
+		await zipReader.getEntries();
+		throw new Error();
+	} catch (error) {
+		if (error.message != message) {
+			throw error;
+		}
+	}
+	await zipReader.close();
+}
+
+async function testTotalSizeCountedOnce(zipData, options) {
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), Object.assign({ maxTotalUncompressedSize: BOMB_SIZE + TEXT_CONTENT.length }, options));
+	const { valid } = await zipReader.test();
+	if (!valid) {
+		throw new Error();
+	}
+	const entries = await zipReader.getEntries();
+	if ((await entries[1].getData(new zip.Uint8ArrayWriter(), { start: 0, end: BOMB_SIZE })).length != BOMB_SIZE) {
+		throw new Error();
+	}
+	for (let indexRead = 0; indexRead < 2; indexRead++) {
+		for (const entry of entries) {
+			if ((await entry.getData(new zip.Uint8ArrayWriter())).length != entry.uncompressedSize) {
+				throw new Error();
+			}
+		}
+	}
+	await zipReader.close();
+}
+
+async function testDataLimit(zipData, options, message) {
+	const { sequential } = options;
+	const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(zipData), { sequential });
+	let size = 0;
+	try {
+		for await (const entry of zipReader.getEntriesGenerator()) {
+			const writer = new zip.Uint8ArrayWriter();
+			try {
+				await entry.getData(writer, options);
+			} finally {
+				size += writer.size || 0;
+			}
+		}
+		throw new Error();
+	} catch (error) {
+		if (error.message != message || size >= BOMB_SIZE) {
+			throw error;
+		}
+	}
+	await zipReader.close();
+}
@@ -0,0 +1,49 @@
+/* global TransformStream, Blob, Response */
+
+import * as zip from "../../index.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi. Nam liber tempor cum soluta nobis eleifend option congue nihil imperdiet doming id quod mazim placerat facer possim assum. Typi non habent claritatem insitam; est usus legentis in iis qui facit eorum claritatem. Investigationes demonstraverunt lectores legere me lius quod ii legunt saepius. Claritas est etiam processus dynamicus, qui sequitur mutationem consuetudium lectorum. Mirum est notare quam littera gothica, quam nunc putamus parum claram, anteposuerit litterarum formas humanitatis per seacula quarta decima et quinta decima. Eodem modo typi, qui nunc nobis videntur parum clari, fiant sollemnes in futurum.";
+const FILENAME_FIRST_ENTRY = "lorem1.txt";
+const FILENAME_SECOND_ENTRY = "lorem2.txt";
+const FILENAME_THIRD_ENTRY = "lorem3.txt";
+const ENTRY_COMMENT = "comment";
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128, useWebWorkers: true });
+	const zipWriterStream = new zip.ZipWriterStream();
+	const transformStream = new TransformStream();
+	zipWriterStream.readable.pipeTo(transformStream.writable);
+	new Blob([TEXT_CONTENT]).stream().pipeTo(zipWriterStream.writable(FILENAME_FIRST_ENTRY));
+	new Blob([TEXT_CONTENT]).stream().pipeTo(zipWriterStream.writable(FILENAME_SECOND_ENTRY));
+	new Blob([TEXT_CONTENT]).stream().pipeTo(zipWriterStream.writable(FILENAME_THIRD_ENTRY, { comment: ENTRY_COMMENT }));
+	zipWriterStream.close();
+	const zipReaderStream = new zip.ZipReaderStream({ sequential: true, checkSignature: true });
+	const reader = transformStream.readable.pipeThrough(zipReaderStream).getReader();
+	const entries = [];
+	let result;
+	while ((result = await reader.read()) && !result.done) {
+		const entry = result.value;
+		if (entry.filename != FILENAME_SECOND_ENTRY) {
+			const entryText = await new Response(entry.readable).text();
+			if (TEXT_CONTENT != entryText || entry.uncompressedSize != TEXT_CONTENT.length || entry.compressedSize <= 0) {
+				throw new Error();
+			}
+		}
+		entries.push(entry);
+	}
+	reader.releaseLock();
+	if (entries.length != 3 || entries[2].comment != ENTRY_COMMENT || entries[1].uncompressedSize != TEXT_CONTENT.length) {
+		throw new Error();
+	}
+	try {
+		await new Response(entries[1].readable).text();
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_ENTRY_DATA_NOT_AVAILABLE) {
+			throw error;
+		}
+	}
+	await zip.terminateWorkers();
+}
@@ -0,0 +1,57 @@
+/* global URL */
+
+import * as zip from "../../index.js";
+import { ZstdCompress, ZstdDecompress } from "../../lib/zip-codec-zstd.js";
+
+const TEXT_CONTENT = "Lorem ipsum dolor sit amet, consectetuer adipiscing elit, sed diam nonummy nibh euismod tincidunt ut laoreet dolore magna aliquam erat volutpat. Ut wisi enim ad minim veniam, quis nostrud exerci tation ullamcorper suscipit lobortis nisl ut aliquip ex ea commodo consequat. Duis autem vel eum iriure dolor in hendrerit in vulputate velit esse molestie consequat, vel illum dolore eu feugiat nulla facilisis at vero eros et accumsan et iusto odio dignissim qui blandit praesent luptatum zzril delenit augue duis dolore te feugait nulla facilisi. Nam liber tempor cum soluta nobis eleifend option congue nihil imperdiet doming id quod mazim placerat facer possim assum. Typi non habent claritatem insitam; est usus legentis in iis qui facit eorum claritatem. Investigationes demonstraverunt lectores legere me lius quod ii legunt saepius. Claritas est etiam processus dynamicus, qui sequitur mutationem consuetudium lectorum. Mirum est notare quam littera gothica, quam nunc putamus parum claram, anteposuerit litterarum formas humanitatis per seacula quarta decima et quinta decima. Eodem modo typi, qui nunc nobis videntur parum clari, fiant sollemnes in futurum.";
+const FILENAME = "lorem.txt";
+const COMPRESSION_METHOD_ZSTD = 93;
+const ZSTD_WORKER_SCRIPT = new URL("./../../lib/z-worker-codec-zstd.js", import.meta.url).href;
+const url = new URL("./../data/lorem-zstd.zip", import.meta.url).href;
+
+export { test };
+
+async function test() {
+	zip.configure({ chunkSize: 128 });
+	const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter());
+	try {
+		await zipWriter.add(FILENAME, new zip.TextReader(TEXT_CONTENT), { compressionMethod: COMPRESSION_METHOD_ZSTD });
+		throw new Error();
+	} catch (error) {
+		if (error.message != zip.ERR_UNSUPPORTED_COMPRESSION) {
+			throw error;
+		}
+	}
+	zip.configure({
+		codecs: {
+			[COMPRESSION_METHOD_ZSTD]: { Compress: ZstdCompress, Decompress: ZstdDecompress, workerScripts: [ZSTD_WORKER_SCRIPT] }
+		}
+	});
+	try {
+		for (const useWebWorkers of [true, false]) {
+			const zipReader = new zip.ZipReader(new zip.HttpReader(url, { preventHeadRequest: true }));
+			const [entry] = await zipReader.getEntries();
+			if (entry.compressionMethod != COMPRESSION_METHOD_ZSTD || await entry.getData(new zip.TextWriter(), { checkSignature: true, useWebWorkers }) != TEXT_CONTENT) {
+				throw new Error();
+			}
+			await zipReader.close();
+			for (const level of [1, 9, undefined]) {
+				const text = TEXT_CONTENT.repeat(level || 4);
+				const zipWriter = new zip.ZipWriter(new zip.Uint8ArrayWriter(), { useWebWorkers });
+				await zipWriter.add(FILENAME, new zip.TextReader(text), { compressionMethod: COMPRESSION_METHOD_ZSTD, level });
+				const zipReader = new zip.ZipReader(new zip.Uint8ArrayReader(await zipWriter.close()), { useWebWorkers });
+				const [entry] = await zipReader.getEntries();
+				if (entry.compressionMethod != COMPRESSION_METHOD_ZSTD || entry.version < 0x3F || entry.compressedSize >= entry.uncompressedSize) {
+					throw new Error();
+				}
+				if (await entry.getData(new zip.TextWriter(), { checkSignature: true }) != text) {
+					throw new Error();
+				}
+				await zipReader.close();
+			}
+		}
+	} finally {
+		zip.configure({ codecs: { [COMPRESSION_METHOD_ZSTD]: null } });
+		await zip.terminateWorkers();
+	}
+}
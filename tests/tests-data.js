@@ -9,6 +9,10 @@ export default ([
 	{ title: "Arraybuffer", script: "./test-arrayBuffer.js" },
 	{ title: "Base 64", script: "./test-base64.js" },
 	{ title: "Blob", script: "./test-blob.js" },
+	{ title: "BZIP2, LZMA and XZ", script: "./test-bzip2-lzma-xz.js" },
+	{ title: "Byte range", script: "./test-byte-range.js" },
+	{ title: "Code page encoding", script: "./test-code-page-encoding.js" },
+	{ title: "Codecs", script: "./test-codecs.js" },
 	{ title: "Common JS", script: "./test-common-js.cjs", env: ["node"] },
 	{ title: "Crypto", script: "./test-crypto.js", env: ["deno", "node", "browser"] },
 	{ title: "Crypto (raw password)", script: "./test-crypto-raw-password.js", env: ["deno", "node", "browser"] },
@@ -17,14 +21,20 @@ export default ([
 	{ title: "Data descriptor signature", script: "./test-data-descriptor-signature.js" },
 	{ title: "Data descriptor", script: "./test-data-descriptor.js" },
 	{ title: "Data URI", script: "./test-data-uri.js" },
+	{ title: "Deflate64", script: "./test-deflate64.js" },
+	{ title: "Deno file reader and writer", script: "./test-deno-file.js", env: ["deno"] },
 	{ title: "Directory", script: "./test-directory.js" },
 	{ title: "Executable", script: "./test-executable.js" },
 	{ title: "Duplicated Filename", script: "./test-duplicated-filename.js" },
 	{ title: "Empty zip file", script: "./test-empty.js" },
+	{ title: "Entry comments", script: "./test-entry-comments.js" },
+	{ title: "Export index", script: "./test-export-index.js" },
 	{ title: "Extended timestamp", script: "./test-extended-timestamp.js" },
 	{ title: "Extra field", script: "./test-extra-field.js" },
 	{ title: "Fflate", script: "./test-fflate.js", env: ["bun", "node", "browser"] },
 	{ title: "Fflate (no worker)", script: "./test-fflate-no-worker.js", sanitizeResources: false },
+	{ title: "Filename encoding detection", script: "./test-filename-encoding-auto.js" },
+	{ title: "Filename policy", script: "./test-filename-policy.js" },
 	{ title: "Filesystem base 64", script: "./test-fs-base64.js" },
 	{ title: "Filesystem check password", script: "./test-fs-check-password.js", env: ["deno", "node", "browser"] },
 	{ title: "Filesystem export", script: "./test-fs-export-options.js" },
@@ -37,15 +47,24 @@ export default ([
 	{ title: "Filesystem text", script: "./test-fs-text.js" },
 	{ title: "Filesystem unzip uncompressed file", script: "./test-fs-unzip-store.js" },
 	{ title: "Filesystem test", script: "./test-fs.js" },
+	{ title: "Get entry", script: "./test-get-entry.js" },
+	{ title: "Get password", script: "./test-get-password.js" },
+	{ title: "HTTP block cache", script: "./test-http-block-cache.js" },
 	{ title: "HTTP crypto", script: "./test-http-crypto.js", env: ["deno", "node", "browser"] },
+	{ title: "HTTP prefetch", script: "./test-http-prefetch.js" },
 	{ title: "HTTP range (ZipWriter#add)", script: "./test-http-range-writer-add.js", env: ["browser"] },
 	{ title: "HTTP range", script: "./test-http-range.js", env: ["browser"] },
+	{ title: "HTTP retry", script: "./test-http-retry.js" },
 	{ title: "HTTP split file", script: "./test-http-split-zip.js" },
 	{ title: "HTTP zip64", script: "./test-http-zip64.js" },
+	{ title: "Integrity check", script: "./test-integrity.js" },
 	{ title: "Invalid CRC", script: "./test-invalid-crc.js" },
 	{ title: "Invalid uncompressed size", script: "./test-invalid-uncompressed-size.js" },
 	{ title: "Multiple writers", script: "./test-multiple-writers.js" },
+	{ title: "Name normalization", script: "./test-name-normalization.js" },
 	{ title: "No worker", script: "./test-no-worker.js" },
+	{ title: "Node file reader and writer", script: "./test-node-file.js", env: ["node", "bun", "deno"] },
+	{ title: "OPFS reader and writer", script: "./test-opfs.js", env: ["browser"] },
 	{ title: "Overlapping entries only", script: "./test-overlapping-entries-only.js" },
 	{ title: "Overlapping entries", script: "./test-overlapping-entries.js" },
 	{ title: "Pako", script: "./test-pako.js" },
@@ -61,6 +80,7 @@ export default ([
 	{ title: "Pass through zstd", script: "./test-passthrough-zstd.js" },
 	{ title: "Readable Stream", script: "./test-readable-stream.js" },
 	{ title: "Readable Zip Stream", script: "./test-readable-zip-stream.js" },
+	{ title: "Recover entries", script: "./test-recover.js" },
 	{ title: "Remove entry", script: "./test-remove-entry.js" },
 	{ title: "Replace entry", script: "./test-replace-entry.js" },
 	{ title: "Safe closing", script: "./test-safe-closing.js" },
@@ -68,15 +88,22 @@ export default ([
 	{ title: "Signature CRC32", script: "./test-crc.js" },
 	{ title: "Split data", script: "./test-split-data.js" },
 	{ title: "Split zip file", script: "./test-split-zip.js" },
+	{ title: "Split zip file (local header)", script: "./test-split-zip-header.js" },
 	{ title: "Store", script: "./test-store.js" },
 	{ title: "Streams", script: "./test-streams.js" },
+	{ title: "Symlink", script: "./test-symlink.js" },
 	{ title: "Text encoding ", script: "./test-text-encoding.js" },
+	{ title: "Unicode extra fields", script: "./test-unicode-extra-fields.js" },
 	{ title: "Unicode file names", script: "./test-use-unicode-file-names.js" },
+	{ title: "Unix extra fields", script: "./test-unix-extra-fields.js" },
 	{ title: "USDZ", script: "./test-usdz.js" },
+	{ title: "Web workers (Node worker threads)", script: "./test-web-worker-node.js", env: ["node"] },
 	{ title: "Worker timeout", script: "./test-worker-timeout.js" },
 	{ title: "Wrapped zip file", script: "./test-wrapped.js" },
 	{ title: "Writable Stream", script: "./test-writable-stream.js" },
+	{ title: "Zip bomb limits", script: "./test-zip-bomb-limits.js" },
 	{ title: "Zip Streams", script: "./test-zip-streams.js" },
+	{ title: "Zip Streams (sequential)", script: "./test-zip-streams-sequential.js" },
 	{ title: "Zip64 (auto)", script: "./test-zip64-auto.js", env: ["deno", "bun"] },
 	{ title: "Zip64 (buffered, no data descriptor)", script: "./test-zip64-buffered-no-data-descriptor.js" },
 	{ title: "Zip64 (buffered)", script: "./test-zip64-buffered.js" },
@@ -84,5 +111,6 @@ export default ([
 	{ title: "Zip64 (no compression)", script: "./test-zip64-no-compression.js" },
 	{ title: "Zip64 (passthrough)", script: "./test-zip64-passthrough.js" },
 	{ title: "Zip64", script: "./test-zip64.js" },
-	{ title: "Zipcrypto", script: "./test-zipcrypto.js" }
+	{ title: "Zipcrypto", script: "./test-zipcrypto.js" },
+	{ title: "Zstandard", script: "./test-zstd.js" }
 ]);
\ No newline at end of file